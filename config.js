@@ -48,6 +48,13 @@ module.exports = {
   // Wallet Configuration
   HOT_WALLET_PRIVATE_KEY: process.env.HOT_WALLET_PRIVATE_KEY,
   TRC_PRIVATE_KEY: process.env.TRC_PRIVATE_KEY,
+  // Signs payout authorizations for vaults with a signer set; keep it apart
+  // from the hot wallet, which only relays them
+  PAYOUT_SIGNER_PRIVATE_KEY: process.env.PAYOUT_SIGNER_PRIVATE_KEY,
+  // How long a signed payout stays valid on-chain
+  PAYOUT_AUTHORIZATION_TTL_SECONDS: Number(
+    process.env.PAYOUT_AUTHORIZATION_TTL_SECONDS || 3600,
+  ),
 
   // Escrow Configuration
   ESCROW_FEE_PERCENT: Number(process.env.ESCROW_FEE_PERCENT || 0),
@@ -56,13 +63,98 @@ module.exports = {
   MIN_TRADE_AMOUNT: Number(process.env.MIN_TRADE_AMOUNT || 1),
   MAX_TRADE_AMOUNT: Number(process.env.MAX_TRADE_AMOUNT || 10000),
 
+  // Deposit Watcher
+  DEPOSIT_WATCHER_INTERVAL_MS: Number(
+    process.env.DEPOSIT_WATCHER_INTERVAL_MS || 60000,
+  ),
+
+  // Job Queue (delayed recycling, invite timeouts, message clean-up)
+  JOB_QUEUE_POLL_INTERVAL_MS: Number(
+    process.env.JOB_QUEUE_POLL_INTERVAL_MS || 5000,
+  ),
+  JOB_LOCK_TIMEOUT_MS: Number(process.env.JOB_LOCK_TIMEOUT_MS || 600000),
+  JOB_RETRY_DELAY_MS: Number(process.env.JOB_RETRY_DELAY_MS || 30000),
+  JOB_MAX_ATTEMPTS: Number(process.env.JOB_MAX_ATTEMPTS || 5),
+
+  // Payouts (re-checking releases/refunds whose confirmation was lost)
+  PAYOUT_RECONCILE_DELAY_MS: Number(
+    process.env.PAYOUT_RECONCILE_DELAY_MS || 60000,
+  ),
+  PAYOUT_RECONCILE_MAX_ATTEMPTS: Number(
+    process.env.PAYOUT_RECONCILE_MAX_ATTEMPTS || 10,
+  ),
+
+  // Treasury withdrawals above the threshold (total token amount) need this
+  // many distinct admin approvals, the requester included
+  WITHDRAWAL_APPROVAL_THRESHOLD: Number(
+    process.env.WITHDRAWAL_APPROVAL_THRESHOLD || 500,
+  ),
+  WITHDRAWAL_REQUIRED_APPROVALS: Number(
+    process.env.WITHDRAWAL_REQUIRED_APPROVALS || 2,
+  ),
+  WITHDRAWAL_REQUEST_TTL_MS: Number(
+    process.env.WITHDRAWAL_REQUEST_TTL_MS || 6 * 60 * 60 * 1000,
+  ),
+
+  // Reconciliation of vault balances and transfers against the database
+  RECONCILE_INTERVAL_MS: Number(
+    process.env.RECONCILE_INTERVAL_MS || 60 * 60 * 1000,
+  ),
+  // Largest balance difference (token amount) not reported
+  RECONCILE_TOLERANCE: Number(process.env.RECONCILE_TOLERANCE || 0.01),
+  // How far back Transfer logs are compared with recorded hashes
+  RECONCILE_LOOKBACK_BLOCKS: Number(
+    process.env.RECONCILE_LOOKBACK_BLOCKS || 2400,
+  ),
+
+  // HTTP admin API and dashboard, served from the bot process; disabled
+  // unless a port is set
+  HTTP_PORT: Number(process.env.HTTP_PORT || 0),
+  HTTP_HOST: process.env.HTTP_HOST || "127.0.0.1",
+  // Open trades sitting in one status longer than this show as stuck on the
+  // dashboard
+  TRADE_SLA_MINUTES: Number(process.env.TRADE_SLA_MINUTES || 120),
+
+  // Telegram webhook, served on HTTP_PORT; long polling when WEBHOOK_URL is
+  // unset. WEBHOOK_URL is the public base URL Telegram posts to.
+  WEBHOOK_URL: (process.env.WEBHOOK_URL || "").replace(/\/+$/, ""),
+  WEBHOOK_PATH: process.env.WEBHOOK_PATH || "/telegram/webhook",
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET,
+
+  // Replicas: one instance holds the leader lease and runs polling and the
+  // background jobs; standbys take over once it has not been renewed for this
+  LEADER_LEASE_TTL_MS: Number(process.env.LEADER_LEASE_TTL_MS || 30000),
+  // How often each replica reloads admin roles, so a revoke made on another
+  // replica takes effect there as well
+  ADMIN_RELOAD_INTERVAL_MS: Number(
+    process.env.ADMIN_RELOAD_INTERVAL_MS || 15000,
+  ),
+  // Per-escrow lock held while a button or payout changes a trade; renewed
+  // while held, so this only bounds how long a crashed holder blocks it
+  ESCROW_LOCK_TTL_MS: Number(process.env.ESCROW_LOCK_TTL_MS || 60000),
+  // How long SIGTERM waits for updates and jobs in progress before exiting
+  SHUTDOWN_TIMEOUT_MS: Number(process.env.SHUTDOWN_TIMEOUT_MS || 25000),
+
+  // Blocks a deposit must be buried under before it is credited
+  BSC_CONFIRMATIONS: Number(process.env.BSC_CONFIRMATIONS || 15),
+  TRON_CONFIRMATIONS: Number(process.env.TRON_CONFIRMATIONS || 19),
+  ETH_CONFIRMATIONS: Number(process.env.ETH_CONFIRMATIONS || 12),
+
   // Fee wallets (Per-Network)
   FEE_WALLET_BSC: process.env.FEE_WALLET_BSC,
   FEE_WALLET_TRC: process.env.FEE_WALLET_TRC,
+  // Guardian of newly deployed BSC vaults: a cold wallet, never the hot wallet
+  VAULT_GUARDIAN_BSC: process.env.VAULT_GUARDIAN_BSC,
 
   // Security
   NODE_ENV: process.env.NODE_ENV || "development",
 
+  // Logging: debug, info, warn or error; "json" lines or "pretty" for a terminal
+  LOG_LEVEL: (process.env.LOG_LEVEL || "info").toLowerCase(),
+  LOG_FORMAT: (process.env.LOG_FORMAT || "json").toLowerCase(),
+  // Mask wallet addresses in log output (tx hashes are kept for tracing)
+  LOG_REDACT_ADDRESSES: process.env.LOG_REDACT_ADDRESSES === "true",
+
   // Dispute Management
   DISPUTE_CHANNEL_ID: process.env.DISPUTE_CHANNEL_ID,
   COMPLETION_FEED_CHAT_ID: process.env.COMPLETION_FEED_CHAT_ID,
@@ -81,6 +173,15 @@ module.exports = {
     return groupIds;
   },
 
+  // Helper function to get the confirmation depth for a network
+  getRequiredConfirmations(network) {
+    const upper = (network || "BSC").toUpperCase();
+    if (upper === "TRON" || upper === "TRX") return this.TRON_CONFIRMATIONS;
+    if (upper === "ETH" || upper === "ETHEREUM" || upper === "SEPOLIA")
+      return this.ETH_CONFIRMATIONS;
+    return this.BSC_CONFIRMATIONS;
+  },
+
   // Helper function to get all admin IDs
   getAllAdminIds() {
     const adminIds = [];
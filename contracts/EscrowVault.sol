@@ -7,49 +7,501 @@ interface IERC20 {
 }
 
 contract EscrowVault {
+    // Bumped when functions are added or removed, so the bot can tell vaults
+    // apart; vaults without it have the pooled release/refund
+    uint256 public constant VERSION = 2;
+
     address public owner;
+    // Nominated by transferOwnership; becomes owner once it accepts
+    address public pendingOwner;
+    // Can pause and unpause; meant to be a key kept away from the bot
+    address public guardian;
+    bool public paused;
     address public immutable token;
     address public feeWallet;
 
-    event Released(address indexed to, uint256 amount);
-    event Refunded(address indexed to, uint256 amount);
+    // setFeeWallet and withdrawToken must be queued this long in advance,
+    // leaving time to cancel them if the owner key leaks
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+    // Operation id => earliest execution time; 0 when not queued
+    mapping(bytes32 => uint256) public timelockEta;
+
+    // Per-trade sub-ledger: amount of `token` held on behalf of each escrow id
+    mapping(bytes32 => uint256) public escrowBalances;
+    // Sum of all escrowBalances; never sweepable
+    uint256 public totalLiabilities;
+    // Escrows something was paid out of; only these can be closed with a
+    // remainder, so an open trade's credit cannot be freed and swept
+    mapping(bytes32 => bool) public settled;
+
+    // Key whose EIP-712 signature authorizes each payout. While set, the
+    // owner's release/refund calls are refused, so the relaying owner key
+    // alone cannot move funds. Zero keeps the owner-only payouts.
+    address public signer;
+    // Authorization nonces already spent; any unused value is valid
+    mapping(uint256 => bool) public usedNonces;
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256(
+            "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+        );
+    bytes32 public constant RELEASE_TYPEHASH =
+        keccak256(
+            "Release(bytes32 escrowId,address to,uint256 amount,uint256 fee,uint256 nonce,uint256 deadline)"
+        );
+    bytes32 public constant REFUND_TYPEHASH =
+        keccak256(
+            "Refund(bytes32 escrowId,address to,uint256 amount,uint256 fee,uint256 nonce,uint256 deadline)"
+        );
+
     event FeeWalletUpdated(address wallet);
+    event DepositCredited(bytes32 indexed escrowId, uint256 amount);
+    event DepositReversed(bytes32 indexed escrowId, uint256 amount);
+    event EscrowReleased(
+        bytes32 indexed escrowId,
+        address indexed to,
+        uint256 amount
+    );
+    event EscrowRefunded(
+        bytes32 indexed escrowId,
+        address indexed to,
+        uint256 amount
+    );
+    event EscrowClosed(bytes32 indexed escrowId, uint256 remainder);
+    event OwnershipTransferStarted(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event GuardianUpdated(address guardian);
+    event Paused(address by);
+    event Unpaused(address by);
+    event OperationQueued(bytes32 indexed id, uint256 eta);
+    event OperationCancelled(bytes32 indexed id);
+    event TokenWithdrawn(
+        address indexed token,
+        address indexed to,
+        uint256 amount
+    );
+    // A payout whose fee went to feeWallet in the same transaction
+    event ReleasedWithFee(
+        bytes32 indexed escrowId,
+        address indexed to,
+        uint256 amount,
+        address indexed feeWallet,
+        uint256 fee
+    );
+    event RefundedWithFee(
+        bytes32 indexed escrowId,
+        address indexed to,
+        uint256 amount,
+        address indexed feeWallet,
+        uint256 fee
+    );
+    event SignerUpdated(address signer);
+    event AuthorizationUsed(uint256 indexed nonce);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "not-owner");
         _;
     }
 
-    constructor(address _token, address _feeWallet) {
+    modifier onlyGuardian() {
+        require(msg.sender == guardian, "not-guardian");
+        _;
+    }
+
+    modifier whenNotPaused() {
+        require(!paused, "paused");
+        _;
+    }
+
+    modifier whenUnsigned() {
+        require(signer == address(0), "signature-required");
+        _;
+    }
+
+    /// @param _guardian a key held apart from the deployer, which becomes
+    /// the owner and so the bot's hot wallet
+    constructor(address _token, address _feeWallet, address _guardian) {
+        require(_guardian != address(0), "zero-guardian");
+        require(_guardian != msg.sender, "guardian-is-owner");
         owner = msg.sender;
+        guardian = _guardian;
         token = _token;
         feeWallet = _feeWallet;
     }
 
-    function setOwner(address _owner) external onlyOwner {
-        owner = _owner;
+    /// @notice Nominate a new owner; nothing changes until it accepts
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "zero-owner");
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
     }
 
+    function acceptOwnership() external {
+        require(msg.sender == pendingOwner, "not-pending-owner");
+        require(msg.sender != guardian, "guardian-is-owner");
+        emit OwnershipTransferred(owner, pendingOwner);
+        owner = pendingOwner;
+        pendingOwner = address(0);
+    }
+
+    /// @notice Only the guardian hands its role on, so a leaked owner key
+    /// cannot take it
+    function setGuardian(address _guardian) external onlyGuardian {
+        require(_guardian != address(0), "zero-guardian");
+        require(_guardian != owner, "guardian-is-owner");
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+
+    /// @notice Stop every payout and withdrawal. The owner may pause; only
+    /// the guardian resumes.
+    function pause() external {
+        require(
+            msg.sender == guardian || msg.sender == owner,
+            "not-guardian"
+        );
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() external onlyGuardian {
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    /// @notice Require signed payouts from `_signer`; zero goes back to
+    /// owner-only payouts
+    function setSigner(address _signer) external onlyGuardian {
+        signer = _signer;
+        emit SignerUpdated(_signer);
+    }
+
+    function domainSeparator() public view returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    DOMAIN_TYPEHASH,
+                    keccak256("EscrowVault"),
+                    keccak256("1"),
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    function feeWalletOperation(
+        address _feeWallet
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode("setFeeWallet", _feeWallet));
+    }
+
+    function withdrawOperation(
+        address erc20Token,
+        address to
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encode("withdrawToken", erc20Token, to));
+    }
+
+    function queueSetFeeWallet(address _feeWallet) external onlyOwner {
+        _queue(feeWalletOperation(_feeWallet));
+    }
+
+    function queueWithdrawToken(
+        address erc20Token,
+        address to
+    ) external onlyOwner {
+        require(to != address(0), "zero-to");
+        _queue(withdrawOperation(erc20Token, to));
+    }
+
+    /// @notice Drop a queued operation before it runs
+    function cancelOperation(bytes32 id) external {
+        require(
+            msg.sender == guardian || msg.sender == owner,
+            "not-guardian"
+        );
+        require(timelockEta[id] != 0, "not-queued");
+        delete timelockEta[id];
+        emit OperationCancelled(id);
+    }
+
+    /// @notice Takes effect only once queued with queueSetFeeWallet and the
+    /// delay has passed
     function setFeeWallet(address _feeWallet) external onlyOwner {
+        _consume(feeWalletOperation(_feeWallet));
         feeWallet = _feeWallet;
         emit FeeWalletUpdated(_feeWallet);
     }
 
-    function release(address to, uint256 amount) external onlyOwner {
+    /// @notice Token balance not owed to any open trade (fees, dust, uncredited deposits).
+    /// It leaves the vault only through the queued withdrawToken, or by being
+    /// credited to a trade and paid out from there.
+    function unallocatedBalance() public view returns (uint256) {
+        uint256 bal = IERC20(token).balanceOf(address(this));
+        return bal > totalLiabilities ? bal - totalLiabilities : 0;
+    }
+
+    /// @notice How far the vault token balance falls below what is owed to
+    /// trades, e.g. after a reorg removed a deposit that was credited
+    function shortfall() public view returns (uint256) {
+        uint256 bal = IERC20(token).balanceOf(address(this));
+        return totalLiabilities > bal ? totalLiabilities - bal : 0;
+    }
+
+    /// @notice Assign part of the unallocated balance to a trade once its deposit is confirmed
+    function creditDeposit(bytes32 escrowId, uint256 amount) external onlyOwner {
+        require(escrowId != bytes32(0), "zero-escrow");
+        require(amount > 0, "zero-amount");
+        require(amount <= unallocatedBalance(), "exceeds-unallocated");
+        escrowBalances[escrowId] += amount;
+        totalLiabilities += amount;
+        emit DepositCredited(escrowId, amount);
+    }
+
+    /// @notice Take back the credit of a deposit that left the chain. Capped
+    /// at the shortfall, so a trade whose tokens are still here keeps them.
+    function reverseDeposit(bytes32 escrowId, uint256 amount) external onlyOwner {
+        require(escrowId != bytes32(0), "zero-escrow");
+        require(amount > 0, "zero-amount");
+        require(amount <= escrowBalances[escrowId], "exceeds-escrow");
+        require(amount <= shortfall(), "exceeds-shortfall");
+        escrowBalances[escrowId] -= amount;
+        totalLiabilities -= amount;
+        emit DepositReversed(escrowId, amount);
+    }
+
+    function releaseEscrow(
+        bytes32 escrowId,
+        address to,
+        uint256 amount
+    ) external onlyOwner whenNotPaused whenUnsigned {
+        _debit(escrowId, amount);
         _safeTransfer(token, to, amount);
-        emit Released(to, amount);
+        emit EscrowReleased(escrowId, to, amount);
     }
 
-    function refund(address to, uint256 amount) external onlyOwner {
+    function refundEscrow(
+        bytes32 escrowId,
+        address to,
+        uint256 amount
+    ) external onlyOwner whenNotPaused whenUnsigned {
+        _debit(escrowId, amount);
         _safeTransfer(token, to, amount);
-        emit Refunded(to, amount);
+        emit EscrowRefunded(escrowId, to, amount);
+    }
+
+    /// @notice Free whatever a settled trade still holds (retained fees, rounding dust)
+    function closeEscrow(bytes32 escrowId) external onlyOwner {
+        uint256 remainder = escrowBalances[escrowId];
+        require(remainder == 0 || settled[escrowId], "not-settled");
+        escrowBalances[escrowId] = 0;
+        totalLiabilities -= remainder;
+        emit EscrowClosed(escrowId, remainder);
+    }
+
+    /// @notice Pay `amount` to `to` and `fee` to feeWallet in one transaction,
+    /// taking both from the trade's credit
+    function releaseWithFee(
+        bytes32 escrowId,
+        address to,
+        uint256 amount,
+        uint256 fee
+    ) external onlyOwner whenNotPaused whenUnsigned {
+        _payOut(escrowId, to, amount, fee);
+        _emitRelease(escrowId, to, amount, fee);
     }
 
-    function withdrawToken(address erc20Token, address to) external onlyOwner {
+    function refundWithFee(
+        bytes32 escrowId,
+        address to,
+        uint256 amount,
+        uint256 fee
+    ) external onlyOwner whenNotPaused whenUnsigned {
+        _payOut(escrowId, to, amount, fee);
+        _emitRefund(escrowId, to, amount, fee);
+    }
+
+    /// @notice Pay `to` (and `fee` to feeWallet) from the trade's credit with
+    /// the signer's Release authorization; anyone may relay it
+    function releaseWithSignature(
+        bytes32 escrowId,
+        address to,
+        uint256 amount,
+        uint256 fee,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused {
+        _authorize(
+            keccak256(
+                abi.encode(
+                    RELEASE_TYPEHASH,
+                    escrowId,
+                    to,
+                    amount,
+                    fee,
+                    nonce,
+                    deadline
+                )
+            ),
+            nonce,
+            deadline,
+            signature
+        );
+        _payOut(escrowId, to, amount, fee);
+        _emitRelease(escrowId, to, amount, fee);
+    }
+
+    /// @notice Refund counterpart of releaseWithSignature
+    function refundWithSignature(
+        bytes32 escrowId,
+        address to,
+        uint256 amount,
+        uint256 fee,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused {
+        _authorize(
+            keccak256(
+                abi.encode(
+                    REFUND_TYPEHASH,
+                    escrowId,
+                    to,
+                    amount,
+                    fee,
+                    nonce,
+                    deadline
+                )
+            ),
+            nonce,
+            deadline,
+            signature
+        );
+        _payOut(escrowId, to, amount, fee);
+        _emitRefund(escrowId, to, amount, fee);
+    }
+
+    /// @notice Sweep a token; for the vault token only the unallocated balance leaves.
+    /// Must be queued with queueWithdrawToken for the same token and recipient.
+    function withdrawToken(
+        address erc20Token,
+        address to
+    ) external onlyOwner whenNotPaused {
         require(to != address(0), "zero-to");
-        uint256 bal = IERC20(erc20Token).balanceOf(address(this));
+        _consume(withdrawOperation(erc20Token, to));
+        uint256 bal = erc20Token == token
+            ? unallocatedBalance()
+            : IERC20(erc20Token).balanceOf(address(this));
         require(bal > 0, "no-balance");
         _safeTransfer(erc20Token, to, bal);
+        emit TokenWithdrawn(erc20Token, to, bal);
+    }
+
+    function _queue(bytes32 id) internal {
+        require(timelockEta[id] == 0, "already-queued");
+        uint256 eta = block.timestamp + TIMELOCK_DELAY;
+        timelockEta[id] = eta;
+        emit OperationQueued(id, eta);
+    }
+
+    function _consume(bytes32 id) internal {
+        uint256 eta = timelockEta[id];
+        require(eta != 0, "not-queued");
+        require(block.timestamp >= eta, "timelocked");
+        delete timelockEta[id];
+    }
+
+    function _authorize(
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) internal {
+        require(signer != address(0), "no-signer");
+        require(block.timestamp <= deadline, "expired");
+        require(!usedNonces[nonce], "nonce-used");
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", domainSeparator(), structHash)
+        );
+        require(_recover(digest, signature) == signer, "bad-signature");
+        usedNonces[nonce] = true;
+        emit AuthorizationUsed(nonce);
+    }
+
+    function _recover(
+        bytes32 digest,
+        bytes calldata signature
+    ) internal pure returns (address) {
+        require(signature.length == 65, "bad-signature");
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+        // Reject the malleable upper-half s, as OpenZeppelin's ECDSA does
+        require(
+            uint256(s) <=
+                0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "bad-signature"
+        );
+        return ecrecover(digest, v, r, s);
+    }
+
+    function _payOut(
+        bytes32 escrowId,
+        address to,
+        uint256 amount,
+        uint256 fee
+    ) internal {
+        _debit(escrowId, amount + fee);
+        _safeTransfer(token, to, amount);
+        if (fee > 0) {
+            require(feeWallet != address(0), "no-fee-wallet");
+            _safeTransfer(token, feeWallet, fee);
+        }
+    }
+
+    // Payouts without a fee keep the events they always had
+    function _emitRelease(
+        bytes32 escrowId,
+        address to,
+        uint256 amount,
+        uint256 fee
+    ) internal {
+        if (fee > 0) {
+            emit ReleasedWithFee(escrowId, to, amount, feeWallet, fee);
+        } else {
+            emit EscrowReleased(escrowId, to, amount);
+        }
+    }
+
+    function _emitRefund(
+        bytes32 escrowId,
+        address to,
+        uint256 amount,
+        uint256 fee
+    ) internal {
+        if (fee > 0) {
+            emit RefundedWithFee(escrowId, to, amount, feeWallet, fee);
+        } else {
+            emit EscrowRefunded(escrowId, to, amount);
+        }
+    }
+
+    // Take a payout from a trade's credit
+    function _debit(bytes32 escrowId, uint256 amount) internal {
+        require(escrowId != bytes32(0), "zero-escrow");
+        require(amount > 0, "zero-amount");
+        uint256 credited = escrowBalances[escrowId];
+        require(amount <= credited, "exceeds-escrow");
+        escrowBalances[escrowId] = credited - amount;
+        totalLiabilities -= amount;
+        settled[escrowId] = true;
     }
 
     function _safeTransfer(
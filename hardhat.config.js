@@ -14,6 +14,14 @@ module.exports = {
     version: '0.8.24',
     settings: { optimizer: { enabled: true, runs: 200 } }
   },
+  paths: {
+    // test/e2e is the Jest suite
+    tests: './test/contracts'
+  },
+  mocha: {
+    // The BlockchainService tests wait on ethers polling the local node
+    timeout: 60000
+  },
   networks: {
     bsc: {
       url: BSC_RPC_URL || 'https://bsc-dataseed.binance.org/',
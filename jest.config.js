@@ -0,0 +1,10 @@
+module.exports = {
+  testEnvironment: "node",
+  // Contract tests under test/contracts run with Hardhat
+  testMatch: ["<rootDir>/test/e2e/**/*.test.js"],
+  globalSetup: "<rootDir>/test/e2e/globalSetup.js",
+  globalTeardown: "<rootDir>/test/e2e/globalTeardown.js",
+  setupFiles: ["<rootDir>/test/e2e/setupEnv.js"],
+  // Room recycling waits on real timers between Telegram calls
+  testTimeout: 60000,
+};
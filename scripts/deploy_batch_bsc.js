@@ -21,76 +21,123 @@ async function main() {
   const usdtAddress = config.USDT_BSC;
   const usdcAddress = config.USDC_BSC;
   const feeWallet = config.FEE_WALLET_BSC;
+  const guardian = config.VAULT_GUARDIAN_BSC;
 
-  if (!usdtAddress || !usdcAddress || !feeWallet) {
+  if (!usdtAddress || !usdcAddress || !feeWallet || !guardian) {
     console.error(
-      "❌ Missing configuration addresses (USDT, USDC, or Fee Wallet)",
+      "❌ Missing configuration addresses (USDT, USDC, Fee Wallet or Guardian)",
     );
-    console.log({ usdtAddress, usdcAddress, feeWallet });
+    console.log({ usdtAddress, usdcAddress, feeWallet, guardian });
     process.exit(1);
   }
 
   const USDT_COUNT = 20;
   const USDC_COUNT = 20;
 
-  const deployedUSDT = [];
-  const deployedUSDC = [];
-
-  // 3. Deploy USDT Contracts
-  console.log(`\n📦 Deploying ${USDT_COUNT} USDT Contracts...`);
-  const EscrowVault = await hre.ethers.getContractFactory("EscrowVault");
-
-  for (let i = 0; i < USDT_COUNT; i++) {
-    const contract = await EscrowVault.deploy(usdtAddress, feeWallet);
-    await contract.waitForDeployment();
-    const address = await contract.getAddress();
-
-    console.log(`   [${i + 1}/${USDT_COUNT}] USDT Vault Deployed: ${address}`);
-
-    // Save to Contract DB
-    await Contract.create({
+  // Save each vault to Contract DB as soon as it is deployed
+  const record = (token) => (address) =>
+    Contract.create({
       name: "EscrowVault",
-      token: "USDT",
+      token,
       network: "BSC",
       address: address,
       status: "deployed",
     });
 
-    deployedUSDT.push(address);
-    // Add small delay to avoid rate limits
-    await new Promise((r) => setTimeout(r, 1000));
-  }
+  // 3. Deploy USDT Contracts
+  const EscrowVault = await hre.ethers.getContractFactory("EscrowVault");
+  const deployedUSDT = await deployVaults(EscrowVault, {
+    token: "USDT",
+    tokenAddress: usdtAddress,
+    feeWallet,
+    guardian,
+    count: USDT_COUNT,
+    onDeployed: record("USDT"),
+  });
 
   // 4. Deploy USDC Contracts
-  console.log(`\n📦 Deploying ${USDC_COUNT} USDC Contracts...`);
+  const deployedUSDC = await deployVaults(EscrowVault, {
+    token: "USDC",
+    tokenAddress: usdcAddress,
+    feeWallet,
+    guardian,
+    count: USDC_COUNT,
+    onDeployed: record("USDC"),
+  });
+
+  // 5. Assign to Groups
+  console.log("\n👥 Assigning Contracts to Groups...");
+
+  // Get all available groups
+  const groups = await GroupPool.find({ status: { $ne: "archived" } });
+  console.log(`Found ${groups.length} active groups.`);
+
+  const assignedCount = await assignVaultsToGroups(
+    groups,
+    deployedUSDT,
+    deployedUSDC,
+  );
+
+  console.log(
+    `\n🎉 Process Complete! Assigned contracts to ${assignedCount} groups.`,
+  );
+  console.log(`   Unused USDT Contracts: ${deployedUSDT.length}`);
+  console.log(`   Unused USDC Contracts: ${deployedUSDC.length}`);
+}
 
-  for (let i = 0; i < USDC_COUNT; i++) {
-    const contract = await EscrowVault.deploy(usdcAddress, feeWallet);
+/**
+ * Deploy `count` vaults for one token
+ * @param {ContractFactory} EscrowVault - factory bound to the deployer
+ * @param {{token:string, tokenAddress:string, feeWallet:string, guardian:string, count:number, delayMs?:number, onDeployed?:function(string):Promise}} options
+ *   - `guardian` must be a key other than the deployer's; the vault refuses
+ *     to deploy otherwise
+ *   - `onDeployed` runs after each deployment, before the next one starts
+ * @returns {Promise<string[]>} vault addresses in deployment order
+ */
+async function deployVaults(
+  EscrowVault,
+  {
+    token,
+    tokenAddress,
+    feeWallet,
+    guardian,
+    count,
+    delayMs = 1000,
+    onDeployed = null,
+  },
+) {
+  console.log(`\n📦 Deploying ${count} ${token} Contracts...`);
+  const deployed = [];
+
+  for (let i = 0; i < count; i++) {
+    const contract = await EscrowVault.deploy(
+      tokenAddress,
+      feeWallet,
+      guardian,
+    );
     await contract.waitForDeployment();
     const address = await contract.getAddress();
 
-    console.log(`   [${i + 1}/${USDC_COUNT}] USDC Vault Deployed: ${address}`);
+    console.log(`   [${i + 1}/${count}] ${token} Vault Deployed: ${address}`);
 
-    // Save to Contract DB
-    await Contract.create({
-      name: "EscrowVault",
-      token: "USDC",
-      network: "BSC",
-      address: address,
-      status: "deployed",
-    });
+    if (onDeployed) await onDeployed(address);
 
-    deployedUSDC.push(address);
-    await new Promise((r) => setTimeout(r, 1000));
+    deployed.push(address);
+    // Add small delay to avoid rate limits
+    if (delayMs > 0) {
+      await new Promise((r) => setTimeout(r, delayMs));
+    }
   }
 
-  // 5. Assign to Groups
-  console.log("\n👥 Assigning Contracts to Groups...");
-
-  // Get all available groups
-  const groups = await GroupPool.find({ status: { $ne: "archived" } });
-  console.log(`Found ${groups.length} active groups.`);
+  return deployed;
+}
 
+/**
+ * Give each group one USDT and one USDC vault, in order, until either list
+ * runs out. Assigned addresses are removed from the lists.
+ * @returns {Promise<number>} number of groups assigned
+ */
+async function assignVaultsToGroups(groups, deployedUSDT, deployedUSDC) {
   let assignedCount = 0;
 
   for (const group of groups) {
@@ -130,16 +177,20 @@ async function main() {
     assignedCount++;
   }
 
-  console.log(
-    `\n🎉 Process Complete! Assigned contracts to ${assignedCount} groups.`,
-  );
-  console.log(`   Unused USDT Contracts: ${deployedUSDT.length}`);
-  console.log(`   Unused USDC Contracts: ${deployedUSDC.length}`);
+  return assignedCount;
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+// Run with `hardhat run`; tests import the helpers
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  deployVaults,
+  assignVaultsToGroups,
+};
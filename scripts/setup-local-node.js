@@ -0,0 +1,126 @@
+const hre = require("hardhat");
+const mongoose = require("mongoose");
+const config = require("../config");
+const Contract = require("../src/models/Contract");
+const GroupPool = require("../src/models/GroupPool");
+const { deployVaults, assignVaultsToGroups } = require("./deploy_batch_bsc");
+
+// Chain ids of `hardhat node` and the in-process Hardhat network
+const LOCAL_CHAIN_IDS = [31337n, 1337n];
+
+/**
+ * Prepare a local Hardhat node for running the bot offline:
+ *   npx hardhat node
+ *   npx hardhat run scripts/setup-local-node.js --network localhost
+ *
+ * Deploys a Tether-style mock USDT and a mock USDC, one vault pair per
+ * active group (LOCAL_VAULT_COUNT overrides), records the vaults in MongoDB
+ * and assigns them like deploy_batch_bsc.js. The other local accounts get
+ * LOCAL_MINT_AMOUNT of each token to make deposits with. Then start the bot
+ * with the environment printed at the end.
+ */
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+    console.error(
+      `❌ Refusing to deploy mock tokens to chain ${chainId}. Use --network localhost.`,
+    );
+    process.exit(1);
+  }
+
+  if (!config.MONGODB_URI) {
+    console.error("❌ MONGODB_URI is missing in config");
+    process.exit(1);
+  }
+  await mongoose.connect(config.MONGODB_URI);
+  console.log("✅ Connected to MongoDB");
+
+  // The last node account stands in for the guardian's cold wallet
+  const [deployer, ...holders] = await hre.ethers.getSigners();
+  const guardian = holders.pop();
+  const decimals = 18; // Matches USDT/USDC on BSC
+  const mintAmount = hre.ethers.parseUnits(
+    process.env.LOCAL_MINT_AMOUNT || "100000",
+    decimals,
+  );
+
+  const usdt = await (
+    await hre.ethers.getContractFactory("MockUSDT")
+  ).deploy(decimals);
+  const usdc = await (
+    await hre.ethers.getContractFactory("MockERC20")
+  ).deploy("USD Coin", "USDC", decimals);
+  await Promise.all([usdt.waitForDeployment(), usdc.waitForDeployment()]);
+  const usdtAddress = await usdt.getAddress();
+  const usdcAddress = await usdc.getAddress();
+  console.log(`🪙 Mock USDT: ${usdtAddress}`);
+  console.log(`🪙 Mock USDC: ${usdcAddress}`);
+
+  for (const holder of holders) {
+    await (await usdt.mint(holder.address, mintAmount)).wait();
+    await (await usdc.mint(holder.address, mintAmount)).wait();
+  }
+  console.log(
+    `💰 Minted ${hre.ethers.formatUnits(mintAmount, decimals)} of each to ${
+      holders.length
+    } accounts`,
+  );
+
+  const groups = await GroupPool.find({ status: { $ne: "archived" } });
+  const count = Number(process.env.LOCAL_VAULT_COUNT) || groups.length || 1;
+
+  const record = (token) => (address) =>
+    Contract.create({
+      name: "EscrowVault",
+      token,
+      network: "BSC",
+      address,
+      status: "deployed",
+    });
+
+  const EscrowVault = await hre.ethers.getContractFactory("EscrowVault");
+  const deployedUSDT = await deployVaults(EscrowVault, {
+    token: "USDT",
+    tokenAddress: usdtAddress,
+    feeWallet: deployer.address,
+    guardian: guardian.address,
+    count,
+    delayMs: 0,
+    onDeployed: record("USDT"),
+  });
+  const deployedUSDC = await deployVaults(EscrowVault, {
+    token: "USDC",
+    tokenAddress: usdcAddress,
+    feeWallet: deployer.address,
+    guardian: guardian.address,
+    count,
+    delayMs: 0,
+    onDeployed: record("USDC"),
+  });
+
+  console.log("\n👥 Assigning Contracts to Groups...");
+  const assignedCount = await assignVaultsToGroups(
+    groups,
+    deployedUSDT,
+    deployedUSDC,
+  );
+  console.log(`✅ Assigned contracts to ${assignedCount} groups.`);
+
+  console.log(
+    `\n🎉 Local node ready. Start the bot with:\n\n` +
+      `   BSC_RPC_URL=${hre.network.config.url}\n` +
+      `   USDT_BSC=${usdtAddress}\n` +
+      `   USDC_BSC=${usdcAddress}\n` +
+      `   FEE_WALLET_BSC=${deployer.address}\n` +
+      `   HOT_WALLET_PRIVATE_KEY=<private key of ${deployer.address}, printed by \`hardhat node\`>\n` +
+      `   BSC_CONFIRMATIONS=1\n\n` +
+      `Vault guardian (unpause, set_signer, set_guardian): ${guardian.address}\n`,
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,186 @@
+const Escrow = require("../models/Escrow");
+const GroupPool = require("../models/GroupPool");
+const Contract = require("../models/Contract");
+const Settlement = require("../models/Settlement");
+const EscrowStateService = require("../services/EscrowStateService");
+const GroupPoolService = require("../services/GroupPoolService");
+const LeaseService = require("../services/LeaseService");
+const PayoutService = require("../services/PayoutService");
+const ReconciliationService = require("../services/ReconciliationService");
+const SettlementService = require("../services/SettlementService");
+const {
+  listEscrows,
+  getEscrowDetail,
+  findEscrowGroup,
+} = require("./escrowQueries");
+
+async function loadEscrow(server, escrowId) {
+  const escrow = await Escrow.findOne({ escrowId });
+  if (!escrow) {
+    throw server.httpError(404, `Escrow ${escrowId} not found`);
+  }
+  return escrow;
+}
+
+/**
+ * Pay the whole held balance to one side with SettlementService, as /settle
+ * 100% or /settle 0% would from the group
+ */
+async function settleAll(server, { params, body, actor, telegram }, percent) {
+  const escrow = await loadEscrow(server, params.escrowId);
+  if (!SettlementService.SETTLEABLE_STATUSES.includes(escrow.status)) {
+    throw server.httpError(
+      409,
+      `Escrow ${escrow.escrowId} is ${escrow.status} and holds no funds to settle`,
+    );
+  }
+
+  let settlement;
+  try {
+    settlement = await SettlementService.propose(
+      escrow,
+      { buyerPercent: percent },
+      actor,
+      { note: body.note ? String(body.note) : "admin API" },
+    );
+  } catch (error) {
+    throw server.httpError(409, error.message);
+  }
+
+  try {
+    await SettlementService.execute(settlement, actor, telegram);
+  } catch (error) {
+    if (
+      PayoutService.isPayoutError(error) ||
+      SettlementService.isSettlementError(error) ||
+      EscrowStateService.isRejection(error)
+    ) {
+      throw server.httpError(409, error.message);
+    }
+    throw error;
+  }
+  return { settlement: await Settlement.findById(settlement._id).lean() };
+}
+
+/**
+ * Reset the trade's group under the escrow lock, so it cannot interleave
+ * with a button press or payout on the same trade
+ */
+async function resetGroup(server, { params, body, actor, command, telegram }) {
+  try {
+    return await LeaseService.withEscrowLock(params.escrowId, async () => {
+      const force = body.force === true;
+      const escrow = await loadEscrow(server, params.escrowId);
+      const group = await findEscrowGroup(escrow);
+      if (!group) {
+        throw server.httpError(404, "Group not found in pool");
+      }
+      if (!force && GroupPoolService.hasUnsettledDeposit(escrow)) {
+        throw server.httpError(
+          409,
+          "Deposits were made; release or refund first, or reset with force",
+        );
+      }
+
+      const result = await GroupPoolService.resetGroup(
+        escrow,
+        group,
+        telegram,
+        { force, actor, command },
+      );
+      if (!result.reset) {
+        throw server.httpError(
+          409,
+          "Some users could not be removed from the group; nothing was reset",
+        );
+      }
+      return { ...result, groupId: group.groupId };
+    });
+  } catch (error) {
+    if (LeaseService.isLeaseBusy(error)) {
+      throw server.httpError(409, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Register the /api routes on the HTTP server
+ * @param {Object} server - src/api/server.js
+ */
+function register(server) {
+  // ?status=a,b&chain=&token=&q=&page=1&limit=50
+  server.route("GET", "/api/escrows", ({ query }) => listEscrows(query), {
+    permission: "stats.view",
+  });
+
+  server.route(
+    "GET",
+    "/api/escrows/:escrowId",
+    async ({ params }) => {
+      const detail = await getEscrowDetail(params.escrowId);
+      if (!detail) {
+        throw server.httpError(404, `Escrow ${params.escrowId} not found`);
+      }
+      return detail;
+    },
+    { permission: "stats.view" },
+  );
+
+  // Release everything held to the buyer. Body: {note?}
+  server.route(
+    "POST",
+    "/api/escrows/:escrowId/release",
+    (context) => settleAll(server, context, 100),
+    { permission: "trades.settle" },
+  );
+
+  // Refund everything held to the seller. Body: {note?}
+  server.route(
+    "POST",
+    "/api/escrows/:escrowId/refund",
+    (context) => settleAll(server, context, 0),
+    { permission: "trades.settle" },
+  );
+
+  // Reset the trade's group, as /admin_group_reset (or /admin_reset_force
+  // with {force:true}) would from the group
+  server.route(
+    "POST",
+    "/api/escrows/:escrowId/reset",
+    (context) => resetGroup(server, context),
+    { permission: "groups.manage" },
+  );
+
+  // ?status=available|assigned|completed|archived
+  server.route(
+    "GET",
+    "/api/groups",
+    async ({ query }) => {
+      const filter = query.status ? { status: String(query.status) } : {};
+      const [stats, groups] = await Promise.all([
+        GroupPoolService.getPoolStats(),
+        GroupPool.find(filter).sort({ createdAt: -1 }).lean(),
+      ]);
+      return { stats, groups };
+    },
+    { permission: "stats.view" },
+  );
+
+  server.route(
+    "GET",
+    "/api/contracts",
+    async () => {
+      const [contracts, reconciliation] = await Promise.all([
+        Contract.find({}).sort({ deployedAt: -1 }).lean(),
+        ReconciliationService.getLatest(),
+      ]);
+      return { contracts, reconciliation };
+    },
+    { permission: "stats.view" },
+  );
+}
+
+module.exports = {
+  register,
+};
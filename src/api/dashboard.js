@@ -0,0 +1,676 @@
+const Escrow = require("../models/Escrow");
+const GroupPool = require("../models/GroupPool");
+const Contract = require("../models/Contract");
+const Dispute = require("../models/Dispute");
+const AdminService = require("../services/AdminService");
+const ApiKeyService = require("../services/ApiKeyService");
+const GroupPoolService = require("../services/GroupPoolService");
+const LedgerService = require("../services/LedgerService");
+const ReconciliationService = require("../services/ReconciliationService");
+const config = require("../../config");
+const { listEscrows, getEscrowDetail } = require("./escrowQueries");
+const {
+  escapeHtml,
+  formatDate,
+  formatAge,
+  badge,
+  escrowLink,
+  txLink,
+  table,
+  section,
+  layout,
+} = require("./views");
+
+const LOGIN_PATH = "/dashboard/login";
+const PAGE_OPTIONS = {
+  permission: "stats.view",
+  html: true,
+  loginPath: LOGIN_PATH,
+};
+const OPEN_STATUSES = [
+  "draft",
+  "awaiting_details",
+  "awaiting_deposit",
+  "deposited",
+  "in_fiat_transfer",
+  "ready_to_release",
+];
+const ALL_STATUSES = [...OPEN_STATUSES, "disputed", "completed", "refunded"];
+const REVENUE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When the escrow entered its current status; trades from before status
+ * history was kept fall back to their creation time
+ */
+function enteredStatusAt(escrow) {
+  const last = (escrow.statusHistory || []).slice(-1)[0];
+  return last && last.to === escrow.status ? last.at : escrow.createdAt;
+}
+
+function userCell(username, id) {
+  if (username) return `@${escapeHtml(username)}`;
+  return id ? `<code>${escapeHtml(id)}</code>` : "-";
+}
+
+function loginPage(error = null) {
+  return layout(
+    "Log in",
+    section(
+      "Log in",
+      `${
+        error ? `<p class="badge bad">${escapeHtml(error)}</p>` : ""
+      }<form method="post" action="${LOGIN_PATH}"><p>Paste an API key from <code>/admin_api_key create</code>.</p><input type="password" name="key" size="60" autocomplete="off" autofocus> <button type="submit">Log in</button></form>`,
+    ),
+    { nav: false },
+  );
+}
+
+function roomsSection(poolStats, rooms, escrowsById) {
+  const now = Date.now();
+  const stats = ["available", "assigned", "completed", "archived", "total"]
+    .map((status) => `<div>${status}<b>${poolStats[status] || 0}</b></div>`)
+    .join("");
+  const rows = rooms.map((room) => {
+    const escrow = escrowsById.get(room.assignedEscrowId);
+    return [
+      `${escapeHtml(room.groupTitle || "")} <code>${escapeHtml(
+        room.groupId,
+      )}</code>`,
+      escrowLink(room.assignedEscrowId),
+      escrow ? badge(escrow.status) : '<span class="muted">missing</span>',
+      room.assignedAt ? formatAge(now - new Date(room.assignedAt)) : "-",
+      room.feePercent != null ? `${room.feePercent}%` : "-",
+    ];
+  });
+  return section(
+    "Rooms",
+    `<div class="stats">${stats}</div>${table(
+      ["Room", "Trade", "Trade status", "Assigned for", "Fee"],
+      rows,
+      "No rooms are assigned.",
+    )}`,
+  );
+}
+
+function tradesSection(title, escrows, empty) {
+  const now = Date.now();
+  const slaMs = config.TRADE_SLA_MINUTES * 60 * 1000;
+  const rows = escrows.map((escrow) => {
+    const age = now - new Date(enteredStatusAt(escrow));
+    return [
+      escrowLink(escrow.escrowId),
+      badge(escrow.status),
+      `${escrow.quantity ?? "-"} ${escapeHtml(escrow.token || "")} ${escapeHtml(
+        escrow.chain || "",
+      )}`,
+      userCell(escrow.buyerUsername, escrow.buyerId),
+      userCell(escrow.sellerUsername, escrow.sellerId),
+      age > slaMs ? badge(formatAge(age), "warn") : formatAge(age),
+    ];
+  });
+  return section(
+    title,
+    table(
+      ["Trade", "Status", "Amount", "Buyer", "Seller", "In status for"],
+      rows,
+      empty,
+    ),
+  );
+}
+
+function disputesSection(disputes) {
+  const now = Date.now();
+  const rows = disputes.map((dispute) => [
+    `#${dispute.caseNumber}`,
+    escrowLink(dispute.escrowId),
+    badge(dispute.status, dispute.status === "open" ? "bad" : "warn"),
+    userCell(dispute.reporterUsername, dispute.reporterId),
+    escapeHtml((dispute.reason || "").slice(0, 120)),
+    userCell(dispute.assignedAdminUsername, dispute.assignedAdminId),
+    formatAge(now - new Date(dispute.createdAt)),
+  ]);
+  return section(
+    "Open disputes",
+    table(
+      ["Case", "Trade", "Status", "Reporter", "Reason", "Admin", "Open for"],
+      rows,
+      "No open disputes.",
+    ),
+  );
+}
+
+function vaultsSection(contracts, report) {
+  const vaults = new Map(
+    (report?.vaults || []).map((vault) => [
+      `${vault.network}|${String(vault.address).toLowerCase()}`,
+      vault,
+    ]),
+  );
+  const tolerance = config.RECONCILE_TOLERANCE;
+  const rows = contracts.map((contract) => {
+    const vault = vaults.get(
+      `${contract.network}|${String(contract.address).toLowerCase()}`,
+    );
+    const base = [
+      `${escapeHtml(contract.name)} ${escapeHtml(contract.token)}/${escapeHtml(
+        contract.network,
+      )}`,
+      `<code>${escapeHtml(contract.address)}</code>`,
+    ];
+    if (!vault) return [...base, '<span class="muted">not checked</span>'];
+    if (vault.error) {
+      return [...base, badge(vault.error.slice(0, 80), "bad")];
+    }
+    return [
+      ...base,
+      vault.onChainBalance,
+      vault.openLiabilities,
+      vault.unsweptFees,
+      Math.abs(vault.difference) > tolerance
+        ? badge(String(vault.difference), "bad")
+        : vault.difference,
+    ];
+  });
+  const asOf = report
+    ? `<p class="muted">From the reconciliation of ${formatDate(
+        report.finishedAt,
+      )} (${escapeHtml(
+        report.trigger,
+      )}). Run <code>/admin_reconcile run</code> to refresh.</p>`
+    : '<p class="muted">No reconciliation has run yet.</p>';
+  return section(
+    "Vault balances",
+    asOf +
+      table(
+        [
+          "Contract",
+          "Address",
+          "On-chain",
+          "Owed to trades",
+          "Unswept fees",
+          "Difference",
+        ],
+        rows,
+        "No deployed contracts.",
+      ),
+  );
+}
+
+function revenueSection(revenue) {
+  const rows = revenue.map((row) => ({
+    ...row,
+    serviceFee: Number(
+      LedgerService.formatWei(row.serviceFeeWei, row.token, row.network),
+    ),
+    networkFee: Number(
+      LedgerService.formatWei(row.networkFeeWei, row.token, row.network),
+    ),
+  }));
+  // Bars are scaled per token so amounts in different units are not compared
+  const maxByToken = new Map();
+  rows.forEach((row) => {
+    maxByToken.set(
+      row.token,
+      Math.max(maxByToken.get(row.token) || 0, row.serviceFee + row.networkFee),
+    );
+  });
+  const totals = new Map();
+  rows.forEach((row) => {
+    const key = `${row.token}/${row.network}`;
+    totals.set(key, (totals.get(key) || 0) + row.serviceFee + row.networkFee);
+  });
+
+  const summary = [...totals.entries()]
+    .map(
+      ([key, total]) =>
+        `<div>${escapeHtml(key)}<b>${Number(total.toFixed(6))}</b></div>`,
+    )
+    .join("");
+  return section(
+    `Fee revenue, last ${REVENUE_DAYS} days`,
+    `<div class="stats">${summary}</div>${table(
+      ["Day", "Token", "Service fee", "Network fee", ""],
+      rows
+        .slice()
+        .reverse()
+        .map((row) => [
+          row.day,
+          `${escapeHtml(row.token)}/${escapeHtml(row.network)}`,
+          row.serviceFee,
+          row.networkFee,
+          `<span class="bar" style="width:${Math.round(
+            ((row.serviceFee + row.networkFee) /
+              (maxByToken.get(row.token) || 1)) *
+              200,
+          )}px"></span>`,
+        ]),
+      "No fees booked in this period.",
+    )}`,
+  );
+}
+
+async function overviewPage() {
+  const [poolStats, rooms, openEscrows, disputes, contracts, report, revenue] =
+    await Promise.all([
+      GroupPoolService.getPoolStats(),
+      GroupPool.find({ status: "assigned" }).sort({ assignedAt: 1 }).lean(),
+      Escrow.find({ status: { $in: OPEN_STATUSES } })
+        .select(
+          "escrowId status token chain quantity buyerId buyerUsername sellerId sellerUsername statusHistory createdAt",
+        )
+        .lean(),
+      Dispute.find({ status: { $in: ["open", "claimed"] } })
+        .sort({ createdAt: 1 })
+        .lean(),
+      Contract.find({ status: "deployed" }).sort({ network: 1 }).lean(),
+      ReconciliationService.getLatest(),
+      LedgerService.getRevenueByDay(
+        new Date(Date.now() - REVENUE_DAYS * DAY_MS),
+      ),
+    ]);
+
+  const assignedIds = rooms.map((room) => room.assignedEscrowId);
+  const roomEscrows = await Escrow.find({ escrowId: { $in: assignedIds } })
+    .select("escrowId status")
+    .lean();
+  const escrowsById = new Map(
+    roomEscrows.map((escrow) => [escrow.escrowId, escrow]),
+  );
+
+  const now = Date.now();
+  const slaMs = config.TRADE_SLA_MINUTES * 60 * 1000;
+  const byAge = (a, b) =>
+    new Date(enteredStatusAt(a)) - new Date(enteredStatusAt(b));
+  const awaitingDeposit = openEscrows
+    .filter((escrow) => escrow.status === "awaiting_deposit")
+    .sort(byAge);
+  const stuck = openEscrows
+    .filter((escrow) => now - new Date(enteredStatusAt(escrow)) > slaMs)
+    .sort(byAge);
+
+  return layout(
+    "Overview",
+    [
+      roomsSection(poolStats, rooms, escrowsById),
+      tradesSection(
+        "Awaiting deposit",
+        awaitingDeposit,
+        "No trades are waiting for a deposit.",
+      ),
+      tradesSection(
+        `Stuck for more than ${config.TRADE_SLA_MINUTES} minutes`,
+        stuck,
+        "No open trade is past its SLA.",
+      ),
+      disputesSection(disputes),
+      vaultsSection(contracts, report),
+      revenueSection(revenue),
+    ].join(""),
+  );
+}
+
+async function escrowsPage(query) {
+  const result = await listEscrows({ ...query, limit: query.limit || 50 });
+  const pageLink = (page) => {
+    const params = new URLSearchParams({ ...query, page: String(page) });
+    return `/dashboard/escrows?${escapeHtml(params.toString())}`;
+  };
+  const lastPage = Math.max(Math.ceil(result.total / result.limit), 1);
+
+  const form = `<form method="get" action="/dashboard/escrows"><input name="q" size="40" placeholder="Trade, group, user, address or tx hash" value="${escapeHtml(
+    query.q || "",
+  )}"> <select name="status"><option value="">Any status</option>${ALL_STATUSES.concat(
+    "cancelled",
+  )
+    .map(
+      (status) =>
+        `<option${
+          query.status === status ? " selected" : ""
+        }>${status}</option>`,
+    )
+    .join("")}</select> <button type="submit">Search</button></form>`;
+
+  const rows = result.escrows.map((escrow) => [
+    escrowLink(escrow.escrowId),
+    badge(escrow.status),
+    `${escrow.quantity ?? "-"} ${escapeHtml(escrow.token || "")} ${escapeHtml(
+      escrow.chain || "",
+    )}`,
+    userCell(escrow.buyerUsername, escrow.buyerId),
+    userCell(escrow.sellerUsername, escrow.sellerId),
+    `<code>${escapeHtml(escrow.groupId || "-")}</code>`,
+    formatDate(escrow.createdAt),
+  ]);
+  const pager = `<p>${result.total} trades. Page ${result.page} of ${lastPage}${
+    result.page > 1
+      ? ` <a href="${pageLink(result.page - 1)}">Previous</a>`
+      : ""
+  }${
+    result.page < lastPage
+      ? ` <a href="${pageLink(result.page + 1)}">Next</a>`
+      : ""
+  }</p>`;
+
+  return layout(
+    "Trades",
+    section(
+      "Trades",
+      form +
+        table(
+          ["Trade", "Status", "Amount", "Buyer", "Seller", "Group", "Created"],
+          rows,
+          "No trades match.",
+        ) +
+        pager,
+    ),
+  );
+}
+
+function messageIdsSection({ escrow, group, disputes, settlements }) {
+  const rows = Object.keys(escrow)
+    .filter((key) => /MessageIds?$/.test(key) && escrow[key] != null)
+    .sort()
+    .map((key) => [
+      escapeHtml(key),
+      `<code>${escapeHtml([].concat(escrow[key]).join(", "))}</code>`,
+    ]);
+  if (escrow.originChatId) {
+    rows.push([
+      "originChatId",
+      `<code>${escapeHtml(escrow.originChatId)}</code>`,
+    ]);
+  }
+  disputes
+    .filter((dispute) => dispute.channelMessageId)
+    .forEach((dispute) => {
+      rows.push([
+        `dispute #${dispute.caseNumber} channelMessageId`,
+        `<code>${dispute.channelMessageId}</code>`,
+      ]);
+    });
+  settlements
+    .filter((settlement) => settlement.confirmationMessageId)
+    .forEach((settlement) => {
+      rows.push([
+        `settlement ${escapeHtml(settlement._id)} confirmationMessageId`,
+        `<code>${settlement.confirmationMessageId}</code>`,
+      ]);
+    });
+  return section(
+    `Telegram messages (group ${
+      group ? group.groupId : escrow.groupId || "-"
+    })`,
+    table(["Field", "Message id"], rows, "No message ids recorded."),
+  );
+}
+
+function transactionsSection({ escrow, payouts }) {
+  const network = escrow.chain;
+  const rows = [];
+  const add = (label, hash, detail = "") => {
+    if (hash) rows.push([escapeHtml(label), txLink(network, hash), detail]);
+  };
+
+  add("deposit", escrow.transactionHash);
+  (escrow.partialTransactionHashes || []).forEach((hash) =>
+    add("partial deposit", hash),
+  );
+  (escrow.pendingDeposits || []).forEach((deposit) =>
+    add(
+      "watched deposit",
+      deposit.hash,
+      `${deposit.amount} - ${badge(deposit.status)} ${
+        deposit.confirmations
+      } conf.`,
+    ),
+  );
+  add("tron pending", escrow.tronPendingTxHash);
+  add("release", escrow.releaseTransactionHash);
+  add("refund", escrow.refundTransactionHash);
+  (escrow.partialReleaseTransactionHashes || []).forEach((hash) =>
+    add("partial release", hash),
+  );
+  (escrow.partialRefundTransactionHashes || []).forEach((hash) =>
+    add("partial refund", hash),
+  );
+  payouts.forEach((payout) =>
+    add(
+      `payout ${payout.kind}`,
+      payout.txHash,
+      `${payout.amount} - ${badge(payout.status)}`,
+    ),
+  );
+  return section(
+    "Transactions",
+    table(["What", "Hash", "Detail"], rows, "No transactions recorded."),
+  );
+}
+
+async function escrowPage(server, escrowId) {
+  const detail = await getEscrowDetail(escrowId);
+  if (!detail) {
+    throw server.httpError(404, `Escrow ${escrowId} not found`);
+  }
+  const { escrow, history, payouts, settlements, disputes, ledger, audit } =
+    detail;
+
+  const summary = table(
+    ["Field", "Value"],
+    [
+      ["Status", badge(escrow.status)],
+      [
+        "Amount",
+        `${escrow.quantity ?? "-"} ${escapeHtml(
+          escrow.token || "",
+        )} on ${escapeHtml(escrow.chain || "-")} at ${escrow.rate ?? "-"}`,
+      ],
+      [
+        "Buyer",
+        `${userCell(escrow.buyerUsername, escrow.buyerId)} <code>${escapeHtml(
+          escrow.buyerAddress || "",
+        )}</code>`,
+      ],
+      [
+        "Seller",
+        `${userCell(escrow.sellerUsername, escrow.sellerId)} <code>${escapeHtml(
+          escrow.sellerAddress || "",
+        )}</code>`,
+      ],
+      [
+        "Deposit address",
+        `<code>${escapeHtml(escrow.depositAddress || "-")}</code>`,
+      ],
+      ["Contract", `<code>${escapeHtml(escrow.contractAddress || "-")}</code>`],
+      [
+        "Held",
+        `${escrow.accumulatedDepositAmount ?? 0} (deposit ${
+          escrow.depositAmount ?? 0
+        }, confirmed ${escrow.confirmedAmount ?? 0})`,
+      ],
+      ["Fees", `${escrow.feeRate ?? "-"}% + network ${escrow.networkFee ?? 0}`],
+      ["Created", formatDate(escrow.createdAt)],
+      ["Completed", formatDate(escrow.completedAt)],
+    ],
+  );
+
+  const stateRows = history.map((change) => [
+    formatDate(change.at),
+    `${badge(change.from)} → ${badge(change.to)}`,
+    `${escapeHtml(change.actorRole || "system")} ${userCell(
+      change.actorUsername,
+      change.actorId,
+    )}`,
+    escapeHtml(change.reason || ""),
+  ]);
+
+  const payoutRows = payouts.map((payout) => [
+    formatDate(payout.createdAt),
+    escapeHtml(payout.kind),
+    badge(payout.status),
+    payout.amount,
+    `<code>${escapeHtml(payout.toAddress || "")}</code>`,
+    txLink(payout.network, payout.txHash),
+    escapeHtml(payout.error || ""),
+  ]);
+
+  const settlementRows = settlements.map((settlement) => [
+    formatDate(settlement.createdAt),
+    escapeHtml(settlement.source),
+    badge(settlement.status),
+    `${settlement.buyerNet} / ${settlement.sellerNet}`,
+    userCell(settlement.requestedByUsername, settlement.requestedById),
+    escapeHtml(settlement.note || ""),
+  ]);
+
+  const disputeRows = disputes.map((dispute) => [
+    `#${dispute.caseNumber}`,
+    badge(dispute.status),
+    escapeHtml(dispute.reason || ""),
+    escapeHtml(dispute.ruling?.outcome || "-"),
+    formatDate(dispute.createdAt),
+  ]);
+
+  const ledgerRows = ledger.map((entry) => [
+    formatDate(entry.createdAt),
+    escapeHtml(entry.type),
+    entry.lines
+      .map((line) =>
+        line.debitWei !== "0"
+          ? `Dr ${LedgerService.formatWei(
+              line.debitWei,
+              entry.token,
+              entry.network,
+            )} <code>${escapeHtml(line.account)}</code>`
+          : `Cr ${LedgerService.formatWei(
+              line.creditWei,
+              entry.token,
+              entry.network,
+            )} <code>${escapeHtml(line.account)}</code>`,
+      )
+      .join("<br>"),
+    txLink(entry.network, entry.txHash),
+  ]);
+
+  const auditRows = audit.map((entry) => [
+    `#${entry.sequence}`,
+    formatDate(entry.createdAt),
+    escapeHtml(entry.action),
+    userCell(entry.actorUsername, entry.actorId),
+    `<code>${escapeHtml(entry.command || "")}</code>`,
+    escapeHtml(entry.note || ""),
+  ]);
+
+  return layout(
+    `Trade ${escrow.escrowId}`,
+    [
+      section(`Trade ${escrow.escrowId}`, summary),
+      section(
+        "State changes",
+        table(
+          ["At", "Change", "By", "Reason"],
+          stateRows,
+          "No state changes recorded.",
+        ),
+      ),
+      transactionsSection(detail),
+      messageIdsSection(detail),
+      section(
+        "Payouts",
+        table(
+          ["Created", "Kind", "Status", "Amount", "To", "Tx", "Error"],
+          payoutRows,
+          "No payouts.",
+        ),
+      ),
+      section(
+        "Settlements",
+        table(
+          ["Created", "Source", "Status", "Buyer / seller net", "By", "Note"],
+          settlementRows,
+          "No settlements.",
+        ),
+      ),
+      section(
+        "Disputes",
+        table(
+          ["Case", "Status", "Reason", "Ruling", "Opened"],
+          disputeRows,
+          "No disputes.",
+        ),
+      ),
+      section(
+        "Ledger",
+        table(["At", "Type", "Lines", "Tx"], ledgerRows, "No ledger entries."),
+      ),
+      section(
+        "Audit log",
+        table(
+          ["#", "At", "Action", "By", "Command", "Note"],
+          auditRows,
+          "No audit entries.",
+        ),
+      ),
+    ].join(""),
+  );
+}
+
+/**
+ * Register the /dashboard pages on the HTTP server. Pages are read-only;
+ * actions stay with the bot commands and the JSON API.
+ * @param {Object} server - src/api/server.js
+ */
+function register(server) {
+  server.route("GET", LOGIN_PATH, () => loginPage(), {
+    public: true,
+    html: true,
+  });
+
+  server.route(
+    "POST",
+    LOGIN_PATH,
+    async ({ body, req, res }) => {
+      const auth = await ApiKeyService.authenticate(body.key);
+      if (!auth || !(await AdminService.canNow(auth.actor, "stats.view"))) {
+        return server.sendHtml(
+          res,
+          401,
+          loginPage("That key is not valid for the dashboard."),
+        );
+      }
+      server.redirect(res, "/dashboard", {
+        "Set-Cookie": server.keyCookie(req, body.key),
+      });
+    },
+    { public: true, html: true },
+  );
+
+  server.route(
+    "POST",
+    "/dashboard/logout",
+    ({ req, res }) => {
+      server.redirect(res, LOGIN_PATH, {
+        "Set-Cookie": server.keyCookie(req, null),
+      });
+    },
+    { public: true, html: true },
+  );
+
+  server.route("GET", "/dashboard", () => overviewPage(), PAGE_OPTIONS);
+  server.route(
+    "GET",
+    "/dashboard/escrows",
+    ({ query }) => escrowsPage(query),
+    PAGE_OPTIONS,
+  );
+  server.route(
+    "GET",
+    "/dashboard/escrows/:escrowId",
+    ({ params }) => escrowPage(server, params.escrowId),
+    PAGE_OPTIONS,
+  );
+}
+
+module.exports = {
+  register,
+};
@@ -0,0 +1,144 @@
+const Escrow = require("../models/Escrow");
+const GroupPool = require("../models/GroupPool");
+const Payout = require("../models/Payout");
+const Settlement = require("../models/Settlement");
+const Dispute = require("../models/Dispute");
+const AuditService = require("../services/AuditService");
+const LedgerService = require("../services/LedgerService");
+
+const MAX_PAGE_SIZE = 100;
+
+// Fields returned for each trade in a listing
+const ESCROW_SUMMARY_FIELDS = [
+  "escrowId",
+  "groupId",
+  "status",
+  "token",
+  "chain",
+  "quantity",
+  "rate",
+  "buyerId",
+  "buyerUsername",
+  "sellerId",
+  "sellerUsername",
+  "accumulatedDepositAmount",
+  "depositAmount",
+  "confirmedAmount",
+  "createdAt",
+].join(" ");
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function parseList(value) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Escrows matching a search term: trade or group id, buyer / seller id,
+ * username or address, or a deposit, release or refund hash
+ */
+function searchQuery(term) {
+  const value = String(term).trim().replace(/^@/, "");
+  const exact = new RegExp(`^${escapeRegex(value)}$`, "i");
+  const or = [
+    { escrowId: value },
+    { groupId: value },
+    { buyerUsername: exact },
+    { sellerUsername: exact },
+    { buyerAddress: exact },
+    { sellerAddress: exact },
+    { depositAddress: exact },
+    { transactionHash: exact },
+    { releaseTransactionHash: exact },
+    { refundTransactionHash: exact },
+    { "pendingDeposits.hash": exact },
+  ];
+  if (/^\d+$/.test(value)) {
+    or.push({ buyerId: Number(value) }, { sellerId: Number(value) });
+  }
+  return { $or: or };
+}
+
+/**
+ * One page of trades, newest first
+ * @param {{status?:string, chain?:string, token?:string, q?:string,
+ *   page?:string|number, limit?:string|number}} query - status is a
+ *   comma-separated list
+ */
+async function listEscrows(query = {}) {
+  const filter = {};
+  const statuses = parseList(query.status);
+  if (statuses.length > 0) filter.status = { $in: statuses };
+  if (query.chain) filter.chain = String(query.chain).toUpperCase();
+  if (query.token) filter.token = String(query.token).toUpperCase();
+  if (query.q) Object.assign(filter, searchQuery(query.q));
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || 50, 1),
+    MAX_PAGE_SIZE,
+  );
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const [total, escrows] = await Promise.all([
+    Escrow.countDocuments(filter),
+    Escrow.find(filter)
+      .select(ESCROW_SUMMARY_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+  return { total, page, limit, escrows };
+}
+
+/**
+ * Group the trade runs in: the pool entry assigned to it, else its own group
+ */
+async function findEscrowGroup(escrow) {
+  return (
+    (await GroupPool.findOne({ assignedEscrowId: escrow.escrowId })) ||
+    (await GroupPool.findOne({ groupId: escrow.groupId }))
+  );
+}
+
+/**
+ * A trade with everything recorded about it
+ * @returns {Promise<Object|null>} null if the escrow does not exist
+ */
+async function getEscrowDetail(escrowId) {
+  const escrow = await Escrow.findOne({ escrowId }).lean();
+  if (!escrow) return null;
+
+  const [payouts, settlements, disputes, ledger, audit, group] =
+    await Promise.all([
+      Payout.find({ escrowId })
+        .select("-signedTx")
+        .sort({ createdAt: 1 })
+        .lean(),
+      Settlement.find({ escrowId }).sort({ createdAt: 1 }).lean(),
+      Dispute.find({ escrowId }).sort({ createdAt: 1 }).lean(),
+      LedgerService.getEntries(escrowId, 100),
+      AuditService.find({ escrowId }, 100),
+      findEscrowGroup(escrow),
+    ]);
+  return {
+    escrow,
+    history: escrow.statusHistory || [],
+    group: group ? group.toObject() : null,
+    payouts,
+    settlements,
+    disputes,
+    ledger,
+    audit,
+  };
+}
+
+module.exports = {
+  listEscrows,
+  getEscrowDetail,
+  findEscrowGroup,
+};
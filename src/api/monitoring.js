@@ -0,0 +1,235 @@
+const mongoose = require("mongoose");
+const Escrow = require("../models/Escrow");
+const GroupPool = require("../models/GroupPool");
+const Contract = require("../models/Contract");
+const BlockchainService = require("../services/BlockchainService");
+const GroupPoolService = require("../services/GroupPoolService");
+const LeaderService = require("../services/LeaderService");
+const MetricsService = require("../services/MetricsService");
+const config = require("../../config");
+
+// How long each /healthz check may take before it counts as failed
+const CHECK_TIMEOUT_MS = 5000;
+
+const escrowsGauge = MetricsService.gauge(
+  "p2p_escrows",
+  "Escrows by status, chain and token",
+  ["status", "chain", "token"],
+);
+const roomsGauge = MetricsService.gauge(
+  "p2p_rooms",
+  "GroupPool rooms by status and fee tier",
+  ["status", "tier", "fee_percent"],
+);
+const residentMemory = MetricsService.gauge(
+  "process_resident_memory_bytes",
+  "Resident memory size in bytes",
+);
+const heapUsed = MetricsService.gauge(
+  "nodejs_heap_used_bytes",
+  "V8 heap in use in bytes",
+);
+const startTime = MetricsService.gauge(
+  "process_start_time_seconds",
+  "Start time of the process since the Unix epoch in seconds",
+);
+startTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+function tierOf(feePercent) {
+  const tier = Object.keys(GroupPoolService.TIER_FEE_MAP).find(
+    (key) => GroupPoolService.TIER_FEE_MAP[key] === feePercent,
+  );
+  return tier || "custom";
+}
+
+// Collectors skip the database while it is down instead of stalling the
+// scrape on mongoose's command buffering
+const connected = () => mongoose.connection.readyState === 1;
+
+async function collectEscrows() {
+  if (!connected()) {
+    escrowsGauge.reset();
+    return;
+  }
+  const rows = await Escrow.aggregate([
+    {
+      $group: {
+        _id: { status: "$status", chain: "$chain", token: "$token" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  escrowsGauge.reset();
+  rows.forEach((row) => escrowsGauge.set(row._id, row.count));
+}
+
+async function collectRooms() {
+  if (!connected()) {
+    roomsGauge.reset();
+    return;
+  }
+  const rows = await GroupPool.aggregate([
+    {
+      $group: {
+        _id: { status: "$status", feePercent: "$feePercent" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  roomsGauge.reset();
+  rows.forEach((row) =>
+    roomsGauge.set(
+      {
+        status: row._id.status,
+        tier: tierOf(row._id.feePercent),
+        fee_percent: row._id.feePercent,
+      },
+      row.count,
+    ),
+  );
+}
+
+function collectProcess() {
+  residentMemory.set({}, process.memoryUsage().rss);
+  heapUsed.set({}, process.memoryUsage().heapUsed);
+}
+
+function withTimeout(promise, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${label} timed out`)),
+        CHECK_TIMEOUT_MS,
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function checkMongo() {
+  if (!connected()) {
+    return { ok: false, error: "not connected" };
+  }
+  await withTimeout(mongoose.connection.db.admin().ping(), "ping");
+  return { ok: true };
+}
+
+/**
+ * One block number per network with a deployed vault; BSC when none are
+ * deployed yet
+ */
+async function checkRpc() {
+  const networks = await withTimeout(
+    Contract.distinct("network", { status: "deployed" }),
+    "contracts",
+  );
+  const results = {};
+  await Promise.all(
+    (networks.length > 0 ? networks : ["BSC"]).map(async (network) => {
+      try {
+        const blockNumber = await withTimeout(
+          BlockchainService.getLatestBlockNumber(network),
+          network,
+        );
+        results[network] = blockNumber
+          ? { ok: true, blockNumber }
+          : { ok: false, error: "no block number" };
+      } catch (error) {
+        results[network] = { ok: false, error: error.message };
+      }
+    }),
+  );
+  return {
+    ok: Object.values(results).every((result) => result.ok),
+    networks: results,
+  };
+}
+
+/**
+ * Webhook instances and polling standbys only need to be up; the leader in
+ * polling mode must also have a live polling loop
+ */
+function checkTelegram(bot, isAccepting) {
+  if (!isAccepting()) {
+    return { ok: false, error: "shutting down" };
+  }
+  if (!bot.botInfo) {
+    return { ok: false, error: "not launched" };
+  }
+  const status = {
+    ok: true,
+    username: bot.botInfo.username,
+    leader: LeaderService.isLeader,
+  };
+  if (config.WEBHOOK_URL) {
+    return { ...status, mode: "webhook" };
+  }
+  if (!LeaderService.isLeader) {
+    return { ...status, mode: "standby" };
+  }
+  if (!bot.polling || bot.polling.abortController.signal.aborted) {
+    return { ok: false, error: "not polling" };
+  }
+  return { ...status, mode: "polling" };
+}
+
+async function runCheck(check) {
+  try {
+    return await check();
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Prometheus metrics and a health check. Both are public so scrapers and
+ * orchestrators need no API key; HTTP_HOST keeps them on loopback unless
+ * the API is deliberately exposed.
+ * @param {Object} server - HttpServer
+ * @param {{bot: Object, isAccepting: Function}} deps - the Telegraf
+ *   instance, and whether updates are still accepted (false while draining)
+ */
+function register(server, { bot, isAccepting }) {
+  MetricsService.collect(collectEscrows);
+  MetricsService.collect(collectRooms);
+  MetricsService.collect(collectProcess);
+
+  server.route(
+    "GET",
+    "/metrics",
+    async ({ res }) => {
+      const body = await MetricsService.render();
+      res.writeHead(200, {
+        "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+        "Cache-Control": "no-store",
+      });
+      res.end(body);
+    },
+    { public: true },
+  );
+
+  server.route(
+    "GET",
+    "/healthz",
+    async ({ res }) => {
+      const [mongo, rpc, telegram] = await Promise.all([
+        runCheck(checkMongo),
+        runCheck(checkRpc),
+        runCheck(() => checkTelegram(bot, isAccepting)),
+      ]);
+      const checks = { mongo, rpc, telegram };
+      const ok = Object.values(checks).every((check) => check.ok);
+      res.writeHead(ok ? 200 : 503, {
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "no-store",
+      });
+      res.end(JSON.stringify({ ok, checks }));
+    },
+    { public: true },
+  );
+}
+
+module.exports = {
+  register,
+};
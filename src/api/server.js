@@ -0,0 +1,304 @@
+const http = require("http");
+const config = require("../../config");
+const AdminService = require("../services/AdminService");
+const ApiKeyService = require("../services/ApiKeyService");
+const logger = require("../utils/logger");
+
+const MAX_BODY_BYTES = 64 * 1024;
+const KEY_COOKIE = "admin_api_key";
+const KEY_COOKIE_MAX_AGE_SECONDS = 12 * 60 * 60;
+
+// Errors made here are answered as they are, whatever the status; anything
+// else thrown by a handler is logged and answered with a bare 500
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  return error;
+}
+
+// BigInt ledger amounts are sent as decimal strings
+function toJson(value) {
+  return JSON.stringify(value, (key, item) =>
+    typeof item === "bigint" ? item.toString() : item,
+  );
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Cache-Control": "no-store",
+  });
+  res.end(toJson(body));
+}
+
+/**
+ * "/api/escrows/:escrowId" -> regex with one capture per :param
+ */
+function compilePath(path) {
+  const keys = [];
+  const pattern = path
+    .split("/")
+    .map((part) => {
+      if (part.startsWith(":")) {
+        keys.push(part.slice(1));
+        return "([^/]+)";
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8").trim();
+      if (!text) return resolve({});
+      if (
+        (req.headers["content-type"] || "").startsWith(
+          "application/x-www-form-urlencoded",
+        )
+      ) {
+        return resolve(Object.fromEntries(new URLSearchParams(text)));
+      }
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(httpError(400, "Body must be valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || "").split(";");
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+/**
+ * Key from "Authorization: Bearer <key>" or "X-Api-Key: <key>". Pages also
+ * accept the cookie set by the dashboard login; JSON routes do not, so a
+ * logged-in browser cannot be made to call them from another site.
+ */
+function keyFromRequest(req, allowCookie) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  if (req.headers["x-api-key"]) return req.headers["x-api-key"];
+  return allowCookie ? readCookie(req, KEY_COOKIE) : null;
+}
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function sendHtml(res, status, html) {
+  res.writeHead(status, {
+    "Content-Type": "text/html; charset=utf-8",
+    "Cache-Control": "no-store",
+    "X-Frame-Options": "DENY",
+  });
+  res.end(html);
+}
+
+/**
+ * HTTP server running in the bot process. Routes are registered by feature
+ * modules (see adminApi.js); each route is authenticated with an API key and
+ * checked against the key owner's admin permissions unless it opts out.
+ * Disabled unless HTTP_PORT is set.
+ */
+class HttpServer {
+  constructor() {
+    this.routes = [];
+    this.server = null;
+    this.telegram = null;
+  }
+
+  /**
+   * @param {string} method - GET, POST, ...
+   * @param {string} path - e.g. /api/escrows/:escrowId
+   * @param {Function} handler - ({params, query, body, actor, command,
+   *   telegram, req, res}) => value sent as JSON (an HTML string for html
+   *   routes), unless the handler wrote the response itself
+   * @param {{permission?:string, public?:boolean, html?:boolean,
+   *   loginPath?:string}} [options] - public routes skip the API key; html
+   *   routes render errors as a page and send a missing key to loginPath
+   */
+  route(method, path, handler, options = {}) {
+    this.routes.push({
+      method: method.toUpperCase(),
+      path,
+      ...compilePath(path),
+      handler,
+      permission: options.permission || null,
+      public: options.public === true,
+      html: options.html === true,
+      loginPath: options.loginPath || null,
+    });
+  }
+
+  sendHtml(res, status, html) {
+    sendHtml(res, status, html);
+  }
+
+  redirect(res, location, headers = {}) {
+    res.writeHead(303, { Location: location, ...headers });
+    res.end();
+  }
+
+  /**
+   * Set-Cookie value holding an API key for the dashboard pages
+   * @param {string|null} key - null clears the cookie
+   */
+  keyCookie(req, key) {
+    const secure = req.headers["x-forwarded-proto"] === "https";
+    return [
+      `${KEY_COOKIE}=${key ? encodeURIComponent(key) : ""}`,
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Strict",
+      `Max-Age=${key ? KEY_COOKIE_MAX_AGE_SECONDS : 0}`,
+      ...(secure ? ["Secure"] : []),
+    ].join("; ");
+  }
+
+  /**
+   * Error a route handler throws to answer with a status other than 500
+   */
+  httpError(status, message) {
+    return httpError(status, message);
+  }
+
+  start(telegram) {
+    this.telegram = telegram;
+    if (!config.HTTP_PORT || this.server) return;
+
+    this.server = http.createServer((req, res) => {
+      logger.run({ http: `${req.method} ${req.url.split("?")[0]}` }, () =>
+        this.handle(req, res),
+      );
+    });
+    this.server.on("error", (error) => {
+      console.error("HTTP server error:", error);
+    });
+    this.server.listen(config.HTTP_PORT, config.HTTP_HOST, () => {
+      console.log(
+        `🌐 HTTP server listening on ${config.HTTP_HOST}:${config.HTTP_PORT}`,
+      );
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    let route = null;
+    try {
+      const url = new URL(req.url, "http://localhost");
+      const matches = this.routes
+        .map((route) => ({ route, match: url.pathname.match(route.regex) }))
+        .filter(({ match }) => match);
+      if (matches.length === 0) {
+        throw httpError(404, "Not found");
+      }
+      const found = matches.find(({ route }) => route.method === req.method);
+      if (!found) {
+        throw httpError(405, "Method not allowed");
+      }
+      route = found.route;
+      const { match } = found;
+
+      let actor = null;
+      if (!route.public) {
+        const auth = await ApiKeyService.authenticate(
+          keyFromRequest(req, route.html),
+        );
+        if (!auth && route.loginPath) {
+          return this.redirect(res, route.loginPath);
+        }
+        if (!auth) {
+          throw httpError(401, "A valid API key is required");
+        }
+        actor = auth.actor;
+        logger.assign({ userId: actor.id });
+        if (
+          route.permission &&
+          !(await AdminService.canNow(actor, route.permission))
+        ) {
+          throw httpError(403, `Requires the ${route.permission} permission`);
+        }
+      }
+
+      const params = {};
+      route.keys.forEach((key, index) => {
+        params[key] = decodeURIComponent(match[index + 1]);
+      });
+      if (params.escrowId) logger.assign({ escrowId: params.escrowId });
+      const body = ["POST", "PUT", "PATCH"].includes(req.method)
+        ? await readBody(req)
+        : {};
+
+      const result = await route.handler({
+        params,
+        query: Object.fromEntries(url.searchParams),
+        body,
+        actor,
+        command: `api:${req.method} ${url.pathname}`,
+        telegram: this.telegram,
+        req,
+        res,
+      });
+      if (res.headersSent) return;
+      if (route.html) {
+        sendHtml(res, 200, result);
+      } else {
+        sendJson(res, 200, result === undefined ? { ok: true } : result);
+      }
+    } catch (error) {
+      const status = error.expose ? error.status : 500;
+      if (!error.expose) {
+        console.error("Error handling HTTP request:", error);
+      }
+      if (res.headersSent) return;
+      const message = error.expose ? error.message : "Internal server error";
+      if (route?.html) {
+        sendHtml(
+          res,
+          status,
+          `<!DOCTYPE html><title>${status}</title><p>${escapeHtml(
+            message,
+          )}</p>`,
+        );
+      } else {
+        sendJson(res, status, { error: message });
+      }
+    }
+  }
+}
+
+module.exports = new HttpServer();
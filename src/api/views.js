@@ -0,0 +1,120 @@
+const CompletionFeedService = require("../services/CompletionFeedService");
+
+const STYLES = `
+  body { font-family: system-ui, sans-serif; margin: 0; color: #1d2330; background: #f4f6fa; }
+  header { background: #1d2330; color: #fff; padding: 12px 24px; display: flex; gap: 24px; align-items: center; }
+  header a { color: #cfd8ea; text-decoration: none; }
+  header form { margin-left: auto; }
+  main { padding: 16px 24px; }
+  section { background: #fff; border-radius: 6px; padding: 12px 16px; margin-bottom: 16px; }
+  h2 { font-size: 16px; margin: 4px 0 12px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e8ef; vertical-align: top; }
+  th { color: #5b6478; font-weight: 600; }
+  code { font-size: 12px; word-break: break-all; }
+  .badge { padding: 1px 6px; border-radius: 8px; background: #e5e8ef; font-size: 12px; }
+  .warn { background: #ffe3b3; }
+  .bad { background: #ffc9c9; }
+  .good { background: #c9f2d4; }
+  .bar { background: #7a9cf0; height: 10px; display: inline-block; }
+  .muted { color: #8a92a6; }
+  .stats { display: flex; gap: 24px; }
+  .stats div b { display: block; font-size: 22px; }
+`;
+
+const STATUS_CLASSES = {
+  completed: "good",
+  refunded: "good",
+  available: "good",
+  disputed: "bad",
+  cancelled: "muted",
+  archived: "muted",
+};
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatDate(date) {
+  if (!date) return "-";
+  return new Date(date).toISOString().slice(0, 16).replace("T", " ");
+}
+
+/**
+ * "3h 20m" for a duration in milliseconds
+ */
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function badge(status, extraClass = "") {
+  const className = extraClass || STATUS_CLASSES[status] || "";
+  return `<span class="badge ${className}">${escapeHtml(status || "-")}</span>`;
+}
+
+function escrowLink(escrowId) {
+  if (!escrowId) return "-";
+  return `<a href="/dashboard/escrows/${encodeURIComponent(
+    escrowId,
+  )}"><code>${escapeHtml(escrowId)}</code></a>`;
+}
+
+function txLink(network, hash) {
+  if (!hash) return "-";
+  const url = CompletionFeedService.getExplorerLink(network, hash);
+  return `<a href="${escapeHtml(
+    url,
+  )}" target="_blank" rel="noopener"><code>${escapeHtml(hash)}</code></a>`;
+}
+
+/**
+ * @param {string[]} headers
+ * @param {Array<Array<string|number>>} rows - cells are inserted as HTML
+ * @param {string} [empty] - shown instead of an empty table
+ */
+function table(headers, rows, empty = "Nothing here.") {
+  if (rows.length === 0) {
+    return `<p class="muted">${escapeHtml(empty)}</p>`;
+  }
+  return `<table><thead><tr>${headers
+    .map((header) => `<th>${escapeHtml(header)}</th>`)
+    .join("")}</tr></thead><tbody>${rows
+    .map(
+      (row) =>
+        `<tr>${row.map((cell) => `<td>${cell ?? "-"}</td>`).join("")}</tr>`,
+    )
+    .join("")}</tbody></table>`;
+}
+
+function section(title, body) {
+  return `<section><h2>${escapeHtml(title)}</h2>${body}</section>`;
+}
+
+function layout(title, body, { nav = true } = {}) {
+  const header = nav
+    ? `<header><b>Escrow admin</b><a href="/dashboard">Overview</a><a href="/dashboard/escrows">Trades</a><form method="post" action="/dashboard/logout"><button type="submit">Log out</button></form></header>`
+    : `<header><b>Escrow admin</b></header>`;
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(
+    title,
+  )}</title><style>${STYLES}</style></head><body>${header}<main>${body}</main></body></html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  formatDate,
+  formatAge,
+  badge,
+  escrowLink,
+  txLink,
+  table,
+  section,
+  layout,
+};
@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const config = require("../../config");
+
+function secretMatches(received) {
+  const expected = Buffer.from(config.WEBHOOK_SECRET || "");
+  const actual = Buffer.from(String(received || ""));
+  return (
+    expected.length > 0 &&
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+/**
+ * Receive Telegram updates on WEBHOOK_PATH. Telegram signs each request with
+ * the secret given to setWebhook. Updates are acknowledged before they are
+ * handled, since Telegram re-sends an update that is not answered in time.
+ * @param {Object} server - HttpServer
+ * @param {{bot: Object, isAccepting: Function}} deps - the Telegraf
+ *   instance, and whether updates are still accepted (false while draining)
+ */
+function register(server, { bot, isAccepting }) {
+  server.route(
+    "POST",
+    config.WEBHOOK_PATH,
+    async ({ req, body }) => {
+      if (!secretMatches(req.headers["x-telegram-bot-api-secret-token"])) {
+        throw server.httpError(401, "Invalid webhook secret");
+      }
+      // Telegram retries, reaching another replica or this one once it is up
+      if (!isAccepting()) {
+        throw server.httpError(503, "Shutting down");
+      }
+      if (!body || typeof body.update_id !== "number") {
+        throw server.httpError(400, "Not a Telegram update");
+      }
+
+      bot.handleUpdate(body).catch((error) => {
+        console.error("Error handling webhook update:", error);
+      });
+      return { ok: true };
+    },
+    { public: true },
+  );
+}
+
+module.exports = {
+  register,
+};
@@ -1,12 +1,21 @@
 const Escrow = require("../models/Escrow");
 const GroupPool = require("../models/GroupPool");
 const Contract = require("../models/Contract");
+const User = require("../models/User");
 const BlockchainService = require("../services/BlockchainService");
 const GroupPoolService = require("../services/GroupPoolService");
 const AddressAssignmentService = require("../services/AddressAssignmentService");
-const { isAdmin } = require("../middleware/adminAuth");
+const VaultLedgerService = require("../services/VaultLedgerService");
+const JobQueueService = require("../services/JobQueueService");
+const WithdrawalApprovalService = require("../services/WithdrawalApprovalService");
+const AdminService = require("../services/AdminService");
+const AuditService = require("../services/AuditService");
+const LedgerService = require("../services/LedgerService");
+const PayoutService = require("../services/PayoutService");
+const { isAdmin, hasPermission } = require("../middleware/adminAuth");
 const config = require("../../config");
 const { ethers } = require("ethers");
+const mongoose = require("mongoose");
 
 /**
  * Format a number to avoid scientific notation and ensure proper decimal places
@@ -101,7 +110,7 @@ function formatNumber(num, decimals = 2) {
 
 async function adminStats(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "stats.view")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -149,6 +158,10 @@ async function adminStats(ctx) {
 
 async function adminGroupPool(ctx) {
   try {
+    if (!hasPermission(ctx, "stats.view")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
     const stats = await GroupPoolService.getPoolStats();
 
     const message = `
@@ -175,6 +188,10 @@ async function adminGroupPool(ctx) {
 
 async function adminPoolAdd(ctx) {
   try {
+    if (!hasPermission(ctx, "groups.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
     const groupId = ctx.message.text.split(" ")[1];
     if (!groupId) {
       return ctx.reply(
@@ -199,6 +216,11 @@ async function adminPoolAdd(ctx) {
     }
 
     await GroupPoolService.addGroup(groupId, groupTitle, ctx.telegram);
+    await AuditService.recordFromCtx(ctx, {
+      action: "pool.add",
+      groupId,
+      after: { groupTitle },
+    });
     await ctx.reply(
       `✅ Added group ${groupId} to pool.\nFetched Title: ${
         groupTitle || "Unknown (Could not fetch)"
@@ -212,6 +234,10 @@ async function adminPoolAdd(ctx) {
 
 async function adminPoolList(ctx) {
   try {
+    if (!hasPermission(ctx, "stats.view")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
     const availableGroups = await GroupPoolService.getGroupsByStatus(
       "available",
     );
@@ -271,7 +297,7 @@ async function adminPoolList(ctx) {
  */
 async function adminWarnInactive(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "groups.manage")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -305,7 +331,7 @@ async function adminWarnInactive(ctx) {
  */
 async function adminRemoveInactive(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "groups.manage")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -333,7 +359,7 @@ async function adminRemoveInactive(ctx) {
  */
 async function adminAddressPool(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "stats.view")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -363,7 +389,7 @@ async function adminAddressPool(ctx) {
  */
 async function adminInitAddresses(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "groups.manage")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -443,7 +469,7 @@ async function adminInitAddresses(ctx) {
 
 async function adminCleanupAddresses(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "groups.manage")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -464,7 +490,7 @@ async function adminCleanupAddresses(ctx) {
  */
 async function adminWithdrawNetworkFees(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "treasury.withdraw")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -479,6 +505,7 @@ async function adminWithdrawNetworkFees(ctx) {
     let sweptCount = 0;
     let skippedCount = 0;
     let errorCount = 0;
+    const swept = [];
     let message = `💸 **NETWORK FEE WITHDRAWAL**\n\nSweeping excess funds to configured Fee Wallets (BSC/TRON).\n\n`;
 
     for (const contract of contracts) {
@@ -521,12 +548,30 @@ async function adminWithdrawNetworkFees(ctx) {
 
       // Attempt Sweep
       try {
-        await bs.withdrawToken(
+        const result = await bs.withdrawToken(
           contract.token,
           contract.network,
           contract.address,
           targetWallet,
         );
+        swept.push({
+          network: contract.network,
+          token: contract.token,
+          address: contract.address,
+          targetWallet,
+          transactionHash: result?.transactionHash || null,
+        });
+        if (result?.amountWei) {
+          await LedgerService.postSweep({
+            token: contract.token,
+            network: contract.network,
+            vaultAddress: contract.address,
+            toAddress: targetWallet,
+            amountWei: result.amountWei,
+            txHash: result.transactionHash,
+            note: "network fee withdrawal",
+          });
+        }
         sweptCount++;
         message += `• [${contract.network}] ${contract.address.slice(
           0,
@@ -544,6 +589,12 @@ async function adminWithdrawNetworkFees(ctx) {
 
     message += `\n📊 Summary:\n✅ Swept: ${sweptCount}\n⚠️ Skipped (Active): ${skippedCount}\n❌ Errors: ${errorCount}`;
 
+    await AuditService.recordFromCtx(ctx, {
+      action: "treasury.withdraw_network_fees",
+      after: { swept, skippedCount, errorCount },
+      txHashes: swept.map((item) => item.transactionHash),
+    });
+
     await ctx.reply(message, { parse_mode: "Markdown" });
   } catch (error) {
     console.error("Error withdrawing network fees:", error);
@@ -556,12 +607,23 @@ async function adminWithdrawNetworkFees(ctx) {
  */
 async function adminPoolDeleteAll(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "groups.manage")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
     const GroupPool = require("../models/GroupPool");
+    const before = await GroupPool.find({}, { groupId: 1, status: 1 }).lean();
     const res = await GroupPool.deleteMany({});
+    await AuditService.recordFromCtx(ctx, {
+      action: "pool.delete_all",
+      before: {
+        groups: before.map((group) => ({
+          groupId: group.groupId,
+          status: group.status,
+        })),
+      },
+      after: { deletedCount: res.deletedCount },
+    });
     await ctx.reply(`🗑️ Deleted ${res.deletedCount} groups from pool.`);
   } catch (error) {
     console.error("Error deleting all groups:", error);
@@ -574,7 +636,7 @@ async function adminPoolDeleteAll(ctx) {
  */
 async function adminPoolDelete(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "groups.manage")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -589,10 +651,19 @@ async function adminPoolDelete(ctx) {
     }
 
     const GroupPool = require("../models/GroupPool");
-    const res = await GroupPool.deleteOne({ groupId });
-    if (res.deletedCount === 0) {
+    const deleted = await GroupPool.findOneAndDelete({ groupId });
+    if (!deleted) {
       return ctx.reply(`ℹ️ No group found for id ${groupId}.`);
     }
+    await AuditService.recordFromCtx(ctx, {
+      action: "pool.delete",
+      groupId,
+      before: {
+        groupTitle: deleted.groupTitle || null,
+        status: deleted.status,
+        assignedEscrowId: deleted.assignedEscrowId || null,
+      },
+    });
     await ctx.reply(`🗑️ Deleted group ${groupId} from pool.`);
   } catch (error) {
     console.error("Error deleting group from pool:", error);
@@ -600,6 +671,81 @@ async function adminPoolDelete(ctx) {
   }
 }
 
+/**
+ * List scheduled jobs (recycling, invite timeouts, message clean-up)
+ * Usage: /admin_jobs [limit]
+ */
+async function adminJobs(ctx) {
+  try {
+    if (!hasPermission(ctx, "stats.view")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const limit = Math.min(parseInt(ctx.message.text.split(" ")[1]) || 20, 50);
+    const jobs = await JobQueueService.listPending(limit);
+
+    if (jobs.length === 0) {
+      return ctx.reply("🗓️ No pending jobs.");
+    }
+
+    let message = `🗓️ <b>PENDING JOBS (${jobs.length})</b>\n\n`;
+    jobs.forEach((job) => {
+      const dueInSeconds = Math.round((job.runAt - Date.now()) / 1000);
+      const due =
+        dueInSeconds > 0 ? `in ${dueInSeconds}s` : `${-dueInSeconds}s overdue`;
+      const escrowId = job.payload?.escrowId
+        ? ` - Escrow: ${job.payload.escrowId}`
+        : "";
+      message += `• <code>${job._id}</code> ${job.type}${escrowId}\n`;
+      message += `   ${job.status}, ${due}, attempt ${job.attempts}/${job.maxAttempts}\n`;
+    });
+    message += "\nCancel with <code>/admin_cancel_job &lt;jobId&gt;</code>";
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error listing jobs:", error);
+    ctx.reply("❌ Error listing jobs.");
+  }
+}
+
+/**
+ * Cancel a pending job by id
+ * Usage: /admin_cancel_job <jobId>
+ */
+async function adminCancelJob(ctx) {
+  try {
+    if (!hasPermission(ctx, "groups.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const jobId = ctx.message.text.split(" ")[1];
+    if (!jobId || !mongoose.isValidObjectId(jobId)) {
+      return ctx.reply(
+        "❌ Please provide a job ID.\nUsage: `/admin_cancel_job <jobId>`",
+        {
+          parse_mode: "Markdown",
+        },
+      );
+    }
+
+    const job = await JobQueueService.cancel(jobId);
+    if (!job) {
+      return ctx.reply(
+        `ℹ️ No pending job found for id ${jobId} (it may be running or finished).`,
+      );
+    }
+    await AuditService.recordFromCtx(ctx, {
+      action: "job.cancel",
+      escrowId: job.payload?.escrowId || null,
+      before: { jobId, type: job.type, runAt: job.runAt },
+    });
+    await ctx.reply(`🗑️ Cancelled job ${jobId} (${job.type}).`);
+  } catch (error) {
+    console.error("Error cancelling job:", error);
+    await ctx.reply("❌ Error cancelling job.");
+  }
+}
+
 /**
  * Admin command to show all available admin commands and their usage
  */
@@ -627,6 +773,46 @@ async function adminHelp(ctx) {
 • \`/admin_pool_delete <groupId>\` - Delete specific group from pool
 • \`/admin_pool_delete_all\` - Delete ALL groups from pool (dangerous)
 
+👑 **ADMINS (owner only):**
+• \`/admin_roles\` - List admins and role permissions
+• \`/admin_grant <userId|@username> <role>\` - Grant owner, treasurer, arbitrator or support
+• \`/admin_revoke <userId|@username> <role|all>\` - Revoke a role
+
+🧾 **AUDIT LOG (owner only):**
+• \`/admin_audit [filters]\` - Recent admin and money-moving actions
+• \`/admin_audit_export csv|json [filters]\` - Export matching entries as a file
+• \`/admin_audit_verify\` - Check the hash chain for tampering
+Filters: admin <id|@user>, escrow <id>, action <name>, from YYYY-MM-DD, to YYYY-MM-DD, limit N
+
+📒 **LEDGER:**
+• \`/admin_ledger\` - Trial balance: vault assets, funds owed to trades, fee revenue, treasury
+• \`/admin_ledger <escrowId>\` - Journal entries for one trade
+• \`/admin_reconcile\` - Latest check of vault balances and transfers against the database
+• \`/admin_reconcile run\` - Run the check now
+
+🏦 **VAULT CONTROLS (owner only):**
+• \`/admin_vault status [network]\` - Owner, guardian and pause state of every vault
+• \`/admin_vault pause|unpause [network]\` - Stop or resume payouts (unpause needs the guardian)
+• \`/admin_vault transfer_owner|set_guardian <network> <address>\` - Hand over a role
+• \`/admin_vault queue_withdraw|withdraw <network> <address>\` - Timelocked sweep, executable 48h after queueing
+• \`/admin_vault\` - All actions
+
+🔑 **HTTP API (private chat):**
+• \`/admin_api_key create <name>\` - New key for the HTTP admin API, acting with your roles
+• \`/admin_api_key list\` - Active keys
+• \`/admin_api_key revoke <keyId>\` - Revoke a key
+
+⚖️ **DISPUTES:**
+• \`/disputes\` - List open dispute cases
+• \`/dispute_case <case>\` - Show a case timeline and its evidence
+• \`/dispute_claim <case>\` - Assign a case to yourself
+• \`/dispute_ruling <case> release|refund [note]\` - Pay the buyer or refund the seller
+• \`/dispute_ruling <case> split <buyerAmount|buyerPercent%> [note]\` - Split the held funds
+• \`/dispute_close <case> [note]\` - Close a case without a ruling
+
+⚖️ **SETTLEMENT (in the trade group):**
+• \`/settle <buyerAmount|buyerPercent%> [note]\` - Pay the buyer a share and refund the rest to the seller in one step
+
 🔄 **AUTOMATIC GROUP RECYCLING:**
 ✅ **Automatic 15-minute delayed recycling** after trade completion
 
@@ -634,6 +820,9 @@ async function adminHelp(ctx) {
 • \`/admin_address_pool\` - View address pool status
 • \`/admin_init_addresses\` - Verify deployed EscrowVault contracts
 • \`/admin_cleanup_addresses\` - Cleanup abandoned addresses
+• \`/admin_jobs [limit]\` - List scheduled jobs (recycling, invite timeouts, clean-up)
+• \`/admin_cancel_job <jobId>\` - Cancel a pending scheduled job
+• \`/admin_withdrawals [limit]\` - Recent withdrawal requests and who approved them
 • \`/admin_withdraw_bsc_usdt\` - Withdraw excess USDT from BSC escrow contracts to admin wallet (private chat only)
 • \`/withdraw_fees [chain] [token]\` - Withdraw accumulated fees (e.g., /withdraw_fees BSC USDT)
 
@@ -657,6 +846,8 @@ async function adminHelp(ctx) {
 💰 **SETTLEMENT COMMANDS (in groups):**
 • \`/release\` - Release funds to buyer (admin only)
 • \`/refund\` - Refund funds to seller (admin only)
+
+👤 **Your roles:** ${AdminService.rolesOf(ctx.from).join(", ")}
 `;
 
     await ctx.reply(helpMessage, { parse_mode: "Markdown" });
@@ -671,7 +862,7 @@ async function adminHelp(ctx) {
  */
 async function adminTradeStats(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "stats.view")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -856,7 +1047,7 @@ async function adminTradeStats(ctx) {
  */
 async function adminExportTrades(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "stats.view")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -991,7 +1182,7 @@ async function adminExportTrades(ctx) {
  */
 async function adminRecentTrades(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "stats.view")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -1117,7 +1308,7 @@ async function adminRecentTrades(ctx) {
  */
 async function adminGroupReset(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "groups.manage")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -1168,26 +1359,18 @@ async function adminGroupReset(ctx) {
       return;
     }
 
-    // Only check for deposits if trade is NOT completed/refunded
-    // If trade is completed, allow reset to clean up the group
-    const isCompleted = ["completed", "refunded"].includes(escrow.status);
-    if (!isCompleted) {
-      // Check if deposits were made (only for active trades)
-      const depositAmount = Number(escrow.depositAmount);
-      const confirmedAmount = Number(escrow.confirmedAmount);
-      const hasDeposit = depositAmount > 0 || confirmedAmount > 0;
-
-      if (hasDeposit) {
-        const errorMsg = await ctx.reply(
-          "❌ Cannot reset: Deposits were made. Use /release or /refund to settle.",
-        );
-        setTimeout(async () => {
-          try {
-            await ctx.telegram.deleteMessage(chatId, errorMsg.message_id);
-          } catch (e) {}
-        }, 60 * 1000);
-        return;
-      }
+    // Only active trades with deposits are blocked; completed trades can
+    // always be reset to clean up the group
+    if (GroupPoolService.hasUnsettledDeposit(escrow)) {
+      const errorMsg = await ctx.reply(
+        "❌ Cannot reset: Deposits were made. Use /release or /refund to settle.",
+      );
+      setTimeout(async () => {
+        try {
+          await ctx.telegram.deleteMessage(chatId, errorMsg.message_id);
+        } catch (e) {}
+      }, 60 * 1000);
+      return;
     }
 
     // Find the group in pool (we may have already found it above)
@@ -1222,28 +1405,17 @@ async function adminGroupReset(ctx) {
     }, 60 * 1000);
 
     try {
-      // Unpin the deal confirmed message if it exists
-      if (escrow.dealConfirmedMessageId) {
-        try {
-          await ctx.telegram.unpinChatMessage(
-            chatId,
-            escrow.dealConfirmedMessageId,
-          );
-        } catch (unpinError) {
-          // Ignore errors (message may already be unpinned or deleted)
-        }
-      }
-
-      // Remove buyer and seller from group
-      const allUsersRemoved = await GroupPoolService.removeUsersFromGroup(
+      const { reset } = await GroupPoolService.resetGroup(
         escrow,
-        group.groupId,
+        group,
         ctx.telegram,
+        {
+          actor: AuditService.actorFromCtx(ctx),
+          command: AuditService.commandFromCtx(ctx),
+        },
       );
 
-      // For completed trades, continue even if some users can't be removed
-      // For active trades, be more strict
-      if (!allUsersRemoved && !isCompleted) {
+      if (!reset) {
         const errorMsg = await ctx.reply(
           "⚠️ Some users could not be removed from the group. Please check manually.",
         );
@@ -1256,33 +1428,6 @@ async function adminGroupReset(ctx) {
         return;
       }
 
-      // For completed trades, log warning but continue
-      if (!allUsersRemoved && isCompleted) {
-        // console.log(
-        //   "⚠️ Some users could not be removed during reset of completed trade, continuing anyway..."
-        // );
-      }
-
-      // Refresh invite link (revoke old and create new) so removed users can rejoin
-      await GroupPoolService.refreshInviteLink(group.groupId, ctx.telegram);
-
-      // Reset group pool entry
-      group.status = "available";
-      group.assignedEscrowId = null;
-      group.assignedAt = null;
-      group.completedAt = null;
-      await group.save();
-
-      // Delete the escrow since no deposits were made
-      // Note: If deletion fails, the group is already reset and available.
-      // The old escrow won't cause issues since it has no deposits and the group is available.
-      try {
-        await Escrow.deleteOne({ escrowId: escrow.escrowId });
-      } catch (deleteError) {
-        console.error("Error deleting escrow after group reset:", deleteError);
-        // Continue anyway - group is already reset and available
-      }
-
       const successMsg = await ctx.reply(
         "✅ Group reset successfully. Ready for new deals.",
       );
@@ -1321,7 +1466,7 @@ async function adminGroupReset(ctx) {
  */
 async function adminResetForce(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "groups.manage")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -1404,49 +1549,12 @@ async function adminResetForce(ctx) {
     }, 60 * 1000);
 
     try {
-      // Unpin the deal confirmed message if it exists
-      if (escrow.dealConfirmedMessageId) {
-        try {
-          await ctx.telegram.unpinChatMessage(
-            chatId,
-            escrow.dealConfirmedMessageId,
-          );
-        } catch (unpinError) {
-          // Ignore errors (message may already be unpinned or deleted)
-        }
-      }
-
-      // Remove buyer and seller from group (not admin)
-      const allUsersRemoved = await GroupPoolService.removeUsersFromGroup(
-        escrow,
-        group.groupId,
-        ctx.telegram,
-      );
-
-      if (!allUsersRemoved) {
-      }
-
-      // Clear escrow invite link (but keep group invite link - it's permanent)
-      escrow.inviteLink = null;
-      await escrow.save();
-
-      // Refresh invite link (revoke old and create new) so removed users can rejoin
-      await GroupPoolService.refreshInviteLink(group.groupId, ctx.telegram);
-
-      // Reset group pool entry
-      group.status = "available";
-      group.assignedEscrowId = null;
-      group.assignedAt = null;
-      group.completedAt = null;
-      await group.save();
-
-      // Delete the escrow (force reset - regardless of status or deposits)
-      try {
-        await Escrow.deleteOne({ escrowId: escrow.escrowId });
-      } catch (deleteError) {
-        console.error("Error deleting escrow during force reset:", deleteError);
-        // Continue anyway - group is already reset and available
-      }
+      // Force reset - regardless of status or deposits
+      await GroupPoolService.resetGroup(escrow, group, ctx.telegram, {
+        force: true,
+        actor: AuditService.actorFromCtx(ctx),
+        command: AuditService.commandFromCtx(ctx),
+      });
 
       const successMsg = await ctx.reply(
         "✅ Group force reset successfully. Ready for new deals.",
@@ -1487,7 +1595,7 @@ async function adminResetForce(ctx) {
  */
 async function adminResetAllGroups(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "groups.manage")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -1499,6 +1607,8 @@ async function adminResetAllGroups(ctx) {
     const telegram = ctx.telegram;
     const chatId = ctx.chat.id;
     const messageId = processingMsg.message_id;
+    const auditActor = AuditService.actorFromCtx(ctx);
+    const auditCommand = AuditService.commandFromCtx(ctx);
 
     // Process groups in background to avoid timeout
     (async () => {
@@ -1705,6 +1815,15 @@ async function adminResetAllGroups(ctx) {
             }
 
             if (escrow) {
+              await AuditService.record({
+                action: "group.reset_all",
+                actor: auditActor,
+                command: auditCommand,
+                escrowId: escrow.escrowId,
+                groupId,
+                before: AuditService.snapshotEscrow(escrow),
+                after: { status: "deleted", groupStatus: "available" },
+              });
               try {
                 await Escrow.deleteOne({ escrowId: escrow.escrowId });
               } catch (deleteError) {}
@@ -1723,6 +1842,17 @@ async function adminResetAllGroups(ctx) {
           }
         }
 
+        await AuditService.record({
+          action: "group.reset_all",
+          actor: auditActor,
+          command: auditCommand,
+          after: {
+            total: allGroups.length,
+            successCount,
+            failCount,
+          },
+        });
+
         const summary = `✅ Reset Complete!
 
 📊 Results:
@@ -1768,7 +1898,7 @@ All groups have been reset to 'available' status.`;
 
 async function adminWithdrawExcess(ctx) {
   try {
-    if (!isAdmin(ctx)) {
+    if (!hasPermission(ctx, "treasury.withdraw")) {
       return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
@@ -1984,6 +2114,7 @@ async function executeWithdrawExcess(ctx) {
     let processed = 0;
     let skipped = 0;
     let totalWithdrawn = 0n;
+    const withdrawn = [];
 
     for (const contract of contracts) {
       const contractAddress = contract.address;
@@ -2034,8 +2165,23 @@ async function executeWithdrawExcess(ctx) {
         );
         await depositTx.wait();
 
+        await LedgerService.postSweep({
+          token: "USDT",
+          network: "BSC",
+          vaultAddress: contractAddress,
+          toAddress: FEE_WALLET_BSC,
+          amountWei: excessRaw,
+          txHash: transferTx.hash,
+          note: `excess over ${reserveAmount} USDT reserve`,
+        });
+
         totalWithdrawn += excessRaw;
         processed += 1;
+        withdrawn.push({
+          address: contractAddress,
+          amount: ethers.formatUnits(excessRaw, decimals),
+          transactionHash: transferTx.hash,
+        });
 
         // Small delay to avoid nonce contention
         await new Promise((resolve) => setTimeout(resolve, 1500));
@@ -2045,6 +2191,18 @@ async function executeWithdrawExcess(ctx) {
       }
     }
 
+    await AuditService.recordFromCtx(ctx, {
+      action: "treasury.withdraw_excess",
+      after: {
+        token: "USDT",
+        network: "BSC",
+        targetWallet: FEE_WALLET_BSC,
+        withdrawn,
+        skipped,
+      },
+      txHashes: withdrawn.map((item) => item.transactionHash),
+    });
+
     await mongoose.disconnect();
 
     const totalWithdrawnFormatted =
@@ -2100,7 +2258,9 @@ async function adminWithdrawBscUsdt(ctx) {
  * Generic handler for checking and withdrawing accumulated fees
  */
 const handleWithdrawFees = async (ctx, networkInput, tokenInput) => {
-  if (!isAdmin(ctx)) return;
+  if (!hasPermission(ctx, "treasury.withdraw")) {
+    return ctx.reply("❌ Access denied. Admin privileges required.");
+  }
 
   const network = networkInput ? networkInput.toUpperCase() : "BSC";
   const token = tokenInput ? tokenInput.toUpperCase() : "USDT";
@@ -2166,7 +2326,9 @@ async function adminWithdrawFeesBscUsdc(ctx) {
  * Usage: /withdraw_room_10 (withdraws from MM Room 10)
  */
 async function adminWithdrawRoom(ctx) {
-  if (!isAdmin(ctx)) return;
+  if (!hasPermission(ctx, "treasury.withdraw")) {
+    return ctx.reply("❌ Access denied. Admin privileges required.");
+  }
 
   const text = ctx.message.text.trim();
   const match = text.match(/^\/withdraw_room_(\d+)$/i);
@@ -2220,97 +2382,43 @@ async function adminWithdrawRoom(ctx) {
       );
     }
 
-    const results = [];
-    let successCount = 0;
-    let skipCount = 0;
-    let errorCount = 0;
-
-    // Iterate over all contracts in the group
+    const vaults = [];
+    const skipped = [];
     for (const [key, contract] of group.contracts) {
-      const { address, network } = contract;
-      const networkUpper = (network || "BSC").toUpperCase();
-
-      // Determine token from key (e.g., "USDT", "USDC", "USDT_TRON")
-      const token = key.includes("_") ? key.split("_")[0] : key;
-
-      try {
-        // Determine fee wallet based on network
-        const feeWallet =
-          networkUpper === "TRON" || networkUpper === "TRX"
-            ? FEE_WALLET_TRC
-            : FEE_WALLET_BSC;
-
-        if (!feeWallet) {
-          results.push(
-            `⚠️ [${key}] Skipped - No fee wallet for ${networkUpper}`,
-          );
-          skipCount++;
-          continue;
-        }
-
-        await ctx.telegram.editMessageText(
-          ctx.chat.id,
-          statusMsg.message_id,
-          null,
-          `🔄 Processing ${key} (${networkUpper})...\n\nContract: \`${address.slice(
-            0,
-            10,
-          )}...\``,
-          { parse_mode: "Markdown" },
-        );
-
-        // Call appropriate withdrawal method
-        const result = await BlockchainService.withdrawToken(
-          token,
-          networkUpper,
-          address,
-          feeWallet,
-        );
-
-        if (result && result.success) {
-          results.push(
-            `✅ [${key}] Withdrawn → ${
-              result.transactionHash
-                ? result.transactionHash.slice(0, 16) + "..."
-                : "Success"
-            }`,
-          );
-          successCount++;
-        } else {
-          results.push(`⚠️ [${key}] No funds or already empty`);
-          skipCount++;
-        }
-
-        // Small delay to avoid nonce issues
-        await new Promise((resolve) => setTimeout(resolve, 2000));
-      } catch (error) {
-        console.error(
-          `Error withdrawing ${key} from Room ${roomNumber}:`,
-          error.message,
-        );
-        results.push(`❌ [${key}] Error: ${error.message.slice(0, 50)}`);
-        errorCount++;
+      const networkUpper = (contract.network || "BSC").toUpperCase();
+      // Determine fee wallet based on network
+      const feeWallet =
+        networkUpper === "TRON" || networkUpper === "TRX"
+          ? FEE_WALLET_TRC
+          : FEE_WALLET_BSC;
+
+      if (!feeWallet) {
+        skipped.push({
+          key,
+          address: contract.address,
+          skipped: `no fee wallet for ${networkUpper}`,
+        });
+        continue;
       }
-    }
-
-    // Build summary
-    const summary = `🏠 **Withdraw Complete - MM Room ${roomNumber}**
 
-📊 **Summary:**
-• ✅ Success: ${successCount}
-• ⚠️ Skipped: ${skipCount}
-• ❌ Errors: ${errorCount}
+      vaults.push({
+        key,
+        // Determine token from key (e.g., "USDT", "USDC", "USDT_TRON")
+        token: key.includes("_") ? key.split("_")[0] : key,
+        network: networkUpper,
+        address: contract.address,
+        targetWallet: feeWallet,
+      });
+    }
 
-📋 **Details:**
-${results.join("\n")}`;
+    const plan = await planVaultSweeps(vaults);
+    plan.skipped.unshift(...skipped);
 
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      statusMsg.message_id,
-      null,
-      summary,
-      { parse_mode: "Markdown" },
-    );
+    await withdrawOrRequestApproval(ctx, statusMsg, plan, {
+      scope: "room",
+      roomNumber,
+      title: `WITHDRAW - MM ROOM ${roomNumber}`,
+    });
   } catch (error) {
     console.error("Error in adminWithdrawRoom:", error);
     await ctx.reply(`❌ Error: ${error.message}`);
@@ -2324,7 +2432,8 @@ ${results.join("\n")}`;
 
 function setupAdminActions(bot) {
   bot.action(/^confirm_withdraw_([^_]+)_([^_]+)$/, async (ctx) => {
-    if (!isAdmin(ctx)) return ctx.answerCbQuery("Unauthorized");
+    if (!hasPermission(ctx, "treasury.withdraw"))
+      return ctx.answerCbQuery("Unauthorized");
 
     // We match network (group 1) and token (group 2)
     const network = ctx.match[1];
@@ -2356,6 +2465,29 @@ function setupAdminActions(bot) {
         targetWallet,
       );
 
+      if (result.amountWei) {
+        await LedgerService.postSweep({
+          token,
+          network,
+          vaultAddress: contractAddress,
+          toAddress: targetWallet,
+          amountWei: result.amountWei,
+          txHash: result.transactionHash,
+          note: "fee withdrawal",
+        });
+      }
+
+      await AuditService.recordFromCtx(ctx, {
+        action: "treasury.withdraw_fees",
+        after: {
+          token,
+          network,
+          contractAddress,
+          targetWallet,
+        },
+        txHashes: [result.transactionHash],
+      });
+
       let msg = `✅ <b>Fees Withdrawn Successfully!</b>\n\n`;
       msg += `<b>Chain:</b> ${network}\n`;
       msg += `<b>Token:</b> ${token}\n`;
@@ -2372,10 +2504,106 @@ function setupAdminActions(bot) {
   });
 
   bot.action("cancel_withdraw", async (ctx) => {
-    if (!isAdmin(ctx)) return ctx.answerCbQuery("Unauthorized");
+    if (!hasPermission(ctx, "treasury.withdraw"))
+      return ctx.answerCbQuery("Unauthorized");
     await ctx.answerCbQuery("Cancelled");
     await ctx.deleteMessage();
   });
+
+  bot.action(/^wd_approve_(\d+)$/, async (ctx) => {
+    if (!hasPermission(ctx, "treasury.withdraw"))
+      return ctx.answerCbQuery("Unauthorized");
+
+    let outcome;
+    try {
+      outcome = await WithdrawalApprovalService.approve(
+        parseInt(ctx.match[1], 10),
+        { id: ctx.from.id, username: ctx.from.username },
+      );
+    } catch (error) {
+      if (!WithdrawalApprovalService.isWithdrawalError(error)) {
+        console.error("Error approving withdrawal:", error);
+      }
+      return ctx.answerCbQuery(
+        WithdrawalApprovalService.isWithdrawalError(error)
+          ? error.userMessage
+          : "❌ Error approving withdrawal",
+      );
+    }
+
+    const { request, ready } = outcome;
+    if (!ready) {
+      await ctx.answerCbQuery(
+        `✅ Approved (${request.approvals.length}/${request.requiredApprovals})`,
+      );
+      try {
+        await ctx.editMessageText(
+          WithdrawalApprovalService.formatRequest(request),
+          {
+            parse_mode: "HTML",
+            reply_markup: WithdrawalApprovalService.keyboard(request),
+          },
+        );
+      } catch (e) {}
+      return;
+    }
+
+    await ctx.answerCbQuery("✅ Approved - withdrawing...");
+    const summary = WithdrawalApprovalService.formatRequest(request);
+    try {
+      await ctx.editMessageText(`${summary}\n\n⏳ Withdrawing...`, {
+        parse_mode: "HTML",
+      });
+    } catch (e) {}
+
+    // Run in background to avoid timeout
+    WithdrawalApprovalService.execute(request, ctx.telegram)
+      .then((report) =>
+        ctx.editMessageText(`${summary}\n\n${report}`, {
+          parse_mode: "HTML",
+          disable_web_page_preview: true,
+        }),
+      )
+      .catch((error) => {
+        console.error("Error executing approved withdrawal:", error);
+        return ctx
+          .editMessageText(
+            `${summary}\n\n❌ Withdrawal failed: ${error.message}`,
+            { parse_mode: "HTML" },
+          )
+          .catch(() => {});
+      });
+  });
+
+  bot.action(/^wd_reject_(\d+)$/, async (ctx) => {
+    if (!hasPermission(ctx, "treasury.withdraw"))
+      return ctx.answerCbQuery("Unauthorized");
+
+    try {
+      const request = await WithdrawalApprovalService.reject(
+        parseInt(ctx.match[1], 10),
+        { id: ctx.from.id, username: ctx.from.username },
+      );
+      await ctx.answerCbQuery("Withdrawal rejected");
+      await ctx.editMessageText(
+        `${WithdrawalApprovalService.formatRequest(
+          request,
+        )}\n\n❌ Rejected by ${
+          ctx.from.username ? `@${ctx.from.username}` : ctx.from.id
+        }`,
+        { parse_mode: "HTML" },
+      );
+    } catch (error) {
+      if (!WithdrawalApprovalService.isWithdrawalError(error)) {
+        console.error("Error rejecting withdrawal:", error);
+      }
+      await ctx.answerCbQuery(
+        WithdrawalApprovalService.isWithdrawalError(error)
+          ? error.userMessage
+          : "❌ Error rejecting withdrawal",
+      );
+    }
+  });
 }
 
 module.exports = {
@@ -2403,6 +2631,12 @@ module.exports = {
   adminWithdrawFees,
   adminWithdrawNetworkFees,
   adminWithdrawRoom,
+  adminWithdrawals,
+  adminRoles,
+  adminGrant,
+  adminRevoke,
+  adminJobs,
+  adminCancelJob,
   adminHelp,
   setupAdminActions,
   adminBroadcast,
@@ -2411,7 +2645,9 @@ module.exports = {
 };
 
 async function adminWithdrawAllBsc(ctx) {
-  if (!isAdmin(ctx)) return;
+  if (!hasPermission(ctx, "treasury.withdraw")) {
+    return ctx.reply("❌ Access denied. Admin privileges required.");
+  }
   // Run in background to avoid timeout
   handleWithdrawAll(ctx, "BSC").catch((err) =>
     console.error("Background BSC withdraw error:", err),
@@ -2419,13 +2655,389 @@ async function adminWithdrawAllBsc(ctx) {
 }
 
 async function adminWithdrawAllTron(ctx) {
-  if (!isAdmin(ctx)) return;
+  if (!hasPermission(ctx, "treasury.withdraw")) {
+    return ctx.reply("❌ Access denied. Admin privileges required.");
+  }
   // Run in background to avoid timeout
   handleWithdrawAll(ctx, "TRON").catch((err) =>
     console.error("Background TRON withdraw error:", err),
   );
 }
 
+/**
+ * Work out what a vault can give up: everything when it owes nothing to open
+ * trades, otherwise only the surplus over its open-trade liability.
+ * @returns {Promise<{amount:number,amountWei:bigint,full:boolean}|{skipped:string}|null>} null when the vault is empty
+ */
+async function planVaultSweep({ token, network, address, liabilities }) {
+  const balanceWei = await BlockchainService.getTokenBalanceWei(
+    token,
+    network,
+    address,
+  );
+  if (balanceWei <= 0n) return null;
+
+  const decimals = BlockchainService.getTokenDecimals(token, network);
+  const balance = Number(ethers.formatUnits(balanceWei, decimals));
+  const open = liabilities.get(address.toLowerCase());
+  if (!open) {
+    return { amount: balance, amountWei: balanceWei, full: true };
+  }
+
+  // Round down to 6 decimals so rounding never eats into trade funds
+  const step = decimals > 6 ? 10n ** BigInt(decimals - 6) : 1n;
+  const surplusWei = ((balanceWei - open.amountWei) / step) * step;
+  if (surplusWei <= 0n) {
+    return {
+      skipped: `balance ${formatNumber(
+        balance,
+        4,
+      )} ${token} is owed to open trade(s) ${open.escrowIds.join(
+        ", ",
+      )} (${formatNumber(open.amount, 4)} ${token})`,
+    };
+  }
+  return {
+    amount: Number(ethers.formatUnits(surplusWei, decimals)),
+    amountWei: surplusWei,
+    full: false,
+  };
+}
+
+/**
+ * Sweep a vault with owner controls through its timelocked withdrawToken,
+ * which only sends what no trade is credited with. The first run queues the
+ * withdrawal; a run after the delay sends it.
+ * @returns {Promise<{amount:number,tx:string}|{skipped:string}>}
+ */
+async function sweepThroughTimelock({
+  token,
+  network,
+  address,
+  targetWallet,
+  maxAmount,
+}) {
+  const operation = { kind: "withdraw", address: targetWallet };
+  const queued = await BlockchainService.getVaultOperation(
+    network,
+    address,
+    operation,
+  );
+  if (!queued.eta) {
+    const { eta } = await BlockchainService.queueVaultOperation(
+      network,
+      address,
+      operation,
+    );
+    return {
+      skipped: `withdrawal queued, run again after ${eta.toISOString()}`,
+    };
+  }
+  if (!queued.ready) {
+    return {
+      skipped: `withdrawal timelocked until ${queued.eta.toISOString()}`,
+    };
+  }
+
+  const unallocatedWei = await BlockchainService.getUnallocatedBalance(
+    network,
+    address,
+  );
+  const unallocated = Number(
+    ethers.formatUnits(
+      unallocatedWei,
+      BlockchainService.getTokenDecimals(token, network),
+    ),
+  );
+  // The plan rounds down to 6 decimals; allow that much on top
+  if (maxAmount !== null && unallocated > maxAmount + 0.000001) {
+    return {
+      skipped: `unallocated ${formatNumber(
+        unallocated,
+        4,
+      )} ${token} is more than the ${formatNumber(
+        maxAmount,
+        4,
+      )} approved; plan again`,
+    };
+  }
+
+  const result = await BlockchainService.withdrawToken(
+    token,
+    network,
+    address,
+    targetWallet,
+  );
+  await LedgerService.postSweep({
+    token,
+    network,
+    vaultAddress: address,
+    toAddress: targetWallet,
+    amountWei: result.amountWei || unallocatedWei,
+    txHash: result.transactionHash,
+    note: "vault sweep (timelocked)",
+  });
+  return { amount: unallocated, tx: result.transactionHash };
+}
+
+/**
+ * Sweep what a vault holds beyond its open-trade liability to the fee wallet.
+ * Vaults that owe nothing are swept in full; vaults with open trades only send
+ * the surplus, and are skipped when there is none. `maxAmount` caps the sweep
+ * at what was approved.
+ * @returns {Promise<{amount:number,tx:string}|{skipped:string}|null>} null when the vault is empty
+ */
+async function sweepVaultSurplus({
+  token,
+  network,
+  address,
+  targetWallet,
+  liabilities,
+  maxAmount = null,
+}) {
+  const plan = await planVaultSweep({ token, network, address, liabilities });
+  if (!plan || plan.skipped) return plan;
+
+  // Vaults with owner controls only let funds out through the timelocked
+  // withdrawToken
+  if (await BlockchainService.getVaultControls(network, address)) {
+    return sweepThroughTimelock({
+      token,
+      network,
+      address,
+      targetWallet,
+      maxAmount,
+    });
+  }
+  if (plan.full && (maxAmount === null || plan.amount <= maxAmount)) {
+    const result = await BlockchainService.withdrawToken(
+      token,
+      network,
+      address,
+      targetWallet,
+    );
+    if (!result || !result.success) return null;
+    await LedgerService.postSweep({
+      token,
+      network,
+      vaultAddress: address,
+      toAddress: targetWallet,
+      amountWei:
+        result.amountWei || LedgerService.toWei(plan.amount, token, network),
+      txHash: result.transactionHash,
+      note: "vault sweep (full)",
+    });
+    return {
+      amount: parseFloat(result.amount || plan.amount),
+      tx: result.transactionHash,
+    };
+  }
+
+  // Legacy vaults have no timelocked sweep; the surplus goes out through the
+  // pooled release, recorded before it is sent
+  const decimals = BlockchainService.getTokenDecimals(token, network);
+  const maxWei =
+    maxAmount === null
+      ? null
+      : ethers.parseUnits(
+          (Math.floor(maxAmount * 1e6) / 1e6).toFixed(6),
+          decimals,
+        );
+  const amountWei =
+    maxWei !== null && maxWei < plan.amountWei ? maxWei : plan.amountWei;
+  const amount = Number(ethers.formatUnits(amountWei, decimals));
+  const result = await PayoutService.sweepSurplus({
+    token,
+    network,
+    contractAddress: address,
+    toAddress: targetWallet,
+    amount,
+    amountWei,
+  });
+  return { amount, tx: result.transactionHash };
+}
+
+// TRON requires slower pacing due to aggressive rate limits on free nodes
+function vaultPacingDelay(network) {
+  const delay = network.toUpperCase().includes("TRON") ? 5000 : 200;
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+/**
+ * Plan sweeps for a list of vaults without sending anything
+ * @param {Array<{key?:string, token:string, network:string, address:string, targetWallet:string}>} vaults
+ * @returns {Promise<{items:Array, skipped:Array}>}
+ */
+async function planVaultSweeps(vaults) {
+  const liabilities = await VaultLedgerService.getOpenLiabilities();
+  const items = [];
+  const skipped = [];
+
+  for (const vault of vaults) {
+    const key = vault.key || vault.token;
+    try {
+      const plan = await planVaultSweep({ ...vault, liabilities });
+      if (plan && plan.skipped) {
+        skipped.push({ key, address: vault.address, skipped: plan.skipped });
+      } else if (plan) {
+        items.push({ ...vault, key, amount: plan.amount });
+      }
+    } catch (e) {
+      console.error(`Error checking ${key} at ${vault.address}:`, e.message);
+      skipped.push({
+        key,
+        address: vault.address,
+        skipped: `error: ${e.message.slice(0, 80)}`,
+      });
+    }
+    await vaultPacingDelay(vault.network);
+  }
+
+  return { items, skipped };
+}
+
+/**
+ * Sweep planned items, never more than each item's planned amount.
+ * Liabilities are re-read first so trades opened since planning stay covered.
+ */
+async function executeVaultSweeps(items) {
+  const liabilities = await VaultLedgerService.getOpenLiabilities();
+  const results = [];
+
+  for (const item of items) {
+    const base = { key: item.key, token: item.token, address: item.address };
+    try {
+      const sweep = await sweepVaultSurplus({
+        token: item.token,
+        network: item.network,
+        address: item.address,
+        targetWallet: item.targetWallet,
+        liabilities,
+        maxAmount: item.amount,
+      });
+      if (sweep && sweep.skipped) {
+        results.push({ ...base, skipped: sweep.skipped });
+      } else if (sweep) {
+        results.push({
+          ...base,
+          amount: sweep.amount,
+          transactionHash: sweep.tx,
+        });
+      } else {
+        results.push({ ...base, skipped: "no funds or already empty" });
+      }
+    } catch (e) {
+      console.error(
+        `Error sweeping ${item.key} at ${item.address}:`,
+        e.message,
+      );
+      results.push({ ...base, error: e.message.slice(0, 80) });
+    }
+    await vaultPacingDelay(item.network);
+  }
+
+  return results;
+}
+
+function formatWithdrawReport(title, results) {
+  const totals = {};
+  results
+    .filter((result) => result.transactionHash)
+    .forEach((result) => {
+      totals[result.token] = (totals[result.token] || 0) + result.amount;
+    });
+
+  let report = `💸 <b>${title}</b>\n\n`;
+  const tokens = Object.keys(totals);
+  if (tokens.length > 0) {
+    report += `💰 <b>Withdrawn:</b>\n`;
+    tokens.forEach((t) => {
+      report += `• ${totals[t].toFixed(4)} ${t}\n`;
+    });
+  } else {
+    report += `💰 <b>Withdrawn:</b> None\n`;
+  }
+
+  if (results.length > 0) {
+    report += `\n📋 <b>Details:</b>\n`;
+    results.forEach((result) => {
+      if (result.transactionHash) {
+        report += `✅ [${result.key}] ${result.amount.toFixed(4)} (TX: <code>${
+          result.transactionHash
+        }</code>)\n`;
+      } else if (result.error) {
+        report += `❌ [${result.key}] <code>${result.address}</code> - ${result.error}\n`;
+      } else {
+        report += `⏸️ [${result.key}] <code>${result.address}</code> - ${result.skipped}\n`;
+      }
+    });
+  }
+  return report;
+}
+
+/**
+ * Sweep a plan right away when it is under the approval threshold, otherwise
+ * turn it into a withdrawal request for other admins to approve
+ */
+async function withdrawOrRequestApproval(ctx, statusMsg, plan, options) {
+  const { scope, network = null, roomNumber = null, title } = options;
+  const edit = (text, extra = {}) =>
+    ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      null,
+      text,
+      {
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+        ...extra,
+      },
+    );
+
+  if (plan.items.length === 0) {
+    return edit(formatWithdrawReport(title, plan.skipped));
+  }
+
+  const total = plan.items.reduce((sum, item) => sum + item.amount, 0);
+  if (WithdrawalApprovalService.needsApproval(total)) {
+    let request;
+    try {
+      request = await WithdrawalApprovalService.createRequest({
+        scope,
+        network,
+        roomNumber,
+        items: plan.items,
+        actor: { id: ctx.from.id, username: ctx.from.username },
+      });
+    } catch (error) {
+      if (!WithdrawalApprovalService.isWithdrawalError(error)) throw error;
+      return edit(error.userMessage);
+    }
+    await WithdrawalApprovalService.attachMessage(
+      request,
+      ctx.chat.id,
+      statusMsg.message_id,
+    );
+    return edit(
+      `${WithdrawalApprovalService.formatRequest(
+        request,
+      )}\n\n⚠️ Withdrawals over ${config.WITHDRAWAL_APPROVAL_THRESHOLD} need ${
+        request.requiredApprovals
+      } admin approvals.`,
+      { reply_markup: WithdrawalApprovalService.keyboard(request) },
+    );
+  }
+
+  await edit(`⏳ Withdrawing from ${plan.items.length} vault(s)...`);
+  const results = await executeVaultSweeps(plan.items);
+  await AuditService.recordFromCtx(ctx, {
+    action: "treasury.sweep",
+    after: { scope, network, roomNumber, results },
+    txHashes: results.map((result) => result.transactionHash),
+  });
+  return edit(formatWithdrawReport(title, [...results, ...plan.skipped]));
+}
+
 /**
  * Validates and consolidates withdrawals for a network
  */
@@ -2447,13 +3059,9 @@ async function handleWithdrawAll(ctx, network) {
     // BlockchainService is a singleton, no need to instantiate
     const bs = BlockchainService;
 
-    const totalFeeTokens = {};
-    const surplusSweeps = [];
-
+    const vaults = [];
     for (const contract of contracts) {
-      const decimals = bs.getTokenDecimals(contract.token, network);
-
-      // Consolidated Withdrawal: Sweep entire balance to Fee Wallet
+      // Consolidated Withdrawal: Sweep surplus balance to Fee Wallet
       // Priorities: 1. Contract's Fee Wallet 2. Config Fee Wallet
 
       let targetWallet = null;
@@ -2475,95 +3083,186 @@ async function handleWithdrawAll(ctx, network) {
       }
 
       if (targetWallet) {
-        try {
-          // Check balance first
-          const contractBalance = await bs.getTokenBalance(
-            contract.token,
-            network,
-            contract.address,
-          );
+        vaults.push({
+          token: contract.token,
+          network,
+          address: contract.address,
+          targetWallet,
+        });
+      }
+    }
 
-          if (contractBalance > 0) {
-            const result = await bs.withdrawToken(
-              contract.token,
-              network,
-              contract.address,
-              targetWallet,
-            );
+    // Work out what every vault can give up before touching any of them
+    const plan = await planVaultSweeps(vaults);
 
-            if (result.success) {
-              // Log as fee withdrawal for reporting
-              const amt = parseFloat(result.amount || contractBalance);
-              totalFeeTokens[contract.token] =
-                (totalFeeTokens[contract.token] || 0) + amt;
-
-              // Also add to surplus list for detailed TX log
-              surplusSweeps.push({
-                token: contract.token,
-                amount: amt,
-                tx: result.transactionHash,
-              });
-            }
-          }
-        } catch (e) {
-          console.error(`Error sweeping ${contract.token}:`, e.message);
-        }
-      }
+    await withdrawOrRequestApproval(ctx, statusMsg, plan, {
+      scope: "all",
+      network,
+      title: `${network} FEE WITHDRAWAL REPORT`,
+    });
+  } catch (error) {
+    console.error("Error in withdraw all:", error);
+    ctx.reply(`❌ Error: ${error.message}`);
+  }
+}
+
+async function executeApprovedWithdrawal(request) {
+  const results = await executeVaultSweeps(request.items);
+  const title =
+    request.scope === "room"
+      ? `WITHDRAW #${request.requestNumber} - MM ROOM ${request.roomNumber}`
+      : `${request.network} WITHDRAWAL #${request.requestNumber}`;
+  return { results, report: formatWithdrawReport(title, results) };
+}
+
+WithdrawalApprovalService.registerExecutor("all", executeApprovedWithdrawal);
+WithdrawalApprovalService.registerExecutor("room", executeApprovedWithdrawal);
 
-      // 3. Rate Limit Protection
-      // TRON requires slower pacing due to aggressive rate limits on free nodes
-      const delay = network.toUpperCase().includes("TRON") ? 5000 : 200;
-      // console.log(`[Admin] Processed ${contract.address} (${contract.token}). Waiting ${delay}ms...`);
-      await new Promise((resolve) => setTimeout(resolve, delay));
+/**
+ * List recent withdrawal requests with their approvals
+ * Usage: /admin_withdrawals [limit]
+ */
+async function adminWithdrawals(ctx) {
+  try {
+    if (!hasPermission(ctx, "stats.view")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
     }
 
-    let report = `💸 <b>${network} FEE WITHDRAWAL REPORT</b>\n\n`;
+    const parts = ctx.message.text.trim().split(/\s+/);
+    const limit = parts[1] ? parseInt(parts[1], 10) || 10 : 10;
+    const requests = await WithdrawalApprovalService.listRecent(limit);
+    if (requests.length === 0) {
+      return ctx.reply("📭 No withdrawal requests yet.");
+    }
+
+    let message = `🏦 <b>WITHDRAWAL REQUESTS</b>\n\n`;
+    requests.forEach((request) => {
+      const approvers = request.approvals
+        .map((a) => (a.adminUsername ? `@${a.adminUsername}` : a.adminId))
+        .join(", ");
+      message += `<b>#${request.requestNumber}</b> ${request.status} - ${
+        request.scope === "room"
+          ? `Room ${request.roomNumber}`
+          : `all ${request.network}`
+      }, ${request.totalAmount.toFixed(4)}\n`;
+      message += `   ${request.approvals.length}/${request.requiredApprovals} approved by ${approvers}\n`;
+      const last = request.audit[request.audit.length - 1];
+      if (last) {
+        message += `   Last: ${last.action}${
+          last.actorUsername ? ` by @${last.actorUsername}` : ""
+        } at ${last.at.toISOString()}\n`;
+      }
+    });
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error listing withdrawal requests:", error);
+    ctx.reply("❌ Error listing withdrawal requests.");
+  }
+}
 
-    // Fees Section
-    const feeTokens = Object.keys(totalFeeTokens);
-    if (feeTokens.length > 0) {
-      report += `💰 <b>Fees Withdrawn:</b>\n`;
-      feeTokens.forEach((t) => {
-        report += `• ${totalFeeTokens[t].toFixed(4)} ${t}\n`;
-      });
-    } else {
-      report += `💰 <b>Fees Withdrawn:</b> None\n`;
+/**
+ * List admins with their roles and what each role can do
+ * Usage: /admin_roles
+ */
+async function adminRoles(ctx) {
+  try {
+    if (!hasPermission(ctx, "admins.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const admins = await AdminService.list();
+    let message = `👑 <b>ADMINS</b>\n\n`;
+    if (admins.length === 0) {
+      message += "No admins stored yet.\n";
     }
+    admins.forEach((admin) => {
+      message += `• ${AdminService.formatAdmin(admin)}\n`;
+    });
 
-    report += `\n`;
+    message += `\n<b>Roles:</b>\n`;
+    AdminService.ROLES.forEach((role) => {
+      message += `• <b>${role}</b>: ${AdminService.ROLE_PERMISSIONS[role].join(
+        ", ",
+      )}\n`;
+    });
 
-    // Surplus Section
-    if (surplusSweeps.length > 0) {
-      report += `🧹 <b>Surplus Swept:</b>\n`;
-      surplusSweeps.forEach((item) => {
-        const txDisplay = item.tx
-          ? ` (<a href="https://bscscan.com/tx/${item.tx}">TX</a>)`
-          : "";
-        // Note: Link format depends on network, generalizing:
-        report += `• ${item.amount.toFixed(4)} ${item.token} (TX: <code>${
-          item.tx
-        }</code>)\n`;
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error listing admins:", error);
+    ctx.reply("❌ Error listing admins.");
+  }
+}
+
+/**
+ * Grant or revoke an admin role
+ * Usage: /admin_grant <userId|@username> <role>
+ *        /admin_revoke <userId|@username> <role|all>
+ */
+async function changeAdminRole(ctx, action) {
+  const usage =
+    action === "grant"
+      ? `Usage: <code>/admin_grant &lt;userId|@username&gt; &lt;role&gt;</code>\nRoles: ${AdminService.ROLES.join(
+          ", ",
+        )}`
+      : `Usage: <code>/admin_revoke &lt;userId|@username&gt; &lt;role|all&gt;</code>\nRoles: ${AdminService.ROLES.join(
+          ", ",
+        )}`;
+  try {
+    if (!hasPermission(ctx, "admins.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [targetArg, roleArg] = ctx.message.text.trim().split(/\s+/).slice(1);
+    const target = AdminService.parseTarget(targetArg);
+    if (!target || !roleArg) {
+      return ctx.reply(`❌ Invalid arguments.\n\n${usage}`, {
+        parse_mode: "HTML",
       });
-    } else {
-      report += `🧹 <b>Surplus Swept:</b> None`;
     }
 
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      statusMsg.message_id,
-      null,
-      report,
-      { parse_mode: "HTML", disable_web_page_preview: true },
+    const actor = { id: ctx.from.id, username: ctx.from.username };
+    const role = roleArg.toLowerCase();
+    const admin =
+      action === "grant"
+        ? await AdminService.grant(target, role, actor)
+        : await AdminService.revoke(target, role, actor);
+
+    await ctx.reply(
+      `✅ ${
+        action === "grant" ? "Granted" : "Revoked"
+      } <b>${role}</b>\n\n${AdminService.formatAdmin(admin)}`,
+      { parse_mode: "HTML" },
     );
   } catch (error) {
-    console.error("Error in withdraw all:", error);
-    ctx.reply(`❌ Error: ${error.message}`);
+    if (AdminService.isAdminError(error)) {
+      return ctx.reply(error.userMessage, { parse_mode: "HTML" });
+    }
+    console.error(`Error in admin ${action}:`, error);
+    ctx.reply(`❌ Error updating admin roles.`);
   }
 }
 
+async function adminGrant(ctx) {
+  await changeAdminRole(ctx, "grant");
+}
+
+async function adminRevoke(ctx) {
+  await changeAdminRole(ctx, "revoke");
+}
+
 // ============= BROADCAST COMMAND =============
-// In-memory state to track pending broadcast from admin
-const pendingBroadcasts = new Map();
+// How long /broadcast waits for the message to send
+const BROADCAST_PENDING_TTL_MS = 5 * 60 * 1000;
+
+function broadcastPendingQuery(userId) {
+  return {
+    telegramId: userId,
+    broadcastPendingAt: {
+      $gt: new Date(Date.now() - BROADCAST_PENDING_TTL_MS),
+    },
+  };
+}
 
 /**
  * Admin broadcast command - Sends a message to all users via DM
@@ -2582,13 +3281,16 @@ async function adminBroadcast(ctx) {
     }
 
     // Check if user is admin
-    const adminCheck = await isAdmin(ctx);
-    if (!adminCheck) {
+    if (!hasPermission(ctx, "broadcast.send")) {
       return ctx.reply("❌ Only admins can use this command.");
     }
 
     // Set pending broadcast state for this admin
-    pendingBroadcasts.set(userId, { waiting: true, timestamp: Date.now() });
+    await User.updateOne(
+      { telegramId: userId },
+      { $set: { broadcastPendingAt: new Date() } },
+      { upsert: true },
+    );
 
     await ctx.reply(
       "📢 <b>Broadcast Mode</b>\n\n" +
@@ -2614,22 +3316,20 @@ async function handleBroadcastMessage(ctx) {
     // Only handle DM messages
     if (chatId !== userId) return false;
 
-    // Check if this user has a pending broadcast
-    const pending = pendingBroadcasts.get(userId);
-    if (!pending || !pending.waiting) return false;
+    // Clear pending state; only the instance that clears it sends, so a
+    // redelivered update is not broadcast twice
+    const pending = await User.findOneAndUpdate(broadcastPendingQuery(userId), {
+      $set: { broadcastPendingAt: null },
+    });
+    if (!pending) return false;
 
     // Check for cancel command
     if (ctx.message.text === "/cancel") {
-      pendingBroadcasts.delete(userId);
       await ctx.reply("❌ Broadcast cancelled.");
       return true;
     }
 
-    // Clear pending state
-    pendingBroadcasts.delete(userId);
-
     // Get all users from database
-    const User = require("../models/User");
     const allUsers = await User.find({
       telegramId: { $exists: true, $ne: null },
       isBlocked: { $ne: true },
@@ -2684,6 +3384,18 @@ async function handleBroadcastMessage(ctx) {
       await new Promise((resolve) => setTimeout(resolve, 50));
     }
 
+    await AuditService.recordFromCtx(ctx, {
+      action: "broadcast.send",
+      command: "/broadcast",
+      after: {
+        kind: ctx.message.photo ? "photo" : "text",
+        total: allUsers.length,
+        successCount,
+        failCount,
+      },
+      note: (ctx.message.text || ctx.message.caption || "").slice(0, 500),
+    });
+
     await ctx.reply(
       `✅ <b>Broadcast Complete!</b>\n\n` +
         `📤 Sent: ${successCount}\n` +
@@ -2695,7 +3407,6 @@ async function handleBroadcastMessage(ctx) {
     return true;
   } catch (error) {
     console.error("Error in handleBroadcastMessage:", error);
-    pendingBroadcasts.delete(ctx.from?.id);
     await ctx.reply("❌ An error occurred during broadcast.");
     return true;
   }
@@ -2704,15 +3415,7 @@ async function handleBroadcastMessage(ctx) {
 /**
  * Check if user has pending broadcast (for middleware use)
  */
-function hasPendingBroadcast(userId) {
-  const pending = pendingBroadcasts.get(userId);
-  if (!pending) return false;
-
-  // Expire after 5 minutes
-  if (Date.now() - pending.timestamp > 5 * 60 * 1000) {
-    pendingBroadcasts.delete(userId);
-    return false;
-  }
-
-  return pending.waiting;
+async function hasPendingBroadcast(userId) {
+  // Expires after 5 minutes
+  return !!(await User.exists(broadcastPendingQuery(userId)));
 }
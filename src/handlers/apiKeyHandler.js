@@ -0,0 +1,93 @@
+const ApiKeyService = require("../services/ApiKeyService");
+const AuditService = require("../services/AuditService");
+const config = require("../../config");
+const { isAdmin } = require("../middleware/adminAuth");
+
+const USAGE =
+  "Usage:\n<code>/admin_api_key create &lt;name&gt;</code> - new key for the HTTP admin API\n<code>/admin_api_key list</code> - active keys\n<code>/admin_api_key revoke &lt;keyId&gt;</code> - revoke a key";
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function formatKey(apiKey) {
+  const owner = apiKey.username
+    ? `@${escapeHtml(apiKey.username)}`
+    : `<code>${apiKey.telegramId}</code>`;
+  const lastUsed = apiKey.lastUsedAt
+    ? apiKey.lastUsedAt.toISOString()
+    : "never";
+  return `• <code>${escapeHtml(apiKey.prefix)}</code> ${escapeHtml(
+    apiKey.name,
+  )} - ${owner}, last used ${lastUsed}`;
+}
+
+/**
+ * Manage keys for the HTTP admin API. Keys act with the roles of the admin
+ * who created them. Private chat only, since a new key is shown in the reply.
+ * Usage: /admin_api_key create <name> | list | revoke <keyId>
+ */
+async function adminApiKey(ctx) {
+  try {
+    if (!isAdmin(ctx)) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+    if (ctx.chat.type !== "private") {
+      return ctx.reply("❌ Manage API keys in a private chat with the bot.");
+    }
+
+    const [action, ...args] = ctx.message.text.trim().split(/\s+/).slice(1);
+    const actor = AuditService.actorFromCtx(ctx);
+
+    switch ((action || "").toLowerCase()) {
+      case "create": {
+        const { apiKey, key } = await ApiKeyService.create(
+          actor,
+          args.join(" "),
+        );
+        let message = `🔑 <b>API key created</b> - ${escapeHtml(
+          apiKey.name,
+        )}\n\n<code>${key}</code>\n\n⚠️ This is the only time the key is shown. Send it as <code>Authorization: Bearer &lt;key&gt;</code>.`;
+        if (!config.HTTP_PORT) {
+          message += "\n\nℹ️ The HTTP API is off until HTTP_PORT is set.";
+        }
+        return ctx.reply(message, { parse_mode: "HTML" });
+      }
+      case "revoke": {
+        if (!args[0]) {
+          return ctx.reply(USAGE, { parse_mode: "HTML" });
+        }
+        const apiKey = await ApiKeyService.revoke(actor, args[0]);
+        return ctx.reply(
+          `✅ Revoked key <code>${escapeHtml(apiKey.prefix)}</code>.`,
+          { parse_mode: "HTML" },
+        );
+      }
+      case "list": {
+        const keys = await ApiKeyService.list(actor);
+        if (keys.length === 0) {
+          return ctx.reply("📭 No active API keys.");
+        }
+        return ctx.reply(
+          `🔑 <b>API KEYS</b>\n\n${keys.map(formatKey).join("\n")}`,
+          { parse_mode: "HTML" },
+        );
+      }
+      default:
+        return ctx.reply(USAGE, { parse_mode: "HTML" });
+    }
+  } catch (error) {
+    if (ApiKeyService.isApiKeyError(error)) {
+      return ctx.reply(error.userMessage);
+    }
+    console.error("Error managing API keys:", error);
+    ctx.reply("❌ Error managing API keys.");
+  }
+}
+
+module.exports = {
+  adminApiKey,
+};
@@ -0,0 +1,212 @@
+const AuditService = require("../services/AuditService");
+const AdminService = require("../services/AdminService");
+const { hasPermission } = require("../middleware/adminAuth");
+
+const FILTER_USAGE =
+  "Filters: <code>admin &lt;userId|@username&gt;</code>, <code>escrow &lt;escrowId&gt;</code>, <code>action &lt;name&gt;</code>, <code>from YYYY-MM-DD</code>, <code>to YYYY-MM-DD</code>";
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function parseDate(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text || "")) return null;
+  const date = new Date(`${text}T00:00:00.000Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse "admin @bob escrow ABC123 from 2026-01-01 to 2026-01-31 limit 50"
+ * @returns {{filters:Object, limit:number|null}|{error:string}}
+ */
+function parseFilters(args) {
+  const filters = {};
+  let limit = null;
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = (args[i] || "").toLowerCase();
+    const value = args[i + 1];
+    if (!value) return { error: `Missing value for "${key}"` };
+
+    if (key === "admin") {
+      const target = AdminService.parseTarget(value);
+      if (!target) return { error: `Invalid admin "${value}"` };
+      if (target.telegramId) filters.actorId = target.telegramId;
+      else filters.actorUsername = target.username;
+    } else if (key === "escrow") {
+      filters.escrowId = value;
+    } else if (key === "action") {
+      filters.action = value;
+    } else if (key === "from" || key === "to") {
+      const date = parseDate(value);
+      if (!date) return { error: `Invalid date "${value}" (use YYYY-MM-DD)` };
+      // "to" includes the whole day
+      filters[key] =
+        key === "to" ? new Date(date.getTime() + 24 * 60 * 60 * 1000) : date;
+    } else if (key === "limit") {
+      limit = parseInt(value, 10);
+      if (!limit || limit < 1) return { error: `Invalid limit "${value}"` };
+    } else {
+      return { error: `Unknown filter "${key}"` };
+    }
+  }
+
+  return { filters, limit };
+}
+
+function formatEntry(entry) {
+  const who = entry.actorUsername
+    ? `@${escapeHtml(entry.actorUsername)}`
+    : entry.actorId
+    ? `<code>${entry.actorId}</code>`
+    : escapeHtml(entry.actorRole || "system");
+
+  let text = `<b>#${entry.sequence}</b> ${escapeHtml(entry.action)} by ${who}`;
+  text += `\n   ${entry.createdAt.toISOString()}`;
+  if (entry.command) text += ` - <code>${escapeHtml(entry.command)}</code>`;
+  if (entry.escrowId) {
+    text += `\n   Escrow: <code>${escapeHtml(entry.escrowId)}</code>`;
+  }
+  if (entry.before?.status || entry.after?.status) {
+    text += `\n   Status: ${escapeHtml(
+      entry.before?.status || "-",
+    )} → ${escapeHtml(entry.after?.status || "-")}`;
+  }
+  entry.txHashes.forEach((hash) => {
+    text += `\n   Tx: <code>${escapeHtml(hash)}</code>`;
+  });
+  if (entry.note) text += `\n   ${escapeHtml(entry.note.slice(0, 200))}`;
+  return text;
+}
+
+/**
+ * Recent audit entries, newest first
+ * Usage: /admin_audit [admin <id|@user>] [escrow <id>] [action <name>] [from YYYY-MM-DD] [to YYYY-MM-DD] [limit N]
+ */
+async function adminAudit(ctx) {
+  try {
+    if (!hasPermission(ctx, "audit.view")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const parsed = parseFilters(ctx.message.text.trim().split(/\s+/).slice(1));
+    if (parsed.error) {
+      return ctx.reply(`❌ ${escapeHtml(parsed.error)}\n\n${FILTER_USAGE}`, {
+        parse_mode: "HTML",
+      });
+    }
+
+    const limit = Math.min(parsed.limit || 10, 30);
+    const entries = await AuditService.find(parsed.filters, limit);
+    if (entries.length === 0) {
+      return ctx.reply("📭 No audit entries match.");
+    }
+
+    let message = `🧾 <b>AUDIT LOG</b> (latest ${entries.length})\n\n`;
+    message += entries.map(formatEntry).join("\n\n");
+    message += `\n\n💡 <code>/admin_audit_export csv|json [filters]</code> for the full list`;
+    await ctx.reply(message, {
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+    });
+  } catch (error) {
+    console.error("Error listing audit log:", error);
+    ctx.reply("❌ Error loading the audit log.");
+  }
+}
+
+/**
+ * Export matching audit entries as a file
+ * Usage: /admin_audit_export <csv|json> [filters]
+ */
+async function adminAuditExport(ctx) {
+  try {
+    if (!hasPermission(ctx, "audit.view")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [formatArg, ...args] = ctx.message.text.trim().split(/\s+/).slice(1);
+    const format = (formatArg || "").toLowerCase();
+    if (format !== "csv" && format !== "json") {
+      return ctx.reply(
+        `Usage: <code>/admin_audit_export csv|json [filters]</code>\n\n${FILTER_USAGE}`,
+        { parse_mode: "HTML" },
+      );
+    }
+
+    const parsed = parseFilters(args);
+    if (parsed.error) {
+      return ctx.reply(`❌ ${escapeHtml(parsed.error)}\n\n${FILTER_USAGE}`, {
+        parse_mode: "HTML",
+      });
+    }
+
+    const entries = await AuditService.find(parsed.filters, parsed.limit);
+    if (entries.length === 0) {
+      return ctx.reply("📭 No audit entries match.");
+    }
+
+    const content =
+      format === "csv"
+        ? AuditService.toCsv(entries)
+        : AuditService.toJson(entries);
+    const filename = `audit-log-${new Date()
+      .toISOString()
+      .replace(/[:.]/g, "-")}.${format}`;
+
+    await ctx.replyWithDocument(
+      { source: Buffer.from(content, "utf8"), filename },
+      {
+        caption: `🧾 Audit log export: ${entries.length} entr${
+          entries.length === 1 ? "y" : "ies"
+        } (#${entries[entries.length - 1].sequence} to #${
+          entries[0].sequence
+        })`,
+      },
+    );
+  } catch (error) {
+    console.error("Error exporting audit log:", error);
+    ctx.reply("❌ Error exporting the audit log.");
+  }
+}
+
+/**
+ * Recompute the hash chain and report the first broken entry
+ * Usage: /admin_audit_verify
+ */
+async function adminAuditVerify(ctx) {
+  try {
+    if (!hasPermission(ctx, "audit.view")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const statusMsg = await ctx.reply("⏳ Verifying audit log...");
+    const result = await AuditService.verify();
+    const text = result.ok
+      ? `✅ <b>Audit log intact</b>\n\n${result.checked} entries verified.\nHead hash: <code>${result.headHash}</code>\n\nCompare the head hash with one noted earlier to detect removed recent entries.`
+      : `🚨 <b>Audit log tampered</b>\n\nEntry #${
+          result.brokenAt
+        }: ${escapeHtml(result.reason)}\n${
+          result.checked
+        } entries before it are intact.`;
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      null,
+      text,
+      { parse_mode: "HTML" },
+    );
+  } catch (error) {
+    console.error("Error verifying audit log:", error);
+    ctx.reply("❌ Error verifying the audit log.");
+  }
+}
+
+module.exports = {
+  adminAudit,
+  adminAuditExport,
+  adminAuditVerify,
+};
@@ -10,6 +10,10 @@ const config = require("../../config");
 const images = require("../config/images");
 const UserStatsService = require("../services/UserStatsService");
 const CompletionFeedService = require("../services/CompletionFeedService");
+const DepositWatcherService = require("../services/DepositWatcherService");
+const VaultLedgerService = require("../services/VaultLedgerService");
+const LedgerService = require("../services/LedgerService");
+const EscrowStateService = require("../services/EscrowStateService");
 const feeConfig = require("../config/feeConfig");
 const {
   getParticipants,
@@ -19,8 +23,10 @@ const {
 const findGroupEscrow = require("../utils/findGroupEscrow");
 const { getAddressExample } = require("../utils/addressValidation");
 const { safeAnswerCbQuery } = require("../utils/telegramUtils");
-
-const groupRecyclingTimers = new Map();
+const { hasPermission } = require("../middleware/adminAuth");
+const AdminService = require("../services/AdminService");
+const JobQueueService = require("../services/JobQueueService");
+const PayoutService = require("../services/PayoutService");
 
 /**
  * Update the "Trade started" message in the main group with completion details
@@ -121,95 +127,146 @@ async function updateTradeStartedMessage(
   }
 }
 
-async function scheduleGroupRecycling(escrowId, telegram) {
-  if (!escrowId || !telegram) {
+async function scheduleGroupRecycling(escrowId) {
+  if (!escrowId) {
     return;
   }
 
-  if (groupRecyclingTimers.has(escrowId)) {
-    return; // Recycling already scheduled
+  // One recycle per escrow; a second request keeps the pending job
+  await JobQueueService.enqueue(
+    "group.recycle_after_close",
+    { escrowId },
+    {
+      delayMs: 5 * 60 * 1000,
+      dedupeKey: `group.recycle_after_close:${escrowId}`,
+    },
+  );
+}
+
+async function recycleGroupAfterClose({ escrowId }, { telegram }) {
+  const finalEscrow = await Escrow.findOne({ escrowId });
+  if (!finalEscrow) {
+    return;
   }
 
-  const timeoutId = setTimeout(async () => {
-    groupRecyclingTimers.delete(escrowId);
-    try {
-      const finalEscrow = await Escrow.findOne({ escrowId });
-      if (!finalEscrow) {
-        return;
+  const group = await GroupPool.findOne({
+    assignedEscrowId: finalEscrow.escrowId,
+  });
+
+  if (group) {
+    const allUsersRemoved = await GroupPoolService.removeUsersFromGroup(
+      finalEscrow,
+      group.groupId,
+      telegram,
+    );
+
+    if (allUsersRemoved) {
+      try {
+        await GroupPoolService.refreshInviteLink(group.groupId, telegram);
+      } catch (refreshError) {
+        console.error(
+          "Error refreshing invite link during recycling:",
+          refreshError,
+        );
       }
 
-      const group = await GroupPool.findOne({
-        assignedEscrowId: finalEscrow.escrowId,
-      });
+      group.status = "available";
+      group.assignedEscrowId = null;
+      group.assignedAt = null;
+      group.completedAt = null;
+      await group.save();
 
-      if (group) {
-        const allUsersRemoved = await GroupPoolService.removeUsersFromGroup(
-          finalEscrow,
-          group.groupId,
-          telegram,
+      try {
+        await telegram.sendMessage(
+          finalEscrow.groupId,
+          "✅ Group has been recycled and is ready for a new trade.",
         );
+      } catch (sendError) {
+        console.error("Error sending recycled notification:", sendError);
+      }
+    } else {
+      group.status = "completed";
+      group.assignedEscrowId = null;
+      group.assignedAt = null;
+      group.completedAt = new Date();
+      await group.save();
 
-        if (allUsersRemoved) {
-          try {
-            await GroupPoolService.refreshInviteLink(group.groupId, telegram);
-          } catch (refreshError) {
-            console.error(
-              "Error refreshing invite link during recycling:",
-              refreshError,
-            );
-          }
+      try {
+        await telegram.sendMessage(
+          finalEscrow.groupId,
+          "✅ Trade closed successfully! Both parties have confirmed. Note: Some users could not be removed from the group.",
+        );
+      } catch (sendError) {
+        console.error(
+          "Error sending partial recycling notification:",
+          sendError,
+        );
+      }
+    }
+  } else {
+    try {
+      await telegram.sendMessage(
+        finalEscrow.groupId,
+        "✅ Trade closed successfully! Both parties have confirmed.",
+      );
+    } catch (sendError) {
+      console.error("Error sending completion notification:", sendError);
+    }
+  }
+}
 
-          group.status = "available";
-          group.assignedEscrowId = null;
-          group.assignedAt = null;
-          group.completedAt = null;
-          await group.save();
+async function scheduleSettleAndRecycle(escrowId) {
+  if (!escrowId) {
+    return;
+  }
 
-          try {
-            await telegram.sendMessage(
-              finalEscrow.groupId,
-              "✅ Group has been recycled and is ready for a new trade.",
-            );
-          } catch (sendError) {
-            console.error("Error sending recycled notification:", sendError);
-          }
-        } else {
-          group.status = "completed";
-          group.assignedEscrowId = null;
-          group.assignedAt = null;
-          group.completedAt = new Date();
-          await group.save();
+  await JobQueueService.enqueue(
+    "group.settle_and_recycle",
+    { escrowId },
+    {
+      delayMs: 5 * 60 * 1000,
+      dedupeKey: `group.settle_and_recycle:${escrowId}`,
+    },
+  );
+}
 
-          try {
-            await telegram.sendMessage(
-              finalEscrow.groupId,
-              "✅ Trade closed successfully! Both parties have confirmed. Note: Some users could not be removed from the group.",
-            );
-          } catch (sendError) {
-            console.error(
-              "Error sending partial recycling notification:",
-              sendError,
-            );
-          }
-        }
-      } else {
-        try {
-          await telegram.sendMessage(
-            finalEscrow.groupId,
-            "✅ Trade closed successfully! Both parties have confirmed.",
-          );
-        } catch (sendError) {
-          console.error("Error sending completion notification:", sendError);
-        }
+async function settleAndRecycleGroup({ escrowId }, { telegram }) {
+  const escrow = await Escrow.findOne({ escrowId });
+  if (!escrow) {
+    return;
+  }
+
+  const group = await GroupPool.findOne({
+    assignedEscrowId: escrow.escrowId,
+  });
+
+  if (group) {
+    const allUsersRemoved = await GroupPoolService.removeUsersFromGroup(
+      escrow,
+      group.groupId,
+      telegram,
+    );
+
+    if (allUsersRemoved) {
+      if (escrow.inviteLink) {
+        escrow.inviteLink = null;
+        await escrow.save();
       }
-    } catch (error) {
-      console.error("Error recycling group after delay:", error);
-    }
-  }, 5 * 60 * 1000);
 
-  groupRecyclingTimers.set(escrowId, timeoutId);
+      await GroupPoolService.refreshInviteLink(group.groupId, telegram);
+
+      group.status = "available";
+      group.assignedEscrowId = null;
+      group.assignedAt = null;
+      group.completedAt = null;
+      await group.save();
+    }
+  }
 }
 
+JobQueueService.register("group.recycle_after_close", recycleGroupAfterClose);
+JobQueueService.register("group.settle_and_recycle", settleAndRecycleGroup);
+
 async function recycleGroupImmediately(escrow, telegram) {
   try {
     if (!escrow || !telegram) {
@@ -276,7 +333,7 @@ async function announceAndScheduleRecycling(escrow, ctx, messageText) {
     console.error("Error sending recycling announcement:", sendError);
   }
 
-  await scheduleGroupRecycling(escrow.escrowId, ctx.telegram);
+  await scheduleGroupRecycling(escrow.escrowId);
 }
 
 /**
@@ -1066,7 +1123,12 @@ ${approvalStatus}`;
           updatedEscrow.depositAddress = addressInfo.address;
           updatedEscrow.uniqueDepositAddress = addressInfo.address;
           updatedEscrow.contractAddress = addressInfo.contractAddress;
-          updatedEscrow.status = "awaiting_deposit";
+          EscrowStateService.transition(
+            updatedEscrow,
+            "awaiting_deposit",
+            EscrowStateService.actorFromCtx(ctx, updatedEscrow),
+            "deal confirmed, deposit address assigned",
+          );
           await updatedEscrow.save();
 
           const tokenLabel = (updatedEscrow.token || "USDT").toUpperCase();
@@ -1278,7 +1340,12 @@ Once you’ve sent the amount, tap the button below.`;
         updatedEscrow.tradeDetailsStep === "step4_chain_coin"
       ) {
         updatedEscrow.tradeDetailsStep = "step5_buyer_address";
-        updatedEscrow.status = "draft";
+        EscrowStateService.transition(
+          updatedEscrow,
+          "draft",
+          EscrowStateService.actorFromCtx(ctx, updatedEscrow),
+          "chain and coin selected",
+        );
         await updatedEscrow.save();
 
         const buyerUsername = updatedEscrow.buyerUsername
@@ -1315,9 +1382,7 @@ Once you’ve sent the amount, tap the button below.`;
 
       const isBuyer = escrow.buyerId === userId;
       const isSeller = escrow.sellerId === userId;
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "trades.settle");
 
       if (!isBuyer && !isSeller && !isAdmin) {
         return safeAnswerCbQuery(
@@ -1398,121 +1463,19 @@ Once you’ve sent the amount, tap the button below.`;
         return ctx.reply("❌ No active deposit address found.");
       }
 
-      if (!escrow.depositAddress) {
-        return ctx.reply("❌ Deposit address missing.");
-      }
-
-      const checkAddress = escrow.depositAddress;
-
-      const lastCheckedBlock = escrow.lastCheckedBlock || 0;
-      let txs = await BlockchainService.getTokenTransfersViaRPC(
-        escrow.token,
-        escrow.chain,
-        checkAddress,
-        lastCheckedBlock,
-      );
-      if (!txs || txs.length === 0) {
-        txs = await BlockchainService.getTokenTransactions(
-          escrow.token,
-          escrow.chain,
-          checkAddress,
-        );
-      }
-
-      const sellerAddr = (escrow.sellerAddress || "").toLowerCase();
-      const vaultAddr = checkAddress.toLowerCase();
-
-      const newDeposits = (txs || []).filter((tx) => {
-        const from = (tx.from || "").toLowerCase();
-        const to = (tx.to || "").toLowerCase();
-
-        if (to !== vaultAddr) return false;
-
-        const hash = tx.hash;
-        if (!hash) return true;
-
-        if (
-          escrow.transactionHash &&
-          escrow.transactionHash.toLowerCase() === hash.toLowerCase()
-        ) {
-          return false;
-        }
-
-        if (
-          escrow.partialTransactionHashes &&
-          escrow.partialTransactionHashes.some(
-            (h) => h.toLowerCase() === hash.toLowerCase(),
-          )
-        ) {
-          return false;
-        }
-
-        return true;
-      });
-
-      const newAmount = newDeposits.reduce(
-        (sum, tx) => sum + Number(tx.valueDecimal),
-        0,
+      const result = await DepositWatcherService.checkEscrow(
+        escrow,
+        ctx.telegram,
       );
-      const previousAmount = escrow.depositAmount;
-      const totalAmount = previousAmount + newAmount;
-
-      if (newAmount > 0) {
-        try {
-          const latest = await BlockchainService.getLatestBlockNumber(
-            escrow.chain,
-          );
-          if (latest) escrow.lastCheckedBlock = latest;
-        } catch {}
-
-        for (const tx of newDeposits) {
-          const hash = tx.hash;
-          if (!hash) continue;
-
-          if (!escrow.transactionHash) {
-            escrow.transactionHash = hash;
-            escrow.depositTransactionFromAddress = tx.from;
-          } else {
-            if (!escrow.partialTransactionHashes)
-              escrow.partialTransactionHashes = [];
-            if (
-              !escrow.partialTransactionHashes.includes(hash) &&
-              escrow.transactionHash !== hash
-            ) {
-              escrow.partialTransactionHashes.push(hash);
-            }
-          }
-        }
-
-        escrow.depositAmount = totalAmount;
-        escrow.confirmedAmount = totalAmount;
-        escrow.status = "deposited";
-        await escrow.save();
 
+      if (!result) {
+        await ctx.reply("⏳ A deposit check is already running for this trade.");
+      } else if (result.seenAmount > 0 || result.creditedAmount > 0) {
+        // Already announced in the room by the watcher
+      } else if (result.confirmingAmount > 0) {
         await ctx.reply(
-          `✅ Deposit confirmed: ${newAmount.toFixed(2)} ${escrow.token}`,
+          `⏳ ${result.confirmingAmount.toFixed(2)} ${escrow.token} is still waiting for network confirmations. It will be credited automatically.`,
         );
-
-        if (escrow.buyerId) {
-          await ctx.telegram.sendMessage(
-            escrow.groupId,
-            `💸 Buyer ${
-              escrow.buyerUsername
-                ? "@" + escrow.buyerUsername
-                : "[" + escrow.buyerId + "]"
-            }: Please send the agreed fiat amount to the seller via your agreed method and confirm below.`,
-            {
-              reply_markup: Markup.inlineKeyboard([
-                [
-                  Markup.button.callback(
-                    "✅ I have sent the money",
-                    `fiat_sent_buyer_${escrow.escrowId}`,
-                  ),
-                ],
-              ]).reply_markup,
-            },
-          );
-        }
       } else {
         await ctx.reply(
           "❌ No new deposit found yet. Please try again in a moment.",
@@ -1539,7 +1502,12 @@ Once you’ve sent the amount, tap the button below.`;
         }
 
         escrow.buyerSentFiat = true;
-        escrow.status = "in_fiat_transfer";
+        EscrowStateService.transition(
+          escrow,
+          "in_fiat_transfer",
+          EscrowStateService.actorFromCtx(ctx, escrow),
+          "buyer marked fiat as sent",
+        );
         await escrow.save();
 
         await safeAnswerCbQuery(ctx, "✅ Noted.");
@@ -1590,12 +1558,7 @@ Once you’ve sent the amount, tap the button below.`;
 
       if (escrow) {
         try {
-          const admins = (config.getAllAdminUsernames?.() || []).filter(
-            Boolean,
-          );
-          const adminMentions = admins.length
-            ? admins.map((u) => `@${u}`).join(" ")
-            : "Admin";
+          const adminMentions = AdminService.mentionFor("trades.settle");
           await ctx.telegram.sendMessage(
             escrow.groupId,
             `⚠️ Seller reported partial fiat payment for escrow ${escrowId}. ${adminMentions} please review and resolve.`,
@@ -1639,10 +1602,7 @@ Once you’ve sent the amount, tap the button below.`;
         );
       } else {
         await safeAnswerCbQuery(ctx, "⚠️ Issue reported.");
-        const admins = (config.getAllAdminUsernames?.() || []).filter(Boolean);
-        const adminMentions = admins.length
-          ? admins.map((u) => `@${u}`).join(" ")
-          : "Admin";
+        const adminMentions = AdminService.mentionFor("trades.settle");
         await ctx.telegram.sendMessage(
           escrow.groupId,
           `⚠️ Buyer reported not receiving tokens for escrow ${escrowId}. Transaction hash: ${
@@ -1680,12 +1640,7 @@ Once you’ve sent the amount, tap the button below.`;
         await safeAnswerCbQuery(ctx, "❌ Marked as not received");
 
         try {
-          const admins = (config.getAllAdminUsernames?.() || []).filter(
-            Boolean,
-          );
-          const adminMentions = admins.length
-            ? admins.map((u) => `@${u}`).join(" ")
-            : "Admin";
+          const adminMentions = AdminService.mentionFor("trades.settle");
           await ctx.telegram.sendMessage(
             escrow.groupId,
             `🚨 Seller reported no fiat received for escrow ${escrowId}. ${adminMentions} please review and resolve.`,
@@ -1779,11 +1734,7 @@ Once you’ve sent the amount, tap the button below.`;
         escrow.sellerUsername &&
         escrow.sellerUsername.toLowerCase() === normalizedUsername;
       const isSeller = Boolean(isSellerIdMatch || isSellerUsernameMatch);
-      const isAdmin =
-        config
-          .getAllAdminUsernames()
-          .some((name) => name && name.toLowerCase() === normalizedUsername) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "trades.settle");
 
       if (!isBuyer && !isSeller && !isAdmin) {
         return safeAnswerCbQuery(
@@ -1851,9 +1802,7 @@ Once you’ve sent the amount, tap the button below.`;
       }
 
       const userId = ctx.from.id;
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "trades.settle");
 
       if (!isAdmin) {
         return safeAnswerCbQuery(
@@ -1919,9 +1868,7 @@ Once you’ve sent the amount, tap the button below.`;
       }
 
       const userId = ctx.from.id;
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "trades.settle");
 
       if (!isAdmin) {
         return safeAnswerCbQuery(
@@ -1930,6 +1877,13 @@ Once you’ve sent the amount, tap the button below.`;
         );
       }
 
+      const releaseActor = EscrowStateService.actorFromCtx(ctx, escrow);
+      EscrowStateService.transition(
+        escrow,
+        "ready_to_release",
+        releaseActor,
+        "admin release confirmed",
+      );
       escrow.adminConfirmedRelease = true;
       await escrow.save();
 
@@ -2016,16 +1970,6 @@ Once you’ve sent the amount, tap the button below.`;
         );
       }
 
-      const releaseResult = await BlockchainService.releaseFunds(
-        updatedEscrow.token,
-        updatedEscrow.chain,
-        updatedEscrow.buyerAddress,
-        netAmount,
-        null,
-        updatedEscrow.groupId,
-        updatedEscrow.contractAddress,
-      );
-
       if (releaseAmount > formattedTotalDeposited) {
         return safeAnswerCbQuery(
           ctx,
@@ -2087,23 +2031,16 @@ Once you’ve sent the amount, tap the button below.`;
       } catch (e) {}
 
       try {
-        const networkFee = updatedEscrow.networkFee || 0;
-        const amountToRelease = releaseAmount - networkFee;
-
-        if (amountToRelease <= 0) {
-          throw new Error(
-            `Release amount (${amountToRelease}) after network fee (${networkFee}) is <= 0`,
-          );
-        }
-
-        const releaseResult = await BlockchainService.releaseFunds(
-          updatedEscrow.token,
-          updatedEscrow.chain,
+        const releaseResult = await PayoutService.releaseFunds(
+          updatedEscrow,
           updatedEscrow.buyerAddress,
-          amountToRelease,
-          amountWeiOverride,
-          updatedEscrow.groupId,
-          updatedEscrow.contractAddress,
+          netAmount,
+          null,
+          {
+            contractAddress: updatedEscrow.contractAddress,
+            actor: releaseActor,
+            fees: { serviceFee, networkFee },
+          },
         );
 
         if (!releaseResult || !releaseResult.success) {
@@ -2141,7 +2078,12 @@ Once you’ve sent the amount, tap the button below.`;
           if (!updatedEscrow.quantity || updatedEscrow.quantity <= 0) {
             updatedEscrow.quantity = releaseAmount;
           }
-          updatedEscrow.status = "completed";
+          EscrowStateService.transition(
+            updatedEscrow,
+            "completed",
+            releaseActor,
+            "admin release executed",
+          );
           updatedEscrow.completedAt = new Date();
           updatedEscrow.accumulatedDepositAmount = 0;
           updatedEscrow.depositAmount = 0;
@@ -2253,49 +2195,7 @@ Thank you for using our safe escrow system.`;
             releaseResult?.transactionHash || null,
           );
 
-          const settleAndRecycleGroup = async (escrow, telegram) => {
-            try {
-              const group = await GroupPool.findOne({
-                assignedEscrowId: escrow.escrowId,
-              });
-
-              if (group) {
-                const allUsersRemoved =
-                  await GroupPoolService.removeUsersFromGroup(
-                    escrow,
-                    group.groupId,
-                    telegram,
-                  );
-
-                if (allUsersRemoved) {
-                  const freshEscrow = await Escrow.findOne({
-                    escrowId: escrow.escrowId,
-                  });
-                  if (freshEscrow && freshEscrow.inviteLink) {
-                    freshEscrow.inviteLink = null;
-                    await freshEscrow.save();
-                  }
-
-                  await GroupPoolService.refreshInviteLink(
-                    group.groupId,
-                    telegram,
-                  );
-
-                  group.status = "available";
-                  group.assignedEscrowId = null;
-                  group.assignedAt = null;
-                  group.completedAt = null;
-                  await group.save();
-                }
-              }
-            } catch (error) {
-              console.error("Error settling and recycling group:", error);
-            }
-          };
-
-          setTimeout(async () => {
-            await settleAndRecycleGroup(finalEscrow, ctx.telegram);
-          }, 5 * 60 * 1000);
+          await scheduleSettleAndRecycle(finalEscrow.escrowId);
         }
 
         try {
@@ -2340,6 +2240,8 @@ Thank you for using our safe escrow system.`;
 The contract does not have enough funds to release ${releaseAmount} ${updatedEscrow.token}.
 <b>Available:</b> ${available} ${updatedEscrow.token}
 Please check the contract balance or top up the vault.`;
+        } else if (PayoutService.isPayoutError(releaseError)) {
+          errorMsg = releaseError.userMessage;
         }
         await ctx.reply(errorMsg, { parse_mode: "HTML" });
       }
@@ -2386,9 +2288,7 @@ Please check the contract balance or top up the vault.`;
       const userId = ctx.from.id;
       const isBuyer = Number(escrow.buyerId) === Number(userId);
       const isSeller = Number(escrow.sellerId) === Number(userId);
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(userId));
+      const isAdmin = hasPermission(ctx, "trades.settle");
 
       if (!isBuyer && !isSeller && !isAdmin) {
         return safeAnswerCbQuery(
@@ -2632,15 +2532,37 @@ ${approvalNote}`;
           return safeAnswerCbQuery(ctx, "❌ Net amount too small.");
         }
 
+        const releaseActor = EscrowStateService.actorFromCtx(
+          ctx,
+          updatedEscrow,
+        );
+        const releaseCheck = EscrowStateService.canTransition(
+          updatedEscrow,
+          "ready_to_release",
+          releaseActor,
+        );
+        if (!releaseCheck.allowed) {
+          return ctx.reply(`❌ Release not allowed: ${releaseCheck.reason}.`);
+        }
+        EscrowStateService.transition(
+          updatedEscrow,
+          "ready_to_release",
+          releaseActor,
+          adminApproved ? "release approved by admin" : "release approved",
+        );
+        await updatedEscrow.save();
+
         try {
-          const releaseResult = await BlockchainService.releaseFunds(
-            updatedEscrow.token,
-            updatedEscrow.chain,
+          const releaseResult = await PayoutService.releaseFunds(
+            updatedEscrow,
             updatedEscrow.buyerAddress,
             actualAmountToUser,
             null,
-            updatedEscrow.groupId,
-            updatedEscrow.contractAddress,
+            {
+              contractAddress: updatedEscrow.contractAddress,
+              actor: releaseActor,
+              fees: { serviceFee, networkFee },
+            },
           );
 
           if (!releaseResult || !releaseResult.success) {
@@ -2675,7 +2597,12 @@ ${approvalNote}`;
               if (!updatedEscrow.quantity || updatedEscrow.quantity <= 0) {
                 updatedEscrow.quantity = actualAmountToUser;
               }
-              updatedEscrow.status = "completed";
+              EscrowStateService.transition(
+                updatedEscrow,
+                "completed",
+                releaseActor,
+                "release executed",
+              );
               updatedEscrow.completedAt = new Date();
               updatedEscrow.buyerClosedTrade = false;
               updatedEscrow.sellerClosedTrade = false;
@@ -2703,7 +2630,12 @@ ${approvalNote}`;
             if (!updatedEscrow.quantity || updatedEscrow.quantity <= 0) {
               updatedEscrow.quantity = actualAmountToUser;
             }
-            updatedEscrow.status = "completed";
+            EscrowStateService.transition(
+              updatedEscrow,
+              "completed",
+              releaseActor,
+              "release executed",
+            );
             updatedEscrow.completedAt = new Date();
             updatedEscrow.buyerClosedTrade = false;
             updatedEscrow.sellerClosedTrade = false;
@@ -2853,49 +2785,7 @@ Thank you ${buyerTag} & ${sellerTag} for using our service! 🙏`;
               releaseResult?.transactionHash || null,
             );
 
-            const settleAndRecycleGroup = async (escrow, telegram) => {
-              try {
-                const group = await GroupPool.findOne({
-                  assignedEscrowId: escrow.escrowId,
-                });
-
-                if (group) {
-                  const allUsersRemoved =
-                    await GroupPoolService.removeUsersFromGroup(
-                      escrow,
-                      group.groupId,
-                      telegram,
-                    );
-
-                  if (allUsersRemoved) {
-                    const freshEscrow = await Escrow.findOne({
-                      escrowId: escrow.escrowId,
-                    });
-                    if (freshEscrow && freshEscrow.inviteLink) {
-                      freshEscrow.inviteLink = null;
-                      await freshEscrow.save();
-                    }
-
-                    await GroupPoolService.refreshInviteLink(
-                      group.groupId,
-                      telegram,
-                    );
-
-                    group.status = "available";
-                    group.assignedEscrowId = null;
-                    group.assignedAt = null;
-                    group.completedAt = null;
-                    await group.save();
-                  }
-                }
-              } catch (error) {
-                console.error("Error settling and recycling group:", error);
-              }
-            };
-
-            setTimeout(async () => {
-              await settleAndRecycleGroup(reloadedEscrow, ctx.telegram);
-            }, 5 * 60 * 1000);
+            await scheduleSettleAndRecycle(reloadedEscrow.escrowId);
           } else {
             const partialReleaseText = `✅ Partial Release Complete!
 
@@ -2963,6 +2853,8 @@ Amount Released: ${actualAmountToUser.toFixed(5)} ${updatedEscrow.token}
 The contract does not have enough funds to complete this release.
 <b>Available:</b> ${available} ${updatedEscrow.token}
 Please contact support to resolve this vault balance issue.`;
+          } else if (PayoutService.isPayoutError(error)) {
+            errorText = error.userMessage;
           }
 
           try {
@@ -2993,8 +2885,7 @@ Please contact support to resolve this vault balance issue.`;
       if (!escrow) return safeAnswerCbQuery(ctx, "❌ Escrow not found.");
 
       const userId = ctx.from.id;
-      const { isAdmin } = require("../middleware/adminAuth");
-      const isUserAdmin = isAdmin(ctx);
+      const isUserAdmin = hasPermission(ctx, "trades.settle");
 
       const canDecline =
         escrow.buyerId == userId || escrow.sellerId == userId || isUserAdmin;
@@ -3034,8 +2925,7 @@ Please contact support to resolve this vault balance issue.`;
       const userId = ctx.from.id;
       const isBuyer = Number(escrow.buyerId) === Number(userId);
       const isSeller = Number(escrow.sellerId) === Number(userId);
-      const { isAdmin } = require("../middleware/adminAuth");
-      const isUserAdmin = isAdmin(ctx);
+      const isUserAdmin = hasPermission(ctx, "trades.settle");
 
       if (!isBuyer && !isSeller && !isUserAdmin)
         return safeAnswerCbQuery(ctx, "❌ Access denied.");
@@ -3116,6 +3006,22 @@ Please contact support to resolve this vault balance issue.`;
         updatedEscrow.buyerConfirmedRefund &&
         updatedEscrow.sellerConfirmedRefund
       ) {
+        const refundActor = EscrowStateService.actorFromCtx(
+          ctx,
+          updatedEscrow,
+        );
+        const refundCheck = EscrowStateService.canTransition(
+          updatedEscrow,
+          "refunded",
+          refundActor,
+        );
+        if (!refundCheck.allowed) {
+          return safeAnswerCbQuery(
+            ctx,
+            `❌ Refund not allowed: ${refundCheck.reason}.`,
+          );
+        }
+
         await safeAnswerCbQuery(ctx, "🔄 Processing refund...");
 
         const totalDeposited = Number(
@@ -3171,24 +3077,37 @@ Please contact support to resolve this vault balance issue.`;
         const actualAmountToUser = amountToContract;
 
         try {
-          const refundResult = await BlockchainService.refundFunds(
-            updatedEscrow.token,
-            updatedEscrow.chain,
+          const refundResult = await PayoutService.refundFunds(
+            updatedEscrow,
             updatedEscrow.sellerAddress,
             actualAmountToUser,
             null,
-            updatedEscrow.groupId,
-            updatedEscrow.contractAddress,
+            {
+              contractAddress: updatedEscrow.contractAddress,
+              actor: refundActor,
+              fees: {
+                networkFee:
+                  amountToContract < refundAmountNum ? networkFee : 0,
+              },
+            },
           );
 
           updatedEscrow.refundTransactionHash = refundResult.transactionHash;
+          updatedEscrow.partialRefundTransactionHashes.push(
+            refundResult.transactionHash,
+          );
 
           const isPartial = !isFullAmount;
 
           if (isPartial) {
             const remaining = totalDeposited - refundAmount;
             if (remaining < EPSILON) {
-              updatedEscrow.status = "refunded";
+              EscrowStateService.transition(
+                updatedEscrow,
+                "refunded",
+                refundActor,
+                "refund executed",
+              );
               updatedEscrow.accumulatedDepositAmount = 0;
               updatedEscrow.depositAmount = 0;
               updatedEscrow.confirmedAmount = 0;
@@ -3198,7 +3117,12 @@ Please contact support to resolve this vault balance issue.`;
               updatedEscrow.confirmedAmount = remaining;
             }
           } else {
-            updatedEscrow.status = "refunded";
+            EscrowStateService.transition(
+              updatedEscrow,
+              "refunded",
+              refundActor,
+              "refund executed",
+            );
             updatedEscrow.accumulatedDepositAmount = 0;
             updatedEscrow.depositAmount = 0;
             updatedEscrow.confirmedAmount = 0;
@@ -3237,10 +3161,18 @@ Transaction: ${linkLine}`;
           );
         } catch (error) {
           console.error("Refund failed:", error);
-          await ctx.telegram.sendMessage(
-            updatedEscrow.groupId,
-            "❌ Refund failed: " + error.message,
-          );
+          if (PayoutService.isPayoutError(error)) {
+            await ctx.telegram.sendMessage(
+              updatedEscrow.groupId,
+              error.userMessage,
+              { parse_mode: "HTML" },
+            );
+          } else {
+            await ctx.telegram.sendMessage(
+              updatedEscrow.groupId,
+              "❌ Refund failed: " + error.message,
+            );
+          }
         }
       }
     } else if (callbackData.startsWith("refund_confirm_no_")) {
@@ -3249,9 +3181,10 @@ Transaction: ${linkLine}`;
       if (!escrow) return safeAnswerCbQuery(ctx, "❌ Not found.");
 
       const userId = ctx.from.id;
-      const { isAdmin } = require("../middleware/adminAuth");
       const can =
-        escrow.buyerId == userId || escrow.sellerId == userId || isAdmin(ctx);
+        escrow.buyerId == userId ||
+        escrow.sellerId == userId ||
+        hasPermission(ctx, "trades.settle");
       if (!can) return safeAnswerCbQuery(ctx, "❌ Denied.");
 
       escrow.buyerConfirmedRefund = false;
@@ -3293,7 +3226,12 @@ Transaction: ${linkLine}`;
         escrow.accumulatedDepositAmount || escrow.depositAmount;
       escrow.confirmedAmount = partialAmount;
       escrow.depositAmount = partialAmount;
-      escrow.status = "deposited";
+      EscrowStateService.transition(
+        escrow,
+        "deposited",
+        EscrowStateService.actorFromCtx(ctx, escrow),
+        "seller continued with partial deposit",
+      );
       await escrow.save();
 
       try {
@@ -3389,7 +3327,12 @@ Use /release After Fund Transfer to Seller
 
       await safeAnswerCbQuery(ctx, "💰 Please send the remaining amount...");
 
-      escrow.status = "awaiting_deposit";
+      EscrowStateService.transition(
+        escrow,
+        "awaiting_deposit",
+        EscrowStateService.actorFromCtx(ctx, escrow),
+        "seller topping up partial deposit",
+      );
       await escrow.save();
 
       const expectedAmount = escrow.quantity;
@@ -3448,9 +3391,7 @@ Use /release After Fund Transfer to Seller
         return safeAnswerCbQuery(ctx, "❌ No active escrow found.");
       }
 
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(ctx.from.id));
+      const isAdmin = hasPermission(ctx, "trades.settle");
 
       if (!isAdmin) {
         return safeAnswerCbQuery(ctx, "❌ Only admin can cancel refund.");
@@ -3500,9 +3441,7 @@ Use /release After Fund Transfer to Seller
         );
       }
 
-      const isAdmin =
-        config.getAllAdminUsernames().includes(ctx.from.username) ||
-        config.getAllAdminIds().includes(String(ctx.from.id));
+      const isAdmin = hasPermission(ctx, "trades.settle");
 
       if (!isAdmin) {
         return safeAnswerCbQuery(ctx, "❌ Only admin can confirm refund.");
@@ -3600,13 +3539,12 @@ Use /release After Fund Transfer to Seller
       await safeAnswerCbQuery(ctx, "🔄 Processing refund...");
 
       try {
-        const refundResult = await BlockchainService.refundFunds(
-          escrow.token,
-          escrow.chain,
+        const refundResult = await PayoutService.refundFunds(
+          escrow,
           escrow.sellerAddress,
           refundAmount,
           amountWeiOverride,
-          escrow.groupId,
+          { actor: EscrowStateService.actorFromCtx(ctx, escrow) },
         );
 
         if (!refundResult || !refundResult.success) {
@@ -3620,6 +3558,9 @@ Use /release After Fund Transfer to Seller
         }
 
         escrow.refundTransactionHash = refundResult.transactionHash;
+        escrow.partialRefundTransactionHashes.push(
+          refundResult.transactionHash,
+        );
 
         const confirmationMsgId = escrow.refundConfirmationMessageId;
         if (confirmationMsgId) {
@@ -3652,7 +3593,12 @@ Use /release After Fund Transfer to Seller
           if (!escrow.quantity || escrow.quantity <= 0) {
             escrow.quantity = refundAmount;
           }
-          escrow.status = "refunded";
+          EscrowStateService.transition(
+            escrow,
+            "refunded",
+            EscrowStateService.actorFromCtx(ctx, escrow),
+            "admin refund executed",
+          );
           escrow.accumulatedDepositAmount = 0;
           escrow.depositAmount = 0;
           escrow.confirmedAmount = 0;
@@ -3774,52 +3720,16 @@ Thank you for using our safe escrow system.`;
             );
           }
 
-          const settleAndRecycleGroup = async (escrow, telegram) => {
-            try {
-              const group = await GroupPool.findOne({
-                assignedEscrowId: escrow.escrowId,
-              });
-
-              if (group) {
-                const allUsersRemoved =
-                  await GroupPoolService.removeUsersFromGroup(
-                    escrow,
-                    group.groupId,
-                    telegram,
-                  );
-
-                if (allUsersRemoved) {
-                  const freshEscrow = await Escrow.findOne({
-                    escrowId: escrow.escrowId,
-                  });
-                  if (freshEscrow && freshEscrow.inviteLink) {
-                    freshEscrow.inviteLink = null;
-                    await freshEscrow.save();
-                  }
-
-                  await GroupPoolService.refreshInviteLink(
-                    group.groupId,
-                    telegram,
-                  );
-
-                  group.status = "available";
-                  group.assignedEscrowId = null;
-                  group.assignedAt = null;
-                  group.completedAt = null;
-                  await group.save();
-                }
-              }
-            } catch (error) {
-              console.error("Error settling and recycling group:", error);
-            }
-          };
-
-          setTimeout(async () => {
-            await settleAndRecycleGroup(finalEscrow, ctx.telegram);
-          }, 5 * 60 * 1000);
+          await scheduleSettleAndRecycle(finalEscrow.escrowId);
         }
       } catch (error) {
         console.error("Error refunding funds:", error);
+        if (PayoutService.isPayoutError(error)) {
+          await ctx.telegram.sendMessage(escrow.groupId, error.userMessage, {
+            parse_mode: "HTML",
+          });
+          return;
+        }
         const errorMessage =
           error?.message || error?.toString() || "Unknown error";
         await ctx.telegram.sendMessage(
@@ -3872,6 +3782,25 @@ Thank you for using our safe escrow system.`;
           "⚠️ Cannot proceed: missing buyer address or zero amount.",
         );
       }
+      const releaseActor = EscrowStateService.actorFromCtx(ctx, escrow);
+      const releaseCheck = EscrowStateService.canTransition(
+        escrow,
+        "ready_to_release",
+        releaseActor,
+      );
+      if (!releaseCheck.allowed) {
+        return safeAnswerCbQuery(
+          ctx,
+          `❌ Release not allowed: ${releaseCheck.reason}.`,
+        );
+      }
+      EscrowStateService.transition(
+        escrow,
+        "ready_to_release",
+        releaseActor,
+        "seller confirmed fiat received",
+      );
+      await escrow.save();
       await safeAnswerCbQuery(ctx, "🚀 Releasing...");
       try {
         await ctx.editMessageText("🚀 Releasing funds to the buyer...");
@@ -3880,13 +3809,12 @@ Thank you for using our safe escrow system.`;
         const networkFee = escrow.networkFee || 0;
         const amountToContract = amount - networkFee;
 
-        const releaseResult = await BlockchainService.releaseFunds(
-          escrow.token,
-          escrow.chain,
+        const releaseResult = await PayoutService.releaseFunds(
+          escrow,
           escrow.buyerAddress,
           amountToContract,
           null,
-          escrow.groupId,
+          { actor: releaseActor, fees: { networkFee } },
         );
         if (!releaseResult || !releaseResult.transactionHash) {
           throw new Error(
@@ -3897,7 +3825,12 @@ Thank you for using our safe escrow system.`;
         if (!escrow.quantity || escrow.quantity <= 0) {
           escrow.quantity = amount;
         }
-        escrow.status = "completed";
+        EscrowStateService.transition(
+          escrow,
+          "completed",
+          releaseActor,
+          "release executed",
+        );
         escrow.completedAt = new Date();
         escrow.releaseTransactionHash = releaseResult.transactionHash;
         escrow.accumulatedDepositAmount = 0;
@@ -4028,53 +3961,13 @@ Trade completed successfully.`;
           },
         );
 
-        const finalEscrowForFiat = await Escrow.findById(escrow._id);
-
-        const settleAndRecycleGroup = async (escrow, telegram) => {
-          try {
-            const group = await GroupPool.findOne({
-              assignedEscrowId: escrow.escrowId,
-            });
-
-            if (group) {
-              const allUsersRemoved =
-                await GroupPoolService.removeUsersFromGroup(
-                  escrow,
-                  group.groupId,
-                  telegram,
-                );
-
-              if (allUsersRemoved) {
-                const freshEscrow = await Escrow.findOne({
-                  escrowId: escrow.escrowId,
-                });
-                if (freshEscrow && freshEscrow.inviteLink) {
-                  freshEscrow.inviteLink = null;
-                  await freshEscrow.save();
-                }
-
-                await GroupPoolService.refreshInviteLink(
-                  group.groupId,
-                  telegram,
-                );
-
-                group.status = "available";
-                group.assignedEscrowId = null;
-                group.assignedAt = null;
-                group.completedAt = null;
-                await group.save();
-              }
-            }
-          } catch (error) {
-            console.error("Error settling and recycling group:", error);
-          }
-        };
-
-        setTimeout(async () => {
-          await settleAndRecycleGroup(finalEscrowForFiat, ctx.telegram);
-        }, 5 * 60 * 1000);
+        await scheduleSettleAndRecycle(escrow.escrowId);
       } catch (error) {
         console.error("Auto-release error:", error);
+        if (PayoutService.isPayoutError(error)) {
+          await ctx.reply(error.userMessage, { parse_mode: "HTML" });
+          return;
+        }
         await ctx.reply("❌ Error releasing funds. Please contact admin.");
         return;
       }
@@ -4173,14 +4066,30 @@ Trade completed successfully.`;
           );
         }
 
+        const releaseActor = EscrowStateService.actorFromCtx(ctx, escrow);
+        const releaseCheck = EscrowStateService.canTransition(
+          escrow,
+          "ready_to_release",
+          releaseActor,
+        );
+        if (!releaseCheck.allowed) {
+          return ctx.reply(`❌ Release not allowed: ${releaseCheck.reason}.`);
+        }
+        EscrowStateService.transition(
+          escrow,
+          "ready_to_release",
+          releaseActor,
+          "buyer and seller confirmed release",
+        );
+        await escrow.save();
+
         try {
-          const releaseResult = await BlockchainService.releaseFunds(
-            escrow.token,
-            escrow.chain,
+          const releaseResult = await PayoutService.releaseFunds(
+            escrow,
             targetAddress,
-            amountToContract,
+            actualAmountToUser,
             null,
-            escrow.groupId,
+            { actor: releaseActor, fees: { serviceFee, networkFee } },
           );
 
           if (!releaseResult || !releaseResult.transactionHash) {
@@ -4192,7 +4101,12 @@ Trade completed successfully.`;
           if (!escrow.quantity || escrow.quantity <= 0) {
             escrow.quantity = actualAmount;
           }
-          escrow.status = "completed";
+          EscrowStateService.transition(
+            escrow,
+            "completed",
+            releaseActor,
+            "release executed",
+          );
           escrow.completedAt = new Date();
           escrow.releaseTransactionHash = releaseResult.transactionHash;
           escrow.accumulatedDepositAmount = 0;
@@ -4322,55 +4236,14 @@ Approved By: ${
           escrow.closeTradeMessageId = closeMsg.message_id;
           await escrow.save();
 
-          const finalEscrow = await Escrow.findById(escrow._id);
-
-          const settleAndRecycleGroup = async (escrow, telegram) => {
-            try {
-              const group = await GroupPool.findOne({
-                assignedEscrowId: escrow.escrowId,
-              });
-
-              if (group) {
-                const allUsersRemoved =
-                  await GroupPoolService.removeUsersFromGroup(
-                    escrow,
-                    group.groupId,
-                    telegram,
-                  );
-
-                if (allUsersRemoved) {
-                  const freshEscrow = await Escrow.findOne({
-                    escrowId: escrow.escrowId,
-                  });
-                  if (freshEscrow && freshEscrow.inviteLink) {
-                    freshEscrow.inviteLink = null;
-                    await freshEscrow.save();
-                  }
-
-                  await GroupPoolService.refreshInviteLink(
-                    group.groupId,
-                    telegram,
-                  );
-
-                  group.status = "available";
-                  group.assignedEscrowId = null;
-                  group.assignedAt = null;
-                  group.completedAt = null;
-                  await group.save();
-                }
-              }
-            } catch (error) {
-              console.error("Error settling and recycling group:", error);
-            }
-          };
-
-          setTimeout(async () => {
-            await settleAndRecycleGroup(finalEscrow, ctx.telegram);
-          }, 5 * 60 * 1000);
+          await scheduleSettleAndRecycle(escrow.escrowId);
         } catch (error) {
           console.error("Error executing transaction:", error);
           await ctx.reply(
-            "❌ Error executing transaction. Please try again or contact support.",
+            PayoutService.isPayoutError(error)
+              ? error.userMessage
+              : "❌ Error executing transaction. Please try again or contact support.",
+            { parse_mode: "HTML" },
           );
         }
       } else {
@@ -4438,8 +4311,7 @@ Approved By: ${
         return;
       }
 
-      const { isAdmin } = require("../middleware/adminAuth");
-      if (!isAdmin(ctx)) {
+      if (!hasPermission(ctx, "treasury.withdraw")) {
         await safeAnswerCbQuery(
           ctx,
           "❌ Access denied. Admin privileges required.",
@@ -4464,8 +4336,7 @@ Approved By: ${
         return;
       }
 
-      const { isAdmin } = require("../middleware/adminAuth");
-      if (!isAdmin(ctx)) {
+      if (!hasPermission(ctx, "treasury.withdraw")) {
         await safeAnswerCbQuery(
           ctx,
           "❌ Access denied. Admin privileges required.",
@@ -4585,7 +4456,7 @@ Approved By: ${
       );
       const escrow = await Escrow.findOne({ escrowId });
       if (!escrow) return safeAnswerCbQuery(ctx, "❌ Escrow not found.");
-      if (!config.getAllAdminIds().includes(String(userId))) {
+      if (!hasPermission(ctx, "deposits.verify")) {
         return safeAnswerCbQuery(ctx, "❌ Admin only.");
       }
 
@@ -4624,11 +4495,19 @@ Approved By: ${
             escrow.status,
           )
         ) {
-          escrow.status = "deposited";
+          EscrowStateService.transition(
+            escrow,
+            "deposited",
+            EscrowStateService.actorFromCtx(ctx, escrow),
+            "TRON deposit verified by admin",
+          );
         }
       }
 
       await escrow.save();
+      const amountSun = BigInt(Math.round(Number(amount) * 1e6));
+      await VaultLedgerService.creditDeposit(escrow, amountSun);
+      await LedgerService.postDeposit(escrow, { txHash, amountWei: amountSun });
 
       try {
         await ctx.deleteMessage();
@@ -4682,7 +4561,7 @@ Use /release After Fund Transfer to Seller
       }
     } else if (callbackData.startsWith("tron_verify_received_")) {
       const escrowId = callbackData.replace("tron_verify_received_", "");
-      if (!config.getAllAdminIds().includes(String(userId))) {
+      if (!hasPermission(ctx, "deposits.verify")) {
         return safeAnswerCbQuery(ctx, "❌ Admin only.");
       }
       await safeAnswerCbQuery(ctx, "Please confirm.");
@@ -4716,7 +4595,7 @@ Use /release After Fund Transfer to Seller
       );
       const escrow = await Escrow.findOne({ escrowId });
       if (!escrow) return safeAnswerCbQuery(ctx, "❌ Escrow not found.");
-      if (!config.getAllAdminIds().includes(String(userId))) {
+      if (!hasPermission(ctx, "deposits.verify")) {
         return safeAnswerCbQuery(ctx, "❌ Admin only.");
       }
 
@@ -4737,7 +4616,7 @@ Use /release After Fund Transfer to Seller
       );
     } else if (callbackData.startsWith("tron_verify_not_received_")) {
       const escrowId = callbackData.replace("tron_verify_not_received_", "");
-      if (!config.getAllAdminIds().includes(String(userId))) {
+      if (!hasPermission(ctx, "deposits.verify")) {
         return safeAnswerCbQuery(ctx, "❌ Admin only.");
       }
 
@@ -4770,9 +4649,7 @@ Use /release After Fund Transfer to Seller
       const escrow = await Escrow.findOne({ escrowId });
       if (!escrow) return safeAnswerCbQuery(ctx, "❌ Escrow not found.");
 
-      const adminTag = config.ADMIN_USERNAME2
-        ? `@${config.ADMIN_USERNAME2}`
-        : "Admin";
+      const adminTag = AdminService.mentionFor("deposits.verify");
 
       await ctx.editMessageText(
         `⚠️ <b>TRON DEPOSIT VERIFICATION REQUIRED</b>\n\n` +
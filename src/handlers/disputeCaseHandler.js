@@ -0,0 +1,377 @@
+const Escrow = require("../models/Escrow");
+const DisputeService = require("../services/DisputeService");
+const EscrowStateService = require("../services/EscrowStateService");
+const PayoutService = require("../services/PayoutService");
+const SettlementService = require("../services/SettlementService");
+const { hasPermission } = require("../middleware/adminAuth");
+
+const MAX_EVIDENCE_RESENT = 10;
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function commandArgs(ctx) {
+  return (ctx.message?.text || "").trim().split(/\s+/).slice(1);
+}
+
+/**
+ * Middleware: photos and documents posted by the buyer, seller or an admin
+ * in a room with an open dispute are added to the case as evidence
+ */
+async function collectDisputeEvidence(ctx, next) {
+  try {
+    const message = ctx.message;
+    if (
+      !message ||
+      !ctx.chat ||
+      ctx.chat.id > 0 ||
+      !(message.photo || message.document)
+    ) {
+      return next();
+    }
+
+    const dispute = await DisputeService.findOpenCaseForGroup(ctx.chat.id);
+    if (!dispute) return next();
+
+    const escrow = await Escrow.findOne({ escrowId: dispute.escrowId });
+    const actor = EscrowStateService.actorFromCtx(ctx, escrow);
+    if (!["buyer", "seller", "admin"].includes(actor.role)) return next();
+
+    const evidence = message.photo
+      ? {
+          kind: "photo",
+          // Telegram lists sizes smallest first
+          fileId: message.photo[message.photo.length - 1].file_id,
+          fileUniqueId: message.photo[message.photo.length - 1].file_unique_id,
+        }
+      : {
+          kind: "document",
+          fileId: message.document.file_id,
+          fileUniqueId: message.document.file_unique_id,
+          fileName: message.document.file_name,
+          mimeType: message.document.mime_type,
+        };
+    evidence.caption = message.caption || null;
+    evidence.messageId = message.message_id;
+
+    const count = await DisputeService.addEvidence(dispute, evidence, actor);
+    await ctx.reply(
+      `📎 Evidence #${count} added to dispute case #${dispute.caseNumber}.`,
+      { reply_to_message_id: message.message_id },
+    );
+  } catch (error) {
+    console.error("Error collecting dispute evidence:", error);
+  }
+  return next();
+}
+
+/**
+ * List open and claimed dispute cases
+ * Usage: /disputes
+ */
+async function adminDisputes(ctx) {
+  try {
+    if (!hasPermission(ctx, "disputes.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const cases = await DisputeService.listOpenCases(30);
+    if (cases.length === 0) {
+      return ctx.reply("✅ No open dispute cases.");
+    }
+
+    let message = `⚖️ <b>OPEN DISPUTES (${cases.length})</b>\n\n`;
+    cases.forEach((dispute) => {
+      const assigned = dispute.assignedAdminUsername
+        ? `@${escapeHtml(dispute.assignedAdminUsername)}`
+        : dispute.assignedAdminId
+        ? `<code>${dispute.assignedAdminId}</code>`
+        : "unclaimed";
+      const ageHours = Math.floor(
+        (Date.now() - dispute.createdAt) / (1000 * 60 * 60),
+      );
+      message += `• <b>#${dispute.caseNumber}</b> ${escapeHtml(
+        dispute.escrowId,
+      )} - ${assigned}, ${dispute.evidence.length} file(s), ${ageHours}h old\n`;
+      message += `   ${escapeHtml(dispute.reason.slice(0, 80))}\n`;
+    });
+    message +=
+      "\nUse <code>/dispute_case &lt;case&gt;</code> for details and evidence.";
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error listing disputes:", error);
+    ctx.reply("❌ Error listing disputes.");
+  }
+}
+
+/**
+ * Show a case with its timeline and re-send its evidence
+ * Usage: /dispute_case <case>
+ */
+async function adminDisputeCase(ctx) {
+  try {
+    if (!hasPermission(ctx, "disputes.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [caseRef] = commandArgs(ctx);
+    const dispute = await DisputeService.findCase(caseRef);
+    if (!dispute) {
+      return ctx.reply(
+        "❌ Case not found.\nUsage: <code>/dispute_case &lt;case&gt;</code>",
+        { parse_mode: "HTML" },
+      );
+    }
+    await sendCaseDetails(ctx, dispute);
+  } catch (error) {
+    console.error("Error showing dispute case:", error);
+    ctx.reply("❌ Error loading dispute case.");
+  }
+}
+
+async function sendCaseDetails(ctx, dispute) {
+  const escrow = await Escrow.findOne({ escrowId: dispute.escrowId });
+  await ctx.reply(DisputeService.formatCaseSummary(dispute, escrow), {
+    parse_mode: "HTML",
+  });
+
+  for (const item of dispute.evidence.slice(-MAX_EVIDENCE_RESENT)) {
+    const caption = `📎 Case #${dispute.caseNumber} - ${
+      item.submittedByRole || "user"
+    }${item.submittedByUsername ? ` @${item.submittedByUsername}` : ""}${
+      item.caption ? `\n${item.caption}` : ""
+    }`;
+    try {
+      if (item.kind === "photo") {
+        await ctx.replyWithPhoto(item.fileId, { caption });
+      } else {
+        await ctx.replyWithDocument(item.fileId, { caption });
+      }
+    } catch (sendError) {
+      console.error("Error re-sending dispute evidence:", sendError);
+    }
+  }
+  if (dispute.evidence.length > MAX_EVIDENCE_RESENT) {
+    await ctx.reply(
+      `ℹ️ Showing the latest ${MAX_EVIDENCE_RESENT} of ${dispute.evidence.length} evidence files.`,
+    );
+  }
+}
+
+/**
+ * Take a case
+ * Usage: /dispute_claim <case>
+ */
+async function adminDisputeClaim(ctx) {
+  try {
+    if (!hasPermission(ctx, "disputes.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [caseRef] = commandArgs(ctx);
+    const dispute = await DisputeService.findCase(caseRef);
+    if (!dispute) {
+      return ctx.reply(
+        "❌ Case not found.\nUsage: <code>/dispute_claim &lt;case&gt;</code>",
+        { parse_mode: "HTML" },
+      );
+    }
+
+    await DisputeService.claimCase(
+      dispute,
+      EscrowStateService.actorFromCtx(ctx, null),
+    );
+    await ctx.reply(
+      `🙋 Case #${dispute.caseNumber} (${dispute.escrowId}) is now assigned to you.`,
+    );
+  } catch (error) {
+    console.error("Error claiming dispute:", error);
+    ctx.reply(`❌ Could not claim case: ${error.message}`);
+  }
+}
+
+/**
+ * Close a case without a ruling
+ * Usage: /dispute_close <case> [note]
+ */
+async function adminDisputeClose(ctx) {
+  try {
+    if (!hasPermission(ctx, "disputes.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [caseRef, ...noteParts] = commandArgs(ctx);
+    const dispute = await DisputeService.findCase(caseRef);
+    if (!dispute) {
+      return ctx.reply(
+        "❌ Case not found.\nUsage: <code>/dispute_close &lt;case&gt; [note]</code>",
+        { parse_mode: "HTML" },
+      );
+    }
+
+    await DisputeService.closeCase(
+      dispute,
+      EscrowStateService.actorFromCtx(ctx, null),
+      noteParts.join(" ") || null,
+    );
+    await ctx.reply(
+      `🔒 Case #${dispute.caseNumber} closed. The trade stays disputed; settle it with /release or /refund in the room if funds are still held.`,
+    );
+  } catch (error) {
+    console.error("Error closing dispute:", error);
+    ctx.reply(`❌ Could not close case: ${error.message}`);
+  }
+}
+
+/**
+ * Execute a ruling on a case
+ * Usage: /dispute_ruling <case> release|refund [note]
+ *        /dispute_ruling <case> split <buyerAmount|buyerPercent%> [note]
+ */
+async function adminDisputeRuling(ctx) {
+  const usage =
+    "Usage:\n<code>/dispute_ruling &lt;case&gt; release [note]</code>\n<code>/dispute_ruling &lt;case&gt; refund [note]</code>\n<code>/dispute_ruling &lt;case&gt; split &lt;buyerAmount|buyerPercent%&gt; [note]</code>\n\nA split gives the buyer the share given and refunds the rest to the seller.";
+  try {
+    if (!hasPermission(ctx, "disputes.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [caseRef, outcomeArg, ...rest] = commandArgs(ctx);
+    const outcome = (outcomeArg || "").toLowerCase();
+    const dispute = await DisputeService.findCase(caseRef);
+    if (!dispute || !["release", "refund", "split"].includes(outcome)) {
+      return ctx.reply(`❌ Invalid ruling.\n\n${usage}`, {
+        parse_mode: "HTML",
+      });
+    }
+
+    const options = {};
+    if (outcome === "split") {
+      const [shareArg, ...noteParts] = rest;
+      options.share = SettlementService.parseBuyerShare(shareArg);
+      options.note = noteParts.join(" ") || null;
+      if (!options.share) {
+        return ctx.reply(`❌ Split needs the buyer's share.\n\n${usage}`, {
+          parse_mode: "HTML",
+        });
+      }
+    } else {
+      options.note = rest.join(" ") || null;
+    }
+
+    await ctx.reply(
+      `⏳ Executing ${outcome} ruling for case #${dispute.caseNumber}...`,
+    );
+
+    const actor = EscrowStateService.actorFromCtx(ctx, null);
+    if (!dispute.assignedAdminId) {
+      await DisputeService.claimCase(dispute, actor);
+    }
+
+    const { escrow, settlement } = await DisputeService.executeRuling(
+      dispute,
+      outcome,
+      options,
+      actor,
+      ctx.telegram,
+    );
+
+    await ctx.reply(
+      `⚖️ <b>Case #${
+        dispute.caseNumber
+      } resolved</b>\n\n${SettlementService.formatBreakdown(
+        settlement,
+      )}\n\nTrade ${escrow.escrowId} is now ${escrow.status}.`,
+      { parse_mode: "HTML" },
+    );
+  } catch (error) {
+    console.error("Error executing dispute ruling:", error);
+    if (
+      PayoutService.isPayoutError(error) ||
+      SettlementService.isSettlementError(error) ||
+      EscrowStateService.isRejection(error)
+    ) {
+      return ctx.reply(error.userMessage, { parse_mode: "HTML" });
+    }
+    ctx.reply(`❌ Ruling failed: ${escapeHtml(error.message)}`, {
+      parse_mode: "HTML",
+    });
+  }
+}
+
+/**
+ * Buttons on the case card posted to the dispute channel
+ */
+function setupDisputeActions(bot) {
+  bot.action(/^dispute_claim_(\d+)$/, async (ctx) => {
+    if (!hasPermission(ctx, "disputes.manage"))
+      return ctx.answerCbQuery("Unauthorized");
+    try {
+      const dispute = await DisputeService.findCase(ctx.match[1]);
+      if (!dispute) return ctx.answerCbQuery("❌ Case not found");
+
+      const actor = EscrowStateService.actorFromCtx(ctx, null);
+      await DisputeService.claimCase(dispute, actor);
+      await ctx.answerCbQuery(`✅ Case #${dispute.caseNumber} claimed`);
+      await ctx.reply(
+        `🙋 Case #${dispute.caseNumber} (${dispute.escrowId}) claimed by ${
+          actor.username ? `@${actor.username}` : actor.id
+        }.`,
+      );
+    } catch (error) {
+      console.error("Error claiming dispute from channel:", error);
+      await ctx.answerCbQuery(`❌ ${error.message}`.slice(0, 190));
+    }
+  });
+
+  bot.action(/^dispute_view_(\d+)$/, async (ctx) => {
+    if (!hasPermission(ctx, "disputes.manage"))
+      return ctx.answerCbQuery("Unauthorized");
+    try {
+      const dispute = await DisputeService.findCase(ctx.match[1]);
+      if (!dispute) return ctx.answerCbQuery("❌ Case not found");
+      await ctx.answerCbQuery();
+      await sendCaseDetails(ctx, dispute);
+    } catch (error) {
+      console.error("Error showing dispute from channel:", error);
+      await ctx.answerCbQuery("❌ Error loading case");
+    }
+  });
+
+  bot.action(/^dispute_close_(\d+)$/, async (ctx) => {
+    if (!hasPermission(ctx, "disputes.manage"))
+      return ctx.answerCbQuery("Unauthorized");
+    try {
+      const dispute = await DisputeService.findCase(ctx.match[1]);
+      if (!dispute) return ctx.answerCbQuery("❌ Case not found");
+
+      const actor = EscrowStateService.actorFromCtx(ctx, null);
+      await DisputeService.closeCase(dispute, actor, "closed from channel");
+      await ctx.answerCbQuery(`🔒 Case #${dispute.caseNumber} closed`);
+      await ctx.editMessageReplyMarkup(undefined).catch(() => {});
+      await ctx.reply(
+        `🔒 Case #${dispute.caseNumber} closed by ${
+          actor.username ? `@${actor.username}` : actor.id
+        }.`,
+      );
+    } catch (error) {
+      console.error("Error closing dispute from channel:", error);
+      await ctx.answerCbQuery(`❌ ${error.message}`.slice(0, 190));
+    }
+  });
+}
+
+module.exports = {
+  collectDisputeEvidence,
+  adminDisputes,
+  adminDisputeCase,
+  adminDisputeClaim,
+  adminDisputeClose,
+  adminDisputeRuling,
+  setupDisputeActions,
+};
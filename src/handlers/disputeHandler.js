@@ -1,6 +1,6 @@
-const Escrow = require("../models/Escrow");
 const DisputeService = require("../services/DisputeService");
-const config = require("../../config");
+const EscrowStateService = require("../services/EscrowStateService");
+const AdminService = require("../services/AdminService");
 const findGroupEscrow = require("../utils/findGroupEscrow");
 
 module.exports = async (ctx) => {
@@ -14,7 +14,7 @@ module.exports = async (ctx) => {
 
     // Only allow dispute for valid post-deposit states
     // Draft/Awaiting Deposit are pre-risk, so no dispute needed yet
-    let escrow = await findGroupEscrow(chatId, [
+    const escrow = await findGroupEscrow(chatId, [
       "deposited",
       "in_fiat_transfer",
       "ready_to_release",
@@ -27,9 +27,7 @@ module.exports = async (ctx) => {
       );
     }
 
-    const isAdmin =
-      config.getAllAdminUsernames().includes(ctx.from.username) ||
-      config.getAllAdminIds().includes(String(userId));
+    const isAdmin = AdminService.isAdminUser(ctx.from);
 
     const isBuyer =
       escrow.buyerId != null && Number(escrow.buyerId) === Number(userId);
@@ -55,30 +53,39 @@ module.exports = async (ctx) => {
       );
     }
 
+    const actor = EscrowStateService.actorFromCtx(ctx, escrow);
     try {
-      const updatedEscrow = await Escrow.findOneAndUpdate(
-        { _id: escrow._id },
-        { $set: { status: "disputed" } },
-        { new: true }
-      );
-
-      if (!updatedEscrow) {
-        throw new Error("Failed to update escrow status");
-      }
-
-      escrow = updatedEscrow;
+      EscrowStateService.transition(escrow, "disputed", actor, reason);
+      await escrow.save();
     } catch (saveError) {
+      if (EscrowStateService.isRejection(saveError)) {
+        return ctx.reply(saveError.userMessage);
+      }
       console.error("Error updating escrow status to disputed:", saveError);
       return ctx.reply(
         "❌ Failed to update escrow status. Please try again or contact an admin."
       );
     }
 
+    const { dispute, created } = await DisputeService.openCase(
+      escrow,
+      reason,
+      actor
+    );
+
+    if (!created) {
+      return ctx.reply(
+        `ℹ️ This trade already has an open dispute (case #${dispute.caseNumber}). Your report has been added to it.\n\n` +
+          "📎 Send photos or documents here to add evidence."
+      );
+    }
+
     const result = await DisputeService.sendDisputeNotification(
       escrow,
       reason,
       userId,
-      ctx.telegram
+      ctx.telegram,
+      dispute
     );
 
     if (result.success) {
@@ -91,7 +98,9 @@ module.exports = async (ctx) => {
           .replace(/'/g, "&#39;");
       await ctx.reply(
         "✅ <b>Dispute reported successfully!</b>\n\n" +
+          `🗂️ <b>Case:</b> #${dispute.caseNumber}\n\n` +
           "An admin will review your dispute and join this group to resolve the issue.\n\n" +
+          "📎 Send photos or documents (payment proofs, screenshots) in this group to add evidence to the case.\n\n" +
           "<b>Reason:</b> " +
           escapeHtml(reason),
         { parse_mode: "HTML" }
@@ -4,16 +4,22 @@ const GroupPool = require("../models/GroupPool");
 const GroupPoolService = require("../services/GroupPoolService");
 const config = require("../../config");
 const feeConfig = require("../config/feeConfig");
-const joinRequestHandler = require("./joinRequestHandler");
+const JobQueueService = require("../services/JobQueueService");
+const MetricsService = require("../services/MetricsService");
 const findGroupEscrow = require("../utils/findGroupEscrow");
 const {
   formatParticipant,
   formatParticipantByIndex,
 } = require("../utils/participant");
 const withRetry = require("../utils/retry");
+const { scheduleMessageDeletion } = require("../utils/telegramUtils");
 
-const inviteTimeoutMap = new Map();
-joinRequestHandler.setInviteTimeoutMap(inviteTimeoutMap);
+// Chain and token are picked later in the deal room, so creation is counted
+// without them; p2p_escrows breaks open trades down by chain and token
+const escrowsCreated = MetricsService.counter(
+  "p2p_escrows_created_total",
+  "Escrows opened with /deal",
+);
 
 module.exports = async (ctx) => {
   try {
@@ -388,6 +394,7 @@ module.exports = async (ctx) => {
       contractAddress: null,
     });
     await newEscrow.save();
+    escrowsCreated.inc();
 
     const images = require("../config/images");
 
@@ -419,181 +426,169 @@ module.exports = async (ctx) => {
       await newEscrow.save();
     } catch (_) {}
 
-    const telegram = ctx.telegram;
-    const originChatId = String(chatId);
-    const inviteMessageId = inviteMsg.message_id;
-    setTimeout(async () => {
-      try {
-        await telegram.deleteMessage(originChatId, inviteMessageId);
-      } catch (_) {}
-    }, 5 * 60 * 1000);
-    if (ctx.message && ctx.message.message_id) {
-      const commandMessageId = ctx.message.message_id;
-      setTimeout(async () => {
-        try {
-          await telegram.deleteMessage(originChatId, commandMessageId);
-        } catch (_) {}
-      }, 5 * 60 * 1000);
+    await scheduleMessageDeletion(
+      chatId,
+      [inviteMsg.message_id, ctx.message?.message_id],
+      5 * 60 * 1000,
+    );
+    await JobQueueService.enqueue(
+      "deal.invite_timeout",
+      { escrowId: newEscrow.escrowId },
+      {
+        delayMs: 5 * 60 * 1000,
+        dedupeKey: `invite-timeout:${newEscrow.escrowId}`,
+        replace: true,
+      },
+    );
+  } catch (error) {
+    return ctx.reply("❌ Failed to create deal room. Please try again.");
+  }
+};
+
+/**
+ * Job handler: cancel the deal and reset the room if both parties have not
+ * joined within 5 minutes of the deal being created.
+ */
+async function handleInviteTimeout({ escrowId }, { telegram }) {
+  const currentEscrow = await Escrow.findOne({ escrowId });
+  if (!currentEscrow) {
+    return;
+  }
+  if (
+    currentEscrow.status !== "draft" ||
+    currentEscrow.roleSelectionMessageId
+  ) {
+    return;
+  }
+  const approvedCount = (currentEscrow.approvedUserIds || []).length;
+  let initiatorPresent = false;
+  if (currentEscrow.creatorId) {
+    try {
+      const memberInfo = await telegram.getChatMember(
+        String(currentEscrow.groupId),
+        Number(currentEscrow.creatorId),
+      );
+      initiatorPresent = ["member", "administrator", "creator"].includes(
+        memberInfo.status,
+      );
+    } catch (_) {
+      initiatorPresent = false;
     }
-    const timeoutId = setTimeout(async () => {
-      try {
-        const currentEscrow = await Escrow.findOne({
-          escrowId: newEscrow.escrowId,
-        });
-        if (!currentEscrow) {
-          inviteTimeoutMap.delete(newEscrow.escrowId);
-          return;
-        }
-        if (
-          currentEscrow.status !== "draft" ||
-          currentEscrow.roleSelectionMessageId
-        ) {
-          inviteTimeoutMap.delete(newEscrow.escrowId);
-          return;
-        }
-        const approvedCount = (currentEscrow.approvedUserIds || []).length;
-        let initiatorPresent = false;
-        if (currentEscrow.creatorId) {
-          try {
-            const memberInfo = await telegram.getChatMember(
-              String(currentEscrow.groupId),
-              Number(currentEscrow.creatorId),
-            );
-            initiatorPresent = ["member", "administrator", "creator"].includes(
-              memberInfo.status,
-            );
-          } catch (_) {
-            initiatorPresent = false;
-          }
-        }
+  }
 
-        const creatorAlreadyCounted = currentEscrow.approvedUserIds?.includes(
-          Number(currentEscrow.creatorId),
-        );
-        const totalJoined =
-          approvedCount + (initiatorPresent && !creatorAlreadyCounted ? 1 : 0);
+  const creatorAlreadyCounted = currentEscrow.approvedUserIds?.includes(
+    Number(currentEscrow.creatorId),
+  );
+  const totalJoined =
+    approvedCount + (initiatorPresent && !creatorAlreadyCounted ? 1 : 0);
 
-        if (totalJoined >= 2) {
-          inviteTimeoutMap.delete(newEscrow.escrowId);
-          return;
-        }
+  if (totalJoined >= 2) {
+    return;
+  }
 
-        inviteTimeoutMap.delete(newEscrow.escrowId);
+  if (currentEscrow.originChatId && currentEscrow.originInviteMessageId) {
+    try {
+      await telegram.deleteMessage(
+        currentEscrow.originChatId,
+        currentEscrow.originInviteMessageId,
+      );
+    } catch (_) {}
+  }
 
-        if (currentEscrow.originChatId && currentEscrow.originInviteMessageId) {
-          try {
-            await telegram.deleteMessage(
-              currentEscrow.originChatId,
-              currentEscrow.originInviteMessageId,
-            );
-          } catch (_) {}
-        }
+  const initiatorName = formatParticipantByIndex(
+    currentEscrow,
+    0,
+    "initiator",
+    { html: true },
+  );
+  const counterpartyName = formatParticipantByIndex(
+    currentEscrow,
+    1,
+    "counterparty",
+    { html: true },
+  );
+  try {
+    const cancellationMsg = await withRetry(() =>
+      telegram.sendMessage(
+        currentEscrow.originChatId,
+        `❌ Deal cancelled between ${initiatorName} and ${counterpartyName} due to inactivity. Both parties must join within 5 minutes.`,
+        { parse_mode: "HTML" },
+      ),
+    );
 
-        const initiatorName = formatParticipantByIndex(
-          currentEscrow,
-          0,
-          "initiator",
-          { html: true },
-        );
-        const counterpartyName = formatParticipantByIndex(
-          currentEscrow,
-          1,
-          "counterparty",
-          { html: true },
-        );
-        try {
-          const cancellationMsg = await withRetry(() =>
-            telegram.sendMessage(
-              currentEscrow.originChatId,
-              `❌ Deal cancelled between ${initiatorName} and ${counterpartyName} due to inactivity. Both parties must join within 5 minutes.`,
-              { parse_mode: "HTML" },
-            ),
-          );
+    await scheduleMessageDeletion(
+      currentEscrow.originChatId,
+      [cancellationMsg.message_id],
+      5 * 60 * 1000,
+    );
+  } catch (_) {}
 
-          setTimeout(async () => {
-            try {
-              await telegram.deleteMessage(
-                currentEscrow.originChatId,
-                cancellationMsg.message_id,
-              );
-            } catch (_) {}
-          }, 5 * 60 * 1000);
-        } catch (_) {}
-
-        let group = await GroupPool.findOne({
-          assignedEscrowId: currentEscrow.escrowId,
-        });
-
-        if (!group) {
-          group = await GroupPool.findOne({
-            groupId: currentEscrow.groupId,
-          });
-        }
+  let group = await GroupPool.findOne({
+    assignedEscrowId: currentEscrow.escrowId,
+  });
 
-        if (group) {
-          if (currentEscrow.waitingForUserMessageId) {
-            try {
-              await telegram.deleteMessage(
-                String(currentEscrow.groupId),
-                currentEscrow.waitingForUserMessageId,
-              );
-            } catch (_) {}
-          }
+  if (!group) {
+    group = await GroupPool.findOne({
+      groupId: currentEscrow.groupId,
+    });
+  }
 
-          if (currentEscrow.inviteLink) {
-            currentEscrow.inviteLink = null;
-            await currentEscrow.save();
-          }
+  if (group) {
+    if (currentEscrow.waitingForUserMessageId) {
+      try {
+        await telegram.deleteMessage(
+          String(currentEscrow.groupId),
+          currentEscrow.waitingForUserMessageId,
+        );
+      } catch (_) {}
+    }
 
-          try {
-            await GroupPoolService.removeUsersFromGroup(
-              currentEscrow,
-              group.groupId,
-              telegram,
-            );
-          } catch (removeError) {
-            console.log(
-              "Could not remove users during timeout cancellation:",
-              removeError.message,
-            );
-          }
+    if (currentEscrow.inviteLink) {
+      currentEscrow.inviteLink = null;
+      await currentEscrow.save();
+    }
 
-          try {
-            await GroupPoolService.refreshInviteLink(group.groupId, telegram);
-          } catch (linkError) {
-            console.log(
-              "Could not refresh invite link during timeout cancellation:",
-              linkError.message,
-            );
-          }
+    try {
+      await GroupPoolService.removeUsersFromGroup(
+        currentEscrow,
+        group.groupId,
+        telegram,
+      );
+    } catch (removeError) {
+      console.log(
+        "Could not remove users during timeout cancellation:",
+        removeError.message,
+      );
+    }
 
-          group.status = "available";
-          group.assignedEscrowId = null;
-          group.assignedAt = null;
-          group.completedAt = null;
-          await group.save();
-        } else {
-          console.log(
-            `Warning: Could not find group pool entry for escrow ${currentEscrow.escrowId} during timeout cancellation`,
-          );
-        }
+    try {
+      await GroupPoolService.refreshInviteLink(group.groupId, telegram);
+    } catch (linkError) {
+      console.log(
+        "Could not refresh invite link during timeout cancellation:",
+        linkError.message,
+      );
+    }
 
-        try {
-          await Escrow.deleteOne({ escrowId: currentEscrow.escrowId });
-        } catch (deleteError) {
-          console.log(
-            "Could not delete escrow during timeout cancellation:",
-            deleteError.message,
-          );
-        }
-      } catch (error) {
-        console.error("Error in invite timeout handler:", error);
-        inviteTimeoutMap.delete(newEscrow.escrowId);
-      }
-    }, 5 * 60 * 1000);
+    group.status = "available";
+    group.assignedEscrowId = null;
+    group.assignedAt = null;
+    group.completedAt = null;
+    await group.save();
+  } else {
+    console.log(
+      `Warning: Could not find group pool entry for escrow ${currentEscrow.escrowId} during timeout cancellation`,
+    );
+  }
 
-    inviteTimeoutMap.set(newEscrow.escrowId, timeoutId);
-  } catch (error) {
-    return ctx.reply("❌ Failed to create deal room. Please try again.");
+  try {
+    await Escrow.deleteOne({ escrowId: currentEscrow.escrowId });
+  } catch (deleteError) {
+    console.log(
+      "Could not delete escrow during timeout cancellation:",
+      deleteError.message,
+    );
   }
-};
+}
+
+JobQueueService.register("deal.invite_timeout", handleInviteTimeout);
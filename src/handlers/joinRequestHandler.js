@@ -4,13 +4,8 @@ const {
   formatParticipant,
   formatParticipantById,
 } = require("../utils/participant");
-const config = require("../../config");
-
-let inviteTimeoutMap = null;
-
-function setInviteTimeoutMap(map) {
-  inviteTimeoutMap = map;
-}
+const JobQueueService = require("../services/JobQueueService");
+const AdminService = require("../services/AdminService");
 
 async function joinRequestHandler(ctx) {
   try {
@@ -55,13 +50,7 @@ async function joinRequestHandler(ctx) {
     }
     const normalizedUserId = Number(user.id);
     const lowercaseUsername = (user.username || "").toLowerCase();
-    const adminUsernames = (config.getAllAdminUsernames?.() || [])
-      .map((name) => (typeof name === "string" ? name.toLowerCase() : null))
-      .filter(Boolean);
-    const adminIds = (config.getAllAdminIds?.() || []).map(String);
-    const isAdminUser =
-      adminIds.includes(String(normalizedUserId)) ||
-      (lowercaseUsername && adminUsernames.includes(lowercaseUsername));
+    const isAdminUser = AdminService.isAdminUser(user);
 
     if (!escrow) {
       if (isAdminUser) {
@@ -536,167 +525,19 @@ async function joinRequestHandler(ctx) {
           }
         }
 
-        // Set timeout to reset group if second user doesn't join within 5 minutes
-        // Only set timeout if this is the first user (joinedCount === 1)
-        if (joinedCount === 1 && inviteTimeoutMap) {
-          // Capture telegram instance for use in timeout callback
-          const telegram = ctx.telegram;
-          const escrowId = escrow.escrowId;
-
-          // Clear any existing timeout for this escrow
-          if (inviteTimeoutMap.has(escrowId)) {
-            clearTimeout(inviteTimeoutMap.get(escrowId));
-          }
-
-          // Set new timeout starting from now (5 minutes from first user join)
-          const timeoutId = setTimeout(async () => {
-            try {
-              // Re-fetch escrow to get latest state
-              const currentEscrow = await Escrow.findOne({ escrowId });
-              if (!currentEscrow) {
-                inviteTimeoutMap.delete(escrowId);
-                return;
-              }
-
-              // Check if both parties have joined (trade started)
-              if (
-                currentEscrow.roleSelectionMessageId ||
-                currentEscrow.status !== "draft"
-              ) {
-                // Trade has progressed, cancel timeout
-                inviteTimeoutMap.delete(escrowId);
-                return;
-              }
-
-              // Check if both parties have joined
-              const currentApprovedCount = (currentEscrow.approvedUserIds || [])
-                .length;
-              let currentInitiatorPresent = false;
-              if (currentEscrow.creatorId) {
-                try {
-                  const memberInfo = await telegram.getChatMember(
-                    String(currentEscrow.groupId),
-                    Number(currentEscrow.creatorId)
-                  );
-                  currentInitiatorPresent = [
-                    "member",
-                    "administrator",
-                    "creator",
-                  ].includes(memberInfo.status);
-                } catch (_) {
-                  currentInitiatorPresent = false;
-                }
-              }
-
-              const currentCreatorAlreadyCounted =
-                currentEscrow.approvedUserIds?.includes(
-                  Number(currentEscrow.creatorId)
-                );
-              const currentTotalJoined =
-                currentApprovedCount +
-                (currentInitiatorPresent && !currentCreatorAlreadyCounted
-                  ? 1
-                  : 0);
-
-              if (currentTotalJoined >= 2) {
-                // Both joined, cancel timeout
-                inviteTimeoutMap.delete(escrowId);
-                return;
-              }
-
-              // Timeout expired - reset the group
-              inviteTimeoutMap.delete(escrowId);
-
-              // Get the group
-              const GroupPool = require("../models/GroupPool");
-              const GroupPoolService = require("../services/GroupPoolService");
-              let group = await GroupPool.findOne({
-                assignedEscrowId: escrowId,
-              });
-              if (!group) {
-                group = await GroupPool.findOne({
-                  groupId: currentEscrow.groupId,
-                });
-              }
-
-              if (group) {
-                // Delete waiting message
-                if (currentEscrow.waitingForUserMessageId) {
-                  try {
-                    await telegram.deleteMessage(
-                      String(currentEscrow.groupId),
-                      currentEscrow.waitingForUserMessageId
-                    );
-                  } catch (_) {}
-                }
-
-                // Remove the user who joined
-                try {
-                  await GroupPoolService.removeUsersFromGroup(
-                    currentEscrow,
-                    group.groupId,
-                    telegram
-                  );
-                } catch (removeError) {
-                  console.error(
-                    "Error removing users during timeout:",
-                    removeError
-                  );
-                }
-
-                // Refresh invite link
-                try {
-                  await GroupPoolService.refreshInviteLink(
-                    group.groupId,
-                    telegram
-                  );
-                } catch (linkError) {
-                  console.error(
-                    "Error refreshing invite link during timeout:",
-                    linkError
-                  );
-                }
-
-                // Reset group
-                group.status = "available";
-                group.assignedEscrowId = null;
-                group.assignedAt = null;
-                group.completedAt = null;
-                await group.save();
-
-                // Send message to group that deal was cancelled
-                try {
-                  await telegram.sendMessage(
-                    String(currentEscrow.groupId),
-                    "❌ Deal cancelled: The other participant did not join within 5 minutes. The group has been reset.",
-                    { parse_mode: "HTML" }
-                  );
-                } catch (msgError) {
-                  console.error(
-                    "Error sending cancellation message to group:",
-                    msgError
-                  );
-                }
-              }
-
-              // Delete the escrow
-              try {
-                await Escrow.deleteOne({ escrowId });
-              } catch (deleteError) {
-                console.error(
-                  "Error deleting escrow during timeout:",
-                  deleteError
-                );
-              }
-            } catch (error) {
-              console.error("Error in join timeout handler:", error);
-              if (inviteTimeoutMap) {
-                inviteTimeoutMap.delete(escrowId);
-              }
+        // Reset the group if the second user doesn't join within 5 minutes.
+        // Only scheduled for the first user (joinedCount === 1); it replaces
+        // the timeout set when the deal was created.
+        if (joinedCount === 1) {
+          await JobQueueService.enqueue(
+            "deal.join_timeout",
+            { escrowId: escrow.escrowId },
+            {
+              delayMs: 5 * 60 * 1000,
+              dedupeKey: `invite-timeout:${escrow.escrowId}`,
+              replace: true,
             }
-          }, 5 * 60 * 1000); // 5 minutes from first user join
-
-          inviteTimeoutMap.set(escrowId, timeoutId);
+          );
         }
       } catch (msgError) {
         // User might not have joined yet, or bot can't send message
@@ -790,11 +631,7 @@ async function joinRequestHandler(ctx) {
     }
 
     // Cancel the 5-minute timeout since both parties have joined
-    if (inviteTimeoutMap && inviteTimeoutMap.has(escrow.escrowId)) {
-      const timeoutId = inviteTimeoutMap.get(escrow.escrowId);
-      clearTimeout(timeoutId);
-      inviteTimeoutMap.delete(escrow.escrowId);
-    }
+    await JobQueueService.cancelByKey(`invite-timeout:${escrow.escrowId}`);
 
     // If we posted an invite in the origin chat, delete it and post a started message
     if (escrow.originChatId && escrow.originInviteMessageId) {
@@ -963,6 +800,123 @@ async function joinRequestHandler(ctx) {
   }
 }
 
-// Export both the handler and the setter function
+/**
+ * Job handler: reset the group when only one participant joined within
+ * 5 minutes of the first join.
+ */
+async function handleJoinTimeout({ escrowId }, { telegram }) {
+  // Re-fetch escrow to get latest state
+  const currentEscrow = await Escrow.findOne({ escrowId });
+  if (!currentEscrow) {
+    return;
+  }
+
+  // Check if both parties have joined (trade started)
+  if (
+    currentEscrow.roleSelectionMessageId ||
+    currentEscrow.status !== "draft"
+  ) {
+    // Trade has progressed
+    return;
+  }
+
+  // Check if both parties have joined
+  const currentApprovedCount = (currentEscrow.approvedUserIds || []).length;
+  let currentInitiatorPresent = false;
+  if (currentEscrow.creatorId) {
+    try {
+      const memberInfo = await telegram.getChatMember(
+        String(currentEscrow.groupId),
+        Number(currentEscrow.creatorId)
+      );
+      currentInitiatorPresent = ["member", "administrator", "creator"].includes(
+        memberInfo.status
+      );
+    } catch (_) {
+      currentInitiatorPresent = false;
+    }
+  }
+
+  const currentCreatorAlreadyCounted = currentEscrow.approvedUserIds?.includes(
+    Number(currentEscrow.creatorId)
+  );
+  const currentTotalJoined =
+    currentApprovedCount +
+    (currentInitiatorPresent && !currentCreatorAlreadyCounted ? 1 : 0);
+
+  if (currentTotalJoined >= 2) {
+    // Both joined
+    return;
+  }
+
+  // Timeout expired - reset the group
+  const GroupPool = require("../models/GroupPool");
+  const GroupPoolService = require("../services/GroupPoolService");
+  let group = await GroupPool.findOne({
+    assignedEscrowId: escrowId,
+  });
+  if (!group) {
+    group = await GroupPool.findOne({
+      groupId: currentEscrow.groupId,
+    });
+  }
+
+  if (group) {
+    // Delete waiting message
+    if (currentEscrow.waitingForUserMessageId) {
+      try {
+        await telegram.deleteMessage(
+          String(currentEscrow.groupId),
+          currentEscrow.waitingForUserMessageId
+        );
+      } catch (_) {}
+    }
+
+    // Remove the user who joined
+    try {
+      await GroupPoolService.removeUsersFromGroup(
+        currentEscrow,
+        group.groupId,
+        telegram
+      );
+    } catch (removeError) {
+      console.error("Error removing users during timeout:", removeError);
+    }
+
+    // Refresh invite link
+    try {
+      await GroupPoolService.refreshInviteLink(group.groupId, telegram);
+    } catch (linkError) {
+      console.error("Error refreshing invite link during timeout:", linkError);
+    }
+
+    // Reset group
+    group.status = "available";
+    group.assignedEscrowId = null;
+    group.assignedAt = null;
+    group.completedAt = null;
+    await group.save();
+
+    // Send message to group that deal was cancelled
+    try {
+      await telegram.sendMessage(
+        String(currentEscrow.groupId),
+        "❌ Deal cancelled: The other participant did not join within 5 minutes. The group has been reset.",
+        { parse_mode: "HTML" }
+      );
+    } catch (msgError) {
+      console.error("Error sending cancellation message to group:", msgError);
+    }
+  }
+
+  // Delete the escrow
+  try {
+    await Escrow.deleteOne({ escrowId });
+  } catch (deleteError) {
+    console.error("Error deleting escrow during timeout:", deleteError);
+  }
+}
+
+JobQueueService.register("deal.join_timeout", handleJoinTimeout);
+
 module.exports = joinRequestHandler;
-module.exports.setInviteTimeoutMap = setInviteTimeoutMap;
@@ -0,0 +1,210 @@
+const LedgerService = require("../services/LedgerService");
+const ReconciliationService = require("../services/ReconciliationService");
+const { hasPermission } = require("../middleware/adminAuth");
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+function shortAccount(account) {
+  const [kind, id] = account.split(":");
+  if (kind === "vault" || kind === "treasury") {
+    return `${kind}:${shortAddress(id)}`;
+  }
+  return account;
+}
+
+function formatBook(book) {
+  const amount = (wei) =>
+    LedgerService.formatWei(wei, book.token, book.network);
+
+  let text = `<b>${escapeHtml(book.token)} on ${escapeHtml(book.network)}</b> ${
+    book.balanced ? "✅" : "🚨 unbalanced"
+  }`;
+  text += `\n   Assets: ${amount(book.byType.asset)}`;
+  text += `\n   Owed to trades: ${amount(book.byType.liability)}`;
+  text += `\n   Revenue: ${amount(book.byType.revenue)}`;
+
+  const openEscrows = book.accounts.filter(
+    (row) => row.account.startsWith("escrow:") && row.balanceWei !== 0n,
+  );
+  book.accounts
+    .filter((row) => !row.account.startsWith("escrow:"))
+    .forEach((row) => {
+      text += `\n   • <code>${escapeHtml(
+        shortAccount(row.account),
+      )}</code>: ${amount(row.balanceWei)}`;
+    });
+  if (openEscrows.length > 0) {
+    text += `\n   • ${openEscrows.length} trade(s) with a balance: ${openEscrows
+      .slice(0, 10)
+      .map((row) => `<code>${escapeHtml(row.account.slice(7))}</code>`)
+      .join(", ")}${openEscrows.length > 10 ? ", ..." : ""}`;
+  }
+  return text;
+}
+
+function formatEntry(entry) {
+  const amount = (wei) =>
+    LedgerService.formatWei(wei, entry.token, entry.network);
+
+  let text = `<b>${escapeHtml(
+    entry.type,
+  )}</b> ${entry.createdAt.toISOString()}`;
+  if (entry.txHash) text += `\n   Tx: <code>${escapeHtml(entry.txHash)}</code>`;
+  entry.lines.forEach((line) => {
+    const side =
+      line.debitWei !== "0"
+        ? `Dr ${amount(line.debitWei)}`
+        : `Cr ${amount(line.creditWei)}`;
+    text += `\n   ${side} <code>${escapeHtml(
+      shortAccount(line.account),
+    )}</code>`;
+  });
+  if (entry.note) text += `\n   ${escapeHtml(entry.note)}`;
+  return text;
+}
+
+/**
+ * Trial balance of the double-entry ledger, or one trade's journal entries
+ * Usage: /admin_ledger [escrowId]
+ */
+async function adminLedger(ctx) {
+  try {
+    if (!hasPermission(ctx, "stats.view")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const escrowId = ctx.message.text.trim().split(/\s+/)[1];
+
+    if (escrowId) {
+      const entries = await LedgerService.getEntries(escrowId, 20);
+      if (entries.length === 0) {
+        return ctx.reply("📭 No ledger entries for this trade.");
+      }
+      const [balance] = (await LedgerService.getBalances({ escrowId })).filter(
+        (row) => row.account === LedgerService.escrowAccount(escrowId),
+      );
+
+      let message = `📒 <b>LEDGER</b> - <code>${escapeHtml(
+        escrowId,
+      )}</code>\n\n`;
+      message += entries.map(formatEntry).join("\n\n");
+      if (balance) {
+        message += `\n\n<b>Still owed to the trade:</b> ${LedgerService.formatWei(
+          balance.balanceWei,
+          balance.token,
+          balance.network,
+        )} ${escapeHtml(balance.token)}`;
+      }
+      return ctx.reply(message, { parse_mode: "HTML" });
+    }
+
+    const statusMsg = await ctx.reply("⏳ Adding up the ledger...");
+    const books = await LedgerService.trialBalance();
+    const text =
+      books.length === 0
+        ? "📭 The ledger has no entries yet."
+        : `📒 <b>TRIAL BALANCE</b>\n\n${books
+            .map(formatBook)
+            .join(
+              "\n\n",
+            )}\n\n💡 <code>/admin_ledger &lt;escrowId&gt;</code> for one trade's entries`;
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      null,
+      text,
+      { parse_mode: "HTML" },
+    );
+  } catch (error) {
+    console.error("Error loading ledger:", error);
+    ctx.reply("❌ Error loading the ledger.");
+  }
+}
+
+function formatReport(report) {
+  let text = `🧮 <b>RECONCILIATION</b> ${
+    report.ok
+      ? "✅ no discrepancies"
+      : `🚨 ${report.discrepancies.length} discrepancies`
+  }\n${report.finishedAt.toISOString()} (${escapeHtml(report.trigger)})\n`;
+
+  // One line per vault keeps the report inside a single message
+  report.vaults.forEach((vault) => {
+    text += `\n• ${escapeHtml(vault.token)}/${escapeHtml(
+      vault.network,
+    )} <code>${escapeHtml(shortAddress(vault.address))}</code>: `;
+    text += vault.error
+      ? `❌ ${escapeHtml(vault.error.slice(0, 80))}`
+      : `on-chain ${vault.onChainBalance}, owed ${vault.openLiabilities} + fees ${vault.unsweptFees}, diff ${vault.difference}, ${vault.transfersChecked} transfers`;
+  });
+
+  if (report.discrepancies.length > 0) {
+    text += `\n\n${report.discrepancies
+      .slice(0, 10)
+      .map(ReconciliationService.formatDiscrepancy)
+      .join("\n\n")}`;
+    if (report.discrepancies.length > 10) {
+      text += `\n\n...and ${report.discrepancies.length - 10} more`;
+    }
+  }
+  return text;
+}
+
+/**
+ * Latest reconciliation of vault balances and transfers with the database
+ * Usage: /admin_reconcile [run]
+ */
+async function adminReconcile(ctx) {
+  try {
+    if (!hasPermission(ctx, "stats.view")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const runNow =
+      (ctx.message.text.trim().split(/\s+/)[1] || "").toLowerCase() === "run";
+
+    let report;
+    if (runNow) {
+      const statusMsg = await ctx.reply(
+        "⏳ Reconciling vaults with the chain...",
+      );
+      report = await ReconciliationService.run({
+        trigger: "admin",
+        actorId: ctx.from.id,
+      });
+      await ctx.telegram
+        .deleteMessage(ctx.chat.id, statusMsg.message_id)
+        .catch(() => {});
+    } else {
+      report = await ReconciliationService.getLatest();
+      if (!report) {
+        return ctx.reply(
+          "📭 No reconciliation has run yet. Use <code>/admin_reconcile run</code>.",
+          { parse_mode: "HTML" },
+        );
+      }
+    }
+
+    await ctx.reply(formatReport(report), {
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+    });
+  } catch (error) {
+    console.error("Error running reconciliation:", error);
+    ctx.reply("❌ Error running the reconciliation.");
+  }
+}
+
+module.exports = {
+  adminLedger,
+  adminReconcile,
+};
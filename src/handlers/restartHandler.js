@@ -1,5 +1,6 @@
 const Escrow = require("../models/Escrow");
 const { isAdmin } = require("../middleware/adminAuth");
+const EscrowStateService = require("../services/EscrowStateService");
 const config = require("../../config");
 const { getParticipants, formatParticipant } = require("../utils/participant");
 
@@ -69,6 +70,20 @@ module.exports = async (ctx) => {
       );
     }
 
+    try {
+      EscrowStateService.transition(
+        escrow,
+        "draft",
+        EscrowStateService.actorFromCtx(ctx, escrow),
+        "trade restarted",
+      );
+    } catch (transitionError) {
+      if (EscrowStateService.isRejection(transitionError)) {
+        return ctx.reply(transitionError.userMessage);
+      }
+      throw transitionError;
+    }
+
     if (escrow.dealConfirmedMessageId) {
       try {
         await ctx.telegram.unpinChatMessage(
@@ -80,7 +95,6 @@ module.exports = async (ctx) => {
     }
 
     escrow.tradeDetailsStep = null;
-    escrow.status = "draft";
     escrow.quantity = null;
     escrow.rate = null;
     escrow.paymentMethod = null;
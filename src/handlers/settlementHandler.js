@@ -0,0 +1,178 @@
+const { Markup } = require("telegraf");
+const Settlement = require("../models/Settlement");
+const EscrowStateService = require("../services/EscrowStateService");
+const PayoutService = require("../services/PayoutService");
+const SettlementService = require("../services/SettlementService");
+const findGroupEscrow = require("../utils/findGroupEscrow");
+const { hasPermission } = require("../middleware/adminAuth");
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function confirmKeyboard(settlementId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback(
+        "✅ Confirm Split",
+        `settle_confirm_${settlementId}`,
+      ),
+      Markup.button.callback("❌ Cancel", `settle_cancel_${settlementId}`),
+    ],
+  ]).reply_markup;
+}
+
+/**
+ * Propose a buyer/seller split of the held funds
+ * Usage: /settle <buyerAmount|buyerPercent%> [note]
+ */
+async function settleCommand(ctx) {
+  const usage =
+    "Usage: <code>/settle &lt;buyerAmount|buyerPercent%&gt; [note]</code>\n\nThe buyer gets the share given (less the service and network fee), the rest is refunded to the seller (less the network fee).\n\nExamples:\n<code>/settle 60%</code>\n<code>/settle 250 buyer paid half in cash</code>";
+  try {
+    if (ctx.chat.id > 0) {
+      return ctx.reply("❌ This command can only be used in a group chat.");
+    }
+    if (!hasPermission(ctx, "trades.settle")) {
+      return ctx.reply("❌ Only admins can settle a trade.");
+    }
+
+    const escrow = await findGroupEscrow(
+      ctx.chat.id,
+      SettlementService.SETTLEABLE_STATUSES,
+    );
+    if (!escrow) {
+      return ctx.reply("❌ No funded trade found in this group.");
+    }
+
+    const [shareArg, ...noteParts] = (ctx.message.text || "")
+      .trim()
+      .split(/\s+/)
+      .slice(1);
+    const share = SettlementService.parseBuyerShare(shareArg);
+    if (!share) {
+      return ctx.reply(`❌ Invalid split.\n\n${usage}`, {
+        parse_mode: "HTML",
+      });
+    }
+
+    const settlement = await SettlementService.propose(
+      escrow,
+      share,
+      EscrowStateService.actorFromCtx(ctx, escrow),
+      { note: noteParts.join(" ") || null },
+    );
+
+    const confirmMsg = await ctx.reply(
+      `⚖️ <b>Split Settlement</b>\n\n<b>Trade ID:</b> #${
+        escrow.escrowId
+      }\n\n${SettlementService.formatBreakdown(settlement)}${
+        settlement.note
+          ? `\n\n📝 <b>Note:</b> ${escapeHtml(settlement.note)}`
+          : ""
+      }\n\n⚠️ Both payouts are sent on confirmation and the trade is closed.`,
+      {
+        parse_mode: "HTML",
+        reply_markup: confirmKeyboard(settlement._id),
+      },
+    );
+    settlement.confirmationMessageId = confirmMsg.message_id;
+    await settlement.save();
+  } catch (error) {
+    console.error("Error proposing settlement:", error);
+    ctx.reply(`❌ Could not prepare settlement: ${escapeHtml(error.message)}`, {
+      parse_mode: "HTML",
+    });
+  }
+}
+
+/**
+ * Confirm / cancel buttons on the settlement proposal
+ */
+function setupSettlementActions(bot) {
+  bot.action(/^settle_confirm_([a-f0-9]{24})$/, async (ctx) => {
+    if (!hasPermission(ctx, "trades.settle")) {
+      return ctx.answerCbQuery("❌ Only admins can confirm a settlement.");
+    }
+
+    const settlement = await Settlement.findById(ctx.match[1]);
+    if (!settlement) {
+      return ctx.answerCbQuery("❌ Settlement not found");
+    }
+    if (settlement.status === "completed") {
+      return ctx.answerCbQuery("✅ Already settled");
+    }
+
+    await ctx.answerCbQuery("⏳ Settling...");
+    try {
+      await ctx.editMessageReplyMarkup(undefined);
+    } catch (e) {}
+
+    try {
+      await SettlementService.execute(
+        settlement,
+        EscrowStateService.actorFromCtx(ctx, null),
+        ctx.telegram,
+      );
+    } catch (error) {
+      console.error("Error executing settlement:", error);
+      const message =
+        PayoutService.isPayoutError(error) ||
+        SettlementService.isSettlementError(error) ||
+        EscrowStateService.isRejection(error)
+          ? error.userMessage
+          : `❌ Settlement failed: ${escapeHtml(error.message)}`;
+      const canRetry = settlement.status === "executing";
+      await ctx.reply(
+        canRetry
+          ? `${message}\n\nLegs already paid will not be paid again on retry.`
+          : message,
+        {
+          parse_mode: "HTML",
+          reply_markup: canRetry
+            ? Markup.inlineKeyboard([
+                Markup.button.callback(
+                  "🔁 Retry Settlement",
+                  `settle_confirm_${settlement._id}`,
+                ),
+              ]).reply_markup
+            : undefined,
+        },
+      );
+    }
+  });
+
+  bot.action(/^settle_cancel_([a-f0-9]{24})$/, async (ctx) => {
+    if (!hasPermission(ctx, "trades.settle")) {
+      return ctx.answerCbQuery("❌ Only admins can cancel a settlement.");
+    }
+
+    try {
+      const settlement = await Settlement.findById(ctx.match[1]);
+      if (!settlement) {
+        return ctx.answerCbQuery("❌ Settlement not found");
+      }
+      await SettlementService.cancel(
+        settlement,
+        EscrowStateService.actorFromCtx(ctx, null),
+      );
+      await ctx.answerCbQuery("Settlement cancelled");
+      await ctx.editMessageText("❌ Split settlement cancelled.");
+    } catch (error) {
+      console.error("Error cancelling settlement:", error);
+      await ctx.answerCbQuery(
+        SettlementService.isSettlementError(error)
+          ? "❌ This settlement can no longer be cancelled"
+          : "❌ Error cancelling settlement",
+      );
+    }
+  });
+}
+
+module.exports = {
+  settleCommand,
+  setupSettlementActions,
+};
@@ -0,0 +1,368 @@
+const Contract = require("../models/Contract");
+const BlockchainService = require("../services/BlockchainService");
+const TronService = require("../services/TronService");
+const AuditService = require("../services/AuditService");
+const LedgerService = require("../services/LedgerService");
+const PayoutAuthorizationService = require("../services/PayoutAuthorizationService");
+const { hasPermission } = require("../middleware/adminAuth");
+
+const USAGE = `Usage: <code>/admin_vault &lt;action&gt; [BSC|TRON] [address]</code>
+
+Every deployed vault on the network (or on all networks) is handled in turn.
+
+<b>Read</b>
+<code>status</code> - owner, pending owner, guardian, payout signer, paused
+
+<b>Emergency</b>
+<code>pause</code> - stop payouts and withdrawals
+<code>unpause</code> - resume (guardian only)
+
+<b>Ownership</b>
+<code>transfer_owner &lt;network&gt; &lt;address&gt;</code> - nominate a new owner
+<code>accept_owner</code> - accept a nomination of the bot's wallet
+<code>set_guardian &lt;network&gt; &lt;address&gt;</code> - hand over the guardian role (guardian only)
+<code>set_signer &lt;network&gt; &lt;address|none&gt;</code> - require payouts signed by address (guardian only)
+
+<b>Timelocked</b> (queue, wait 48h, then execute)
+<code>queue_fee_wallet</code> / <code>set_fee_wallet</code> / <code>cancel_fee_wallet &lt;network&gt; &lt;address&gt;</code>
+<code>queue_withdraw</code> / <code>withdraw</code> / <code>cancel_withdraw &lt;network&gt; &lt;address&gt;</code> - sweep the vault token to address
+
+Guardian-only actions are sent from the bot only where its wallet is still the guardian; vaults deployed with a separate guardian name the wallet to send them from.`;
+
+const NETWORKS = ["BSC", "TRON"];
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function shortAddress(address) {
+  return address ? `${address.slice(0, 6)}...${address.slice(-4)}` : "-";
+}
+
+// TRON requires slower pacing due to aggressive rate limits on free nodes
+function pace(network) {
+  const delay = network === "TRON" ? 5000 : 200;
+  return new Promise((resolve) => setTimeout(resolve, delay));
+}
+
+function botAddress(network) {
+  return network === "TRON"
+    ? TronService.tronWeb?.defaultAddress?.base58 || null
+    : BlockchainService.getWallet(network)?.address || null;
+}
+
+function signingKeyAddress(network) {
+  const address = PayoutAuthorizationService.address;
+  if (!address || network !== "TRON") return address;
+  return TronService.tronWeb?.address.fromHex("41" + address.slice(2)) || null;
+}
+
+function formatAccount(address, network) {
+  if (!address) return "-";
+  const is = (other) =>
+    !!other && other.toLowerCase() === String(address).toLowerCase();
+  const tag = is(botAddress(network))
+    ? " (bot)"
+    : is(signingKeyAddress(network))
+    ? " (signing key)"
+    : "";
+  return `<code>${escapeHtml(shortAddress(address))}</code>${tag}`;
+}
+
+async function withdrawQueued(vault, to) {
+  const result = await BlockchainService.withdrawToken(
+    vault.token,
+    vault.network,
+    vault.address,
+    to,
+  );
+  if (result?.amountWei) {
+    await LedgerService.postSweep({
+      token: vault.token,
+      network: vault.network,
+      vaultAddress: vault.address,
+      toAddress: to,
+      amountWei: result.amountWei,
+      txHash: result.transactionHash,
+      note: "vault withdrawal (timelocked)",
+    });
+  }
+  return result;
+}
+
+// What each action does to one vault that has owner controls
+const ACTIONS = {
+  status: {},
+  pause: {
+    run: (vault) => BlockchainService.pauseVault(vault.network, vault.address),
+  },
+  unpause: {
+    guardianOnly: true,
+    run: (vault) =>
+      BlockchainService.unpauseVault(vault.network, vault.address),
+  },
+  accept_owner: {
+    run: (vault) =>
+      BlockchainService.acceptVaultOwnership(vault.network, vault.address),
+  },
+  transfer_owner: {
+    needsAddress: true,
+    run: (vault, address) =>
+      BlockchainService.transferVaultOwnership(
+        vault.network,
+        vault.address,
+        address,
+      ),
+  },
+  set_guardian: {
+    guardianOnly: true,
+    needsAddress: true,
+    run: (vault, address) =>
+      BlockchainService.setVaultGuardian(vault.network, vault.address, address),
+  },
+  set_signer: {
+    guardianOnly: true,
+    needsAddress: true,
+    run: (vault, address) => {
+      if (address.toLowerCase() === "none") {
+        return BlockchainService.setVaultSigner(
+          vault.network,
+          vault.address,
+          null,
+        );
+      }
+      // Payouts would stop at once if the bot cannot sign for the new signer
+      const ours = signingKeyAddress(vault.network);
+      if (!ours || ours.toLowerCase() !== address.toLowerCase()) {
+        throw new Error(
+          `PAYOUT_SIGNER_PRIVATE_KEY is ${
+            ours ? `for ${ours}` : "not set"
+          }; set it to the new signer's key first`,
+        );
+      }
+      // A signer the relaying hot wallet can sign for protects nothing
+      if (ours.toLowerCase() === botAddress(vault.network)?.toLowerCase()) {
+        throw new Error(
+          "PAYOUT_SIGNER_PRIVATE_KEY is the hot wallet's key; use a separate key",
+        );
+      }
+      return BlockchainService.setVaultSigner(
+        vault.network,
+        vault.address,
+        address,
+      );
+    },
+  },
+  queue_fee_wallet: {
+    needsAddress: true,
+    run: (vault, address) =>
+      BlockchainService.queueVaultOperation(vault.network, vault.address, {
+        kind: "feeWallet",
+        address,
+      }),
+  },
+  set_fee_wallet: {
+    needsAddress: true,
+    run: (vault, address) =>
+      BlockchainService.setVaultFeeWallet(
+        vault.network,
+        vault.address,
+        address,
+      ),
+  },
+  cancel_fee_wallet: {
+    needsAddress: true,
+    run: (vault, address) =>
+      BlockchainService.cancelVaultOperation(vault.network, vault.address, {
+        kind: "feeWallet",
+        address,
+      }),
+  },
+  queue_withdraw: {
+    needsAddress: true,
+    run: (vault, address) =>
+      BlockchainService.queueVaultOperation(vault.network, vault.address, {
+        kind: "withdraw",
+        address,
+      }),
+  },
+  withdraw: {
+    needsAddress: true,
+    run: withdrawQueued,
+  },
+  cancel_withdraw: {
+    needsAddress: true,
+    run: (vault, address) =>
+      BlockchainService.cancelVaultOperation(vault.network, vault.address, {
+        kind: "withdraw",
+        address,
+      }),
+  },
+};
+
+/**
+ * Run one action on one vault
+ * @returns {Promise<{line: string, transactionHash: string|null}>}
+ */
+async function applyToVault(action, vault, address) {
+  const label = `[${escapeHtml(vault.token)} ${escapeHtml(
+    vault.network,
+  )}] <code>${escapeHtml(shortAddress(vault.address))}</code>`;
+  try {
+    const controls = await BlockchainService.getVaultControls(
+      vault.network,
+      vault.address,
+    );
+    if (!controls) {
+      return {
+        line: `⏸️ ${label} - no owner controls (deployed before them)`,
+        transactionHash: null,
+      };
+    }
+
+    if (action === "status") {
+      const pending = controls.pendingOwner
+        ? `, pending ${formatAccount(controls.pendingOwner, vault.network)}`
+        : "";
+      return {
+        line:
+          `${controls.paused ? "⛔" : "🟢"} ${label}\n` +
+          `   owner ${formatAccount(controls.owner, vault.network)}${pending}` +
+          `, guardian ${formatAccount(controls.guardian, vault.network)}` +
+          `, signer ${
+            controls.signer
+              ? formatAccount(controls.signer, vault.network)
+              : "none"
+          }` +
+          (controls.paused ? ", <b>paused</b>" : ""),
+        transactionHash: null,
+      };
+    }
+
+    // The bot holds no guardian key for vaults deployed with their own
+    const bot = botAddress(vault.network);
+    if (
+      ACTIONS[action].guardianOnly &&
+      (!bot || bot.toLowerCase() !== String(controls.guardian).toLowerCase())
+    ) {
+      return {
+        line: `⏸️ ${label} - guardian only; send it from ${formatAccount(
+          controls.guardian,
+          vault.network,
+        )}`,
+        transactionHash: null,
+      };
+    }
+
+    const result = await ACTIONS[action].run(vault, address);
+    return {
+      line: `✅ ${label}${
+        result?.eta ? ` - executable after ${result.eta.toISOString()}` : ""
+      }${
+        result?.transactionHash
+          ? `\n   TX: <code>${escapeHtml(result.transactionHash)}</code>`
+          : ""
+      }`,
+      transactionHash: result?.transactionHash || null,
+    };
+  } catch (error) {
+    console.error(
+      `Error running vault ${action} on ${vault.address}:`,
+      error.message,
+    );
+    return {
+      line: `❌ ${label} - ${escapeHtml(
+        (error.shortMessage || error.message || "").slice(0, 120),
+      )}`,
+      transactionHash: null,
+    };
+  }
+}
+
+/**
+ * Owner and guardian operations on every deployed vault: pause, ownership
+ * hand-over and the timelocked fee wallet change and withdrawal.
+ * Usage: /admin_vault <action> [BSC|TRON] [address]
+ */
+async function adminVault(ctx) {
+  try {
+    if (!hasPermission(ctx, "vaults.manage")) {
+      return ctx.reply("❌ Access denied. Admin privileges required.");
+    }
+
+    const [actionArg, networkArg, address] = ctx.message.text
+      .trim()
+      .split(/\s+/)
+      .slice(1);
+    const action = (actionArg || "").toLowerCase();
+    const network = networkArg ? networkArg.toUpperCase() : null;
+    if (
+      !ACTIONS[action] ||
+      (network && !NETWORKS.includes(network)) ||
+      (ACTIONS[action].needsAddress && (!network || !address))
+    ) {
+      return ctx.reply(USAGE, { parse_mode: "HTML" });
+    }
+
+    const vaults = await Contract.find({
+      name: "EscrowVault",
+      status: "deployed",
+      ...(network ? { network } : {}),
+    }).sort({ network: 1, token: 1 });
+    if (vaults.length === 0) {
+      return ctx.reply(
+        `❌ No deployed vaults${network ? ` on ${network}` : ""}.`,
+      );
+    }
+
+    await ctx.reply(
+      `⏳ Running <b>${escapeHtml(action)}</b> on ${vaults.length} vault(s)...`,
+      { parse_mode: "HTML" },
+    );
+
+    const lines = [];
+    const txHashes = [];
+    for (const vault of vaults) {
+      const { line, transactionHash } = await applyToVault(
+        action,
+        vault,
+        address,
+      );
+      lines.push(line);
+      if (transactionHash) txHashes.push(transactionHash);
+      await pace(vault.network);
+    }
+
+    if (action !== "status") {
+      await AuditService.recordFromCtx(ctx, {
+        action: `vault.${action}`,
+        after: { network, address: address || null, results: lines },
+        txHashes,
+      });
+    }
+
+    // Stay under Telegram's message limit
+    const title = `🏦 <b>VAULT ${escapeHtml(action.toUpperCase())}</b>${
+      network ? ` - ${network}` : ""
+    }\n\n`;
+    let message = title;
+    for (const line of lines) {
+      if (message.length + line.length > 3800) {
+        await ctx.reply(message, { parse_mode: "HTML" });
+        message = "";
+      }
+      message += `${line}\n`;
+    }
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    console.error("Error in admin vault command:", error);
+    ctx.reply(`❌ Error: ${error.message}`);
+  }
+}
+
+module.exports = {
+  adminVault,
+};
@@ -1,6 +1,7 @@
 const Escrow = require("../models/Escrow");
 const Contract = require("../models/Contract");
 const { isValidAddress } = require("../utils/addressValidation");
+const { scheduleMessageDeletion } = require("../utils/telegramUtils");
 const config = require("../../config");
 
 module.exports = async (ctx) => {
@@ -98,17 +99,11 @@ module.exports = async (ctx) => {
           { parse_mode: "HTML" },
         );
 
-        const telegram = ctx.telegram;
-        const commandMsgId = ctx.message.message_id;
-
-        setTimeout(async () => {
-          try {
-            await telegram.deleteMessage(chatId, commandMsgId);
-          } catch (e) {}
-          try {
-            await telegram.deleteMessage(chatId, replyMsg.message_id);
-          } catch (e) {}
-        }, 5 * 60 * 1000);
+        await scheduleMessageDeletion(
+          chatId,
+          [ctx.message.message_id, replyMsg.message_id],
+          5 * 60 * 1000,
+        );
 
         return;
       }
@@ -120,17 +115,11 @@ module.exports = async (ctx) => {
         { parse_mode: "HTML" },
       );
 
-      const telegram = ctx.telegram;
-      const commandMsgId = ctx.message.message_id;
-
-      setTimeout(async () => {
-        try {
-          await telegram.deleteMessage(chatId, commandMsgId);
-        } catch (e) {}
-        try {
-          await telegram.deleteMessage(chatId, notFoundMsg.message_id);
-        } catch (e) {}
-      }, 5 * 60 * 1000);
+      await scheduleMessageDeletion(
+        chatId,
+        [ctx.message.message_id, notFoundMsg.message_id],
+        5 * 60 * 1000,
+      );
 
       return;
     }
@@ -144,17 +133,11 @@ module.exports = async (ctx) => {
       { parse_mode: "HTML" },
     );
 
-    const telegram = ctx.telegram;
-    const commandMsgId = ctx.message.message_id;
-
-    setTimeout(async () => {
-      try {
-        await telegram.deleteMessage(chatId, commandMsgId);
-      } catch (e) {}
-      try {
-        await telegram.deleteMessage(chatId, replyMsg.message_id);
-      } catch (e) {}
-    }, 5 * 60 * 1000);
+    await scheduleMessageDeletion(
+      chatId,
+      [ctx.message.message_id, replyMsg.message_id],
+      5 * 60 * 1000,
+    );
   } catch (error) {
     console.error("Error in verify handler:", error);
     ctx.reply(
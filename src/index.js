@@ -1,4 +1,4 @@
-require("./utils/logger");
+const logger = require("./utils/logger");
 const { Telegraf, Markup } = require("telegraf");
 const { ethers } = require("ethers");
 const mongoose = require("mongoose");
@@ -28,9 +28,30 @@ const {
 const findGroupEscrow = require("./utils/findGroupEscrow");
 const TronService = require("./services/TronService");
 const CompletionFeedService = require("./services/CompletionFeedService");
+const DepositWatcherService = require("./services/DepositWatcherService");
+const VaultLedgerService = require("./services/VaultLedgerService");
+const LedgerService = require("./services/LedgerService");
+const ReconciliationService = require("./services/ReconciliationService");
+const EscrowStateService = require("./services/EscrowStateService");
+const JobQueueService = require("./services/JobQueueService");
+const PayoutService = require("./services/PayoutService");
+const AdminService = require("./services/AdminService");
+const LeaderService = require("./services/LeaderService");
 const { safeAnswerCbQuery } = require("./utils/telegramUtils");
+const escrowLock = require("./middleware/escrowLock");
 const restartHandler = require("./handlers/restartHandler");
 const disputeHandler = require("./handlers/disputeHandler");
+const disputeCaseHandler = require("./handlers/disputeCaseHandler");
+const settlementHandler = require("./handlers/settlementHandler");
+const auditHandler = require("./handlers/auditHandler");
+const ledgerHandler = require("./handlers/ledgerHandler");
+const apiKeyHandler = require("./handlers/apiKeyHandler");
+const vaultAdminHandler = require("./handlers/vaultAdminHandler");
+const HttpServer = require("./api/server");
+const adminApi = require("./api/adminApi");
+const dashboard = require("./api/dashboard");
+const monitoring = require("./api/monitoring");
+const webhook = require("./api/webhook");
 
 class RPCRateLimiter {
   constructor(maxConcurrent = 5, delayBetweenRequests = 100) {
@@ -235,13 +256,72 @@ function parseFlexibleNumber(value) {
 class EscrowBot {
   constructor() {
     this.bot = new Telegraf(config.BOT_TOKEN);
+    this.inFlightUpdates = 0;
+    this.stopping = false;
+    this.groupMonitoringTimer = null;
     this.setupMiddleware();
     this.setupHandlers();
     this.setupErrorHandling();
+    this.setupJobs();
+  }
+
+  setupJobs() {
+    // Participant left a room before funding and did not come back
+    JobQueueService.register(
+      "escrow.recycle_if_abandoned",
+      async ({ escrowId }, { telegram }) => {
+        const freshEscrow = await Escrow.findOne({ escrowId });
+        if (
+          !freshEscrow ||
+          !["draft", "awaiting_details", "awaiting_deposit"].includes(
+            freshEscrow.status,
+          )
+        ) {
+          return;
+        }
+
+        await telegram.sendMessage(
+          freshEscrow.groupId,
+          "⏳ Time is up. Recycling group...",
+        );
+        EscrowStateService.transition(
+          freshEscrow,
+          "cancelled",
+          EscrowStateService.SYSTEM,
+          "participant left the group",
+        );
+        await freshEscrow.save();
+        await GroupPoolService.recycleGroupNow(freshEscrow, telegram);
+      },
+    );
+
+    JobQueueService.register(
+      "group.recycle_after_refund",
+      async ({ escrowId }, { telegram }) => {
+        const refundedEscrow = await Escrow.findOne({ escrowId });
+        const group = await GroupPool.findOne({ assignedEscrowId: escrowId });
+        if (!refundedEscrow || !group) return;
+
+        await GroupPoolService.removeUsersFromGroup(
+          refundedEscrow,
+          group.groupId,
+          telegram,
+        );
+        await GroupPoolService.refreshInviteLink(group.groupId, telegram);
+        group.status = "available";
+        group.assignedEscrowId = null;
+        await group.save();
+        await telegram.sendMessage(
+          refundedEscrow.groupId,
+          "♻️ Group recycled.",
+        );
+      },
+    );
   }
 
   setupGroupMonitoring() {
-    setInterval(async () => {
+    if (this.groupMonitoringTimer) return;
+    this.groupMonitoringTimer = setInterval(async () => {
       try {
         const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
         const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000);
@@ -334,7 +414,12 @@ class EscrowBot {
               "⏳ Session expired. Recycling group...",
             );
 
-            escrow.status = "cancelled";
+            EscrowStateService.transition(
+              escrow,
+              "cancelled",
+              EscrowStateService.SYSTEM,
+              "session expired",
+            );
             await escrow.save();
 
             await GroupPoolService.recycleGroupNow(escrow, this.bot.telegram);
@@ -351,7 +436,27 @@ class EscrowBot {
     }, 5 * 60 * 1000);
   }
 
+  stopGroupMonitoring() {
+    if (this.groupMonitoringTimer) {
+      clearInterval(this.groupMonitoringTimer);
+      this.groupMonitoringTimer = null;
+    }
+  }
+
   setupMiddleware() {
+    // Everything logged while handling an update carries its ids
+    this.bot.use(logger.middleware());
+
+    // Counted so shutdown can wait for updates being handled
+    this.bot.use(async (ctx, next) => {
+      this.inFlightUpdates += 1;
+      try {
+        return await next();
+      } finally {
+        this.inFlightUpdates -= 1;
+      }
+    });
+
     this.bot.use(async (ctx, next) => {
       const user = ctx.from;
       if (user) {
@@ -388,10 +493,14 @@ class EscrowBot {
 
       return next();
     });
+
+    // One button press per trade at a time, across all instances
+    this.bot.use(escrowLock);
   }
 
   setupHandlers() {
     this.bot.use(calculatorHandler);
+    this.bot.use(disputeCaseHandler.collectDisputeEvidence);
 
     this.bot.command("cancel", async (ctx) => {
       try {
@@ -417,16 +526,9 @@ class EscrowBot {
         }
 
         const userId = from.id;
-        const adminUserId = config.ADMIN_USER_ID
-          ? Number(config.ADMIN_USER_ID)
-          : null;
-        const adminUserId2 = config.ADMIN_USER_ID2
-          ? Number(config.ADMIN_USER_ID2)
-          : null;
-
         const isBuyer = escrow.buyerId === userId;
         const isSeller = escrow.sellerId === userId;
-        const isAdmin = userId === adminUserId || userId === adminUserId2;
+        const isAdmin = AdminService.can(from, "trades.settle");
 
         if (!isBuyer && !isSeller && !isAdmin) {
           return ctx.reply(
@@ -435,8 +537,13 @@ class EscrowBot {
         }
 
         if (isAdmin) {
+          EscrowStateService.transition(
+            escrow,
+            "cancelled",
+            EscrowStateService.actorFromCtx(ctx, escrow),
+            "cancelled by admin",
+          );
           await ctx.reply("⚠️ Admin cancelled the deal. Resetting group...");
-          escrow.status = "cancelled";
           await escrow.save();
           await GroupPoolService.recycleGroupNow(escrow, ctx.telegram);
           return;
@@ -547,11 +654,16 @@ Both parties must confirm to proceed.
 <b>Seller (${sellerTag}):</b> ${sellerStatus}`;
 
         if (escrow.buyerConfirmedCancel && escrow.sellerConfirmedCancel) {
+          EscrowStateService.transition(
+            escrow,
+            "cancelled",
+            EscrowStateService.actorFromCtx(ctx, escrow),
+            "cancelled by buyer and seller",
+          );
           await ctx.editMessageText(
             `⚠️ <b>Deal Cancelled</b>\n\nBoth parties confirmed. Resetting group...`,
             { parse_mode: "HTML" },
           );
-          escrow.status = "cancelled";
           await escrow.save();
           await GroupPoolService.recycleGroupNow(escrow, ctx.telegram);
         } else {
@@ -664,7 +776,12 @@ Both parties must confirm to proceed.
 
         escrow.sellerAddress = text;
         escrow.tradeDetailsStep = "completed";
-        escrow.status = "draft";
+        EscrowStateService.transition(
+          escrow,
+          "draft",
+          EscrowStateService.actorFromCtx(ctx, escrow),
+          "seller address set",
+        );
         escrow.buyerApproved = false;
         escrow.sellerApproved = false;
         await escrow.save();
@@ -732,7 +849,12 @@ Both parties must confirm to proceed.
 
         escrow.buyerAddress = text;
         escrow.tradeDetailsStep = "step8_seller_address";
-        escrow.status = "draft";
+        EscrowStateService.transition(
+          escrow,
+          "draft",
+          EscrowStateService.actorFromCtx(ctx, escrow),
+          "buyer address set",
+        );
         await escrow.save();
 
         const sellerUsername = escrow.sellerUsername
@@ -902,6 +1024,7 @@ Both parties must confirm to proceed.
         let txFrom = null;
         let amount = 0;
         let amountWeiBigInt = 0n;
+        let txBlockNumber = 0;
 
         if (chainUpper === "TRON" || chainUpper === "TRX") {
           try {
@@ -1005,11 +1128,8 @@ Both parties must confirm to proceed.
             escrow.tronPendingTxHash = txHash;
             escrow.tronPendingAmount = amount;
 
-            // 2. Notify Admin 2 in the group
-            const adminUsername2 = config.ADMIN_USERNAME2 || "Admin";
-            const adminTag = config.ADMIN_USERNAME2
-              ? `@${config.ADMIN_USERNAME2}`
-              : "Admin";
+            // 2. Notify the admins who verify deposits in the group
+            const adminTag = AdminService.mentionFor("deposits.verify");
 
             const verifyMsg = await ctx.telegram.sendMessage(
               escrow.groupId,
@@ -1152,6 +1272,7 @@ Both parties must confirm to proceed.
             }
 
             txFrom = fromAddr;
+            txBlockNumber = receipt.blockNumber;
           } catch (err) {
             console.error("Error fetching transaction:", err);
             await ctx.reply(
@@ -1181,6 +1302,49 @@ Both parties must confirm to proceed.
           return;
         }
 
+        const alreadyTracked = (freshEscrow.pendingDeposits || []).some(
+          (entry) =>
+            entry.hash.toLowerCase() === txHash.toLowerCase() &&
+            entry.status !== "dropped",
+        );
+        if (alreadyTracked) {
+          await ctx.reply(
+            "⏳ This transaction has already been detected and will be credited automatically once it is confirmed.",
+          );
+          return;
+        }
+
+        // Shallow deposits are handed to the watcher, which credits them once
+        // they reach the network's confirmation depth.
+        const requiredConfirmations = config.getRequiredConfirmations(
+          freshEscrow.chain,
+        );
+        const latestBlock = await BlockchainService.getLatestBlockNumber(
+          freshEscrow.chain,
+        );
+        const confirmations =
+          latestBlock && txBlockNumber
+            ? Math.max(0, latestBlock - txBlockNumber + 1)
+            : 0;
+        if (confirmations < requiredConfirmations) {
+          DepositWatcherService.trackDeposit(
+            freshEscrow,
+            {
+              hash: txHash,
+              from: txFrom,
+              valueDecimal: amount,
+              valueWei: amountWeiBigInt.toString(),
+              blockNumber: txBlockNumber,
+            },
+            confirmations,
+          );
+          await freshEscrow.save();
+          await ctx.reply(
+            `⏳ Transaction found (${confirmations}/${requiredConfirmations} confirmations). The deposit will be credited automatically once it is confirmed.`,
+          );
+          return;
+        }
+
         freshEscrow.accumulatedDepositAmount = newAccumulated;
         const currentAccumulatedWei = BigInt(
           freshEscrow.accumulatedDepositAmountWei || "0",
@@ -1205,6 +1369,11 @@ Both parties must confirm to proceed.
         ) {
         }
         await freshEscrow.save();
+        await VaultLedgerService.creditDeposit(freshEscrow, amountWeiBigInt);
+        await LedgerService.postDeposit(freshEscrow, {
+          txHash,
+          amountWei: amountWeiBigInt,
+        });
 
         if (newAccumulated < expectedAmount - tolerance) {
           try {
@@ -1271,7 +1440,12 @@ Both parties must confirm to proceed.
               freshEscrow.status,
             )
           ) {
-            freshEscrow.status = "deposited";
+            EscrowStateService.transition(
+              freshEscrow,
+              "deposited",
+              EscrowStateService.actorFromCtx(ctx, freshEscrow),
+              "deposit transaction verified",
+            );
           }
           await freshEscrow.save();
 
@@ -1486,7 +1660,12 @@ Use /release After Fund Transfer to Seller
 
           escrow.paymentMethod = paymentMethod;
           escrow.tradeDetailsStep = "step7_addresses";
-          escrow.status = "draft";
+          EscrowStateService.transition(
+            escrow,
+            "draft",
+            EscrowStateService.actorFromCtx(ctx, escrow),
+            "payment method set",
+          );
           if (!escrow.tradeStartTime) {
             escrow.tradeStartTime = escrow.createdAt || new Date();
           }
@@ -1561,6 +1740,12 @@ Use /release After Fund Transfer to Seller
     this.bot.command("verify", verifyHandler);
     this.bot.command("restart", restartHandler);
     this.bot.command("dispute", disputeHandler);
+    this.bot.command("disputes", disputeCaseHandler.adminDisputes);
+    this.bot.command("dispute_case", disputeCaseHandler.adminDisputeCase);
+    this.bot.command("dispute_claim", disputeCaseHandler.adminDisputeClaim);
+    this.bot.command("dispute_close", disputeCaseHandler.adminDisputeClose);
+    this.bot.command("dispute_ruling", disputeCaseHandler.adminDisputeRuling);
+    this.bot.command("settle", settlementHandler.settleCommand);
     this.bot.command("release", async (ctx) => {
       try {
         const chatId = ctx.chat.id;
@@ -1582,12 +1767,7 @@ Use /release After Fund Transfer to Seller
         }
 
         const normalizedUsername = (ctx.from.username || "").toLowerCase();
-        const isAdmin =
-          config
-            .getAllAdminUsernames()
-            .some(
-              (name) => name && name.toLowerCase() === normalizedUsername,
-            ) || config.getAllAdminIds().includes(String(userId));
+        const isAdmin = AdminService.can(ctx.from, "trades.settle");
         const isSellerIdMatch =
           escrow.sellerId && Number(escrow.sellerId) === Number(userId);
         const isSellerUsernameMatch =
@@ -1858,9 +2038,7 @@ ${approvalNote}`;
         const normalizedUsername = ctx.from.username
           ? ctx.from.username.toLowerCase()
           : "";
-        const isAdmin =
-          config.getAllAdminUsernames().includes(ctx.from.username) ||
-          config.getAllAdminIds().includes(String(userId));
+        const isAdmin = AdminService.can(ctx.from, "trades.settle");
 
         const isBuyerIdMatch =
           escrow.buyerId && Number(escrow.buyerId) === Number(userId);
@@ -2020,9 +2198,7 @@ ${approvalNote}`;
           return ctx.reply("❌ Escrow not found.");
         }
 
-        const isUserAdmin = config
-          .getAllAdminIds()
-          .includes(String(ctx.from.id));
+        const isUserAdmin = AdminService.can(ctx.from, "trades.settle");
 
         const callbackMessageId = ctx.callbackQuery?.message?.message_id;
         if (
@@ -2189,6 +2365,16 @@ ${approvalNote}`;
         // Only execute if we have all required approvals
         if (!canExecute) return;
 
+        const refundActor = EscrowStateService.actorFromCtx(ctx, updatedEscrow);
+        const refundCheck = EscrowStateService.canTransition(
+          updatedEscrow,
+          "refunded",
+          refundActor,
+        );
+        if (!refundCheck.allowed) {
+          return ctx.reply(`❌ Refund not allowed: ${refundCheck.reason}.`);
+        }
+
         const decimals = BlockchainService.getTokenDecimals(
           updatedEscrow.token,
           updatedEscrow.chain,
@@ -2230,27 +2416,39 @@ ${approvalNote}`;
             return ctx.reply("❌ Seller address missing.");
           }
 
-          const refundResult = await BlockchainService.refundFunds(
-            updatedEscrow.token,
-            updatedEscrow.chain,
+          const refundResult = await PayoutService.refundFunds(
+            updatedEscrow,
             updatedEscrow.sellerAddress,
             actualAmountToUser,
             null,
-            updatedEscrow.groupId,
-            updatedEscrow.contractAddress,
+            {
+              contractAddress: updatedEscrow.contractAddress,
+              actor: refundActor,
+              fees: { networkFee },
+            },
           );
 
           if (!refundResult || !refundResult.transactionHash) {
             throw new Error("Refund transaction failed (no hash).");
           }
 
+          updatedEscrow.refundTransactionHash = refundResult.transactionHash;
+          updatedEscrow.partialRefundTransactionHashes.push(
+            refundResult.transactionHash,
+          );
+
           const isActualPartialRefund =
             Math.abs(totalDeposited - actualAmountToUser) > 0.00001;
 
           if (isActualPartialRefund) {
             const remaining = totalDeposited - refundAmount;
             if (remaining < 0.00001) {
-              updatedEscrow.status = "refunded";
+              EscrowStateService.transition(
+                updatedEscrow,
+                "refunded",
+                refundActor,
+                "refund executed",
+              );
               updatedEscrow.accumulatedDepositAmount = 0;
               updatedEscrow.depositAmount = 0;
               updatedEscrow.confirmedAmount = 0;
@@ -2265,7 +2463,12 @@ ${approvalNote}`;
               updatedEscrow.sellerConfirmedRefund = false;
             }
           } else {
-            updatedEscrow.status = "refunded";
+            EscrowStateService.transition(
+              updatedEscrow,
+              "refunded",
+              refundActor,
+              "refund executed",
+            );
             updatedEscrow.accumulatedDepositAmount = 0;
             updatedEscrow.depositAmount = 0;
             updatedEscrow.confirmedAmount = 0;
@@ -2294,35 +2497,22 @@ Funds returned to Seller.`;
           await ctx.reply(successMsg, { parse_mode: "HTML" });
 
           if (updatedEscrow.status === "refunded") {
-            setTimeout(async () => {
-              try {
-                const group = await GroupPool.findOne({
-                  assignedEscrowId: updatedEscrow.escrowId,
-                });
-                if (group) {
-                  await GroupPoolService.removeUsersFromGroup(
-                    updatedEscrow,
-                    group.groupId,
-                    ctx.telegram,
-                  );
-                  await GroupPoolService.refreshInviteLink(
-                    group.groupId,
-                    ctx.telegram,
-                  );
-                  group.status = "available";
-                  group.assignedEscrowId = null;
-                  await group.save();
-                  await ctx.reply("♻️ Group recycled.");
-                }
-              } catch (e) {
-                console.error("Recycle error", e);
-              }
-            }, 5 * 60 * 1000);
+            await JobQueueService.enqueue(
+              "group.recycle_after_refund",
+              { escrowId: updatedEscrow.escrowId },
+              {
+                delayMs: 5 * 60 * 1000,
+                dedupeKey: `group.recycle_after_refund:${updatedEscrow.escrowId}`,
+              },
+            );
           }
         } catch (err) {
           if (!err.message.includes("Insufficient Vault Balance")) {
             console.error("Refund Execution Error:", err);
           }
+          if (PayoutService.isPayoutError(err)) {
+            return ctx.reply(err.userMessage, { parse_mode: "HTML" });
+          }
           await ctx.reply(`❌ Refund Failed: ${err.message}`);
         }
       } catch (error) {
@@ -2660,6 +2850,12 @@ This is the current available balance for this trade.`;
       adminWithdrawAllBsc,
       adminWithdrawAllTron,
       adminWithdrawRoom,
+      adminWithdrawals,
+      adminRoles,
+      adminGrant,
+      adminRevoke,
+      adminJobs,
+      adminCancelJob,
       setupAdminActions,
       adminBroadcast,
       handleBroadcastMessage,
@@ -2682,11 +2878,26 @@ This is the current available balance for this trade.`;
     this.bot.command("admin_group_reset", adminGroupReset);
     this.bot.command("admin_reset_force", adminResetForce);
     this.bot.command("admin_reset_all_groups", adminResetAllGroups);
+    this.bot.command("admin_jobs", adminJobs);
+    this.bot.command("admin_cancel_job", adminCancelJob);
 
     this.bot.command("withdraw_all_bsc", adminWithdrawAllBsc);
     this.bot.command("withdraw_all_tron", adminWithdrawAllTron);
 
     this.bot.hears(/^\/withdraw_room_\d+$/i, adminWithdrawRoom);
+    this.bot.command("admin_withdrawals", adminWithdrawals);
+
+    this.bot.command("admin_roles", adminRoles);
+    this.bot.command("admin_grant", adminGrant);
+    this.bot.command("admin_revoke", adminRevoke);
+
+    this.bot.command("admin_audit", auditHandler.adminAudit);
+    this.bot.command("admin_audit_export", auditHandler.adminAuditExport);
+    this.bot.command("admin_audit_verify", auditHandler.adminAuditVerify);
+    this.bot.command("admin_ledger", ledgerHandler.adminLedger);
+    this.bot.command("admin_reconcile", ledgerHandler.adminReconcile);
+    this.bot.command("admin_api_key", apiKeyHandler.adminApiKey);
+    this.bot.command("admin_vault", vaultAdminHandler.adminVault);
 
     // Broadcast command for admin to send messages to all users
     this.bot.command("broadcast", adminBroadcast);
@@ -2695,7 +2906,7 @@ This is the current available balance for this trade.`;
     this.bot.on("message", async (ctx, next) => {
       // Only check in DM
       if (ctx.chat.id === ctx.from.id) {
-        if (hasPendingBroadcast(ctx.from.id)) {
+        if (await hasPendingBroadcast(ctx.from.id)) {
           const handled = await handleBroadcastMessage(ctx);
           if (handled) return;
         }
@@ -2705,6 +2916,8 @@ This is the current available balance for this trade.`;
 
     // Setup admin actions (callbacks)
     setupAdminActions(this.bot);
+    disputeCaseHandler.setupDisputeActions(this.bot);
+    settlementHandler.setupSettlementActions(this.bot);
 
     this.bot.on("callback_query", callbackHandler);
     this.bot.on("chat_join_request", joinRequestHandler);
@@ -2741,27 +2954,14 @@ This is the current available balance for this trade.`;
           escrow.isScheduledForRecycle = true;
           await escrow.save();
 
-          setTimeout(async () => {
-            try {
-              const freshEscrow = await Escrow.findById(escrow._id);
-              if (
-                freshEscrow &&
-                ["draft", "awaiting_details", "awaiting_deposit"].includes(
-                  freshEscrow.status,
-                )
-              ) {
-                await ctx.reply("⏳ Time is up. Recycling group...");
-                freshEscrow.status = "cancelled";
-                await freshEscrow.save();
-                await GroupPoolService.recycleGroupNow(
-                  freshEscrow,
-                  ctx.telegram,
-                );
-              }
-            } catch (e) {
-              console.error("Error in scheduled recycle after user left:", e);
-            }
-          }, 10 * 60 * 1000);
+          await JobQueueService.enqueue(
+            "escrow.recycle_if_abandoned",
+            { escrowId: escrow.escrowId },
+            {
+              delayMs: 10 * 60 * 1000,
+              dedupeKey: `escrow.recycle_if_abandoned:${escrow.escrowId}`,
+            },
+          );
         }
       } catch (e) {
         console.error("Error in left_chat_member handler:", e);
@@ -2771,7 +2971,13 @@ This is the current available balance for this trade.`;
 
   setupErrorHandling() {
     this.bot.catch((err, ctx) => {
-      console.error("Bot error:", err);
+      // Runs after the update's logging context has ended
+      logger.error("Bot error", {
+        err,
+        update_id: ctx.update?.update_id,
+        userId: ctx.from?.id,
+        chatId: ctx.chat?.id,
+      });
       ctx.reply("❌ An error occurred. Please try again or contact support.");
     });
   }
@@ -2791,9 +2997,7 @@ This is the current available balance for this trade.`;
             username: fallbackUsername,
             firstName: telegramUser.first_name,
             lastName: telegramUser.last_name,
-            isAdmin: config
-              .getAllAdminUsernames()
-              .includes(telegramUser.username || fallbackUsername),
+            isAdmin: AdminService.isAdminUser(telegramUser),
           });
           await user.save();
         } catch (duplicateError) {
@@ -2822,23 +3026,162 @@ This is the current available balance for this trade.`;
     }
   }
 
+  /**
+   * Background work only the leader runs. Recovery comes before polling so
+   * payouts a previous leader left in flight are settled before anyone can
+   * retry them.
+   */
+  setupLeaderTasks() {
+    const telegram = this.bot.telegram;
+
+    LeaderService.addTask("group monitoring", {
+      start: () => this.setupGroupMonitoring(),
+      stop: () => this.stopGroupMonitoring(),
+    });
+    // Every replica recovers before it accepts updates (see start()); the
+    // leader runs it again so a payout left by a replica that died is
+    // resolved without waiting for a restart
+    LeaderService.addTask("payout recovery", {
+      start: () => this.recoverPayouts(),
+      stop: () => {},
+    });
+    LeaderService.addTask("deposit watcher", {
+      start: () => DepositWatcherService.start(telegram),
+      stop: () => DepositWatcherService.stop(),
+    });
+    LeaderService.addTask("job queue", {
+      start: () => JobQueueService.start(telegram),
+      stop: () => JobQueueService.stop(),
+    });
+    LeaderService.addTask("reconciliation", {
+      start: () => ReconciliationService.start(telegram),
+      stop: () => ReconciliationService.stop(),
+    });
+
+    // Telegram allows a single getUpdates consumer per bot
+    if (!config.WEBHOOK_URL) {
+      LeaderService.addTask("long polling", {
+        start: () => this.startPolling(),
+        stop: () => {
+          if (this.bot.polling) this.bot.stop("leadership lost");
+        },
+      });
+    }
+  }
+
+  startPolling() {
+    // launch() resolves only when polling stops
+    this.bot.launch().catch((error) => {
+      console.error("Long polling stopped:", error);
+      // A 409 means the previous leader's last getUpdates is still open
+      setTimeout(() => {
+        if (LeaderService.isLeader && !this.stopping) this.startPolling();
+      }, 5000);
+    });
+  }
+
+  /**
+   * Stop taking updates, let the ones in progress finish, then hand the
+   * leader lease over and exit
+   */
+  async shutdown(signal) {
+    if (this.stopping) return;
+    this.stopping = true;
+    console.log(`🛑 ${signal} received, shutting down...`);
+
+    // Exit even if something below hangs
+    setTimeout(() => {
+      console.error("Shutdown timed out, exiting");
+      process.exit(1);
+    }, config.SHUTDOWN_TIMEOUT_MS + 5000).unref();
+
+    try {
+      if (this.bot.polling) this.bot.stop(signal);
+      await this.drainUpdates(config.SHUTDOWN_TIMEOUT_MS);
+      await LeaderService.stop();
+      await HttpServer.stop();
+      AdminService.stopRefresh();
+      await mongoose.disconnect();
+      console.log("👋 Shutdown complete");
+      process.exit(0);
+    } catch (error) {
+      console.error("Error during shutdown:", error);
+      process.exit(1);
+    }
+  }
+
+  async drainUpdates(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.inFlightUpdates > 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    if (this.inFlightUpdates > 0) {
+      console.warn(
+        `⚠️ Exiting with ${this.inFlightUpdates} update(s) still being handled`,
+      );
+    }
+  }
+
+  async recoverPayouts() {
+    try {
+      await PayoutService.recoverInFlight(this.bot.telegram);
+    } catch (e) {
+      console.error("Error recovering in-flight payouts:", e);
+    }
+  }
+
   async start() {
     try {
       console.log("🚀 Starting Escrow Bot...");
 
-      this.setupGroupMonitoring();
+      if (config.WEBHOOK_URL && (!config.HTTP_PORT || !config.WEBHOOK_SECRET)) {
+        throw new Error("WEBHOOK_URL needs HTTP_PORT and WEBHOOK_SECRET set");
+      }
 
       await connectDB();
 
+      // Admin roles; until this loads the .env admins act as owners
+      try {
+        await AdminService.load();
+      } catch (e) {
+        console.error("Error loading admins:", e);
+      }
+      AdminService.startRefresh();
+
       try {
         const addr = await BlockchainService.initialize();
       } catch (e) {}
 
-      await this.bot.launch();
-      console.log("🤖 Escrow Bot started successfully!");
+      process.once("SIGINT", () => this.shutdown("SIGINT"));
+      process.once("SIGTERM", () => this.shutdown("SIGTERM"));
+
+      this.bot.botInfo = await this.bot.telegram.getMe();
+      this.setupLeaderTasks();
+
+      // Resolve payouts a previous run left in flight before any update can
+      // start a new one
+      await this.recoverPayouts();
+
+      const isAccepting = () => !this.stopping;
+      adminApi.register(HttpServer);
+      dashboard.register(HttpServer);
+      monitoring.register(HttpServer, { bot: this.bot, isAccepting });
+      if (config.WEBHOOK_URL) {
+        webhook.register(HttpServer, { bot: this.bot, isAccepting });
+      }
+      HttpServer.start(this.bot.telegram);
+
+      if (config.WEBHOOK_URL) {
+        // Every replica sets the same URL; the load balancer picks one
+        await this.bot.telegram.setWebhook(
+          `${config.WEBHOOK_URL}${config.WEBHOOK_PATH}`,
+          { secret_token: config.WEBHOOK_SECRET },
+        );
+        console.log(`🪝 Receiving updates on ${config.WEBHOOK_PATH}`);
+      }
 
-      process.once("SIGINT", () => this.bot.stop("SIGINT"));
-      process.once("SIGTERM", () => this.bot.stop("SIGTERM"));
+      await LeaderService.start();
+      console.log("🤖 Escrow Bot started successfully!");
     } catch (error) {
       console.error("Failed to start bot:", error);
       process.exit(1);
@@ -2846,33 +3189,38 @@ This is the current available balance for this trade.`;
   }
 }
 
-const bot = new EscrowBot();
-bot.start();
+// Started directly; tests construct the bot themselves
+if (require.main === module) {
+  const bot = new EscrowBot();
+  bot.start();
 
-setTimeout(async () => {
-  try {
-    if (mongoose.connection.readyState !== 1) {
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error("MongoDB connection timeout during cleanup"));
-        }, 15000);
+  setTimeout(async () => {
+    try {
+      if (mongoose.connection.readyState !== 1) {
+        await new Promise((resolve, reject) => {
+          const timeout = setTimeout(() => {
+            reject(new Error("MongoDB connection timeout during cleanup"));
+          }, 15000);
 
-        if (mongoose.connection.readyState === 1) {
-          clearTimeout(timeout);
-          resolve();
-        } else {
-          mongoose.connection.once("open", () => {
+          if (mongoose.connection.readyState === 1) {
             clearTimeout(timeout);
             resolve();
-          });
-          mongoose.connection.once("error", (error) => {
-            clearTimeout(timeout);
-            reject(error);
-          });
-        }
-      });
+          } else {
+            mongoose.connection.once("open", () => {
+              clearTimeout(timeout);
+              resolve();
+            });
+            mongoose.connection.once("error", (error) => {
+              clearTimeout(timeout);
+              reject(error);
+            });
+          }
+        });
+      }
+    } catch (error) {
+      console.error("❌ Startup cleanup error:", error);
     }
-  } catch (error) {
-    console.error("❌ Startup cleanup error:", error);
-  }
-}, 5000);
+  }, 5000);
+}
+
+module.exports = EscrowBot;
@@ -1,22 +1,17 @@
-const config = require("../../config");
+const AdminService = require("../services/AdminService");
 
 /**
  * Middleware to authenticate admin users
- * Checks if the user is an admin based on username or user ID
+ * With a permission, only admins whose roles grant it get through
+ * @param {string} [permission] - e.g. "treasury.withdraw"
  */
-function requireAdmin() {
+function requireAdmin(permission = null) {
   return async (ctx, next) => {
     try {
-      const userId = ctx.from?.id;
-      const username = ctx.from?.username;
-
-      const adminIds = config.getAllAdminIds();
-      if (adminIds.some((adminId) => userId === parseInt(adminId))) {
-        return next();
-      }
-
-      const adminUsernames = config.getAllAdminUsernames();
-      if (adminUsernames.includes(username)) {
+      const allowed = permission
+        ? hasPermission(ctx, permission)
+        : isAdmin(ctx);
+      if (allowed) {
         return next();
       }
 
@@ -29,26 +24,23 @@ function requireAdmin() {
 }
 
 /**
- * Check if user is admin without sending response
+ * Check if user holds any admin role without sending response
  */
 function isAdmin(ctx) {
-  const userId = ctx.from?.id;
-  const username = ctx.from?.username;
-
-  const adminIds = config.getAllAdminIds();
-  if (adminIds.some((adminId) => userId === parseInt(adminId))) {
-    return true;
-  }
-
-  const adminUsernames = config.getAllAdminUsernames();
-  if (adminUsernames.includes(username)) {
-    return true;
-  }
+  return AdminService.isAdminUser(ctx.from);
+}
 
-  return false;
+/**
+ * Check if user's admin roles grant a permission without sending response
+ * @param {Object} ctx - Telegraf context
+ * @param {string} permission - one of AdminService.PERMISSIONS
+ */
+function hasPermission(ctx, permission) {
+  return AdminService.can(ctx.from, permission);
 }
 
 module.exports = {
   requireAdmin,
   isAdmin,
+  hasPermission,
 };
@@ -0,0 +1,96 @@
+const LeaseService = require("../services/LeaseService");
+const findGroupEscrow = require("../utils/findGroupEscrow");
+const { safeAnswerCbQuery } = require("../utils/telegramUtils");
+
+const BUSY_MESSAGE = "⏳ Operation in progress for this trade. Please wait.";
+
+// Buttons whose callback data ends in the escrow id they act on. Longest
+// first, so tron_verify_received_confirm_ is not read as tron_verify_received_
+const ESCROW_ACTION_PREFIXES = [
+  "close_trade_",
+  "fiat_sent_buyer_",
+  "fiat_received_seller_partial_",
+  "fiat_received_seller_yes_",
+  "fiat_received_seller_no_",
+  "buyer_received_tokens_yes_",
+  "buyer_received_tokens_no_",
+  "release_confirm_yes_",
+  "release_confirm_no_",
+  "admin_release_confirm_yes_",
+  "admin_release_confirm_no_",
+  "refund_confirm_yes_",
+  "refund_confirm_no_",
+  "cancel_confirm_yes_",
+  "cancel_confirm_no_",
+  "partial_continue_",
+  "partial_pay_remaining_",
+  "fiat_release_confirm_",
+  "fiat_release_cancel_",
+  "tron_verify_received_confirm_",
+  "tron_verify_received_",
+  "tron_verify_not_received_confirm_",
+  "tron_verify_not_received_",
+  "tron_verify_cancel_",
+].sort((a, b) => b.length - a.length);
+
+/**
+ * The escrow a button press or command acts on: named in the callback data,
+ * or the trade running in the group it came from
+ */
+async function resolveEscrowId(ctx) {
+  const data = ctx.callbackQuery?.data || "";
+  const prefix = ESCROW_ACTION_PREFIXES.find((p) => data.startsWith(p));
+  if (prefix) {
+    if (prefix === "close_trade_") return data.split("_")[2] || null;
+    return data.slice(prefix.length) || null;
+  }
+
+  if (ctx.chat?.type === "group" || ctx.chat?.type === "supergroup") {
+    const escrow = await findGroupEscrow(ctx.chat.id);
+    return escrow?.escrowId || null;
+  }
+  return null;
+}
+
+function isGroupCommand(ctx) {
+  return (
+    (ctx.chat?.type === "group" || ctx.chat?.type === "supergroup") &&
+    typeof ctx.message?.text === "string" &&
+    ctx.message.text.startsWith("/")
+  );
+}
+
+/**
+ * Serialize button presses and group commands per escrow across every bot
+ * instance. While one is being handled, a second one on the same trade (a
+ * double-click, or the other party) is told "operation in progress" instead
+ * of racing it.
+ */
+async function escrowLock(ctx, next) {
+  if (!ctx.callbackQuery && !isGroupCommand(ctx)) return next();
+
+  let escrowId;
+  try {
+    escrowId = await resolveEscrowId(ctx);
+  } catch (error) {
+    console.error("Error resolving escrow for callback lock:", error);
+  }
+  if (!escrowId) return next();
+
+  try {
+    return await LeaseService.withEscrowLock(escrowId, () => next());
+  } catch (error) {
+    if (!LeaseService.isLeaseBusy(error)) throw error;
+    if (ctx.callbackQuery) {
+      await safeAnswerCbQuery(ctx, BUSY_MESSAGE, true);
+      return;
+    }
+    try {
+      await ctx.reply(BUSY_MESSAGE);
+    } catch (replyError) {
+      console.error("Error replying to locked command:", replyError);
+    }
+  }
+}
+
+module.exports = escrowLock;
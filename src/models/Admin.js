@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const ROLES = ["owner", "treasurer", "arbitrator", "support"];
+
+const adminSchema = new mongoose.Schema({
+  // Missing for admins granted by @username until they first use the bot
+  telegramId: {
+    type: Number,
+    required: false,
+  },
+  // Stored lowercase, without the leading @
+  username: {
+    type: String,
+    required: false,
+    lowercase: true,
+    trim: true,
+  },
+  roles: {
+    type: [{ type: String, enum: ROLES }],
+    default: [],
+  },
+  // Every grant and revoke, oldest first
+  history: {
+    type: [
+      {
+        action: { type: String, enum: ["grant", "revoke"], required: true },
+        role: { type: String, enum: ROLES, required: true },
+        actorId: { type: Number },
+        actorUsername: { type: String },
+        note: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+adminSchema.index(
+  { telegramId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { telegramId: { $type: "number" } },
+  },
+);
+adminSchema.index({ username: 1 });
+
+module.exports = mongoose.model("Admin", adminSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// Key for the HTTP admin API. Requests act as the admin who created the key,
+// with whatever roles that admin holds at the time of the request.
+const apiKeySchema = new mongoose.Schema({
+  // Label chosen by the admin, e.g. "ops laptop"
+  name: {
+    type: String,
+    required: true,
+  },
+  // sha256 of the key; the key itself is shown once and never stored
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // First characters of the key, to tell keys apart in listings
+  prefix: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  telegramId: {
+    type: Number,
+    required: true,
+    index: true,
+  },
+  username: {
+    type: String,
+    required: false,
+  },
+  lastUsedAt: {
+    type: Date,
+    required: false,
+  },
+  revokedAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
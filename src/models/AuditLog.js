@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// Entries are only ever inserted. Each one stores the hash of the entry before
+// it, so editing or deleting any entry breaks the chain from that point on.
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Position in the chain, starting at 1
+    sequence: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    // e.g. escrow.release, group.reset_force, treasury.withdraw, admin.grant
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Command or button that triggered the action, e.g. /release, callback:wd_approve_3
+    command: {
+      type: String,
+      required: false,
+    },
+    actorId: {
+      type: Number,
+      required: false,
+      index: true,
+    },
+    actorUsername: {
+      type: String,
+      required: false,
+    },
+    // Admin roles, buyer / seller, or system
+    actorRole: {
+      type: String,
+      required: false,
+    },
+    escrowId: {
+      type: String,
+      required: false,
+      index: true,
+    },
+    groupId: {
+      type: String,
+      required: false,
+    },
+    // Relevant state before and after the action (plain JSON)
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      required: false,
+    },
+    txHashes: {
+      type: [String],
+      default: [],
+    },
+    note: {
+      type: String,
+      required: false,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+    prevHash: {
+      type: String,
+      required: true,
+    },
+    // sha256 of prevHash and every field above
+    hash: {
+      type: String,
+      required: true,
+    },
+  },
+  // Keep empty before/after objects so the stored entry hashes the same as
+  // the one that was written
+  { minimize: false },
+);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
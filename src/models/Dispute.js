@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+
+const disputeSchema = new mongoose.Schema({
+  // Sequential case number shown to admins (#<caseNumber>)
+  caseNumber: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  escrowId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  groupId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // open: waiting for an admin; claimed: an admin is handling it;
+  // resolved: a ruling was executed; closed: closed without a ruling
+  status: {
+    type: String,
+    enum: ["open", "claimed", "resolved", "closed"],
+    default: "open",
+  },
+  reporterId: {
+    type: Number,
+    required: false,
+  },
+  reporterUsername: {
+    type: String,
+    required: false,
+  },
+  reporterRole: {
+    type: String,
+    enum: ["buyer", "seller", "admin", "user"],
+    default: "user",
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  assignedAdminId: {
+    type: Number,
+    required: false,
+  },
+  assignedAdminUsername: {
+    type: String,
+    required: false,
+  },
+  claimedAt: {
+    type: Date,
+    required: false,
+  },
+  // Case notification in the dispute channel
+  channelMessageId: {
+    type: Number,
+    required: false,
+  },
+  // Photos and documents posted in the room while the case is open
+  evidence: {
+    type: [
+      {
+        kind: { type: String, enum: ["photo", "document"], required: true },
+        fileId: { type: String, required: true },
+        fileUniqueId: { type: String },
+        fileName: { type: String },
+        mimeType: { type: String },
+        caption: { type: String },
+        messageId: { type: Number },
+        submittedById: { type: Number },
+        submittedByUsername: { type: String },
+        submittedByRole: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  // Everything that happened to the case, oldest first
+  timeline: {
+    type: [
+      {
+        event: {
+          type: String,
+          enum: [
+            "opened",
+            "reported",
+            "claimed",
+            "evidence",
+            "ruling",
+            "closed",
+          ],
+          required: true,
+        },
+        actorId: { type: Number },
+        actorUsername: { type: String },
+        text: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  // Admin decision, paid out through a Settlement; a retried ruling resumes
+  // the same settlement so no leg is paid twice
+  ruling: {
+    outcome: { type: String, enum: ["release", "refund", "split"] },
+    settlementId: { type: String },
+    buyerAmount: { type: Number },
+    sellerAmount: { type: Number },
+    note: { type: String },
+    decidedById: { type: Number },
+    decidedByUsername: { type: String },
+    decidedAt: { type: Date },
+    releaseTransactionHash: { type: String },
+    refundTransactionHash: { type: String },
+    executedAt: { type: Date },
+  },
+  closedAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+disputeSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Dispute", disputeSchema);
@@ -38,6 +38,25 @@ const escrowSchema = new mongoose.Schema({
     ],
     default: "draft",
   },
+  // Every status change, appended by EscrowStateService.transition()
+  statusHistory: {
+    type: [
+      {
+        from: { type: String },
+        to: { type: String, required: true },
+        actorId: { type: Number },
+        actorUsername: { type: String },
+        actorRole: {
+          type: String,
+          enum: ["buyer", "seller", "admin", "user", "system"],
+          default: "system",
+        },
+        reason: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
   token: {
     type: String,
     default: "USDT",
@@ -222,6 +241,58 @@ const escrowSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Whether this trade's deposits are credited in the vault's per-trade
+  // sub-ledger ("open") and whether the leftover has been freed ("closed").
+  // "held": the vault refused to close it because nothing was paid out of it
+  vaultLedgerStatus: {
+    type: String,
+    enum: ["none", "open", "closed", "held"],
+    default: "none",
+  },
+  // A deposit credit the vault has not confirmed: the raw amount still to
+  // credit, and once a credit may have been sent, the sub-ledger balance it
+  // aims for (so a retry never credits twice). The deposit watcher retries
+  // it; releases and refunds wait until it lands.
+  vaultCreditPendingWei: {
+    type: String,
+    default: null,
+  },
+  vaultCreditTargetWei: {
+    type: String,
+    default: null,
+  },
+  // Deposits seen on-chain, tracked until they reach the network's
+  // confirmation depth (seen -> confirming -> credited, or dropped on reorg)
+  pendingDeposits: {
+    type: [
+      {
+        hash: { type: String, required: true },
+        from: { type: String },
+        amount: { type: Number, default: 0 },
+        amountWei: { type: String },
+        blockNumber: { type: Number, default: 0 },
+        confirmations: { type: Number, default: 0 },
+        status: {
+          type: String,
+          enum: ["seen", "confirming", "credited", "dropped"],
+          default: "seen",
+        },
+        seenAt: { type: Date, default: Date.now },
+        creditedAt: { type: Date },
+        // Credited deposits are re-checked until they are buried this deep
+        // a second time; after that they count as final
+        finalizedAt: { type: Date },
+      },
+    ],
+    default: [],
+  },
+  // Set when a credited deposit left the chain after the trade moved past
+  // "deposited". Releases and refunds are refused until it is credited
+  // again; admins can still /settle the trade from what is left.
+  depositReversedAt: {
+    type: Date,
+    default: null,
+  },
   // Track close trade confirmations
   buyerClosedTrade: {
     type: Boolean,
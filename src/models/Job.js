@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema({
+  // Handler name registered with JobQueueService.register()
+  type: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ["pending", "running", "completed", "failed", "cancelled"],
+    default: "pending",
+  },
+  // Earliest time the job may run
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Identifies "the same" job (e.g. one invite timeout per escrow) so it can
+  // be replaced or cancelled without knowing its _id
+  dedupeKey: {
+    type: String,
+    required: false,
+  },
+  // Set to the dedupeKey while the job is queued; the unique index allows
+  // only one queued job per key, so concurrent enqueues cannot both insert
+  activeKey: {
+    type: String,
+    required: false,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  lastError: {
+    type: String,
+    required: false,
+  },
+  // Set while a worker runs the job; stale locks are released on startup
+  lockedAt: {
+    type: Date,
+    required: false,
+  },
+  lockedBy: {
+    type: String,
+    required: false,
+  },
+  completedAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ dedupeKey: 1, status: 1 });
+jobSchema.index(
+  { activeKey: 1 },
+  { unique: true, partialFilterExpression: { activeKey: { $type: "string" } } },
+);
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const leaseSchema = new mongoose.Schema({
+  // What the lease guards, e.g. "leader" or "escrow:<escrowId>"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Holder; anyone may take the lease over once it expires
+  owner: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// MongoDB removes leases a crashed holder left behind
+leaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Lease", leaseSchema);
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// One debit or credit on an account. Amounts are raw token units (wei, or sun
+// on TRON) stored as decimal strings so they stay exact.
+const ledgerLineSchema = new mongoose.Schema(
+  {
+    // vault:<address>, escrow:<escrowId>, revenue:service_fee,
+    // revenue:network_fee or treasury:<wallet>
+    account: {
+      type: String,
+      required: true,
+    },
+    debitWei: {
+      type: String,
+      default: "0",
+    },
+    creditWei: {
+      type: String,
+      default: "0",
+    },
+  },
+  { _id: false },
+);
+
+// A balanced journal entry: its debits and credits add up to the same total.
+// Entries are only ever inserted; a mistake is corrected by a new entry.
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["deposit", "deposit_reversal", "release", "refund", "sweep"],
+    required: true,
+  },
+  // What the entry records, e.g. payout:<payoutId> or deposit:<escrowId>:<tx>;
+  // the unique index keeps a retried posting from being booked twice
+  sourceKey: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  token: {
+    type: String,
+    required: true,
+  },
+  network: {
+    type: String,
+    required: true,
+  },
+  escrowId: {
+    type: String,
+    required: false,
+    index: true,
+  },
+  payoutId: {
+    type: String,
+    required: false,
+  },
+  txHash: {
+    type: String,
+    required: false,
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    required: true,
+  },
+  note: {
+    type: String,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+});
+
+ledgerEntrySchema.index({ "lines.account": 1 });
+ledgerEntrySchema.index({ token: 1, network: 1 });
+
+module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
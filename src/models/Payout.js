@@ -0,0 +1,142 @@
+const mongoose = require("mongoose");
+
+const payoutSchema = new mongoose.Schema({
+  escrowId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // sweep: a legacy vault's surplus sent to the fee wallet; escrowId is then
+  // "sweep:<vault address>", so each vault has one sweep in flight at most
+  kind: {
+    type: String,
+    enum: ["release", "refund", "sweep"],
+    required: true,
+  },
+  // pending: intent stored (and possibly signed), not known to be on the network
+  // broadcast: accepted by a node, waiting to be mined
+  // confirmed / failed: final on-chain outcome
+  status: {
+    type: String,
+    enum: ["pending", "broadcast", "confirmed", "failed"],
+    default: "pending",
+  },
+  // Set to the escrowId while the payout is in flight; the unique index
+  // allows only one in-flight payout per trade
+  activeKey: {
+    type: String,
+    required: false,
+  },
+  // Set when the payout is one leg of a split settlement
+  settlementId: {
+    type: String,
+    required: false,
+    index: true,
+  },
+  token: {
+    type: String,
+    required: true,
+  },
+  network: {
+    type: String,
+    required: true,
+  },
+  groupId: {
+    type: String,
+    required: false,
+  },
+  contractAddress: {
+    type: String,
+    required: false,
+  },
+  toAddress: {
+    type: String,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+  },
+  amountWei: {
+    type: String,
+    required: false,
+  },
+  // Fees kept in the vault on top of the amount paid out, in raw token
+  // units; the gross taken from the trade is amount + both fees
+  serviceFeeWei: {
+    type: String,
+    default: "0",
+  },
+  networkFeeWei: {
+    type: String,
+    default: "0",
+  },
+  // Set when both fees went to the vault's fee wallet in the payout
+  // transaction instead of staying in the vault
+  feeWallet: {
+    type: String,
+    required: false,
+  },
+  // Signed transaction, stored before broadcast so recovery can look it up
+  // on-chain and re-send the exact same transaction
+  txHash: {
+    type: String,
+    required: false,
+    index: true,
+  },
+  signedTx: {
+    type: String,
+    required: false,
+  },
+  // EVM account nonce of the signed transaction
+  nonce: {
+    type: Number,
+    required: false,
+  },
+  // TRON transactions cannot be included after this time
+  expiresAt: {
+    type: Date,
+    required: false,
+  },
+  blockNumber: {
+    type: Number,
+    required: false,
+  },
+  error: {
+    type: String,
+    required: false,
+  },
+  requestedById: {
+    type: Number,
+    required: false,
+  },
+  requestedByUsername: {
+    type: String,
+    required: false,
+  },
+  broadcastAt: {
+    type: Date,
+    required: false,
+  },
+  confirmedAt: {
+    type: Date,
+    required: false,
+  },
+  // When a confirmed payout was verified as recorded on its escrow
+  recordedAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+payoutSchema.index(
+  { activeKey: 1 },
+  { unique: true, partialFilterExpression: { activeKey: { $type: "string" } } },
+);
+payoutSchema.index({ status: 1, recordedAt: 1 });
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// Result of one pass comparing each vault's on-chain balance and transfers
+// with what the database says it should hold
+const reconciliationReportSchema = new mongoose.Schema({
+  // schedule or admin
+  trigger: {
+    type: String,
+    default: "schedule",
+  },
+  triggeredById: {
+    type: Number,
+    required: false,
+  },
+  vaults: [
+    {
+      _id: false,
+      token: String,
+      network: String,
+      address: String,
+      onChainBalance: Number,
+      // Deposits of trades that are not settled yet (Escrow collection)
+      openLiabilities: Number,
+      // Fees and other ledger balance not swept to the treasury yet
+      unsweptFees: Number,
+      // onChainBalance - (openLiabilities + unsweptFees)
+      difference: Number,
+      fromBlock: Number,
+      toBlock: Number,
+      transfersChecked: Number,
+      // Set when the vault could not be read; the rest is then missing
+      error: String,
+    },
+  ],
+  // balance_mismatch, liability_mismatch, unrecorded_transfer_in,
+  // unrecorded_transfer_out, missing_transfer_in, missing_transfer_out,
+  // check_failed
+  discrepancies: [
+    {
+      _id: false,
+      type: { type: String },
+      key: String,
+      token: String,
+      network: String,
+      address: String,
+      txHash: String,
+      amount: Number,
+      detail: String,
+    },
+  ],
+  // Discrepancies the admins have been alerted about, carried over to the
+  // next report while they persist
+  alertedKeys: {
+    type: [String],
+    default: [],
+  },
+  ok: {
+    type: Boolean,
+    default: true,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+    required: false,
+    index: true,
+  },
+});
+
+module.exports = mongoose.model(
+  "ReconciliationReport",
+  reconciliationReportSchema,
+);
@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+
+const settlementSchema = new mongoose.Schema({
+  escrowId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  groupId: {
+    type: String,
+    required: false,
+  },
+  // proposed: waiting for admin confirmation; executing: payouts started;
+  // completed: both legs paid and the trade settled; cancelled: never executed
+  status: {
+    type: String,
+    enum: ["proposed", "executing", "completed", "cancelled"],
+    default: "proposed",
+  },
+  // Set to the escrowId while executing; the unique index allows only one
+  // settlement in flight per trade
+  activeKey: {
+    type: String,
+    required: false,
+  },
+  // admin: /settle in the room; dispute: a dispute case ruling
+  source: {
+    type: String,
+    enum: ["admin", "dispute"],
+    default: "admin",
+  },
+  disputeCaseNumber: {
+    type: Number,
+    required: false,
+  },
+  token: {
+    type: String,
+    required: true,
+  },
+  network: {
+    type: String,
+    required: true,
+  },
+  // Balance the split was computed from
+  heldAmount: {
+    type: Number,
+    required: true,
+  },
+  buyerPercent: {
+    type: Number,
+    required: false,
+  },
+  // Gross shares of the held balance (buyerGross + sellerGross = heldAmount)
+  buyerGross: {
+    type: Number,
+    default: 0,
+  },
+  sellerGross: {
+    type: Number,
+    default: 0,
+  },
+  // Service fee applies to the buyer leg only; the network fee to every leg
+  feeRate: {
+    type: Number,
+    default: 0,
+  },
+  serviceFee: {
+    type: Number,
+    default: 0,
+  },
+  networkFee: {
+    type: Number,
+    default: 0,
+  },
+  // Amounts actually sent
+  buyerNet: {
+    type: Number,
+    default: 0,
+  },
+  sellerNet: {
+    type: Number,
+    default: 0,
+  },
+  buyerAddress: {
+    type: String,
+    required: false,
+  },
+  sellerAddress: {
+    type: String,
+    required: false,
+  },
+  // Set as each leg is paid, so a resumed settlement never pays a leg twice
+  releaseTransactionHash: {
+    type: String,
+    required: false,
+  },
+  refundTransactionHash: {
+    type: String,
+    required: false,
+  },
+  note: {
+    type: String,
+    required: false,
+  },
+  error: {
+    type: String,
+    required: false,
+  },
+  requestedById: {
+    type: Number,
+    required: false,
+  },
+  requestedByUsername: {
+    type: String,
+    required: false,
+  },
+  confirmedById: {
+    type: Number,
+    required: false,
+  },
+  confirmedByUsername: {
+    type: String,
+    required: false,
+  },
+  confirmationMessageId: {
+    type: Number,
+    required: false,
+  },
+  receiptSentAt: {
+    type: Date,
+    required: false,
+  },
+  completedAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+settlementSchema.index(
+  { activeKey: 1 },
+  { unique: true, partialFilterExpression: { activeKey: { $type: "string" } } },
+);
+
+module.exports = mongoose.model("Settlement", settlementSchema);
@@ -78,6 +78,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Set by /broadcast; the admin's next DM is broadcast. Kept here rather than
+  // in memory so any instance can receive that message.
+  broadcastPendingAt: {
+    type: Date,
+    default: null,
+  },
 });
 
 module.exports = mongoose.model("User", userSchema);
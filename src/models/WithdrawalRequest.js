@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+
+const withdrawalRequestSchema = new mongoose.Schema({
+  // Sequential number shown to admins (#<requestNumber>)
+  requestNumber: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  // all: /withdraw_all_bsc or /withdraw_all_tron; room: /withdraw_room_X
+  scope: {
+    type: String,
+    enum: ["all", "room"],
+    required: true,
+  },
+  network: {
+    type: String,
+    required: false,
+  },
+  roomNumber: {
+    type: Number,
+    required: false,
+  },
+  // pending: collecting approvals; executing: approved, sweeping;
+  // executed / failed: sweep finished; rejected / expired: never executed
+  status: {
+    type: String,
+    enum: ["pending", "executing", "executed", "failed", "rejected", "expired"],
+    default: "pending",
+  },
+  // Vault sweeps as planned when the request was made; execution never sends
+  // more than the approved amount per vault
+  items: {
+    type: [
+      {
+        key: { type: String },
+        token: { type: String, required: true },
+        network: { type: String, required: true },
+        address: { type: String, required: true },
+        targetWallet: { type: String, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    default: [],
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+  },
+  requiredApprovals: {
+    type: Number,
+    required: true,
+  },
+  requestedById: {
+    type: Number,
+    required: true,
+  },
+  requestedByUsername: {
+    type: String,
+    required: false,
+  },
+  // Distinct admins who approved, the requester first
+  approvals: {
+    type: [
+      {
+        adminId: { type: Number, required: true },
+        adminUsername: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  // Every action on the request, oldest first
+  audit: {
+    type: [
+      {
+        action: {
+          type: String,
+          enum: [
+            "requested",
+            "approved",
+            "rejected",
+            "expired",
+            "executed",
+            "failed",
+          ],
+          required: true,
+        },
+        actorId: { type: Number },
+        actorUsername: { type: String },
+        note: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  // Outcome per vault once executed
+  results: {
+    type: [
+      {
+        key: { type: String },
+        token: { type: String },
+        address: { type: String },
+        amount: { type: Number },
+        transactionHash: { type: String },
+        skipped: { type: String },
+        error: { type: String },
+      },
+    ],
+    default: [],
+  },
+  // Approval message, updated as admins approve
+  chatId: {
+    type: Number,
+    required: false,
+  },
+  messageId: {
+    type: Number,
+    required: false,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  executedAt: {
+    type: Date,
+    required: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+withdrawalRequestSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("WithdrawalRequest", withdrawalRequestSchema);
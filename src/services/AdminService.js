@@ -0,0 +1,394 @@
+const Admin = require("../models/Admin");
+const AuditService = require("./AuditService");
+const config = require("../../config");
+
+// What each permission covers:
+// stats.view        - statistics, trade lists and exports, pool / job / withdrawal listings
+// groups.manage     - room pool, group resets, inactive users, address pool, jobs
+// trades.settle     - admin release / refund / cancel and /settle
+// disputes.manage   - dispute cases, claims and rulings
+// deposits.verify   - manual TRON deposit verification
+// treasury.withdraw - fee and vault withdrawals, withdrawal approvals
+// broadcast.send    - /broadcast
+// admins.manage     - granting and revoking admin roles
+// audit.view        - reading, exporting and verifying the audit log
+// vaults.manage     - vault pause, ownership, guardian and timelocked operations
+const PERMISSIONS = [
+  "stats.view",
+  "groups.manage",
+  "trades.settle",
+  "disputes.manage",
+  "deposits.verify",
+  "treasury.withdraw",
+  "broadcast.send",
+  "admins.manage",
+  "audit.view",
+  "vaults.manage",
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  treasurer: ["stats.view", "trades.settle", "treasury.withdraw"],
+  arbitrator: [
+    "stats.view",
+    "trades.settle",
+    "disputes.manage",
+    "deposits.verify",
+  ],
+  support: ["stats.view", "groups.manage", "deposits.verify"],
+};
+
+function adminError(message, userMessage) {
+  const error = new Error(message);
+  error.code = "ADMIN_REJECTED";
+  error.userMessage = userMessage;
+  return error;
+}
+
+function normalizeUsername(username) {
+  return username ? String(username).replace(/^@/, "").toLowerCase() : null;
+}
+
+/**
+ * Admins and their roles, stored in the Admin collection. Checks are
+ * synchronous against an in-memory copy that is loaded at startup, refreshed
+ * after every grant or revoke and reloaded every ADMIN_RELOAD_INTERVAL_MS, so
+ * a change made on another replica reaches this one too; the HTTP API reads
+ * the collection itself (canNow, fetchRoles). The ADMIN_USER_IDn /
+ * ADMIN_USERNAMEn env slots only seed the first owners while the collection
+ * is empty, and act as owners until the collection has been loaded.
+ */
+class AdminService {
+  constructor() {
+    this.PERMISSIONS = PERMISSIONS;
+    this.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+    this.ROLES = Object.keys(ROLE_PERMISSIONS);
+    this.admins = [];
+    this.loaded = false;
+    this.timer = null;
+  }
+
+  /**
+   * Admins from the five env slots, paired by slot number
+   */
+  getEnvAdmins() {
+    return ["", "2", "3", "4", "5"]
+      .map((slot) => ({
+        telegramId: config[`ADMIN_USER_ID${slot}`]
+          ? Number(config[`ADMIN_USER_ID${slot}`])
+          : null,
+        username: normalizeUsername(config[`ADMIN_USERNAME${slot}`]),
+      }))
+      .filter((admin) => admin.telegramId || admin.username);
+  }
+
+  /**
+   * Load admins into memory, seeding the env admins as owners on first run
+   */
+  async load() {
+    if ((await Admin.countDocuments()) === 0) {
+      const envAdmins = this.getEnvAdmins();
+      for (const admin of envAdmins) {
+        await Admin.create({
+          telegramId: admin.telegramId || undefined,
+          username: admin.username || undefined,
+          roles: ["owner"],
+          history: [
+            { action: "grant", role: "owner", note: "seeded from .env" },
+          ],
+        });
+      }
+      if (envAdmins.length > 0) {
+        console.log(`👑 Seeded ${envAdmins.length} owner(s) from .env`);
+      }
+    }
+
+    this.admins = await Admin.find({ "roles.0": { $exists: true } }).lean();
+    this.loaded = true;
+    return this.admins;
+  }
+
+  /**
+   * Reload the admins on an interval; a failed reload keeps the last copy
+   */
+  startRefresh(intervalMs = config.ADMIN_RELOAD_INTERVAL_MS) {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.load().catch((error) => {
+        console.error("Error reloading admins:", error);
+      });
+    }, intervalMs);
+  }
+
+  stopRefresh() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Roles of a Telegram user read from the Admin collection, matched like
+   * findAdmin. Until the collection has been loaded the .env admins count.
+   * @param {{id?:number, username?:string}} from
+   * @returns {Promise<string[]>}
+   */
+  async fetchRoles(from) {
+    if (!this.loaded) return this.rolesOf(from);
+    const id = from?.id != null ? Number(from.id) : null;
+    const username = normalizeUsername(from?.username);
+
+    const admin =
+      (id && (await Admin.findOne({ telegramId: id }).lean())) ||
+      (username &&
+        (await Admin.findOne({ username, telegramId: null }).lean())) ||
+      null;
+    return admin?.roles || [];
+  }
+
+  /**
+   * can() against the Admin collection, for requests that must not act on a
+   * role revoked since the last reload
+   */
+  async canNow(from, permission) {
+    return (await this.fetchRoles(from)).some((role) =>
+      (ROLE_PERMISSIONS[role] || []).includes(permission),
+    );
+  }
+
+  /**
+   * Admin record for a Telegram user. Username-only records are matched by
+   * username and get the user's id saved, after which only the id counts.
+   * @param {{id?:number, username?:string}} from
+   */
+  findAdmin(from) {
+    const id = from?.id != null ? Number(from.id) : null;
+    const username = normalizeUsername(from?.username);
+
+    if (!this.loaded) {
+      const envAdmin = this.getEnvAdmins().find(
+        (admin) =>
+          (id && admin.telegramId === id) ||
+          (username && admin.username === username),
+      );
+      return envAdmin ? { ...envAdmin, roles: ["owner"] } : null;
+    }
+
+    if (id) {
+      const byId = this.admins.find((admin) => admin.telegramId === id);
+      if (byId) return byId;
+    }
+    if (!username) return null;
+
+    const byUsername = this.admins.find(
+      (admin) => admin.telegramId == null && admin.username === username,
+    );
+    if (byUsername && id) {
+      byUsername.telegramId = id;
+      Admin.updateOne(
+        { _id: byUsername._id, telegramId: { $exists: false } },
+        { $set: { telegramId: id } },
+      ).catch((error) => {
+        console.error("Error saving admin telegram id:", error);
+      });
+    }
+    return byUsername || null;
+  }
+
+  rolesOf(from) {
+    return this.findAdmin(from)?.roles || [];
+  }
+
+  isAdminUser(from) {
+    return this.rolesOf(from).length > 0;
+  }
+
+  /**
+   * @param {{id?:number, username?:string}} from
+   * @param {string} permission - one of PERMISSIONS
+   */
+  can(from, permission) {
+    return this.rolesOf(from).some((role) =>
+      (ROLE_PERMISSIONS[role] || []).includes(permission),
+    );
+  }
+
+  /**
+   * Admins holding at least one role
+   */
+  getActiveAdmins() {
+    return this.loaded
+      ? this.admins
+      : this.getEnvAdmins().map((admin) => ({ ...admin, roles: ["owner"] }));
+  }
+
+  /**
+   * Admins holding a permission, e.g. to tag them in a room
+   */
+  withPermission(permission) {
+    return this.getActiveAdmins().filter((admin) =>
+      admin.roles.some((role) =>
+        (ROLE_PERMISSIONS[role] || []).includes(permission),
+      ),
+    );
+  }
+
+  /**
+   * Telegram ids of every admin, for protecting admins in rooms
+   */
+  getAdminIds() {
+    return this.getActiveAdmins()
+      .map((admin) => admin.telegramId)
+      .filter(Boolean);
+  }
+
+  /**
+   * Mention for the admins holding a permission, or a fallback label
+   */
+  mentionFor(permission, fallback = "Admin") {
+    const tags = this.withPermission(permission)
+      .filter((admin) => admin.username)
+      .map((admin) => `@${admin.username}`);
+    return tags.length > 0 ? tags.join(" ") : fallback;
+  }
+
+  isAdminError(error) {
+    return error?.code === "ADMIN_REJECTED";
+  }
+
+  /**
+   * Parse "123456789" or "@username" into a lookup target
+   * @returns {{telegramId:number}|{username:string}|null}
+   */
+  parseTarget(text) {
+    const value = (text || "").trim();
+    if (/^\d{5,}$/.test(value)) return { telegramId: Number(value) };
+    if (/^@?[A-Za-z][A-Za-z0-9_]{3,31}$/.test(value)) {
+      return { username: normalizeUsername(value) };
+    }
+    return null;
+  }
+
+  async grant(target, role, actor) {
+    if (!ROLE_PERMISSIONS[role]) {
+      throw adminError(
+        `Unknown role ${role}`,
+        `❌ Unknown role. Roles: ${this.ROLES.join(", ")}`,
+      );
+    }
+
+    const existing = await Admin.findOne(target);
+    if (existing?.roles.includes(role)) {
+      throw adminError(
+        `Admin already has role ${role}`,
+        `ℹ️ Already has the ${role} role`,
+      );
+    }
+
+    const admin = await Admin.findOneAndUpdate(
+      target,
+      {
+        $addToSet: { roles: role },
+        $push: {
+          history: {
+            action: "grant",
+            role,
+            actorId: actor.id,
+            actorUsername: actor.username,
+          },
+        },
+      },
+      { new: true, upsert: true },
+    );
+    await this.load();
+    await AuditService.record({
+      action: "admin.grant",
+      actor,
+      before: { roles: existing?.roles || [] },
+      after: {
+        telegramId: admin.telegramId || null,
+        username: admin.username || null,
+        roles: admin.roles,
+      },
+      note: role,
+    });
+    return admin;
+  }
+
+  /**
+   * Remove one role, or every role with "all". The last owner cannot be
+   * removed so the bot always has someone able to manage admins.
+   */
+  async revoke(target, role, actor) {
+    if (role !== "all" && !ROLE_PERMISSIONS[role]) {
+      throw adminError(
+        `Unknown role ${role}`,
+        `❌ Unknown role. Roles: ${this.ROLES.join(", ")}, all`,
+      );
+    }
+
+    const admin = await Admin.findOne(target);
+    const removed = admin
+      ? admin.roles.filter((held) => role === "all" || held === role)
+      : [];
+    if (removed.length === 0) {
+      throw adminError(
+        "Admin does not hold the role",
+        role === "all"
+          ? "❌ Not an admin"
+          : `❌ Does not have the ${role} role`,
+      );
+    }
+
+    if (removed.includes("owner")) {
+      const owners = await Admin.countDocuments({ roles: "owner" });
+      if (owners <= 1) {
+        throw adminError(
+          "Cannot revoke the last owner",
+          "❌ Cannot remove the last owner. Grant owner to someone else first.",
+        );
+      }
+    }
+
+    const rolesBefore = [...admin.roles];
+    admin.roles = admin.roles.filter((held) => !removed.includes(held));
+    removed.forEach((held) => {
+      admin.history.push({
+        action: "revoke",
+        role: held,
+        actorId: actor.id,
+        actorUsername: actor.username,
+      });
+    });
+    await admin.save();
+    await this.load();
+    await AuditService.record({
+      action: "admin.revoke",
+      actor,
+      before: { roles: rolesBefore },
+      after: {
+        telegramId: admin.telegramId || null,
+        username: admin.username || null,
+        roles: admin.roles,
+      },
+      note: role,
+    });
+    return admin;
+  }
+
+  /**
+   * Every stored admin, including those whose roles were all revoked
+   */
+  async list() {
+    return Admin.find({}).sort({ createdAt: 1 });
+  }
+
+  formatAdmin(admin) {
+    const name = admin.username ? `@${admin.username}` : "(no username)";
+    const id = admin.telegramId ? ` <code>${admin.telegramId}</code>` : "";
+    const roles = admin.roles.length > 0 ? admin.roles.join(", ") : "no roles";
+    return `${name}${id} - ${roles}`;
+  }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const AdminService = require("./AdminService");
+const AuditService = require("./AuditService");
+
+const KEY_PREFIX = "p2pmm_";
+const MAX_KEYS_PER_ADMIN = 5;
+// lastUsedAt is only written when it is older than this, so busy keys do not
+// cost a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function apiKeyError(message, userMessage) {
+  const error = new Error(message);
+  error.code = "API_KEY_REJECTED";
+  error.userMessage = userMessage;
+  return error;
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+/**
+ * Keys for the HTTP admin API. Each key belongs to one admin and carries that
+ * admin's roles, so revoking the admin's roles also locks out their keys.
+ */
+class ApiKeyService {
+  /**
+   * Create a key for an admin. The returned key is not stored anywhere.
+   * @param {{id:number, username?:string}} actor - Admin creating the key
+   * @param {string} name
+   * @returns {Promise<{apiKey:Object, key:string}>}
+   */
+  async create(actor, name) {
+    if (!AdminService.isAdminUser(actor)) {
+      throw apiKeyError("Not an admin", "❌ Only admins can create API keys.");
+    }
+    const active = await ApiKey.countDocuments({
+      telegramId: actor.id,
+      revokedAt: null,
+    });
+    if (active >= MAX_KEYS_PER_ADMIN) {
+      throw apiKeyError(
+        "Too many API keys",
+        `❌ You already have ${MAX_KEYS_PER_ADMIN} active keys. Revoke one first.`,
+      );
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+    const apiKey = await ApiKey.create({
+      name: String(name || "default").slice(0, 40),
+      keyHash: hashKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      telegramId: actor.id,
+      username: actor.username || null,
+    });
+    await AuditService.record({
+      action: "api_key.create",
+      actor,
+      after: { prefix: apiKey.prefix, name: apiKey.name },
+    });
+    return { apiKey, key };
+  }
+
+  /**
+   * Revoke a key by its prefix. Admins may revoke their own keys; admins
+   * with admins.manage may revoke anyone's.
+   */
+  async revoke(actor, prefix) {
+    const apiKey = await ApiKey.findOne({ prefix, revokedAt: null });
+    if (
+      !apiKey ||
+      (apiKey.telegramId !== Number(actor.id) &&
+        !AdminService.can(actor, "admins.manage"))
+    ) {
+      throw apiKeyError("API key not found", "❌ No active key with that id.");
+    }
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    await AuditService.record({
+      action: "api_key.revoke",
+      actor,
+      before: { prefix: apiKey.prefix, telegramId: apiKey.telegramId },
+      note: apiKey.name,
+    });
+    return apiKey;
+  }
+
+  /**
+   * Active keys of one admin, or of every admin for admins.manage
+   */
+  async list(actor) {
+    const query = { revokedAt: null };
+    if (!AdminService.can(actor, "admins.manage")) {
+      query.telegramId = Number(actor.id);
+    }
+    return ApiKey.find(query).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Resolve the admin behind a key presented to the API
+   * @returns {Promise<{apiKey:Object, actor:Object}|null>} null for unknown
+   *   or revoked keys and for admins who no longer hold any role
+   */
+  async authenticate(key) {
+    if (!key || !String(key).startsWith(KEY_PREFIX)) return null;
+
+    const apiKey = await ApiKey.findOne({
+      keyHash: hashKey(key),
+      revokedAt: null,
+    });
+    if (!apiKey) return null;
+
+    const actor = {
+      id: apiKey.telegramId,
+      username: apiKey.username || null,
+      role: "admin",
+    };
+    // Straight from the collection: a role revoked on another replica
+    // must end API access here at once
+    if ((await AdminService.fetchRoles(actor)).length === 0) return null;
+
+    if (
+      !apiKey.lastUsedAt ||
+      Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS
+    ) {
+      ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date() } },
+      ).catch((error) => {
+        console.error("Error saving API key last use:", error);
+      });
+    }
+    return { apiKey, actor };
+  }
+
+  isApiKeyError(error) {
+    return error?.code === "API_KEY_REJECTED";
+  }
+}
+
+module.exports = new ApiKeyService();
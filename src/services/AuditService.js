@@ -0,0 +1,300 @@
+const crypto = require("crypto");
+const AuditLog = require("../models/AuditLog");
+
+const GENESIS_HASH = "0".repeat(64);
+const APPEND_ATTEMPTS = 5;
+
+// Plain JSON copy: drops undefined, turns dates into ISO strings and BigInts
+// into strings, so what is hashed is exactly what Mongo stores
+function toPlain(value) {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(
+    JSON.stringify(value, (key, v) => (typeof v === "bigint" ? String(v) : v)),
+  );
+}
+
+// JSON with object keys sorted, so the hash does not depend on key order
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(",")}]`;
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashEntry(entry) {
+  const payload = canonical({
+    sequence: entry.sequence,
+    prevHash: entry.prevHash,
+    action: entry.action,
+    command: entry.command ?? null,
+    actorId: entry.actorId ?? null,
+    actorUsername: entry.actorUsername ?? null,
+    actorRole: entry.actorRole ?? null,
+    escrowId: entry.escrowId ?? null,
+    groupId: entry.groupId ?? null,
+    before: entry.before ?? null,
+    after: entry.after ?? null,
+    txHashes: entry.txHashes || [],
+    note: entry.note ?? null,
+    createdAt: new Date(entry.createdAt),
+  });
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+function csvCell(value) {
+  const text =
+    value == null
+      ? ""
+      : typeof value === "object" && !(value instanceof Date)
+      ? JSON.stringify(value)
+      : String(value instanceof Date ? value.toISOString() : value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Append-only, hash-chained log of admin and money-moving actions. Writing
+ * an entry never throws: a failed audit write is logged and the action it
+ * describes goes ahead.
+ */
+class AuditService {
+  constructor() {
+    this.GENESIS_HASH = GENESIS_HASH;
+    // Appends from this process run one at a time so each links to the last
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Actor for an entry from a Telegram update, with the admin's roles
+   */
+  actorFromCtx(ctx) {
+    const from = ctx?.from;
+    if (!from?.id) return null;
+    const AdminService = require("./AdminService");
+    const roles = AdminService.rolesOf(from);
+    return {
+      id: from.id,
+      username: from.username || null,
+      role: roles.length > 0 ? roles.join(",") : "user",
+    };
+  }
+
+  /**
+   * What triggered the update: the command, or the button's callback data
+   */
+  commandFromCtx(ctx) {
+    if (ctx?.callbackQuery?.data) return `callback:${ctx.callbackQuery.data}`;
+    const text = ctx?.message?.text;
+    return text && text.startsWith("/") ? text.split(/\s+/)[0] : null;
+  }
+
+  /**
+   * Escrow fields worth comparing before and after an action
+   */
+  snapshotEscrow(escrow) {
+    if (!escrow) return null;
+    return {
+      status: escrow.status,
+      buyerId: escrow.buyerId ?? null,
+      sellerId: escrow.sellerId ?? null,
+      quantity: escrow.quantity ?? null,
+      token: escrow.token,
+      chain: escrow.chain,
+      accumulatedDepositAmount: escrow.accumulatedDepositAmount ?? null,
+      depositAmount: escrow.depositAmount ?? null,
+      confirmedAmount: escrow.confirmedAmount ?? null,
+      releaseTransactionHash: escrow.releaseTransactionHash || null,
+      refundTransactionHash: escrow.refundTransactionHash || null,
+    };
+  }
+
+  /**
+   * Append an entry
+   * @param {{action:string, actor?:Object, command?:string, escrowId?:string,
+   *   groupId?:string|number, before?:Object, after?:Object,
+   *   txHashes?:string[], note?:string}} entry
+   * @returns {Promise<Object|null>} the stored entry, or null if it failed
+   */
+  async record(entry) {
+    const write = this.tail.then(() => this.append(entry));
+    this.tail = write.catch(() => {});
+    try {
+      return await write;
+    } catch (error) {
+      console.error(`Error writing audit log entry (${entry.action}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Append an entry for the admin or user behind a Telegram update
+   */
+  async recordFromCtx(ctx, entry) {
+    return this.record({
+      actor: this.actorFromCtx(ctx),
+      command: this.commandFromCtx(ctx),
+      ...entry,
+    });
+  }
+
+  async append({
+    action,
+    actor = null,
+    command = null,
+    escrowId = null,
+    groupId = null,
+    before = null,
+    after = null,
+    txHashes = [],
+    note = null,
+  }) {
+    // The unique sequence index turns a race with another process into a
+    // duplicate key error; read the new tail and try again
+    for (let attempt = 1; attempt <= APPEND_ATTEMPTS; attempt++) {
+      const last = await AuditLog.findOne({}, { sequence: 1, hash: 1 })
+        .sort({ sequence: -1 })
+        .lean();
+
+      const entry = {
+        sequence: (last?.sequence || 0) + 1,
+        prevHash: last?.hash || GENESIS_HASH,
+        action,
+        command: command || null,
+        actorId: actor?.id != null ? Number(actor.id) : null,
+        actorUsername: actor?.username || null,
+        actorRole: actor?.role || (actor ? null : "system"),
+        escrowId: escrowId || null,
+        groupId: groupId != null ? String(groupId) : null,
+        before: toPlain(before),
+        after: toPlain(after),
+        txHashes: (txHashes || []).filter(Boolean).map(String),
+        note: note != null ? String(note) : null,
+        createdAt: new Date(),
+      };
+      entry.hash = hashEntry(entry);
+
+      try {
+        return await AuditLog.create(entry);
+      } catch (error) {
+        if (error?.code !== 11000 || attempt === APPEND_ATTEMPTS) throw error;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Walk the chain from the first entry and report the first break
+   * @returns {Promise<{ok:boolean, checked:number, brokenAt:number|null, reason:string|null, headHash:string}>}
+   */
+  async verify() {
+    let prevHash = GENESIS_HASH;
+    let expected = 1;
+    const cursor = AuditLog.find({}).sort({ sequence: 1 }).lean().cursor();
+
+    for await (const entry of cursor) {
+      let reason = null;
+      if (entry.sequence !== expected) {
+        reason = `entry #${expected} is missing`;
+      } else if (entry.prevHash !== prevHash) {
+        reason = "link to the previous entry does not match";
+      } else if (hashEntry(entry) !== entry.hash) {
+        reason = "entry contents do not match its hash";
+      }
+      if (reason) {
+        return {
+          ok: false,
+          checked: expected - 1,
+          brokenAt: expected,
+          reason,
+          headHash: prevHash,
+        };
+      }
+      prevHash = entry.hash;
+      expected++;
+    }
+
+    return {
+      ok: true,
+      checked: expected - 1,
+      brokenAt: null,
+      reason: null,
+      headHash: prevHash,
+    };
+  }
+
+  /**
+   * @param {{actorId?:number, actorUsername?:string, escrowId?:string,
+   *   action?:string, from?:Date, to?:Date}} filters
+   * @param {number} [limit]
+   */
+  async find(filters = {}, limit = 20) {
+    const query = {};
+    if (filters.actorId) query.actorId = filters.actorId;
+    if (filters.actorUsername) {
+      query.actorUsername = new RegExp(
+        `^${filters.actorUsername.replace(/[^A-Za-z0-9_]/g, "")}$`,
+        "i",
+      );
+    }
+    if (filters.escrowId) query.escrowId = filters.escrowId;
+    if (filters.action) query.action = filters.action;
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = filters.from;
+      if (filters.to) query.createdAt.$lt = filters.to;
+    }
+
+    const request = AuditLog.find(query).sort({ sequence: -1 });
+    if (limit) request.limit(limit);
+    return request.lean();
+  }
+
+  toCsv(entries) {
+    const columns = [
+      "sequence",
+      "createdAt",
+      "action",
+      "command",
+      "actorId",
+      "actorUsername",
+      "actorRole",
+      "escrowId",
+      "groupId",
+      "before",
+      "after",
+      "txHashes",
+      "note",
+      "prevHash",
+      "hash",
+    ];
+    const rows = entries.map((entry) =>
+      columns
+        .map((column) =>
+          csvCell(
+            column === "txHashes" ? entry.txHashes.join(" ") : entry[column],
+          ),
+        )
+        .join(","),
+    );
+    return [columns.join(","), ...rows].join("\n");
+  }
+
+  toJson(entries) {
+    return JSON.stringify(
+      entries.map(({ _id, __v, ...entry }) => entry),
+      null,
+      2,
+    );
+  }
+}
+
+module.exports = new AuditService();
@@ -3,6 +3,8 @@ const axios = require("axios");
 const config = require("../../config");
 const ContractModel = require("../models/Contract");
 const TronService = require("./TronService");
+const MetricsService = require("./MetricsService");
+const PayoutAuthorizationService = require("./PayoutAuthorizationService");
 
 const ESCROW_VAULT_ABI = [
   "function token() view returns (address)",
@@ -10,10 +12,52 @@ const ESCROW_VAULT_ABI = [
   "function release(address to, uint256 amount) external",
   "function refund(address to, uint256 amount) external",
   "function withdrawToken(address erc20Token, address to) external",
+  "function escrowBalances(bytes32 escrowId) view returns (uint256)",
+  "function totalLiabilities() view returns (uint256)",
+  "function unallocatedBalance() view returns (uint256)",
+  "function creditDeposit(bytes32 escrowId, uint256 amount) external",
+  "function shortfall() view returns (uint256)",
+  "function reverseDeposit(bytes32 escrowId, uint256 amount) external",
+  "function releaseEscrow(bytes32 escrowId, address to, uint256 amount) external",
+  "function refundEscrow(bytes32 escrowId, address to, uint256 amount) external",
+  "function closeEscrow(bytes32 escrowId) external",
+  "function owner() view returns (address)",
+  "function pendingOwner() view returns (address)",
+  "function guardian() view returns (address)",
+  "function paused() view returns (bool)",
+  "function timelockEta(bytes32 id) view returns (uint256)",
+  "function feeWalletOperation(address feeWallet) view returns (bytes32)",
+  "function withdrawOperation(address erc20Token, address to) view returns (bytes32)",
+  "function transferOwnership(address newOwner) external",
+  "function acceptOwnership() external",
+  "function setGuardian(address guardian) external",
+  "function pause() external",
+  "function unpause() external",
+  "function queueSetFeeWallet(address feeWallet) external",
+  "function setFeeWallet(address feeWallet) external",
+  "function queueWithdrawToken(address erc20Token, address to) external",
+  "function cancelOperation(bytes32 id) external",
+  "function signer() view returns (address)",
+  "function domainSeparator() view returns (bytes32)",
+  "function usedNonces(uint256 nonce) view returns (bool)",
+  "function setSigner(address signer) external",
+  "function releaseWithFee(bytes32 escrowId, address to, uint256 amount, uint256 fee) external",
+  "function refundWithFee(bytes32 escrowId, address to, uint256 amount, uint256 fee) external",
+  "function releaseWithSignature(bytes32 escrowId, address to, uint256 amount, uint256 fee, uint256 nonce, uint256 deadline, bytes signature) external",
+  "function refundWithSignature(bytes32 escrowId, address to, uint256 amount, uint256 fee, uint256 nonce, uint256 deadline, bytes signature) external",
+  "function VERSION() view returns (uint256)",
 ];
 
+// Vault functions that came or went with a VERSION(); vaults deployed before
+// VERSION() existed read as version 1
+const VAULT_FUNCTION_VERSIONS = {
+  release: { before: 2 },
+  releaseWithFee: { since: 2 },
+};
+
 const ERC20_ABI = [
   "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function balanceOf(address account) view returns (uint256)",
 ];
 
 class BlockchainService {
@@ -51,6 +95,10 @@ class BlockchainService {
       ),
     };
 
+    Object.entries(this.providers).forEach(([network, provider]) =>
+      this.instrumentProvider(network, provider),
+    );
+
     const privateKey = config.HOT_WALLET_PRIVATE_KEY.startsWith("0x")
       ? config.HOT_WALLET_PRIVATE_KEY
       : "0x" + config.HOT_WALLET_PRIVATE_KEY;
@@ -64,10 +112,33 @@ class BlockchainService {
     });
 
     this.vault = null;
+    // Vault address => VERSION(), to tell which functions a vault has
+    this.vaultVersions = new Map();
     this.etherscanApiKey = config.ETHERSCAN_API_KEY;
     this.etherscanBaseUrl = "https://api.etherscan.io/api";
   }
 
+  /**
+   * Record latency and errors of every JSON-RPC request a provider sends.
+   * Error responses count as errors even though they arrive as results.
+   */
+  instrumentProvider(network, provider) {
+    const send = provider._send.bind(provider);
+    provider._send = (payload) => {
+      const method = []
+        .concat(payload)
+        .map((request) => request.method)
+        .join(",");
+      return MetricsService.timeRpc(network, method, async () => {
+        const responses = await send(payload);
+        if (responses.some((response) => response.error)) {
+          MetricsService.rpcErrors.inc({ network, method });
+        }
+        return responses;
+      });
+    };
+  }
+
   async initialize() {
     try {
       // Just find ANY deployed EscrowVault to verify deployment
@@ -172,147 +243,24 @@ class BlockchainService {
 
   // withdrawFees removed - use specific admin withdraw commands via withdrawToken
 
-  async refundFunds(
-    token,
-    network,
-    sellerAddress,
-    amount,
-    amountWeiOverride = null,
-    groupId = null,
-    contractAddressOverride = null,
-  ) {
+  async withdrawToken(token, network, contractAddress, toAddress) {
     try {
-      if (network && network.toUpperCase() === "TRON") {
-        const tronResult = await TronService.refundFunds({
-          token,
-          to: sellerAddress,
-          amount,
-          groupId,
+      // Vaults with a timelock only sweep once the withdrawal was queued
+      // and its delay has passed; fail here rather than on-chain
+      if (await this.getVaultControls(network, contractAddress)) {
+        const queued = await this.getVaultOperation(network, contractAddress, {
+          kind: "withdraw",
+          address: toAddress,
         });
-        return {
-          success: true,
-          transactionHash: tronResult.transactionHash,
-          blockNumber: null,
-        };
-      }
-
-      let contractAddress = contractAddressOverride;
-      if (!contractAddress) {
-        contractAddress = await this.getEscrowContractAddress(
-          token,
-          network,
-          groupId,
-        );
-      }
-      if (!contractAddress) {
-        throw new Error(
-          `No escrow contract found for ${token} on ${network}${
-            groupId ? ` for group ${groupId}` : ""
-          }`,
-        );
-      }
-
-      wallet = this.wallets[network.toUpperCase()];
-      provider = this.providers[network.toUpperCase()];
-      vaultContract = new ethers.Contract(
-        contractAddress,
-        ESCROW_VAULT_ABI,
-        wallet,
-      );
-      const decimals = this.getTokenDecimals(token, network);
-      amountWei = amountWeiOverride
-        ? BigInt(amountWeiOverride)
-        : ethers.parseUnits(amount.toString(), decimals);
-
-      let nonce;
-      try {
-        nonce = await provider.getTransactionCount(wallet.address, "latest");
-      } catch (nonceError) {
-        try {
-          nonce = await provider.getTransactionCount(wallet.address);
-        } catch (fallbackError) {
+        if (!queued.ready) {
           throw new Error(
-            `Failed to get transaction nonce: ${fallbackError.message}`,
-          );
-        }
-      }
-
-      // Check balance before attempting refund
-      const tokenAddressForCheck = await vaultContract.token();
-      const tokenContractForCheck = new ethers.Contract(
-        tokenAddressForCheck,
-        ["function balanceOf(address) view returns (uint256)"],
-        provider,
-      );
-      const contractBalanceWei = await tokenContractForCheck.balanceOf(
-        contractAddress,
-      );
-
-      if (contractBalanceWei < amountWei) {
-        throw new Error(
-          `Insufficient Vault Balance: Contract has ${ethers.formatUnits(
-            contractBalanceWei,
-            decimals,
-          )} but needs ${ethers.formatUnits(amountWei, decimals)}`,
-        );
-      }
-
-      const tx = await vaultContract.refund(sellerAddress, amountWei, {
-        nonce: nonce,
-      });
-      const receipt = await tx.wait();
-
-      return {
-        success: true,
-        transactionHash: receipt.transactionHash || receipt.hash || tx.hash,
-        blockNumber: receipt.blockNumber,
-      };
-    } catch (error) {
-      const isNonceError =
-        (error?.code === -32000 && error?.message === "already known") ||
-        (error?.message && error?.message.includes("already known")) ||
-        (error?.message &&
-          error?.message.includes("could not coalesce error")) ||
-        (error?.shortMessage &&
-          error?.shortMessage.includes("could not coalesce error")) ||
-        error?.error?.message === "already known" ||
-        error?.info?.error?.message?.includes("nonce") ||
-        error?.info?.error?.message?.includes("already known") ||
-        (error?.error?.code === -32000 &&
-          error?.error?.message?.includes("already known")) ||
-        JSON.stringify(error).includes("already known") ||
-        JSON.stringify(error).includes("nonce");
-
-      if (isNonceError) {
-        console.warn(
-          `⚠️ Nonce error detected in refundFunds. Retrying with pending nonce...`,
-        );
-        try {
-          const pendingNonce = await provider.getTransactionCount(
-            wallet.address,
-            "pending",
+            queued.eta
+              ? `Withdrawal from ${contractAddress} is timelocked until ${queued.eta.toISOString()}`
+              : `Withdrawal from ${contractAddress} to ${toAddress} is not queued (/admin_vault queue_withdraw)`,
           );
-          const tx = await vaultContract.refund(sellerAddress, amountWei, {
-            nonce: pendingNonce,
-          });
-          const receipt = await tx.wait();
-          return {
-            success: true,
-            transactionHash: receipt.transactionHash || receipt.hash || tx.hash,
-            blockNumber: receipt.blockNumber,
-          };
-        } catch (retryError) {
-          console.error("Retry failed:", retryError);
-          throw retryError;
         }
       }
-      console.error(`Error refunding funds for ${token} on ${network}:`, error);
-      throw error;
-    }
-  }
 
-  async withdrawToken(token, network, contractAddress, toAddress) {
-    try {
       if (network && network.toUpperCase() === "TRON") {
         const result = await TronService.withdrawToken({
           contractAddress,
@@ -335,6 +283,16 @@ class BlockchainService {
       // We need the ERC20 token address that the vault manages
       // Usually stored in 'token()' public var
       const erc20Address = await vault.token();
+      // withdrawToken sends the vault's whole balance (only the unallocated
+      // part on vaults with a sub-ledger); read it first so the amount swept
+      // can be booked
+      const amountWei = await vault
+        .unallocatedBalance()
+        .catch(() =>
+          new ethers.Contract(erc20Address, ERC20_ABI, provider).balanceOf(
+            contractAddress,
+          ),
+        );
 
       let nonce;
       try {
@@ -349,6 +307,8 @@ class BlockchainService {
       return {
         success: true,
         transactionHash: receipt.hash || receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        amountWei: amountWei.toString(),
       };
     } catch (error) {
       console.error(`Error sweeping token from ${contractAddress}:`, error);
@@ -507,7 +467,14 @@ class BlockchainService {
           const value = parsed.args[2];
           const decimals = this.getTokenDecimals(token, network);
           const valueDecimal = Number(ethers.formatUnits(value, decimals));
-          return { from, to, valueDecimal, hash: log.transactionHash };
+          return {
+            from,
+            to,
+            valueDecimal,
+            valueWei: value.toString(),
+            blockNumber: log.blockNumber,
+            hash: log.transactionHash,
+          };
         });
       } else {
         const allLogs = [];
@@ -548,7 +515,14 @@ class BlockchainService {
           const value = parsed.args[2];
           const decimals = this.getTokenDecimals(token, network);
           const valueDecimal = Number(ethers.formatUnits(value, decimals));
-          return { from, to, valueDecimal, hash: log.transactionHash };
+          return {
+            from,
+            to,
+            valueDecimal,
+            valueWei: value.toString(),
+            blockNumber: log.blockNumber,
+            hash: log.transactionHash,
+          };
         });
       }
     } catch (error) {
@@ -557,6 +531,64 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Token transfers into and out of a vault since `fromBlock`. Unlike the
+   * deposit scan this throws when any range cannot be read, so a gap is
+   * never mistaken for "no transfers".
+   * @returns {Promise<{incoming:Array<Object>,outgoing:Array<Object>,fromBlock:number}>}
+   *   Same entry shape as getTokenTransfersViaRPC; fromBlock is where the
+   *   returned range really starts
+   */
+  async getVaultTransfers(token, network, address, fromBlock) {
+    if (network && network.toUpperCase() === "TRON") {
+      return TronService.getVaultTransfers(token, address, fromBlock);
+    }
+    const provider = this.getProvider(network);
+    const tokenAddress = this.getTokenAddress(token, network);
+    if (!provider || !tokenAddress) {
+      throw new Error(
+        `No provider or token address for ${token} on ${network}`,
+      );
+    }
+
+    const iface = new ethers.Interface(ERC20_ABI);
+    const topic = iface.getEvent("Transfer").topicHash;
+    const padded = ethers.zeroPadValue(address.toLowerCase(), 32);
+    const decimals = this.getTokenDecimals(token, network);
+    const latest = await provider.getBlockNumber();
+    const maxRange = 500;
+
+    const scan = async (topics) => {
+      const transfers = [];
+      for (let start = fromBlock; start <= latest; start += maxRange + 1) {
+        const logs = await provider.getLogs({
+          address: tokenAddress,
+          fromBlock: start,
+          toBlock: Math.min(start + maxRange, latest),
+          topics,
+        });
+        for (const log of logs) {
+          const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+          transfers.push({
+            from: parsed.args[0],
+            to: parsed.args[1],
+            valueDecimal: Number(ethers.formatUnits(parsed.args[2], decimals)),
+            valueWei: parsed.args[2].toString(),
+            blockNumber: log.blockNumber,
+            hash: log.transactionHash,
+          });
+        }
+      }
+      return transfers;
+    };
+
+    return {
+      incoming: await scan([topic, null, padded]),
+      outgoing: await scan([topic, padded]),
+      fromBlock,
+    };
+  }
+
   async getLatestBlockNumber(network = "ETH") {
     try {
       if (network && network.toUpperCase() === "TRON") {
@@ -584,6 +616,43 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Look up how deeply a transaction is buried in the chain
+   * @param {string} network
+   * @param {string} txHash
+   * @returns {Promise<{found:boolean,success:boolean,blockNumber:number,confirmations:number}|null>} null if the node could not be reached
+   */
+  async getTransactionConfirmations(network, txHash) {
+    try {
+      if (network && network.toUpperCase() === "TRON") {
+        return await TronService.getTransactionConfirmations(txHash);
+      }
+      const provider = this.getProvider(network);
+      if (!provider) return null;
+
+      const receipt = await provider.getTransactionReceipt(txHash);
+      if (!receipt) {
+        return {
+          found: false,
+          success: false,
+          blockNumber: 0,
+          confirmations: 0,
+        };
+      }
+
+      const latest = await provider.getBlockNumber();
+      return {
+        found: true,
+        success: receipt.status === 1,
+        blockNumber: receipt.blockNumber,
+        confirmations: Math.max(0, latest - receipt.blockNumber + 1),
+      };
+    } catch (error) {
+      console.error("Error getting transaction confirmations:", error);
+      return null;
+    }
+  }
+
   /**
    * Get the timestamp of a transaction in milliseconds
    * @param {string} network
@@ -639,19 +708,7 @@ class BlockchainService {
     for (let attempt = 1; attempt <= 3; attempt++) {
       try {
         if (network === "TRON" || network === "TRX") {
-          // Delegate to TronService if available, otherwise return 0
-          if (
-            TronService &&
-            typeof TronService.getTRC20Balance === "function"
-          ) {
-            const tokenAddress = this.getTokenAddress(token, network);
-            const balance = await TronService.getTRC20Balance(
-              tokenAddress,
-              address,
-            );
-            return balance;
-          }
-          return 0;
+          return await TronService.getTokenBalance(token, address);
         }
 
         const tokenAddress = this.getTokenAddress(token, network);
@@ -685,6 +742,34 @@ class BlockchainService {
     throw lastError;
   }
 
+  /**
+   * Raw token balance (wei; sun on TRON), for amounts that must be exact
+   * @returns {Promise<bigint>}
+   */
+  async getTokenBalanceWei(token, network, address) {
+    if (network === "TRON" || network === "TRX") {
+      // TRON tokens have 6 decimals, which a Number holds exactly
+      const balance = await TronService.getTokenBalance(token, address);
+      return BigInt(Math.round(Number(balance || 0) * 1e6));
+    }
+
+    const tokenAddress = this.getTokenAddress(token, network);
+    const provider = this.providers[network.toUpperCase()];
+    if (!tokenAddress || !provider) return 0n;
+    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    return await contract.balanceOf(address);
+  }
+
+  /**
+   * Pay out of a vault. `hooks.onSigned` runs (and must succeed) after the
+   * transaction is signed but before it is broadcast, so the caller can
+   * persist its hash; `hooks.onBroadcast` runs once a node accepts it.
+   * `feeWei` (raw token units, on top of the amount) goes to the vault's fee
+   * wallet in the same transaction; vaults older than the fee split keep it.
+   * @returns {Promise<{success:boolean,transactionHash:string,
+   *   blockNumber:number|null,feeWallet:string|null}>} feeWallet is set when
+   *   the fee was paid out with the payout
+   */
   async releaseFunds(
     token,
     network,
@@ -693,6 +778,9 @@ class BlockchainService {
     amountWeiOverride = null,
     groupId = null,
     contractAddressOverride = null,
+    escrowId = null,
+    hooks = {},
+    feeWei = 0,
   ) {
     let wallet, provider, vaultContract, amountWei, contractAddress;
     try {
@@ -719,11 +807,15 @@ class BlockchainService {
           amount,
           groupId,
           contractAddress: contractAddressOverride,
+          escrowId,
+          hooks,
+          feeSun: feeWei,
         });
         return {
           success: true,
           transactionHash: tronResult.transactionHash,
           blockNumber: null,
+          feeWallet: tronResult.feeWallet,
         };
       }
 
@@ -755,18 +847,9 @@ class BlockchainService {
         wallet,
       );
 
-      let nonce;
-      try {
-        nonce = await provider.getTransactionCount(wallet.address, "pending");
-      } catch (nonceError) {
-        try {
-          nonce = await provider.getTransactionCount(wallet.address);
-        } catch (fallbackError) {
-          throw new Error(
-            `Failed to get transaction nonce: ${fallbackError.message}`,
-          );
-        }
-      }
+      const feeWallet = await this._getFeeSplitWallet(vaultContract, feeWei);
+      const feeSplitWei = feeWallet ? BigInt(feeWei) : 0n;
+      const grossWei = amountWei + feeSplitWei;
 
       // SAFETY CHECK: Verify Contract Balance
       // Re-initialize token contract to check balance
@@ -780,18 +863,89 @@ class BlockchainService {
         contractAddress,
       );
 
-      if (contractBalanceWei < amountWei) {
+      if (contractBalanceWei < grossWei) {
         throw new Error(
           `Insufficient Vault Balance: Contract has ${ethers.formatUnits(
             contractBalanceWei,
             decimals,
-          )} but needs ${ethers.formatUnits(amountWei, decimals)}`,
+          )} but needs ${ethers.formatUnits(grossWei, decimals)}`,
         );
       }
 
-      const tx = await vaultContract.release(buyerAddress, amountWei, {
-        nonce: nonce,
-      });
+      // A credit sent for an uncredited trade takes this nonce; the payout
+      // then uses the one returned
+      let nonce;
+      try {
+        nonce = await provider.getTransactionCount(wallet.address, "pending");
+      } catch (nonceError) {
+        try {
+          nonce = await provider.getTransactionCount(wallet.address);
+        } catch (fallbackError) {
+          throw new Error(
+            `Failed to get transaction nonce: ${fallbackError.message}`,
+          );
+        }
+      }
+      const ledgerKey = await this._getLedgerKeyForPayout(
+        vaultContract,
+        escrowId,
+        grossWei,
+        decimals,
+      );
+      const authorization = await this._authorizePayout(
+        vaultContract,
+        "release",
+        ledgerKey,
+        buyerAddress,
+        amountWei,
+        feeSplitWei,
+      );
+      const txRequest = authorization
+        ? await vaultContract.releaseWithSignature.populateTransaction(
+            authorization.escrowId,
+            buyerAddress,
+            amountWei,
+            feeSplitWei,
+            authorization.nonce,
+            authorization.deadline,
+            authorization.signature,
+            {
+              nonce,
+            },
+          )
+        : feeWallet
+        ? await vaultContract.releaseWithFee.populateTransaction(
+            ledgerKey || ethers.ZeroHash,
+            buyerAddress,
+            amountWei,
+            feeSplitWei,
+            {
+              nonce,
+            },
+          )
+        : ledgerKey
+        ? await vaultContract.releaseEscrow.populateTransaction(
+            ledgerKey,
+            buyerAddress,
+            amountWei,
+            {
+              nonce,
+            },
+          )
+        : await vaultContract.release.populateTransaction(
+            buyerAddress,
+            amountWei,
+            {
+              nonce,
+            },
+          );
+      const tx = await this._signAndBroadcast(
+        wallet,
+        txRequest,
+        contractAddress,
+        hooks,
+        { feeWallet },
+      );
 
       const waitPromise = tx.wait();
       let receipt;
@@ -830,6 +984,7 @@ class BlockchainService {
         success: true,
         transactionHash: transactionHash,
         blockNumber: receipt.blockNumber,
+        feeWallet,
       };
     } catch (error) {
       // Provide a concise log for common provider errors (like insufficient gas funds)
@@ -879,6 +1034,9 @@ class BlockchainService {
     amountWeiOverride = null,
     groupId = null,
     contractAddressOverride = null,
+    escrowId = null,
+    hooks = {},
+    feeWei = 0,
   ) {
     let wallet, provider, vaultContract, amountWei;
     try {
@@ -889,11 +1047,15 @@ class BlockchainService {
           amount,
           groupId,
           contractAddress: contractAddressOverride,
+          escrowId,
+          hooks,
+          feeSun: feeWei,
         });
         return {
           success: true,
           transactionHash: tronResult.transactionHash,
           blockNumber: null,
+          feeWallet: tronResult.feeWallet,
         };
       }
 
@@ -929,18 +1091,9 @@ class BlockchainService {
         ? BigInt(amountWeiOverride)
         : ethers.parseUnits(amount.toString(), decimals);
 
-      let nonce;
-      try {
-        nonce = await provider.getTransactionCount(wallet.address, "pending");
-      } catch (nonceError) {
-        try {
-          nonce = await provider.getTransactionCount(wallet.address);
-        } catch (fallbackError) {
-          throw new Error(
-            `Failed to get transaction nonce: ${fallbackError.message}`,
-          );
-        }
-      }
+      const feeWallet = await this._getFeeSplitWallet(vaultContract, feeWei);
+      const feeSplitWei = feeWallet ? BigInt(feeWei) : 0n;
+      const grossWei = amountWei + feeSplitWei;
 
       // SAFETY CHECK: Verify Contract Balance
       // Re-initialize token contract to check balance
@@ -954,18 +1107,89 @@ class BlockchainService {
         contractAddress,
       );
 
-      if (contractBalanceWei < amountWei) {
+      if (contractBalanceWei < grossWei) {
         throw new Error(
           `Insufficient Vault Balance: Contract has ${ethers.formatUnits(
             contractBalanceWei,
             decimals,
-          )} but needs ${ethers.formatUnits(amountWei, decimals)}`,
+          )} but needs ${ethers.formatUnits(grossWei, decimals)}`,
         );
       }
 
-      const tx = await vaultContract.refund(sellerAddress, amountWei, {
-        nonce: nonce,
-      });
+      // A credit sent for an uncredited trade takes this nonce; the payout
+      // then uses the one returned
+      let nonce;
+      try {
+        nonce = await provider.getTransactionCount(wallet.address, "pending");
+      } catch (nonceError) {
+        try {
+          nonce = await provider.getTransactionCount(wallet.address);
+        } catch (fallbackError) {
+          throw new Error(
+            `Failed to get transaction nonce: ${fallbackError.message}`,
+          );
+        }
+      }
+      const ledgerKey = await this._getLedgerKeyForPayout(
+        vaultContract,
+        escrowId,
+        grossWei,
+        decimals,
+      );
+      const authorization = await this._authorizePayout(
+        vaultContract,
+        "refund",
+        ledgerKey,
+        sellerAddress,
+        amountWei,
+        feeSplitWei,
+      );
+      const txRequest = authorization
+        ? await vaultContract.refundWithSignature.populateTransaction(
+            authorization.escrowId,
+            sellerAddress,
+            amountWei,
+            feeSplitWei,
+            authorization.nonce,
+            authorization.deadline,
+            authorization.signature,
+            {
+              nonce,
+            },
+          )
+        : feeWallet
+        ? await vaultContract.refundWithFee.populateTransaction(
+            ledgerKey || ethers.ZeroHash,
+            sellerAddress,
+            amountWei,
+            feeSplitWei,
+            {
+              nonce,
+            },
+          )
+        : ledgerKey
+        ? await vaultContract.refundEscrow.populateTransaction(
+            ledgerKey,
+            sellerAddress,
+            amountWei,
+            {
+              nonce,
+            },
+          )
+        : await vaultContract.refund.populateTransaction(
+            sellerAddress,
+            amountWei,
+            {
+              nonce,
+            },
+          );
+      const tx = await this._signAndBroadcast(
+        wallet,
+        txRequest,
+        contractAddress,
+        hooks,
+        { feeWallet },
+      );
 
       const waitPromise = tx.wait();
       let receipt;
@@ -1004,6 +1228,7 @@ class BlockchainService {
         success: true,
         transactionHash: transactionHash,
         blockNumber: receipt.blockNumber,
+        feeWallet,
       };
     } catch (error) {
       // Provide a concise log for common provider errors (like insufficient gas funds)
@@ -1039,6 +1264,573 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Sign a transaction locally and broadcast the raw bytes, so its hash is
+   * known (and handed to `hooks.onSigned`, with the fee wallet a fee split
+   * pays) before it can reach the network
+   * @returns {Promise<ethers.TransactionResponse>}
+   */
+  async _signAndBroadcast(
+    wallet,
+    txRequest,
+    contractAddress,
+    hooks = {},
+    { feeWallet = null } = {},
+  ) {
+    const populated = await wallet.populateTransaction(txRequest);
+    const signedTx = await wallet.signTransaction(populated);
+    const txHash = ethers.keccak256(signedTx);
+
+    if (hooks.onSigned) {
+      await hooks.onSigned({
+        txHash,
+        signedTx,
+        nonce: Number(populated.nonce),
+        contractAddress,
+        feeWallet,
+      });
+    }
+
+    const tx = await wallet.provider.broadcastTransaction(signedTx);
+    if (hooks.onBroadcast) {
+      await hooks.onBroadcast({ txHash: tx.hash || txHash });
+    }
+    return tx;
+  }
+
+  /**
+   * Re-send a transaction signed earlier (same nonce, same hash)
+   * @returns {Promise<string>} Transaction hash
+   */
+  async broadcastSignedTransaction(network, signedTx) {
+    if (network && network.toUpperCase() === "TRON") {
+      return await TronService.broadcastSignedTransaction(signedTx);
+    }
+    const provider = this.getProvider(network);
+    const tx = await provider.broadcastTransaction(signedTx);
+    return tx.hash;
+  }
+
+  /**
+   * Number of transactions the hot wallet has mined on a network, i.e. the
+   * next nonce; any signed transaction with a lower nonce can no longer land
+   * @returns {Promise<number>}
+   */
+  async getMinedNonce(network) {
+    const wallet = this.getWallet(network);
+    if (!wallet) {
+      throw new Error(`Wallet not configured for network: ${network}`);
+    }
+    return await wallet.provider.getTransactionCount(wallet.address, "latest");
+  }
+
+  /**
+   * Key of an escrow in the vault's per-trade sub-ledger
+   * @param {string} escrowId
+   * @returns {string} bytes32 hex
+   */
+  getEscrowLedgerKey(escrowId) {
+    return ethers.id(String(escrowId));
+  }
+
+  /**
+   * Pick the sub-ledger for a payout. The key is null when the vault predates
+   * the sub-ledger or the escrow was never credited on-chain, so the caller
+   * falls back to the pooled release/refund. Vaults without the pooled calls
+   * only pay from a trade's credit; an uncredited trade is refused rather
+   * than credited out of other trades' funds.
+   * @returns {Promise<string|null>}
+   */
+  async _getLedgerKeyForPayout(vaultContract, escrowId, amountWei, decimals) {
+    const pooled = await this._vaultHas(vaultContract, "release");
+    if (!escrowId) {
+      if (pooled) return null;
+      throw new Error(
+        `Vault ${await vaultContract.getAddress()} only pays out a trade's credit; no escrow given`,
+      );
+    }
+
+    const key = this.getEscrowLedgerKey(escrowId);
+    let creditedWei;
+    try {
+      creditedWei = await vaultContract.escrowBalances(key);
+    } catch (e) {
+      return null;
+    }
+
+    if (creditedWei === 0n) {
+      if (pooled) return null;
+      throw new Error(
+        `Escrow Not Credited: Escrow ${escrowId} has nothing credited in vault ${await vaultContract.getAddress()}`,
+      );
+    }
+    if (creditedWei < amountWei) {
+      throw new Error(
+        `Insufficient Escrow Balance: Escrow ${escrowId} has ${ethers.formatUnits(
+          creditedWei,
+          decimals,
+        )} credited in the vault but needs ${ethers.formatUnits(
+          amountWei,
+          decimals,
+        )}`,
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Read a vault's trade liabilities
+   * @param {string} token
+   * @param {string} network
+   * @param {string} contractAddress
+   * @param {string|null} escrowId - Also return this escrow's credited balance
+   * @returns {Promise<{totalLiabilitiesWei:bigint,escrowBalanceWei:bigint}|null>} null if the vault has no sub-ledger
+   */
+  async getVaultLedger(token, network, contractAddress, escrowId = null) {
+    if (network && network.toUpperCase() === "TRON") {
+      return await TronService.getVaultLedger({ contractAddress, escrowId });
+    }
+
+    const provider = this.getProvider(network);
+    const vault = new ethers.Contract(
+      contractAddress,
+      ESCROW_VAULT_ABI,
+      provider,
+    );
+    try {
+      const totalLiabilitiesWei = await vault.totalLiabilities();
+      const escrowBalanceWei = escrowId
+        ? await vault.escrowBalances(this.getEscrowLedgerKey(escrowId))
+        : 0n;
+      return { totalLiabilitiesWei, escrowBalanceWei };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * What a vault holds beyond its trade credits, i.e. what withdrawToken
+   * would send
+   * @returns {Promise<bigint>}
+   */
+  async getUnallocatedBalance(network, contractAddress) {
+    return BigInt(
+      (
+        await this._readVault(network, contractAddress, "unallocatedBalance")
+      ).toString(),
+    );
+  }
+
+  /**
+   * Whether a vault keeps the per-trade sub-ledger. Unlike getVaultLedger, a
+   * read that fails throws instead of looking like an older vault.
+   * @returns {Promise<boolean>}
+   */
+  async hasVaultLedger(network, contractAddress) {
+    if (network && network.toUpperCase() === "TRON") {
+      return await TronService.hasVaultLedger(contractAddress);
+    }
+
+    const vault = new ethers.Contract(
+      contractAddress,
+      ESCROW_VAULT_ABI,
+      this.getProvider(network),
+    );
+    try {
+      await vault.totalLiabilities();
+      return true;
+    } catch (e) {
+      if (e.code === "CALL_EXCEPTION" || e.code === "BAD_DATA") return false;
+      throw e;
+    }
+  }
+
+  /**
+   * Assign a confirmed deposit to its escrow in the vault sub-ledger
+   * @returns {Promise<{success:boolean,transactionHash:string}>}
+   */
+  async creditEscrowDeposit(
+    token,
+    network,
+    contractAddress,
+    escrowId,
+    amountWei,
+  ) {
+    if (network && network.toUpperCase() === "TRON") {
+      return await TronService.creditDeposit({
+        contractAddress,
+        escrowId,
+        amountSun: amountWei,
+      });
+    }
+
+    const wallet = this.getWallet(network);
+    const vault = new ethers.Contract(
+      contractAddress,
+      ESCROW_VAULT_ABI,
+      wallet,
+    );
+    const tx = await vault.creditDeposit(
+      this.getEscrowLedgerKey(escrowId),
+      BigInt(amountWei),
+    );
+    const receipt = await tx.wait();
+    return { success: true, transactionHash: receipt.hash || tx.hash };
+  }
+
+  /**
+   * How far a vault's token balance falls below its trade credits
+   * @returns {Promise<bigint>}
+   */
+  async getVaultShortfall(network, contractAddress) {
+    return BigInt(
+      (await this._readVault(network, contractAddress, "shortfall")).toString(),
+    );
+  }
+
+  /**
+   * Take back the sub-ledger credit of a deposit a reorg removed
+   * @returns {Promise<{success:boolean,transactionHash:string}>}
+   */
+  async reverseEscrowDeposit(
+    token,
+    network,
+    contractAddress,
+    escrowId,
+    amountWei,
+  ) {
+    if (network && network.toUpperCase() === "TRON") {
+      return await TronService.reverseDeposit({
+        contractAddress,
+        escrowId,
+        amountSun: amountWei,
+      });
+    }
+
+    const wallet = this.getWallet(network);
+    const vault = new ethers.Contract(
+      contractAddress,
+      ESCROW_VAULT_ABI,
+      wallet,
+    );
+    const tx = await vault.reverseDeposit(
+      this.getEscrowLedgerKey(escrowId),
+      BigInt(amountWei),
+    );
+    const receipt = await tx.wait();
+    return { success: true, transactionHash: receipt.hash || tx.hash };
+  }
+
+  /**
+   * Release whatever a settled escrow still holds in the sub-ledger
+   * (retained fees, rounding dust) back to the vault's unallocated balance
+   * @returns {Promise<{success:boolean,transactionHash:string}>}
+   */
+  async closeEscrowLedger(token, network, contractAddress, escrowId) {
+    if (network && network.toUpperCase() === "TRON") {
+      return await TronService.closeEscrow({ contractAddress, escrowId });
+    }
+
+    const wallet = this.getWallet(network);
+    const vault = new ethers.Contract(
+      contractAddress,
+      ESCROW_VAULT_ABI,
+      wallet,
+    );
+    const tx = await vault.closeEscrow(this.getEscrowLedgerKey(escrowId));
+    const receipt = await tx.wait();
+    return { success: true, transactionHash: receipt.hash || tx.hash };
+  }
+
+  /**
+   * Where a payout's fee goes when the vault can split it off on-chain; null
+   * when there is no fee, the vault predates releaseWithFee or has no fee
+   * wallet (the fee then stays in the vault until swept)
+   */
+  async _getFeeSplitWallet(vaultContract, feeWei) {
+    if (!feeWei || BigInt(feeWei) <= 0n) return null;
+    if (!(await this._vaultHas(vaultContract, "releaseWithFee"))) return null;
+
+    const feeWallet = await vaultContract.feeWallet();
+    return feeWallet === ethers.ZeroAddress ? null : feeWallet;
+  }
+
+  /**
+   * Whether a vault has the function `name`, going by its VERSION(); vaults
+   * deployed at different times have different functions
+   */
+  async _vaultHas(vaultContract, name) {
+    const { since = 1, before = Infinity } = VAULT_FUNCTION_VERSIONS[name];
+    const version = await this._getVaultVersion(vaultContract);
+    return version >= since && version < before;
+  }
+
+  async _getVaultVersion(vaultContract) {
+    const contractAddress = (await vaultContract.getAddress()).toLowerCase();
+    if (!this.vaultVersions.has(contractAddress)) {
+      let version = 1;
+      try {
+        version = Number(await vaultContract.VERSION());
+      } catch (e) {
+        if (e.code !== "CALL_EXCEPTION" && e.code !== "BAD_DATA") throw e;
+      }
+      this.vaultVersions.set(contractAddress, version);
+    }
+    return this.vaultVersions.get(contractAddress);
+  }
+
+  /**
+   * The vault's payout signer, checked against PAYOUT_SIGNER_PRIVATE_KEY;
+   * null when payouts are unsigned
+   */
+  async _getPayoutSigner(vaultContract) {
+    let vaultSigner;
+    try {
+      vaultSigner = await vaultContract.signer();
+    } catch (e) {
+      // Vaults deployed before signed payouts have no signer()
+      if (e.code === "CALL_EXCEPTION" || e.code === "BAD_DATA") return null;
+      throw e;
+    }
+    if (vaultSigner === ethers.ZeroAddress) return null;
+
+    PayoutAuthorizationService.assertSignerFor(
+      vaultSigner,
+      await vaultContract.getAddress(),
+    );
+    return vaultSigner;
+  }
+
+  /**
+   * EIP-712 authorization for a payout, when the vault has a signer set;
+   * null when it takes the owner's unsigned release/refund
+   */
+  async _authorizePayout(
+    vaultContract,
+    kind,
+    ledgerKey,
+    to,
+    amountWei,
+    feeWei = 0n,
+  ) {
+    if (!(await this._getPayoutSigner(vaultContract))) return null;
+
+    const domainSeparator = await vaultContract.domainSeparator();
+    // The deadline is checked against block time
+    const { timestamp } = await vaultContract.runner.provider.getBlock(
+      "latest",
+    );
+    return PayoutAuthorizationService.sign({
+      kind,
+      domainSeparator,
+      escrowKey: ledgerKey,
+      to,
+      amount: amountWei,
+      fee: feeWei,
+      now: timestamp,
+    });
+  }
+
+  async _readVault(network, contractAddress, method, args = []) {
+    if (network && network.toUpperCase() === "TRON") {
+      return await TronService.readVault({ contractAddress, method, args });
+    }
+    const vault = new ethers.Contract(
+      contractAddress,
+      ESCROW_VAULT_ABI,
+      this.getProvider(network),
+    );
+    return await vault[method](...args);
+  }
+
+  /**
+   * Send an owner or guardian call to a vault from the hot wallet
+   * @returns {Promise<{success:boolean,transactionHash:string}>}
+   */
+  async _sendVaultAdminCall(network, contractAddress, method, args = []) {
+    if (network && network.toUpperCase() === "TRON") {
+      return await TronService.sendVaultAdminCall({
+        contractAddress,
+        method,
+        args,
+      });
+    }
+    const vault = new ethers.Contract(
+      contractAddress,
+      ESCROW_VAULT_ABI,
+      this.getWallet(network),
+    );
+    const tx = await vault[method](...args);
+    const receipt = await tx.wait();
+    return { success: true, transactionHash: receipt.hash || tx.hash };
+  }
+
+  /**
+   * Ownership, guardian, pause and payout signer state of a vault
+   * @returns {Promise<{owner:string,pendingOwner:string|null,guardian:string,paused:boolean,signer:string|null}|null>}
+   *   null when the vault predates these controls (and the timelock); signer
+   *   is null while payouts are unsigned
+   */
+  async getVaultControls(network, contractAddress) {
+    if (network && network.toUpperCase() === "TRON") {
+      return await TronService.getVaultControls({ contractAddress });
+    }
+    try {
+      const read = (method) =>
+        this._readVault(network, contractAddress, method);
+      const owner = await read("owner");
+      const pendingOwner = await read("pendingOwner");
+      const guardian = await read("guardian");
+      const paused = await read("paused");
+      const signer = await read("signer").catch(() => ethers.ZeroAddress);
+      return {
+        owner,
+        pendingOwner: pendingOwner === ethers.ZeroAddress ? null : pendingOwner,
+        guardian,
+        paused,
+        signer: signer === ethers.ZeroAddress ? null : signer,
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * State of a timelocked vault operation
+   * @param {{kind:"feeWallet"|"withdraw", address:string}} operation - the new
+   *   fee wallet, or the recipient of a sweep of the vault's own token
+   * @returns {Promise<{id:string,eta:Date|null,ready:boolean}>} eta is null
+   *   when the operation is not queued
+   */
+  async getVaultOperation(network, contractAddress, { kind, address }) {
+    const id =
+      kind === "withdraw"
+        ? await this._readVault(network, contractAddress, "withdrawOperation", [
+            await this._readVault(network, contractAddress, "token"),
+            address,
+          ])
+        : await this._readVault(
+            network,
+            contractAddress,
+            "feeWalletOperation",
+            [address],
+          );
+    const etaSeconds = Number(
+      (
+        await this._readVault(network, contractAddress, "timelockEta", [id])
+      ).toString(),
+    );
+    const eta = etaSeconds > 0 ? new Date(etaSeconds * 1000) : null;
+    // The contract compares against block time, not the bot's clock
+    const now =
+      network === "TRON"
+        ? Date.now()
+        : (await this.getProvider(network).getBlock("latest")).timestamp * 1000;
+    return { id, eta, ready: !!eta && eta.getTime() <= now };
+  }
+
+  /**
+   * Stop payouts and withdrawals. The owner may pause; only the guardian
+   * can unpause, so unpauseVault fails once the guardian is another key.
+   */
+  async pauseVault(network, contractAddress) {
+    return this._sendVaultAdminCall(network, contractAddress, "pause");
+  }
+
+  async unpauseVault(network, contractAddress) {
+    return this._sendVaultAdminCall(network, contractAddress, "unpause");
+  }
+
+  /**
+   * First step of handing a vault to another owner; the new owner then
+   * calls acceptVaultOwnership (e.g. the bot after a hot-key rotation)
+   */
+  async transferVaultOwnership(network, contractAddress, newOwner) {
+    return this._sendVaultAdminCall(
+      network,
+      contractAddress,
+      "transferOwnership",
+      [newOwner],
+    );
+  }
+
+  async acceptVaultOwnership(network, contractAddress) {
+    return this._sendVaultAdminCall(
+      network,
+      contractAddress,
+      "acceptOwnership",
+    );
+  }
+
+  async setVaultGuardian(network, contractAddress, guardian) {
+    return this._sendVaultAdminCall(network, contractAddress, "setGuardian", [
+      guardian,
+    ]);
+  }
+
+  /**
+   * Require payouts signed by `signer` (guardian only); null goes back to
+   * unsigned owner payouts
+   */
+  async setVaultSigner(network, contractAddress, signer) {
+    const zero =
+      network && network.toUpperCase() === "TRON"
+        ? "410000000000000000000000000000000000000000"
+        : ethers.ZeroAddress;
+    return this._sendVaultAdminCall(network, contractAddress, "setSigner", [
+      signer || zero,
+    ]);
+  }
+
+  /**
+   * Queue a timelocked operation (see getVaultOperation)
+   * @returns {Promise<{success:boolean,transactionHash:string,eta:Date}>}
+   */
+  async queueVaultOperation(network, contractAddress, { kind, address }) {
+    const result =
+      kind === "withdraw"
+        ? await this._sendVaultAdminCall(
+            network,
+            contractAddress,
+            "queueWithdrawToken",
+            [await this._readVault(network, contractAddress, "token"), address],
+          )
+        : await this._sendVaultAdminCall(
+            network,
+            contractAddress,
+            "queueSetFeeWallet",
+            [address],
+          );
+    const { eta } = await this.getVaultOperation(network, contractAddress, {
+      kind,
+      address,
+    });
+    return { ...result, eta };
+  }
+
+  async cancelVaultOperation(network, contractAddress, operation) {
+    const { id } = await this.getVaultOperation(
+      network,
+      contractAddress,
+      operation,
+    );
+    return this._sendVaultAdminCall(
+      network,
+      contractAddress,
+      "cancelOperation",
+      [id],
+    );
+  }
+
+  /**
+   * Apply a fee wallet change queued at least TIMELOCK_DELAY ago
+   */
+  async setVaultFeeWallet(network, contractAddress, feeWallet) {
+    return this._sendVaultAdminCall(network, contractAddress, "setFeeWallet", [
+      feeWallet,
+    ]);
+  }
+
   async getEscrowContractAddress(token, network, groupId = null) {
     try {
       const desiredFeePercent = Number(0); // Strict, no config fallback
@@ -475,10 +475,142 @@ ${transactionLine}`;
     }
   }
 
+  /**
+   * Handle a split settlement: one feed post covering both legs and one DM
+   * per party
+   * @param {Object} escrow - The settled escrow
+   * @param {Object} settlement - The completed Settlement
+   * @param {Object} telegram - Telegram bot instance
+   */
+  async handleSettlement({ escrow, settlement, telegram }) {
+    if (!escrow || !settlement || !telegram) {
+      return;
+    }
+
+    const Escrow = require("../models/Escrow");
+    const freshEscrow =
+      (await Escrow.findById(escrow._id || escrow.id)) || escrow;
+
+    await this.sendDirectMessageNotification(
+      freshEscrow,
+      telegram,
+      "settlement",
+      settlement.buyerNet,
+      settlement.releaseTransactionHash || settlement.refundTransactionHash,
+      { settlement }
+    );
+
+    if (!this.chatId) {
+      return;
+    }
+
+    const hasBuyerLeg = settlement.buyerGross > 0;
+    const inc = {};
+    if (hasBuyerLeg) {
+      inc.totalCompletedVolume = settlement.buyerGross;
+      inc.totalCompletedTrades = 1;
+    }
+    if (settlement.sellerGross > 0) {
+      inc.totalRefundedVolume = settlement.sellerGross;
+      if (!hasBuyerLeg) {
+        inc.totalRefundedTrades = 1;
+      }
+    }
+    const stats = await Stats.findOneAndUpdate(
+      { key: "global" },
+      {
+        $setOnInsert: {
+          key: "global",
+        },
+        $inc: inc,
+      },
+      { upsert: true, new: true }
+    );
+
+    if (hasBuyerLeg) {
+      await UserStatsService.updateUserStats(freshEscrow);
+    }
+
+    const buyerDisplay = formatParticipantById(
+      freshEscrow,
+      freshEscrow.buyerId,
+      "Buyer",
+      { html: true, mask: true }
+    );
+    const sellerDisplay = formatParticipantById(
+      freshEscrow,
+      freshEscrow.sellerId,
+      "Seller",
+      { html: true, mask: true }
+    );
+    const token = (freshEscrow.token || "USDT").toUpperCase();
+    const network = (freshEscrow.chain || "BSC").toUpperCase();
+    const proofLine = (label, txHash) => {
+      const explorerLink = this.getExplorerLink(network, txHash);
+      return explorerLink
+        ? `🔗 ${label}: <a href="${explorerLink}">[Link]</a>`
+        : `🔗 ${label}: N/A`;
+    };
+
+    const lines = [];
+    if (hasBuyerLeg) {
+      lines.push(
+        `💰 Released: <code>${this.formatAmount(
+          settlement.buyerGross
+        )} ${token}</code>`
+      );
+    }
+    if (settlement.sellerGross > 0) {
+      lines.push(
+        `🔄 Refunded: <code>${this.formatAmount(
+          settlement.sellerGross
+        )} ${token}</code>`
+      );
+    }
+    if (settlement.releaseTransactionHash) {
+      lines.push(
+        proofLine("PROOF OF RELEASE", settlement.releaseTransactionHash)
+      );
+    }
+    if (settlement.refundTransactionHash) {
+      lines.push(
+        proofLine("PROOF OF REFUND", settlement.refundTransactionHash)
+      );
+    }
+
+    const message = `⚖️ <b>TRADE SETTLED (SPLIT)</b>
+
+<b>Trade ID:</b> #${freshEscrow.escrowId}
+PARTIES: ${buyerDisplay} & ${sellerDisplay}
+
+🪙 Token: <code>${token}</code>
+🌐 Chain: <code>${network}</code>
+${lines.join("\n")}
+📊 TVL Processed: <code>$${this.formatLargeNumber(
+      stats.totalCompletedVolume
+    )}</code>`;
+
+    try {
+      await withRetry(() =>
+        telegram.sendMessage(this.chatId, message, {
+          parse_mode: "HTML",
+          disable_web_page_preview: true,
+        })
+      );
+      freshEscrow.completionLogSent = hasBuyerLeg;
+      freshEscrow.refundLogSent = !hasBuyerLeg;
+      await freshEscrow.save();
+    } catch (error) {
+      console.error(
+        `CompletionFeedService: Error posting settlement for ${freshEscrow.escrowId}: ${error.message}`
+      );
+    }
+  }
+
   async sendDirectMessageNotification(
     escrow,
     telegram,
-    type, // "completed" | "refunded" | "partial_deposit" | "partial_refund"
+    type, // "completed" | "refunded" | "partial_deposit" | "partial_refund" | "settlement"
     amount,
     transactionHash,
     extraData = {} // For additional context like remaining amount
@@ -559,6 +691,39 @@ The funds have been refunded to the seller.`;
 🔗 <b>Transaction:</b> <code>${transactionHash || "N/A"}</code>
 
 These funds have been released to the buyer.`;
+    } else if (type === "settlement" && extraData.settlement) {
+      const settlement = extraData.settlement;
+      titleIcon = "⚖️";
+      titleText = "TRADE SETTLED";
+      const legs = [];
+      if (settlement.buyerGross > 0) {
+        legs.push(`👤 <b>Buyer Share:</b> ${this.formatAmount(
+          settlement.buyerGross
+        )} ${token}
+   Service Fee: ${this.formatAmount(settlement.serviceFee)} ${token} (${
+          settlement.feeRate
+        }%) · Network Fee: ${settlement.networkFee} ${token}
+   <b>Sent to Buyer:</b> ${this.formatAmount(settlement.buyerNet)} ${token}
+   🔗 <code>${settlement.releaseTransactionHash || "N/A"}</code>`);
+      }
+      if (settlement.sellerGross > 0) {
+        legs.push(`👤 <b>Seller Share:</b> ${this.formatAmount(
+          settlement.sellerGross
+        )} ${token}
+   Network Fee: ${settlement.networkFee} ${token}
+   <b>Refunded to Seller:</b> ${this.formatAmount(
+     settlement.sellerNet
+   )} ${token}
+   🔗 <code>${settlement.refundTransactionHash || "N/A"}</code>`);
+      }
+
+      messageBody = `
+💵 <b>Held Amount:</b> ${this.formatAmount(settlement.heldAmount)} ${token}
+🌐 <b>Chain:</b> ${network}
+
+${legs.join("\n\n")}
+
+An admin settled this trade by splitting the held funds.`;
     }
 
     const fullMessage = `${titleIcon} <b>${titleText}</b>
@@ -0,0 +1,612 @@
+const { Markup } = require("telegraf");
+const { ethers } = require("ethers");
+const Escrow = require("../models/Escrow");
+const BlockchainService = require("./BlockchainService");
+const VaultLedgerService = require("./VaultLedgerService");
+const LedgerService = require("./LedgerService");
+const EscrowStateService = require("./EscrowStateService");
+const LeaseService = require("./LeaseService");
+const AdminService = require("./AdminService");
+const config = require("../../config");
+const logger = require("../utils/logger");
+
+// Past "deposited": fiat may be on its way, so a deposit that leaves the
+// chain now holds the trade's payouts instead of reopening it
+const HELD_STATUSES = ["in_fiat_transfer", "ready_to_release", "disputed"];
+
+class DepositWatcherService {
+  constructor() {
+    this.timer = null;
+    this.telegram = null;
+    this.polling = null;
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Start polling awaiting_deposit/deposited escrows for incoming transfers,
+   * and later trades until their deposits are final
+   * @param {Object} telegram - Telegram API instance used for room notifications
+   */
+  start(telegram) {
+    if (this.timer) return;
+    this.telegram = telegram;
+
+    const intervalMs = config.DEPOSIT_WATCHER_INTERVAL_MS;
+    this.timer = setInterval(() => this.pollOnce(), intervalMs);
+    console.log(
+      `👀 Deposit watcher started (every ${Math.round(intervalMs / 1000)}s)`,
+    );
+  }
+
+  /**
+   * @returns {Promise<void>} resolves once a scan in progress has finished
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return this.polling || Promise.resolve();
+  }
+
+  pollOnce() {
+    if (!this.polling) {
+      this.polling = this.poll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async poll() {
+    try {
+      const escrows = await Escrow.find({
+        $or: [
+          { status: { $in: ["awaiting_deposit", "deposited"] } },
+          // Top-ups pasted later in the trade still need to finish confirming
+          {
+            status: { $in: HELD_STATUSES },
+            "pendingDeposits.status": { $in: ["seen", "confirming"] },
+          },
+          // and credited deposits stay under watch until they are final
+          {
+            status: { $in: HELD_STATUSES },
+            pendingDeposits: {
+              $elemMatch: { status: "credited", finalizedAt: null },
+            },
+          },
+        ],
+        depositAddress: { $ne: null },
+        // TRON hashes awaiting admin verification are credited by that flow
+        tronManualVerificationPending: { $ne: true },
+      });
+
+      for (const escrow of escrows) {
+        // Stopped mid-scan: leave the rest to the next leader
+        if (!this.timer) break;
+        try {
+          await logger.run(
+            { escrowId: escrow.escrowId, groupId: escrow.groupId },
+            () =>
+              LeaseService.withEscrowLock(escrow.escrowId, async () => {
+                // A button may have moved the trade on since the scan began
+                const current = await Escrow.findById(escrow._id);
+                if (current) await this.checkEscrow(current, this.telegram);
+              }),
+          );
+        } catch (error) {
+          // A button press is changing this trade; check it next round
+          if (LeaseService.isLeaseBusy(error)) continue;
+          console.error(
+            `Error watching deposits for escrow ${escrow.escrowId}:`,
+            error,
+          );
+        }
+      }
+
+      await this.retryVaultCredits();
+
+      // Settled trades hand their sub-ledger leftovers back to the vault
+      await VaultLedgerService.closeSettledLedgers();
+    } catch (error) {
+      console.error("Error in deposit watcher loop:", error);
+    }
+  }
+
+  /**
+   * Send again the vault credits that did not land; the trade's payouts are
+   * held until they do
+   */
+  async retryVaultCredits() {
+    const pending = await Escrow.find({ vaultCreditPendingWei: { $ne: null } });
+    for (const escrow of pending) {
+      if (!this.timer) break;
+      try {
+        await logger.run(
+          { escrowId: escrow.escrowId, groupId: escrow.groupId },
+          () =>
+            LeaseService.withEscrowLock(escrow.escrowId, async () => {
+              const current = await Escrow.findById(escrow._id);
+              if (current?.vaultCreditPendingWei) {
+                await VaultLedgerService.retryCredit(current);
+              }
+            }),
+        );
+      } catch (error) {
+        if (LeaseService.isLeaseBusy(error)) continue;
+        console.error(
+          `Error retrying vault credit for escrow ${escrow.escrowId}:`,
+          error,
+        );
+      }
+    }
+  }
+
+  /**
+   * Scan an escrow's deposit address and move its deposits through the
+   * seen -> confirming -> credited lifecycle, announcing each step in the room.
+   * Shared by the background watcher and the check_deposit button.
+   * @param {Object} escrow - Escrow document with a deposit address
+   * @param {Object} telegram - Telegram API instance
+   * @returns {Promise<{seenAmount:number,confirmingAmount:number,creditedAmount:number}|null>} null if a check is already running
+   */
+  async checkEscrow(escrow, telegram) {
+    if (this.inFlight.has(escrow.escrowId)) return null;
+    this.inFlight.add(escrow.escrowId);
+
+    try {
+      const latestBlock = await BlockchainService.getLatestBlockNumber(
+        escrow.chain,
+      );
+
+      const newTransfers = await this.findNewDeposits(escrow);
+      const seen = [];
+      for (const tx of newTransfers) {
+        const entry = this.trackDeposit(escrow, tx);
+        if (entry) seen.push(entry);
+      }
+
+      const { credited, dropped, reversed } = await this.advanceDeposits(
+        escrow,
+      );
+      const held = reversed.length > 0 && !!escrow.depositReversedAt;
+
+      if (escrow.isModified()) {
+        await escrow.save();
+      }
+
+      if (credited.length > 0) {
+        await VaultLedgerService.creditDeposit(
+          escrow,
+          this.sumAmountsWei(escrow, credited),
+        );
+      }
+      for (const entry of credited) {
+        await LedgerService.postDeposit(
+          escrow,
+          this.ledgerDeposit(escrow, entry),
+        );
+      }
+      // A credit the chain took back comes off the vault's books as well
+      if (reversed.length > 0) {
+        await VaultLedgerService.reverseDeposit(
+          escrow,
+          this.sumAmountsWei(escrow, reversed),
+        );
+      }
+      for (const entry of reversed) {
+        await LedgerService.postDepositReversal(
+          escrow,
+          this.ledgerDeposit(escrow, entry),
+        );
+      }
+
+      // Block height was read before the scan, so anything mined while it ran
+      // is rescanned next time (duplicates are dropped by hash).
+      if (latestBlock && latestBlock > (escrow.lastCheckedBlock || 0)) {
+        await Escrow.updateOne(
+          { _id: escrow._id },
+          { $set: { lastCheckedBlock: latestBlock } },
+        );
+        escrow.lastCheckedBlock = latestBlock;
+      }
+
+      const result = {
+        seenAmount: this.sumAmounts(seen),
+        confirmingAmount: this.sumAmounts(
+          escrow.pendingDeposits.filter((entry) =>
+            ["seen", "confirming"].includes(entry.status),
+          ),
+        ),
+        creditedAmount: this.sumAmounts(credited),
+      };
+
+      if (telegram) {
+        if (seen.length > 0) {
+          await this.announceSeen(escrow, result.seenAmount, telegram);
+        }
+        if (dropped.length > 0) {
+          await this.announceDropped(escrow, dropped, telegram);
+        }
+        if (credited.length > 0) {
+          await this.announceDeposit(escrow, result.creditedAmount, telegram);
+        }
+        if (held) {
+          await this.alertReversal(escrow, reversed, telegram);
+        }
+      }
+
+      return result;
+    } finally {
+      this.inFlight.delete(escrow.escrowId);
+    }
+  }
+
+  /**
+   * Fetch transfers into the deposit address that are neither credited nor
+   * already being tracked
+   * @param {Object} escrow
+   * @returns {Promise<Array<{from:string,to:string,valueDecimal:number,valueWei:string,blockNumber:number,hash:string}>>}
+   */
+  async findNewDeposits(escrow) {
+    const checkAddress = escrow.depositAddress;
+    // A zero cursor means "never scanned"; let the RPC scan pick its default
+    // window instead of walking the chain from genesis.
+    const fromBlock = escrow.lastCheckedBlock || undefined;
+
+    let txs = await BlockchainService.getTokenTransfersViaRPC(
+      escrow.token,
+      escrow.chain,
+      checkAddress,
+      fromBlock,
+    );
+    // Only Ethereum has an explorer API to fall back on; elsewhere it would
+    // repeat the RPC scan. It starts at the same cursor (null: the default
+    // recent window), never at genesis.
+    if (
+      (!txs || txs.length === 0) &&
+      ["ETH", "SEPOLIA"].includes(String(escrow.chain).toUpperCase())
+    ) {
+      txs = await BlockchainService.getTokenTransactions(
+        escrow.token,
+        escrow.chain,
+        checkAddress,
+        fromBlock ?? null,
+      );
+    }
+
+    const vaultAddr = checkAddress.toLowerCase();
+    const knownHashes = [
+      escrow.transactionHash,
+      ...(escrow.partialTransactionHashes || []),
+      ...(escrow.pendingDeposits || [])
+        .filter((entry) => entry.status !== "dropped")
+        .map((entry) => entry.hash),
+    ]
+      .filter(Boolean)
+      .map((h) => h.toLowerCase());
+
+    return (txs || []).filter((tx) => {
+      const to = (tx.to || "").toLowerCase();
+      if (to !== vaultAddr) return false;
+
+      // Without a hash a transfer can't be re-checked for confirmations
+      if (!tx.hash) return false;
+      return !knownHashes.includes(tx.hash.toLowerCase());
+    });
+  }
+
+  /**
+   * Start tracking a transfer on the escrow (caller saves). A transfer that was
+   * dropped by a reorg and shows up again is revived rather than duplicated.
+   * @param {Object} escrow
+   * @param {Object} tx - Transfer as returned by findNewDeposits
+   * @param {number} confirmations - Depth already known to the caller, if any
+   * @returns {Object|null} The tracked entry, or null if it is already tracked
+   */
+  trackDeposit(escrow, tx, confirmations = 0) {
+    if (!escrow.pendingDeposits) escrow.pendingDeposits = [];
+
+    const hashLc = tx.hash.toLowerCase();
+    const existing = escrow.pendingDeposits.find(
+      (entry) => entry.hash.toLowerCase() === hashLc,
+    );
+    if (existing && existing.status !== "dropped") return null;
+
+    const fields = {
+      hash: tx.hash,
+      from: tx.from,
+      amount: Number(tx.valueDecimal),
+      amountWei: tx.valueWei,
+      blockNumber: tx.blockNumber || 0,
+      confirmations,
+      status: confirmations > 0 ? "confirming" : "seen",
+      seenAt: new Date(),
+    };
+
+    if (existing) {
+      existing.set(fields);
+      return existing;
+    }
+
+    escrow.pendingDeposits.push(fields);
+    return escrow.pendingDeposits[escrow.pendingDeposits.length - 1];
+  }
+
+  /**
+   * Re-check every uncredited deposit, and every credited one that is not
+   * final yet, on-chain. Deposits that reach the network's depth are
+   * credited, and final at twice that depth; deposits whose tx is gone are
+   * dropped, reversing the credit if one had been applied.
+   * @param {Object} escrow
+   * @returns {Promise<{credited:Array<Object>,dropped:Array<Object>,reversed:Array<Object>}>}
+   *   reversed lists the dropped deposits that had been credited
+   */
+  async advanceDeposits(escrow) {
+    const required = config.getRequiredConfirmations(escrow.chain);
+    const credited = [];
+    const dropped = [];
+    const reversed = [];
+
+    for (const entry of escrow.pendingDeposits || []) {
+      const isPending = ["seen", "confirming"].includes(entry.status);
+      // Credits stay under watch for a second confirmation window
+      const isRecentCredit = entry.status === "credited" && !entry.finalizedAt;
+      if (!isPending && !isRecentCredit) continue;
+
+      const check = await BlockchainService.getTransactionConfirmations(
+        escrow.chain,
+        entry.hash,
+      );
+      // Node unreachable: leave the deposit as-is and try again next round
+      if (!check) continue;
+
+      if (!check.found || !check.success) {
+        if (entry.status === "credited") {
+          this.reverseCredit(escrow, entry);
+          reversed.push(entry);
+        }
+        entry.status = "dropped";
+        entry.confirmations = 0;
+        dropped.push(entry);
+        continue;
+      }
+
+      entry.blockNumber = check.blockNumber;
+      entry.confirmations = check.confirmations;
+
+      if (isRecentCredit && check.confirmations >= required * 2) {
+        entry.finalizedAt = new Date();
+      }
+
+      if (isPending) {
+        if (check.confirmations >= required) {
+          entry.status = "credited";
+          entry.creditedAt = new Date();
+          credited.push(entry);
+        } else {
+          entry.status = "confirming";
+        }
+      }
+    }
+
+    if (credited.length > 0) {
+      this.applyCredit(escrow, credited);
+    }
+
+    return { credited, dropped, reversed };
+  }
+
+  applyCredit(escrow, entries) {
+    for (const entry of entries) {
+      const hash = entry.hash;
+
+      if (!escrow.transactionHash) {
+        escrow.transactionHash = hash;
+        escrow.depositTransactionFromAddress = entry.from;
+      } else {
+        if (!escrow.partialTransactionHashes)
+          escrow.partialTransactionHashes = [];
+        if (
+          !escrow.partialTransactionHashes.includes(hash) &&
+          escrow.transactionHash !== hash
+        ) {
+          escrow.partialTransactionHashes.push(hash);
+        }
+      }
+    }
+
+    this.adjustDepositTotals(escrow, entries, 1n);
+
+    if (
+      ["draft", "awaiting_details", "awaiting_deposit"].includes(escrow.status)
+    ) {
+      EscrowStateService.transition(
+        escrow,
+        "deposited",
+        EscrowStateService.SYSTEM,
+        "deposit confirmed on-chain",
+      );
+    }
+    escrow.lastActivityAt = new Date();
+    escrow.isScheduledForRecycle = false;
+
+    // Every reversed deposit is back on-chain and credited again
+    if (
+      escrow.depositReversedAt &&
+      !escrow.pendingDeposits.some(
+        (entry) => entry.status === "dropped" && entry.creditedAt,
+      )
+    ) {
+      escrow.depositReversedAt = null;
+    }
+  }
+
+  reverseCredit(escrow, entry) {
+    const hash = entry.hash;
+    if (escrow.transactionHash === hash) {
+      escrow.transactionHash = (escrow.partialTransactionHashes || []).shift();
+    } else if (escrow.partialTransactionHashes) {
+      escrow.partialTransactionHashes = escrow.partialTransactionHashes.filter(
+        (h) => h !== hash,
+      );
+    }
+
+    this.adjustDepositTotals(escrow, [entry], -1n);
+
+    if (escrow.status === "deposited" && !escrow.transactionHash) {
+      EscrowStateService.transition(
+        escrow,
+        "awaiting_deposit",
+        EscrowStateService.SYSTEM,
+        "deposit dropped from chain",
+      );
+    } else if (HELD_STATUSES.includes(escrow.status)) {
+      escrow.depositReversedAt = new Date();
+    }
+  }
+
+  /**
+   * Add (sign 1n) or remove (sign -1n) entries from the deposit totals, keeping
+   * the decimal and wei figures in step. If a wei value is missing the wei total
+   * is cleared so releases fall back to the decimal amount.
+   */
+  adjustDepositTotals(escrow, entries, sign) {
+    const previousAmount =
+      escrow.accumulatedDepositAmount || escrow.depositAmount || 0;
+    const delta = this.sumAmounts(entries) * Number(sign);
+    const totalAmount = Math.max(0, previousAmount + delta);
+    escrow.depositAmount = totalAmount;
+    escrow.confirmedAmount = totalAmount;
+    escrow.accumulatedDepositAmount = totalAmount;
+
+    const previousWei = escrow.accumulatedDepositAmountWei || "0";
+    const weiTracked = previousWei !== "0" || previousAmount === 0;
+    if (weiTracked && entries.every((entry) => entry.amountWei)) {
+      let totalWei = BigInt(previousWei);
+      for (const entry of entries) {
+        totalWei += sign * BigInt(entry.amountWei);
+      }
+      escrow.accumulatedDepositAmountWei = (
+        totalWei < 0n ? 0n : totalWei
+      ).toString();
+    } else {
+      escrow.accumulatedDepositAmountWei = "0";
+    }
+  }
+
+  sumAmountsWei(escrow, entries) {
+    const decimals = BlockchainService.getTokenDecimals(
+      escrow.token,
+      escrow.chain,
+    );
+    return entries.reduce(
+      (sum, entry) =>
+        sum +
+        (entry.amountWei
+          ? BigInt(entry.amountWei)
+          : ethers.parseUnits(
+              Number(entry.amount).toFixed(decimals),
+              decimals,
+            )),
+      0n,
+    );
+  }
+
+  /**
+   * A credited deposit as the ledger books it
+   */
+  ledgerDeposit(escrow, entry) {
+    return {
+      txHash: entry.hash,
+      amountWei: this.sumAmountsWei(escrow, [entry]),
+      creditedAt: entry.creditedAt,
+    };
+  }
+
+  sumAmounts(entries) {
+    return entries.reduce((sum, entry) => sum + Number(entry.amount || 0), 0);
+  }
+
+  async announceSeen(escrow, amount, telegram) {
+    const required = config.getRequiredConfirmations(escrow.chain);
+    await telegram.sendMessage(
+      escrow.groupId,
+      `⏳ Deposit detected: ${amount.toFixed(2)} ${
+        escrow.token
+      }\n\nWaiting for ${required} network confirmations before it is credited. Buyer, please do not send fiat yet.`,
+    );
+  }
+
+  async announceDropped(escrow, entries, telegram) {
+    const hashes = entries.map((entry) => `<code>${entry.hash}</code>`);
+    await telegram.sendMessage(
+      escrow.groupId,
+      `⚠️ <b>Deposit No Longer On-Chain</b>\n\nThe following transaction failed or was removed by a chain reorganisation, so it no longer counts towards this trade:\n${hashes.join(
+        "\n",
+      )}\n\nBuyer, please do not send fiat against it.`,
+      { parse_mode: "HTML" },
+    );
+  }
+
+  /**
+   * Tell the admins who settle trades that one lost a credited deposit after
+   * it moved on, and that its payouts are held
+   */
+  async alertReversal(escrow, entries, telegram) {
+    const hashes = entries.map((entry) => `<code>${entry.hash}</code>`);
+    const message =
+      `🚨 <b>Credited Deposit Reversed</b>\n\n` +
+      `Trade <code>${escrow.escrowId}</code> (${
+        escrow.status
+      }) lost ${this.sumAmounts(entries).toFixed(2)} ${
+        escrow.token
+      } already credited to it:\n${hashes.join("\n")}\n\n` +
+      `Releases and refunds are held until it is credited again. ` +
+      `Check with both parties, then /settle the trade from what is left.`;
+
+    for (const admin of AdminService.withPermission("trades.settle")) {
+      if (!admin.telegramId) continue;
+      try {
+        await telegram.sendMessage(admin.telegramId, message, {
+          parse_mode: "HTML",
+        });
+      } catch (error) {
+        console.error(
+          `Error sending deposit reversal alert to ${admin.telegramId}:`,
+          error.message,
+        );
+      }
+    }
+  }
+
+  async announceDeposit(escrow, newAmount, telegram) {
+    await telegram.sendMessage(
+      escrow.groupId,
+      `✅ Deposit confirmed: ${newAmount.toFixed(2)} ${escrow.token}`,
+    );
+
+    if (escrow.buyerId && escrow.status === "deposited") {
+      await telegram.sendMessage(
+        escrow.groupId,
+        `💸 Buyer ${
+          escrow.buyerUsername
+            ? "@" + escrow.buyerUsername
+            : "[" + escrow.buyerId + "]"
+        }: Please send the agreed fiat amount to the seller via your agreed method and confirm below.`,
+        {
+          reply_markup: Markup.inlineKeyboard([
+            [
+              Markup.button.callback(
+                "✅ I have sent the money",
+                `fiat_sent_buyer_${escrow.escrowId}`,
+              ),
+            ],
+          ]).reply_markup,
+        },
+      );
+    }
+  }
+}
+
+module.exports = new DepositWatcherService();
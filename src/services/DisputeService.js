@@ -1,6 +1,13 @@
 const config = require("../../config");
+const Counter = require("../models/Counter");
+const Dispute = require("../models/Dispute");
+const Escrow = require("../models/Escrow");
+const Settlement = require("../models/Settlement");
 const GroupPool = require("../models/GroupPool");
 const GroupPoolService = require("./GroupPoolService");
+const SettlementService = require("./SettlementService");
+const AdminService = require("./AdminService");
+const AuditService = require("./AuditService");
 const {
   formatParticipantByIndex,
   formatParticipantById,
@@ -18,19 +25,27 @@ function escapeHtml(text = "") {
     .replace(/'/g, "&#39;");
 }
 
+const OPEN_CASE_STATUSES = ["open", "claimed"];
+
 class DisputeService {
+  static get OPEN_CASE_STATUSES() {
+    return OPEN_CASE_STATUSES;
+  }
+
   /**
    * Send dispute notification to the dispute channel
    * @param {Object} escrow - The escrow document
    * @param {String} reason - The reason for the dispute
    * @param {Number} reportedByUserId - The user ID who reported the dispute
    * @param {Object} telegram - Telegram bot instance
+   * @param {Object} [dispute] - Case opened for this report; adds case controls
    */
   static async sendDisputeNotification(
     escrow,
     reason,
     reportedByUserId,
-    telegram
+    telegram,
+    dispute = null
   ) {
     try {
       if (!config.DISPUTE_CHANNEL_ID) {
@@ -121,8 +136,7 @@ class DisputeService {
       ) {
         reporterText = "Seller";
       } else {
-        const adminIds = config.getAllAdminIds();
-        if (adminIds.includes(String(reportedByUserId))) {
+        if (AdminService.isAdminUser({ id: reportedByUserId })) {
           reporterText = "Admin";
         }
       }
@@ -130,7 +144,7 @@ class DisputeService {
       const escapedReason = escapeHtml(reason || "No reason provided");
 
       const disputeMessage = `🚨 <b>NEW DISPUTE REPORTED</b>
-
+${dispute ? `\n🗂️ <b>Case:</b> #${dispute.caseNumber}` : ""}
 📋 <b>Escrow ID:</b> <code>${escapeHtml(escrow.escrowId || "Unknown")}</code>
 👤 <b>Reported By:</b> ${escapeHtml(reporterText)}
 
@@ -163,10 +177,22 @@ ${escapedReason}
         })
       )}`;
 
-      await telegram.sendMessage(config.DISPUTE_CHANNEL_ID, disputeMessage, {
-        parse_mode: "HTML",
-        disable_web_page_preview: true,
-      });
+      const sent = await telegram.sendMessage(
+        config.DISPUTE_CHANNEL_ID,
+        disputeMessage,
+        {
+          parse_mode: "HTML",
+          disable_web_page_preview: true,
+          ...(dispute
+            ? { reply_markup: DisputeService.caseKeyboard(dispute) }
+            : {}),
+        }
+      );
+
+      if (dispute && sent?.message_id) {
+        dispute.channelMessageId = sent.message_id;
+        await dispute.save();
+      }
 
       return { success: true };
     } catch (error) {
@@ -174,6 +200,347 @@ ${escapedReason}
       return { success: false, error: error.message };
     }
   }
+
+  static caseKeyboard(dispute) {
+    return {
+      inline_keyboard: [
+        [
+          {
+            text: "🙋 Claim",
+            callback_data: `dispute_claim_${dispute.caseNumber}`,
+          },
+          {
+            text: "📋 Details",
+            callback_data: `dispute_view_${dispute.caseNumber}`,
+          },
+          {
+            text: "🔒 Close",
+            callback_data: `dispute_close_${dispute.caseNumber}`,
+          },
+        ],
+      ],
+    };
+  }
+
+  /**
+   * Open a case for a disputed escrow. A second report while a case is open
+   * is added to that case's timeline instead.
+   * @param {Object} escrow
+   * @param {String} reason
+   * @param {Object} actor - From EscrowStateService.actorFromCtx()
+   * @returns {Promise<{dispute: Object, created: boolean}>}
+   */
+  static async openCase(escrow, reason, actor) {
+    const existing = await Dispute.findOne({
+      escrowId: escrow.escrowId,
+      status: { $in: OPEN_CASE_STATUSES },
+    });
+    if (existing) {
+      existing.timeline.push({
+        event: "reported",
+        actorId: actor?.id,
+        actorUsername: actor?.username,
+        text: reason,
+      });
+      await existing.save();
+      return { dispute: existing, created: false };
+    }
+
+    const counter = await Counter.findByIdAndUpdate(
+      { _id: "disputeCase" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    const dispute = await Dispute.create({
+      caseNumber: counter.seq,
+      escrowId: escrow.escrowId,
+      groupId: String(escrow.groupId),
+      reporterId: actor?.id,
+      reporterUsername: actor?.username,
+      reporterRole: ["buyer", "seller", "admin"].includes(actor?.role)
+        ? actor.role
+        : "user",
+      reason,
+      timeline: [
+        {
+          event: "opened",
+          actorId: actor?.id,
+          actorUsername: actor?.username,
+          text: reason,
+        },
+      ],
+    });
+    return { dispute, created: true };
+  }
+
+  /**
+   * Find a case by number; accepts "12" or "#12"
+   */
+  static async findCase(caseRef) {
+    const caseNumber = parseInt(String(caseRef || "").replace(/^#/, ""), 10);
+    if (!Number.isFinite(caseNumber)) return null;
+    return Dispute.findOne({ caseNumber });
+  }
+
+  static async findOpenCaseForGroup(groupId) {
+    return Dispute.findOne({
+      groupId: String(groupId),
+      status: { $in: OPEN_CASE_STATUSES },
+    });
+  }
+
+  static async listOpenCases(limit = 20) {
+    return Dispute.find({ status: { $in: OPEN_CASE_STATUSES } })
+      .sort({ createdAt: 1 })
+      .limit(limit);
+  }
+
+  /**
+   * Attach a photo or document from the trade room to an open case
+   * @param {Object} dispute
+   * @param {Object} evidence - kind, fileId, fileUniqueId, fileName, mimeType, caption, messageId
+   * @param {Object} actor
+   */
+  static async addEvidence(dispute, evidence, actor) {
+    dispute.evidence.push({
+      ...evidence,
+      submittedById: actor?.id,
+      submittedByUsername: actor?.username,
+      submittedByRole: actor?.role,
+    });
+    dispute.timeline.push({
+      event: "evidence",
+      actorId: actor?.id,
+      actorUsername: actor?.username,
+      text: `${evidence.kind}${
+        evidence.caption ? `: ${evidence.caption}` : ""
+      }`,
+    });
+    await dispute.save();
+    return dispute.evidence.length;
+  }
+
+  /**
+   * Assign a case to an admin (taking it over if someone else had it)
+   */
+  static async claimCase(dispute, actor) {
+    if (!OPEN_CASE_STATUSES.includes(dispute.status)) {
+      throw new Error(
+        `Case #${dispute.caseNumber} is already ${dispute.status}`
+      );
+    }
+    const previous =
+      dispute.assignedAdminId &&
+      Number(dispute.assignedAdminId) !== Number(actor?.id)
+        ? dispute.assignedAdminUsername || dispute.assignedAdminId
+        : null;
+    dispute.status = "claimed";
+    dispute.assignedAdminId = actor?.id;
+    dispute.assignedAdminUsername = actor?.username;
+    dispute.claimedAt = new Date();
+    dispute.timeline.push({
+      event: "claimed",
+      actorId: actor?.id,
+      actorUsername: actor?.username,
+      text: previous ? `taken over from ${previous}` : null,
+    });
+    await dispute.save();
+    return dispute;
+  }
+
+  /**
+   * Close a case without a ruling. The escrow stays disputed so an admin can
+   * still settle it with /release or /refund.
+   */
+  static async closeCase(dispute, actor, note = null) {
+    if (!OPEN_CASE_STATUSES.includes(dispute.status)) {
+      throw new Error(
+        `Case #${dispute.caseNumber} is already ${dispute.status}`
+      );
+    }
+    dispute.status = "closed";
+    dispute.closedAt = new Date();
+    dispute.timeline.push({
+      event: "closed",
+      actorId: actor?.id,
+      actorUsername: actor?.username,
+      text: note,
+    });
+    await dispute.save();
+    return dispute;
+  }
+
+  /**
+   * Execute an admin ruling as a settlement: pay the buyer and/or seller,
+   * settle the escrow and resolve the case. Re-running the same ruling
+   * resumes its settlement, so legs already paid are skipped.
+   * @param {Object} dispute
+   * @param {"release"|"refund"|"split"} outcome
+   * @param {{share?:Object, note?:string}} options - share is the buyer's
+   *   share for a split, from SettlementService.parseBuyerShare()
+   * @param {Object} actor - Admin actor
+   * @param {Object} telegram
+   * @returns {Promise<{escrow:Object, settlement:Object}>}
+   */
+  static async executeRuling(dispute, outcome, options, actor, telegram) {
+    if (!OPEN_CASE_STATUSES.includes(dispute.status)) {
+      throw new Error(
+        `Case #${dispute.caseNumber} is already ${dispute.status}`
+      );
+    }
+    if (dispute.ruling?.outcome && dispute.ruling.outcome !== outcome) {
+      throw new Error(
+        `Case #${dispute.caseNumber} already has a ${dispute.ruling.outcome} ruling in progress; repeat it to finish`
+      );
+    }
+
+    let settlement = dispute.ruling?.settlementId
+      ? await Settlement.findById(dispute.ruling.settlementId)
+      : null;
+    if (!settlement || settlement.status === "cancelled") {
+      const escrow = await Escrow.findOne({ escrowId: dispute.escrowId });
+      if (!escrow) {
+        throw new Error(`Escrow ${dispute.escrowId} not found`);
+      }
+      const share =
+        outcome === "release"
+          ? { buyerPercent: 100 }
+          : outcome === "refund"
+          ? { buyerPercent: 0 }
+          : options.share;
+      if (!share) {
+        throw new Error("A split ruling needs the buyer's share");
+      }
+
+      settlement = await SettlementService.propose(escrow, share, actor, {
+        source: "dispute",
+        disputeCaseNumber: dispute.caseNumber,
+        note: options.note,
+      });
+      dispute.ruling = {
+        outcome,
+        settlementId: String(settlement._id),
+        buyerAmount: settlement.buyerNet,
+        sellerAmount: settlement.sellerNet,
+        note: options.note || null,
+        decidedById: actor?.id,
+        decidedByUsername: actor?.username,
+        decidedAt: new Date(),
+      };
+      await dispute.save();
+    }
+
+    const { escrow } = await SettlementService.execute(
+      settlement,
+      actor,
+      telegram
+    );
+
+    dispute.status = "resolved";
+    dispute.closedAt = new Date();
+    dispute.ruling.releaseTransactionHash =
+      settlement.releaseTransactionHash || null;
+    dispute.ruling.refundTransactionHash =
+      settlement.refundTransactionHash || null;
+    dispute.ruling.executedAt = new Date();
+    dispute.timeline.push({
+      event: "ruling",
+      actorId: actor?.id,
+      actorUsername: actor?.username,
+      text: `${outcome}: buyer ${settlement.buyerNet}, seller ${settlement.sellerNet} ${escrow.token}`,
+    });
+    await dispute.save();
+
+    await AuditService.record({
+      action: "dispute.ruling",
+      actor,
+      escrowId: escrow.escrowId,
+      groupId: escrow.groupId,
+      after: {
+        caseNumber: dispute.caseNumber,
+        outcome,
+        settlementId: String(settlement._id),
+        buyerNet: settlement.buyerNet,
+        sellerNet: settlement.sellerNet,
+      },
+      txHashes: [
+        settlement.releaseTransactionHash,
+        settlement.refundTransactionHash,
+      ],
+      note: dispute.ruling.note,
+    });
+
+    if (telegram) {
+      try {
+        await telegram.sendMessage(
+          escrow.groupId,
+          `⚖️ <b>Dispute Resolved</b> (case #${dispute.caseNumber})\n\n` +
+            `<b>Ruling:</b> ${escapeHtml(
+              outcome
+            )} - see the settlement receipt above.` +
+            (dispute.ruling.note
+              ? `\n\n<b>Note:</b> ${escapeHtml(dispute.ruling.note)}`
+              : ""),
+          { parse_mode: "HTML" }
+        );
+      } catch (notifyError) {
+        console.error("Error announcing dispute ruling:", notifyError);
+      }
+    }
+
+    return { escrow, settlement };
+  }
+
+  /**
+   * HTML summary of a case for admins
+   */
+  static formatCaseSummary(dispute, escrow = null) {
+    const who = (id, username) =>
+      username ? `@${escapeHtml(username)}` : id ? `<code>${id}</code>` : "-";
+
+    let text = `🗂️ <b>Case #${dispute.caseNumber}</b> (${escapeHtml(
+      dispute.status
+    )})\n\n`;
+    text += `📋 <b>Escrow:</b> <code>${escapeHtml(dispute.escrowId)}</code>\n`;
+    if (escrow) {
+      text += `💰 <b>Held:</b> ${SettlementService.getHeldAmount(
+        escrow
+      ).toFixed(5)} ${escapeHtml(escrow.token)} on ${escapeHtml(
+        escrow.chain
+      )}\n`;
+      text += `📊 <b>Trade status:</b> ${escapeHtml(escrow.status)}\n`;
+    }
+    text += `👤 <b>Reported by:</b> ${who(
+      dispute.reporterId,
+      dispute.reporterUsername
+    )} (${escapeHtml(dispute.reporterRole)})\n`;
+    text += `📝 <b>Reason:</b> ${escapeHtml(dispute.reason)}\n`;
+    text += `🙋 <b>Assigned:</b> ${
+      dispute.assignedAdminId || dispute.assignedAdminUsername
+        ? who(dispute.assignedAdminId, dispute.assignedAdminUsername)
+        : "Unclaimed"
+    }\n`;
+    text += `📎 <b>Evidence:</b> ${dispute.evidence.length} file(s)\n`;
+    if (dispute.ruling?.outcome) {
+      text += `⚖️ <b>Ruling:</b> ${escapeHtml(dispute.ruling.outcome)} (buyer ${
+        dispute.ruling.buyerAmount
+      }, seller ${dispute.ruling.sellerAmount})\n`;
+    }
+
+    text += `\n🕒 <b>Timeline:</b>\n`;
+    dispute.timeline.slice(-15).forEach((entry) => {
+      const at = new Date(entry.at).toLocaleString("en-IN", {
+        timeZone: "Asia/Kolkata",
+        dateStyle: "short",
+        timeStyle: "short",
+      });
+      text += `• ${escapeHtml(at)} ${escapeHtml(entry.event)} by ${who(
+        entry.actorId,
+        entry.actorUsername
+      )}${entry.text ? `: ${escapeHtml(entry.text)}` : ""}\n`;
+    });
+    return text;
+  }
 }
 
 module.exports = DisputeService;
@@ -0,0 +1,253 @@
+const AdminService = require("./AdminService");
+const AuditService = require("./AuditService");
+const MetricsService = require("./MetricsService");
+
+const FUNDED_STATUSES = [
+  "deposited",
+  "in_fiat_transfer",
+  "ready_to_release",
+  "disputed",
+];
+
+// Allowed next statuses for every escrow status; terminal statuses have none
+const TRANSITIONS = {
+  draft: ["awaiting_details", "awaiting_deposit", "deposited", "cancelled"],
+  awaiting_details: ["draft", "awaiting_deposit", "deposited", "cancelled"],
+  awaiting_deposit: ["draft", "deposited", "cancelled"],
+  deposited: [
+    "draft",
+    "awaiting_deposit",
+    "in_fiat_transfer",
+    "ready_to_release",
+    "refunded",
+    "disputed",
+  ],
+  in_fiat_transfer: ["draft", "ready_to_release", "refunded", "disputed"],
+  ready_to_release: ["draft", "completed", "refunded", "disputed"],
+  disputed: ["ready_to_release", "completed", "refunded"],
+  completed: [],
+  refunded: [],
+  cancelled: [],
+};
+
+const transitionsTotal = MetricsService.counter(
+  "p2p_escrow_transitions_total",
+  "Escrow status changes",
+  ["from", "to"],
+);
+const completedTotal = MetricsService.counter(
+  "p2p_escrows_completed_total",
+  "Escrows released to the buyer",
+  ["chain", "token"],
+);
+const timeInState = MetricsService.histogram(
+  "p2p_escrow_time_in_state_seconds",
+  "Time an escrow spent in a status before leaving it",
+  ["status"],
+  [60, 300, 900, 1800, 3600, 7200, 21600, 86400, 259200],
+);
+
+const SYSTEM_ACTOR = Object.freeze({
+  id: null,
+  username: null,
+  role: "system",
+});
+
+class EscrowStateService {
+  constructor() {
+    this.TRANSITIONS = TRANSITIONS;
+    this.SYSTEM = SYSTEM_ACTOR;
+  }
+
+  /**
+   * Build the actor for a transition from a Telegram update.
+   * Admins are recorded as admin even when they are also a party to the trade.
+   * @param {Object} ctx - Telegraf context
+   * @param {Object} escrow
+   * @returns {{id:number|null, username:string|null, role:string}}
+   */
+  actorFromCtx(ctx, escrow) {
+    const id = ctx?.from?.id ?? null;
+    const username = ctx?.from?.username || null;
+    if (id === null) return SYSTEM_ACTOR;
+
+    let role = "user";
+    if (AdminService.isAdminUser({ id, username })) {
+      role = "admin";
+    } else if (escrow?.buyerId && Number(escrow.buyerId) === Number(id)) {
+      role = "buyer";
+    } else if (escrow?.sellerId && Number(escrow.sellerId) === Number(id)) {
+      role = "seller";
+    }
+    return { id: Number(id), username, role };
+  }
+
+  hasFunds(escrow) {
+    return (
+      Number(escrow.accumulatedDepositAmount || 0) > 0 ||
+      Number(escrow.depositAmount || 0) > 0 ||
+      Number(escrow.confirmedAmount || 0) > 0
+    );
+  }
+
+  /**
+   * Check whether `escrow` may move to `to` on behalf of `actor`.
+   * @returns {{allowed:boolean, reason:string|null}}
+   */
+  canTransition(escrow, to, actor = SYSTEM_ACTOR) {
+    const from = escrow.status;
+    if (from === to) return { allowed: true, reason: null };
+
+    const allowedNext = TRANSITIONS[from];
+    if (!allowedNext) {
+      return { allowed: false, reason: `unknown status "${from}"` };
+    }
+    if (!allowedNext.includes(to)) {
+      return { allowed: false, reason: `${from} → ${to} is not allowed` };
+    }
+
+    const isAdmin = actor?.role === "admin";
+    const isSystem = actor?.role === "system";
+
+    switch (to) {
+      case "deposited":
+        if (!this.hasFunds(escrow)) {
+          return { allowed: false, reason: "no confirmed deposit" };
+        }
+        break;
+      case "cancelled":
+        if (this.hasFunds(escrow)) {
+          return {
+            allowed: false,
+            reason: "funds are held; release or refund instead",
+          };
+        }
+        break;
+      case "draft":
+        // Restarting a funded trade wipes its amounts, so only an admin may
+        if (
+          (FUNDED_STATUSES.includes(from) || this.hasFunds(escrow)) &&
+          !isAdmin
+        ) {
+          return {
+            allowed: false,
+            reason: "only an admin can restart a funded trade",
+          };
+        }
+        break;
+      case "in_fiat_transfer":
+        if (!isAdmin && !isSystem && actor?.role !== "buyer") {
+          return {
+            allowed: false,
+            reason: "only the buyer can mark fiat as sent",
+          };
+        }
+        break;
+      case "ready_to_release":
+      case "completed":
+      case "refunded":
+        if (from === "disputed" && !isAdmin) {
+          return {
+            allowed: false,
+            reason: "a disputed trade can only be settled by an admin",
+          };
+        }
+        break;
+      default:
+        break;
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Throw if the transition is not allowed. Use before irreversible side
+   * effects (payouts) so a rejected move never leaves funds sent.
+   */
+  assertTransition(escrow, to, actor = SYSTEM_ACTOR) {
+    const { allowed, reason } = this.canTransition(escrow, to, actor);
+    if (!allowed) {
+      const error = new Error(
+        `Escrow ${escrow.escrowId} cannot move to ${to}: ${reason}`,
+      );
+      error.code = "ESCROW_TRANSITION_REJECTED";
+      error.userMessage = `❌ This action is not allowed right now: ${reason}.`;
+      throw error;
+    }
+  }
+
+  /**
+   * Move an escrow document to a new status and append it to statusHistory.
+   * The caller saves the document.
+   * @param {Object} escrow - Escrow mongoose document
+   * @param {string} to - Target status
+   * @param {Object} [actor] - From actorFromCtx(), or EscrowStateService.SYSTEM
+   * @param {string} [reason] - Short human-readable cause
+   * @returns {boolean} false if the escrow was already in `to`
+   */
+  transition(escrow, to, actor = SYSTEM_ACTOR, reason = null) {
+    if (escrow.status === to) return false;
+    this.assertTransition(escrow, to, actor);
+
+    if (!Array.isArray(escrow.statusHistory)) {
+      escrow.statusHistory = [];
+    }
+    this.recordMetrics(escrow, to);
+    escrow.statusHistory.push({
+      from: escrow.status,
+      to,
+      actorId: actor?.id ?? null,
+      actorUsername: actor?.username || null,
+      actorRole: actor?.role || "system",
+      reason,
+      at: new Date(),
+    });
+
+    // Admin overrides also go to the audit log; it never throws, so this
+    // does not need to be awaited
+    if (actor?.role === "admin") {
+      AuditService.record({
+        action: "escrow.transition",
+        actor,
+        escrowId: escrow.escrowId,
+        groupId: escrow.groupId,
+        before: { status: escrow.status },
+        after: { status: to },
+        note: reason,
+      });
+    }
+    escrow.status = to;
+    return true;
+  }
+
+  /**
+   * Count the transition and observe how long the escrow was in its current
+   * status. Entry time is the last history entry into that status, or
+   * creation for drafts; escrows from before statusHistory are skipped.
+   */
+  recordMetrics(escrow, to) {
+    const from = escrow.status;
+    transitionsTotal.inc({ from, to });
+    if (to === "completed") {
+      completedTotal.inc({ chain: escrow.chain, token: escrow.token });
+    }
+
+    const entered = [...escrow.statusHistory]
+      .reverse()
+      .find((entry) => entry.to === from);
+    const enteredAt =
+      entered?.at || (from === "draft" ? escrow.createdAt : null);
+    if (enteredAt) {
+      timeInState.observe(
+        { status: from },
+        Math.max(0, (Date.now() - new Date(enteredAt).getTime()) / 1000),
+      );
+    }
+  }
+
+  isRejection(error) {
+    return error?.code === "ESCROW_TRANSITION_REJECTED";
+  }
+}
+
+module.exports = new EscrowStateService();
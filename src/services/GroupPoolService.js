@@ -1,4 +1,8 @@
 const GroupPool = require("../models/GroupPool");
+const Escrow = require("../models/Escrow");
+const JobQueueService = require("./JobQueueService");
+const AdminService = require("./AdminService");
+const AuditService = require("./AuditService");
 const config = require("../../config");
 const feeConfig = require("../config/feeConfig");
 const Contract = require("../models/Contract");
@@ -11,6 +15,10 @@ const TIER_FEE_MAP = {
 };
 
 class GroupPoolService {
+  constructor() {
+    this.TIER_FEE_MAP = TIER_FEE_MAP;
+  }
+
   /**
    * Assign an available group to an escrow based on bio tier
    * @param {string} escrowId - The escrow ID to assign
@@ -576,7 +584,7 @@ class GroupPoolService {
       await this.sendCompletionNotification(escrow, telegram);
 
       // Schedule delayed recycling (15 minutes)
-      this.scheduleDelayedRecycling(escrow, group, telegram);
+      await this.scheduleDelayedRecycling(escrow, group);
 
       return group;
     } catch (error) {
@@ -588,50 +596,64 @@ class GroupPoolService {
   /**
    * Schedule delayed group recycling (15 minutes)
    */
-  scheduleDelayedRecycling(escrow, group, telegram) {
-    // Set timeout for 15 minutes (15 * 60 * 1000 ms)
-    setTimeout(async () => {
-      try {
-        // Remove ALL users from group (buyer, seller, admins, everyone)
-        const allUsersRemoved = await this.removeUsersFromGroup(
-          escrow,
-          group.groupId,
-          telegram,
-        );
+  async scheduleDelayedRecycling(escrow, group) {
+    await JobQueueService.enqueue(
+      "group.delayed_recycle",
+      { escrowId: escrow.escrowId, groupId: group.groupId },
+      {
+        delayMs: 15 * 60 * 1000,
+        dedupeKey: `group.delayed_recycle:${escrow.escrowId}`,
+      },
+    );
+  }
 
-        if (allUsersRemoved) {
-          // Only add back to pool if ALL users were successfully removed
-          // IMPORTANT: Refresh invite link (revoke old and create new)
-          // This is necessary because users who were removed cannot rejoin using the same link
-          await this.refreshInviteLink(group.groupId, telegram);
+  /**
+   * Job handler for scheduleDelayedRecycling. Errors propagate so the queue
+   * retries; groups already recycled or handed to another trade are skipped.
+   */
+  async runDelayedRecycling({ escrowId, groupId }, { telegram }) {
+    const escrow = await Escrow.findOne({ escrowId });
+    const group = await GroupPool.findOne({ groupId });
+    if (!escrow || !group || group.assignedEscrowId !== escrowId) {
+      return;
+    }
 
-          // Unpin all messages
-          try {
-            await telegram.unpinAllChatMessages(group.groupId);
-          } catch (e) {}
+    // Remove ALL users from group (buyer, seller, admins, everyone)
+    const allUsersRemoved = await this.removeUsersFromGroup(
+      escrow,
+      group.groupId,
+      telegram,
+    );
+
+    if (allUsersRemoved) {
+      // Only add back to pool if ALL users were successfully removed
+      // IMPORTANT: Refresh invite link (revoke old and create new)
+      // This is necessary because users who were removed cannot rejoin using the same link
+      await this.refreshInviteLink(group.groupId, telegram);
 
-          group.status = "available";
-          group.assignedEscrowId = null;
-          group.assignedAt = null;
-          group.completedAt = null;
-          await group.save();
+      // Unpin all messages
+      try {
+        await telegram.unpinAllChatMessages(group.groupId);
+      } catch (e) {}
 
-          // Check history visibility setting
-          await this.checkGroupHistoryVisibility(group.groupId, telegram);
-        } else {
-          // Mark as completed but don't add back to pool if users couldn't be removed
-          // IMPORTANT: Do NOT clear group.inviteLink even here - link stays valid
-          group.status = "completed";
-          group.assignedEscrowId = null;
-          group.assignedAt = null;
-          group.completedAt = new Date();
-          // Keep inviteLink - it's permanent
-          await group.save();
-        }
-      } catch (error) {
-        console.error("Error in delayed group recycling:", error);
-      }
-    }, 15 * 60 * 1000); // 15 minutes
+      group.status = "available";
+      group.assignedEscrowId = null;
+      group.assignedAt = null;
+      group.completedAt = null;
+      await group.save();
+
+      // Check history visibility setting
+      await this.checkGroupHistoryVisibility(group.groupId, telegram);
+    } else {
+      // Mark as completed but don't add back to pool if users couldn't be removed
+      // IMPORTANT: Do NOT clear group.inviteLink even here - link stays valid
+      group.status = "completed";
+      group.assignedEscrowId = null;
+      group.assignedAt = null;
+      group.completedAt = new Date();
+      // Keep inviteLink - it's permanent
+      await group.save();
+    }
   }
 
   /**
@@ -683,6 +705,93 @@ class GroupPoolService {
     }
   }
 
+  /**
+   * Whether a trade still holds an unsettled deposit, which a plain reset
+   * would strand. Completed and refunded trades can always be reset.
+   */
+  hasUnsettledDeposit(escrow) {
+    if (["completed", "refunded"].includes(escrow.status)) {
+      return false;
+    }
+    return (
+      Number(escrow.depositAmount) > 0 || Number(escrow.confirmedAmount) > 0
+    );
+  }
+
+  /**
+   * Admin reset: remove the trade's users, return the group to the pool and
+   * delete the escrow. Shared by /admin_group_reset, /admin_reset_force and
+   * the admin API; unless forcing, callers check hasUnsettledDeposit() first.
+   * @param {Object} escrow
+   * @param {Object} group - GroupPool document
+   * @param {Object} telegram
+   * @param {{force?:boolean, actor?:Object, command?:string}} [options]
+   * @returns {Promise<{reset:boolean, allUsersRemoved:boolean}>} reset is
+   *   false when users of an active trade could not be removed (not forced)
+   */
+  async resetGroup(escrow, group, telegram, options = {}) {
+    const force = options.force === true;
+    const isCompleted = ["completed", "refunded"].includes(escrow.status);
+
+    // Unpin the deal confirmed message if it exists
+    if (escrow.dealConfirmedMessageId) {
+      try {
+        await telegram.unpinChatMessage(
+          group.groupId,
+          escrow.dealConfirmedMessageId,
+        );
+      } catch (unpinError) {
+        // Ignore errors (message may already be unpinned or deleted)
+      }
+    }
+
+    const allUsersRemoved = await this.removeUsersFromGroup(
+      escrow,
+      group.groupId,
+      telegram,
+    );
+
+    // For completed trades and force resets, continue even if some users
+    // can't be removed; for active trades, be more strict
+    if (!allUsersRemoved && !isCompleted && !force) {
+      return { reset: false, allUsersRemoved };
+    }
+
+    if (force) {
+      // Clear escrow invite link (but keep group invite link - it's permanent)
+      escrow.inviteLink = null;
+      await escrow.save();
+    }
+
+    // Refresh invite link (revoke old and create new) so removed users can rejoin
+    await this.refreshInviteLink(group.groupId, telegram);
+
+    group.status = "available";
+    group.assignedEscrowId = null;
+    group.assignedAt = null;
+    group.completedAt = null;
+    await group.save();
+
+    // If deletion fails, the group is already reset and available
+    try {
+      await Escrow.deleteOne({ escrowId: escrow.escrowId });
+    } catch (deleteError) {
+      console.error("Error deleting escrow during group reset:", deleteError);
+    }
+
+    await AuditService.record({
+      action: force ? "group.reset_force" : "group.reset",
+      actor: options.actor || null,
+      command: options.command || null,
+      escrowId: escrow.escrowId,
+      groupId: group.groupId,
+      before: AuditService.snapshotEscrow(escrow),
+      after: { status: "deleted", groupStatus: "available" },
+    });
+
+    return { reset: true, allUsersRemoved };
+  }
+
   /**
    * Send completion notification to users before removal
    * REMOVED: No longer sending DM messages to users, only in-group messages
@@ -705,8 +814,8 @@ class GroupPoolService {
 
       const chatId = String(groupId);
 
-      // Get all configured admin IDs to protect them from removal
-      const allAdminIds = config.getAllAdminIds().map((id) => Number(id));
+      // Get all admin IDs to protect them from removal
+      const allAdminIds = AdminService.getAdminIds();
 
       // Get bot ID first (needed for skipping bot itself)
       let botId;
@@ -1094,4 +1203,10 @@ class GroupPoolService {
   }
 }
 
-module.exports = new GroupPoolService();
+const groupPoolService = new GroupPoolService();
+
+JobQueueService.register("group.delayed_recycle", (payload, context) =>
+  groupPoolService.runDelayedRecycling(payload, context),
+);
+
+module.exports = groupPoolService;
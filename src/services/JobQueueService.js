@@ -0,0 +1,259 @@
+const os = require("os");
+const Job = require("../models/Job");
+const config = require("../../config");
+const logger = require("../utils/logger");
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.timer = null;
+    this.telegram = null;
+    this.polling = null;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register the function that runs jobs of `type`.
+   * Handlers must be idempotent: a job whose worker dies mid-run is retried.
+   * @param {string} type
+   * @param {(payload: Object, context: {telegram: Object, job: Object}) => Promise<void>} handler
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Persist a job to run after `delayMs`.
+   * With a dedupeKey, an existing pending job for the same key is kept
+   * (or cancelled first when `replace` is set).
+   * @returns {Promise<Object|null>} The job document, or null if it could not be stored
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const {
+      delayMs = 0,
+      runAt = null,
+      dedupeKey = null,
+      replace = false,
+      maxAttempts = config.JOB_MAX_ATTEMPTS,
+    } = options;
+
+    try {
+      if (dedupeKey) {
+        if (replace) {
+          await this.cancelByKey(dedupeKey);
+          // A run already under way finishes, but no longer holds the key
+          await Job.updateMany(
+            { activeKey: dedupeKey, status: "running" },
+            { $unset: { activeKey: "" } },
+          );
+        } else {
+          const existing = await Job.findOne({
+            dedupeKey,
+            status: { $in: ["pending", "running"] },
+          });
+          if (existing) return existing;
+        }
+      }
+
+      return await Job.create({
+        type,
+        payload,
+        dedupeKey,
+        activeKey: dedupeKey || undefined,
+        maxAttempts,
+        runAt: runAt || new Date(Date.now() + delayMs),
+      });
+    } catch (error) {
+      if (error?.code === 11000 && dedupeKey) {
+        // Another instance queued the same key first
+        const existing = await Job.findOne({ activeKey: dedupeKey });
+        if (existing) return existing;
+      }
+      console.error(`Error enqueuing job ${type}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Cancel pending jobs for a dedupe key.
+   * @returns {Promise<number>} Number of jobs cancelled
+   */
+  async cancelByKey(dedupeKey) {
+    const result = await Job.updateMany(
+      { dedupeKey, status: "pending" },
+      {
+        $set: { status: "cancelled", completedAt: new Date() },
+        $unset: { activeKey: "" },
+      },
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Cancel one pending job by id.
+   * @returns {Promise<Object|null>} The cancelled job, or null if it was not pending
+   */
+  async cancel(jobId) {
+    return Job.findOneAndUpdate(
+      { _id: jobId, status: "pending" },
+      {
+        $set: { status: "cancelled", completedAt: new Date() },
+        $unset: { activeKey: "" },
+      },
+      { new: true },
+    );
+  }
+
+  async listPending(limit = 20) {
+    return Job.find({ status: { $in: ["pending", "running"] } })
+      .sort({ runAt: 1 })
+      .limit(limit);
+  }
+
+  start(telegram) {
+    if (this.timer) return;
+    this.telegram = telegram;
+
+    const intervalMs = config.JOB_QUEUE_POLL_INTERVAL_MS;
+    this.timer = setInterval(() => this.pollOnce(), intervalMs);
+    this.pollOnce();
+    console.log(`🗓️ Job queue started (every ${intervalMs / 1000}s)`);
+  }
+
+  /**
+   * Stop claiming jobs
+   * @returns {Promise<void>} resolves once the job being run has finished
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return this.polling || Promise.resolve();
+  }
+
+  pollOnce() {
+    if (!this.polling) {
+      this.polling = this.poll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async poll() {
+    try {
+      await this.releaseStaleLocks();
+
+      let job;
+      while (this.timer && (job = await this.claimNext())) {
+        const { escrowId, groupId } = job.payload || {};
+        await logger.run(
+          { jobId: String(job._id), jobType: job.type, escrowId, groupId },
+          () => this.run(job),
+        );
+      }
+    } catch (error) {
+      console.error("Error polling job queue:", error);
+    }
+  }
+
+  /**
+   * Put jobs whose worker stopped before finishing back in the queue.
+   */
+  async releaseStaleLocks() {
+    const staleBefore = new Date(Date.now() - config.JOB_LOCK_TIMEOUT_MS);
+    await Job.updateMany(
+      { status: "running", lockedAt: { $lt: staleBefore } },
+      { $set: { status: "pending", lockedAt: null, lockedBy: null } },
+    );
+  }
+
+  async claimNext() {
+    return Job.findOneAndUpdate(
+      { status: "pending", runAt: { $lte: new Date() } },
+      {
+        $set: {
+          status: "running",
+          lockedAt: new Date(),
+          lockedBy: this.workerId,
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true, sort: { runAt: 1 } },
+    );
+  }
+
+  async run(job) {
+    const handler = this.handlers.get(job.type);
+
+    // Keep lockedAt fresh so releaseStaleLocks never hands a job that is
+    // still running to another worker
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, status: "running", lockedBy: this.workerId },
+        { $set: { lockedAt: new Date() } },
+      )
+        .then((result) => {
+          if (result.matchedCount === 0) {
+            console.error(
+              `Job ${job.type} (${job._id}) lost its lock while running`,
+            );
+          }
+        })
+        .catch((error) => {
+          console.error(`Error renewing lock on job ${job._id}:`, error);
+        });
+    }, Math.max(1000, Math.floor(config.JOB_LOCK_TIMEOUT_MS / 3)));
+    heartbeat.unref();
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+
+      await handler(job.payload || {}, { telegram: this.telegram, job });
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: {
+            status: "completed",
+            completedAt: new Date(),
+            lockedAt: null,
+            lockedBy: null,
+          },
+          $unset: { activeKey: "" },
+        },
+      );
+    } catch (error) {
+      const exhausted = job.attempts >= job.maxAttempts;
+      const retryDelayMs =
+        config.JOB_RETRY_DELAY_MS * Math.pow(2, Math.max(job.attempts - 1, 0));
+
+      console.error(
+        `Error running job ${job.type} (${job._id}), attempt ${job.attempts}/${job.maxAttempts}:`,
+        error,
+      );
+
+      await Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        {
+          $set: {
+            status: exhausted ? "failed" : "pending",
+            runAt: exhausted ? job.runAt : new Date(Date.now() + retryDelayMs),
+            lastError: error?.message || String(error),
+            completedAt: exhausted ? new Date() : null,
+            lockedAt: null,
+            lockedBy: null,
+          },
+          ...(exhausted && { $unset: { activeKey: "" } }),
+        },
+      );
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+}
+
+module.exports = new JobQueueService();
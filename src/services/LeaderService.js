@@ -0,0 +1,123 @@
+const os = require("os");
+const LeaseService = require("./LeaseService");
+const config = require("../../config");
+
+const LEADER_KEY = "leader";
+
+/**
+ * Elects one instance to run the background work that must not run twice:
+ * long polling, group monitoring, payout recovery, the job queue, the deposit
+ * watcher and reconciliation. Every instance serves HTTP; the rest wait on
+ * standby and take over when the leader's lease expires.
+ */
+class LeaderService {
+  constructor() {
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.tasks = [];
+    this.timer = null;
+    this.isLeader = false;
+    this.lastRenewedAt = 0;
+    this.ticking = null;
+  }
+
+  /**
+   * Work to run only while this instance leads. Tasks start in the order
+   * they were added and stop in reverse.
+   * @param {string} name - for logs
+   * @param {{start: Function, stop: Function}} task - may return promises;
+   *   stop should wait for work in progress
+   */
+  addTask(name, { start, stop }) {
+    this.tasks.push({ name, start, stop });
+  }
+
+  start() {
+    if (this.timer) return;
+    const renewMs = Math.max(1000, Math.floor(config.LEADER_LEASE_TTL_MS / 3));
+    this.timer = setInterval(() => this.tick(), renewMs);
+    console.log(`🗳️ Leader election started as ${this.owner}`);
+    return this.tick();
+  }
+
+  /**
+   * Stop leading and give the lease up so a standby takes over at once
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.ticking) await this.ticking;
+    if (this.isLeader) {
+      await this.stepDown("shutting down");
+      try {
+        await LeaseService.release(LEADER_KEY, this.owner);
+      } catch (error) {
+        console.error("Error releasing leader lease:", error);
+      }
+    }
+  }
+
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.renew().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+
+  async renew() {
+    let held;
+    try {
+      held = await LeaseService.acquire(
+        LEADER_KEY,
+        this.owner,
+        config.LEADER_LEASE_TTL_MS,
+      );
+    } catch (error) {
+      console.error("Error renewing leader lease:", error);
+      // Past the TTL another instance may have taken over
+      if (
+        this.isLeader &&
+        Date.now() - this.lastRenewedAt > config.LEADER_LEASE_TTL_MS
+      ) {
+        await this.stepDown("lease could not be renewed");
+      }
+      return;
+    }
+
+    if (held) {
+      this.lastRenewedAt = Date.now();
+      if (!this.isLeader) await this.stepUp();
+    } else if (this.isLeader) {
+      await this.stepDown("lease taken by another instance");
+    }
+  }
+
+  async stepUp() {
+    this.isLeader = true;
+    console.log(`👑 ${this.owner} is now the leader`);
+    for (const task of this.tasks) {
+      try {
+        await task.start();
+      } catch (error) {
+        console.error(`Error starting leader task ${task.name}:`, error);
+      }
+    }
+  }
+
+  async stepDown(reason) {
+    this.isLeader = false;
+    console.warn(`🪑 ${this.owner} stepped down as leader: ${reason}`);
+    for (const task of [...this.tasks].reverse()) {
+      try {
+        await task.stop();
+      } catch (error) {
+        console.error(`Error stopping leader task ${task.name}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new LeaderService();
@@ -0,0 +1,127 @@
+const os = require("os");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const Lease = require("../models/Lease");
+const config = require("../../config");
+
+// Keys held by the current call chain, so nested withLock calls on the same
+// key (a button handler calling PayoutService) run instead of blocking
+const heldKeys = new AsyncLocalStorage();
+
+function leaseBusyError(key) {
+  const error = new Error(`Lease ${key} is held by another operation`);
+  error.code = "LEASE_BUSY";
+  error.userMessage =
+    "⏳ Another operation on this trade is in progress. Please wait for it to finish.";
+  return error;
+}
+
+/**
+ * Expiring locks stored in MongoDB, shared by every instance of the bot.
+ * A holder must renew its lease before it expires; a lease whose holder
+ * died is free again once expiresAt has passed.
+ */
+class LeaseService {
+  /**
+   * Take the lease, or extend it if `owner` already holds it
+   * @param {string} key
+   * @param {string} owner - unique per holder, e.g. hostname:pid
+   * @param {number} ttlMs
+   * @returns {Promise<boolean>} false while someone else holds it
+   */
+  async acquire(key, owner, ttlMs) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs);
+    try {
+      // Renewal keeps acquiredAt; a takeover or first claim resets it
+      const renewed = await Lease.findOneAndUpdate(
+        { key, owner },
+        { $set: { expiresAt } },
+        { new: true },
+      );
+      if (renewed) return true;
+
+      await Lease.findOneAndUpdate(
+        { key, expiresAt: { $lte: now } },
+        { $set: { owner, expiresAt, acquiredAt: now } },
+        { upsert: true, new: true },
+      );
+      return true;
+    } catch (error) {
+      // The upsert lost to a live lease held by someone else
+      if (error?.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Give the lease up early; does nothing unless `owner` holds it
+   */
+  async release(key, owner) {
+    await Lease.deleteOne({ key, owner });
+  }
+
+  async get(key) {
+    return Lease.findOne({ key }).lean();
+  }
+
+  /**
+   * Run fn while holding the lease on `key`, renewing it until fn settles.
+   * Fails fast instead of waiting: a second caller gets LEASE_BUSY.
+   * @param {string} key
+   * @param {Function} fn - async () => result
+   * @param {{ttlMs?: number}} [options] - how long the lease outlives a
+   *   crashed holder
+   * @returns {Promise<*>} fn's result
+   */
+  async withLock(key, fn, { ttlMs = config.ESCROW_LOCK_TTL_MS } = {}) {
+    const held = heldKeys.getStore();
+    if (held?.has(key)) return fn();
+
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    if (!(await this.acquire(key, owner, ttlMs))) {
+      throw leaseBusyError(key);
+    }
+
+    const renewal = setInterval(() => {
+      this.acquire(key, owner, ttlMs)
+        .then((renewed) => {
+          if (!renewed) {
+            console.error(`Lease ${key} was taken over while still held`);
+          }
+        })
+        .catch((error) => {
+          console.error(`Error renewing lease ${key}:`, error);
+        });
+    }, Math.max(1000, Math.floor(ttlMs / 3)));
+    renewal.unref();
+
+    const keys = new Set(held || []);
+    keys.add(key);
+    try {
+      return await heldKeys.run(keys, fn);
+    } finally {
+      clearInterval(renewal);
+      // Timers fn scheduled keep this store; they must lock again
+      keys.delete(key);
+      try {
+        await this.release(key, owner);
+      } catch (error) {
+        console.error(`Error releasing lease ${key}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Per-escrow mutex for money-moving and state-changing operations
+   */
+  withEscrowLock(escrowId, fn) {
+    return this.withLock(`escrow:${escrowId}`, fn);
+  }
+
+  isLeaseBusy(error) {
+    return error?.code === "LEASE_BUSY";
+  }
+}
+
+module.exports = new LeaseService();
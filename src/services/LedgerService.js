@@ -0,0 +1,456 @@
+const { ethers } = require("ethers");
+const LedgerEntry = require("../models/LedgerEntry");
+const Escrow = require("../models/Escrow");
+const BlockchainService = require("./BlockchainService");
+
+// Which side an account normally carries its balance on: assets grow with
+// debits, what the bot owes (escrow) and what it earns (revenue) with credits
+const ACCOUNT_TYPES = {
+  vault: "asset",
+  treasury: "asset",
+  escrow: "liability",
+  revenue: "revenue",
+};
+
+const SERVICE_FEE_ACCOUNT = "revenue:service_fee";
+const NETWORK_FEE_ACCOUNT = "revenue:network_fee";
+
+function ledgerError(message) {
+  const error = new Error(message);
+  error.code = "LEDGER_UNBALANCED";
+  return error;
+}
+
+// EVM addresses are case-insensitive; TRON base58 addresses are not
+function normalizeAddress(address) {
+  if (!address) return "unknown";
+  return /^0x/i.test(address) ? address.toLowerCase() : address;
+}
+
+/**
+ * Double-entry books for every token movement the bot controls. Each deposit,
+ * payout and sweep is posted as a balanced journal entry in raw token units,
+ * so balances can be rebuilt from the entries alone:
+ *
+ *   deposit   Dr vault:<address>   Cr escrow:<escrowId>
+ *   release   Dr escrow (gross)    Cr vault (net), revenue:service_fee, revenue:network_fee
+ *   refund    Dr escrow (gross)    Cr vault (net), revenue:network_fee
+ *             (+ Dr treasury:<fee wallet> Cr vault (fees) when the vault paid
+ *             the fees to its fee wallet in the same transaction)
+ *   sweep     Dr treasury:<wallet> Cr vault:<address>
+ *
+ * Posting never throws: a failed posting is logged and the money movement it
+ * describes stands. Postings are keyed by their source, so a retried one is
+ * booked once.
+ */
+class LedgerService {
+  constructor() {
+    this.ACCOUNT_TYPES = ACCOUNT_TYPES;
+    this.SERVICE_FEE_ACCOUNT = SERVICE_FEE_ACCOUNT;
+    this.NETWORK_FEE_ACCOUNT = NETWORK_FEE_ACCOUNT;
+  }
+
+  vaultAccount(address) {
+    return `vault:${normalizeAddress(address)}`;
+  }
+
+  escrowAccount(escrowId) {
+    return `escrow:${escrowId}`;
+  }
+
+  treasuryAccount(wallet) {
+    return `treasury:${normalizeAddress(wallet)}`;
+  }
+
+  accountType(account) {
+    return ACCOUNT_TYPES[account.split(":")[0]] || "asset";
+  }
+
+  /**
+   * Decimal token amount to raw units, the way deposits are converted
+   * @returns {bigint}
+   */
+  toWei(amount, token, network) {
+    const value = Number(amount || 0);
+    if (!(value > 0)) return 0n;
+    const decimals = BlockchainService.getTokenDecimals(token, network);
+    return ethers.parseUnits(value.toFixed(decimals), decimals);
+  }
+
+  formatWei(wei, token, network) {
+    const decimals = BlockchainService.getTokenDecimals(token, network);
+    return ethers.formatUnits(BigInt(wei), decimals);
+  }
+
+  /**
+   * Store a journal entry after checking that it balances
+   * @param {{type:string, sourceKey:string, token:string, network:string,
+   *   escrowId?:string, payoutId?:string, txHash?:string, note?:string,
+   *   lines:Array<{account:string, debitWei?:bigint, creditWei?:bigint}>}} entry
+   * @returns {Promise<Object|null>} the stored entry, or null if the source was already booked
+   */
+  async post({ lines, ...entry }) {
+    let debits = 0n;
+    let credits = 0n;
+    const stored = [];
+    for (const line of lines) {
+      const debitWei = BigInt(line.debitWei || 0);
+      const creditWei = BigInt(line.creditWei || 0);
+      if (debitWei < 0n || creditWei < 0n) {
+        throw ledgerError(`Negative amount on ${line.account}`);
+      }
+      if (debitWei === 0n && creditWei === 0n) continue;
+      debits += debitWei;
+      credits += creditWei;
+      stored.push({
+        account: line.account,
+        debitWei: debitWei.toString(),
+        creditWei: creditWei.toString(),
+      });
+    }
+    if (debits !== credits) {
+      throw ledgerError(
+        `Entry ${entry.sourceKey} does not balance: debits ${debits}, credits ${credits}`,
+      );
+    }
+    if (debits === 0n) return null;
+
+    try {
+      return await LedgerEntry.create({
+        ...entry,
+        token: String(entry.token).toUpperCase(),
+        network: String(entry.network).toUpperCase(),
+        lines: stored,
+      });
+    } catch (error) {
+      if (error?.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  async safePost(entry) {
+    try {
+      return await this.post(entry);
+    } catch (error) {
+      console.error(`Error posting ledger entry ${entry.sourceKey}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * A confirmed deposit: the vault holds the tokens and owes them to the trade
+   * @param {Object} escrow
+   * @param {{txHash:string, amountWei:string|bigint, creditedAt?:Date}} deposit
+   *   creditedAt tells apart a deposit credited again after a reorg reversal
+   */
+  async postDeposit(escrow, { txHash, amountWei, creditedAt = null }) {
+    const amount = BigInt(amountWei || 0);
+    const vault = this.vaultAccount(
+      escrow.contractAddress || escrow.depositAddress,
+    );
+    const escrowAccount = this.escrowAccount(escrow.escrowId);
+    return this.safePost({
+      type: "deposit",
+      sourceKey: `deposit:${escrow.escrowId}:${txHash}${
+        creditedAt ? `:${new Date(creditedAt).getTime()}` : ""
+      }`,
+      token: escrow.token,
+      network: escrow.chain,
+      escrowId: escrow.escrowId,
+      txHash,
+      lines: [
+        { account: vault, debitWei: amount },
+        { account: escrowAccount, creditWei: amount },
+      ],
+    });
+  }
+
+  /**
+   * A credited deposit that was dropped by a reorg
+   * @param {Object} escrow
+   * @param {{txHash:string, amountWei:string|bigint, creditedAt?:Date}} deposit - as it was posted
+   */
+  async postDepositReversal(escrow, { txHash, amountWei, creditedAt = null }) {
+    const amount = BigInt(amountWei || 0);
+    const vault = this.vaultAccount(
+      escrow.contractAddress || escrow.depositAddress,
+    );
+    const escrowAccount = this.escrowAccount(escrow.escrowId);
+    return this.safePost({
+      type: "deposit_reversal",
+      sourceKey: `deposit_reversal:${escrow.escrowId}:${txHash}${
+        creditedAt ? `:${new Date(creditedAt).getTime()}` : ""
+      }`,
+      token: escrow.token,
+      network: escrow.chain,
+      escrowId: escrow.escrowId,
+      txHash,
+      lines: [
+        { account: escrowAccount, debitWei: amount },
+        { account: vault, creditWei: amount },
+      ],
+      note: "deposit dropped from chain",
+    });
+  }
+
+  /**
+   * A confirmed release or refund. The trade gives up the gross amount: the
+   * payee receives the net, and the fees are revenue that either stays in the
+   * vault or, with `payout.feeWallet` set, left it for the fee wallet.
+   * @param {Object} payout - Payout document
+   */
+  async postPayout(payout) {
+    if (payout.status !== "confirmed") return null;
+
+    let contractAddress = payout.contractAddress;
+    if (!contractAddress) {
+      const escrow = await Escrow.findOne(
+        { escrowId: payout.escrowId },
+        { contractAddress: 1, depositAddress: 1 },
+      )
+        .lean()
+        .catch(() => null);
+      contractAddress = escrow?.contractAddress || escrow?.depositAddress;
+    }
+
+    const netWei = payout.amountWei
+      ? BigInt(payout.amountWei)
+      : this.toWei(payout.amount, payout.token, payout.network);
+    const serviceFeeWei = BigInt(payout.serviceFeeWei || 0);
+    const networkFeeWei = BigInt(payout.networkFeeWei || 0);
+    const feeSplitWei = payout.feeWallet ? serviceFeeWei + networkFeeWei : 0n;
+
+    return this.safePost({
+      type: payout.kind,
+      sourceKey: `payout:${payout._id}`,
+      token: payout.token,
+      network: payout.network,
+      escrowId: payout.escrowId,
+      payoutId: String(payout._id),
+      txHash: payout.txHash,
+      lines: [
+        {
+          account: this.escrowAccount(payout.escrowId),
+          debitWei: netWei + serviceFeeWei + networkFeeWei,
+        },
+        {
+          account: this.vaultAccount(contractAddress),
+          creditWei: netWei + feeSplitWei,
+        },
+        { account: SERVICE_FEE_ACCOUNT, creditWei: serviceFeeWei },
+        { account: NETWORK_FEE_ACCOUNT, creditWei: networkFeeWei },
+        ...(feeSplitWei > 0n
+          ? [
+              {
+                account: this.treasuryAccount(payout.feeWallet),
+                debitWei: feeSplitWei,
+              },
+            ]
+          : []),
+      ],
+    });
+  }
+
+  /**
+   * Tokens moved out of a vault to a fee / treasury wallet
+   * @param {{token:string, network:string, vaultAddress:string,
+   *   toAddress:string, amountWei:string|bigint, txHash:string, note?:string}} sweep
+   */
+  async postSweep({
+    token,
+    network,
+    vaultAddress,
+    toAddress,
+    amountWei,
+    txHash,
+    note = null,
+  }) {
+    const amount = BigInt(amountWei || 0);
+    return this.safePost({
+      type: "sweep",
+      sourceKey: `sweep:${txHash}`,
+      token,
+      network,
+      txHash,
+      lines: [
+        { account: this.treasuryAccount(toAddress), debitWei: amount },
+        { account: this.vaultAccount(vaultAddress), creditWei: amount },
+      ],
+      note,
+    });
+  }
+
+  /**
+   * Debit and credit totals per account, rebuilt from every entry
+   * @param {{token?:string, network?:string, escrowId?:string}} [filters]
+   * @returns {Promise<Array<{token:string, network:string, account:string,
+   *   debitWei:bigint, creditWei:bigint, balanceWei:bigint}>>}
+   *   balanceWei is signed on the account's normal side
+   */
+  async getBalances(filters = {}) {
+    const query = {};
+    if (filters.token) query.token = filters.token.toUpperCase();
+    if (filters.network) query.network = filters.network.toUpperCase();
+    if (filters.escrowId) query.escrowId = filters.escrowId;
+
+    const totals = new Map();
+    const cursor = LedgerEntry.find(query).lean().cursor();
+    for await (const entry of cursor) {
+      for (const line of entry.lines) {
+        const key = `${entry.token}|${entry.network}|${line.account}`;
+        const row = totals.get(key) || {
+          token: entry.token,
+          network: entry.network,
+          account: line.account,
+          debitWei: 0n,
+          creditWei: 0n,
+        };
+        row.debitWei += BigInt(line.debitWei);
+        row.creditWei += BigInt(line.creditWei);
+        totals.set(key, row);
+      }
+    }
+
+    return [...totals.values()]
+      .map((row) => ({
+        ...row,
+        balanceWei:
+          this.accountType(row.account) === "asset"
+            ? row.debitWei - row.creditWei
+            : row.creditWei - row.debitWei,
+      }))
+      .sort((a, b) =>
+        `${a.token}|${a.network}|${a.account}`.localeCompare(
+          `${b.token}|${b.network}|${b.account}`,
+        ),
+      );
+  }
+
+  /**
+   * Balances grouped by token and account type, with a check that debits
+   * equal credits for each token
+   * @returns {Promise<Array<{token:string, network:string, balanced:boolean,
+   *   debitWei:bigint, creditWei:bigint, byType:Object<string,bigint>,
+   *   accounts:Array}>>}
+   */
+  async trialBalance(filters = {}) {
+    const books = new Map();
+    for (const row of await this.getBalances(filters)) {
+      const key = `${row.token}|${row.network}`;
+      const book = books.get(key) || {
+        token: row.token,
+        network: row.network,
+        debitWei: 0n,
+        creditWei: 0n,
+        byType: { asset: 0n, liability: 0n, revenue: 0n },
+        accounts: [],
+      };
+      book.debitWei += row.debitWei;
+      book.creditWei += row.creditWei;
+      book.byType[this.accountType(row.account)] += row.balanceWei;
+      book.accounts.push(row);
+      books.set(key, book);
+    }
+
+    return [...books.values()].map((book) => ({
+      ...book,
+      balanced: book.debitWei === book.creditWei,
+    }));
+  }
+
+  /**
+   * What each vault holds according to the books: its balance, the part of
+   * it owed to trades whose deposits went there, and the rest (fees and
+   * anything else not swept yet)
+   * @returns {Promise<Map<string,{token:string, network:string,
+   *   balanceWei:bigint, owedWei:bigint, unsweptWei:bigint}>>} Keyed by vault account
+   */
+  async getVaultPositions() {
+    const vaultOfEscrow = new Map();
+    const deposits = await LedgerEntry.find(
+      { type: "deposit" },
+      { escrowId: 1, lines: 1 },
+    ).lean();
+    for (const entry of deposits) {
+      const vault = entry.lines.find((line) =>
+        line.account.startsWith("vault:"),
+      );
+      if (vault && entry.escrowId && !vaultOfEscrow.has(entry.escrowId)) {
+        vaultOfEscrow.set(entry.escrowId, vault.account);
+      }
+    }
+
+    const positions = new Map();
+    const positionOf = (account, row) => {
+      if (!positions.has(account)) {
+        positions.set(account, {
+          token: row.token,
+          network: row.network,
+          balanceWei: 0n,
+          owedWei: 0n,
+        });
+      }
+      return positions.get(account);
+    };
+
+    for (const row of await this.getBalances()) {
+      const [kind, id] = row.account.split(":");
+      if (kind === "vault") {
+        positionOf(row.account, row).balanceWei += row.balanceWei;
+      } else if (kind === "escrow" && vaultOfEscrow.has(id)) {
+        positionOf(vaultOfEscrow.get(id), row).owedWei += row.balanceWei;
+      }
+    }
+    for (const position of positions.values()) {
+      position.unsweptWei = position.balanceWei - position.owedWei;
+    }
+    return positions;
+  }
+
+  /**
+   * Fee revenue booked per UTC day since a date
+   * @param {Date} since
+   * @returns {Promise<Array<{day:string, token:string, network:string,
+   *   serviceFeeWei:bigint, networkFeeWei:bigint}>>} oldest day first
+   */
+  async getRevenueByDay(since) {
+    const days = new Map();
+    const cursor = LedgerEntry.find({
+      createdAt: { $gte: since },
+      "lines.account": { $in: [SERVICE_FEE_ACCOUNT, NETWORK_FEE_ACCOUNT] },
+    })
+      .lean()
+      .cursor();
+    for await (const entry of cursor) {
+      const day = entry.createdAt.toISOString().slice(0, 10);
+      const key = `${day}|${entry.token}|${entry.network}`;
+      const row = days.get(key) || {
+        day,
+        token: entry.token,
+        network: entry.network,
+        serviceFeeWei: 0n,
+        networkFeeWei: 0n,
+      };
+      for (const line of entry.lines) {
+        const amount = BigInt(line.creditWei) - BigInt(line.debitWei);
+        if (line.account === SERVICE_FEE_ACCOUNT) row.serviceFeeWei += amount;
+        if (line.account === NETWORK_FEE_ACCOUNT) row.networkFeeWei += amount;
+      }
+      days.set(key, row);
+    }
+    return [...days.values()].sort((a, b) =>
+      `${a.day}|${a.token}|${a.network}`.localeCompare(
+        `${b.day}|${b.token}|${b.network}`,
+      ),
+    );
+  }
+
+  async getEntries(escrowId, limit = 20) {
+    return LedgerEntry.find({ escrowId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+module.exports = new LedgerService();
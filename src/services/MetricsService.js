@@ -0,0 +1,225 @@
+// Upper bounds in seconds, for latencies unless a metric brings its own
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const parts = Object.keys(labels).map(
+    (key) => `${key}="${escapeLabel(labels[key])}"`,
+  );
+  return parts.length > 0 ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+class Metric {
+  constructor(type, name, help, labelNames, buckets) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  // Missing labels become "unknown" so every series has the same label set
+  entry(labels = {}) {
+    const normalized = {};
+    this.labelNames.forEach((label) => {
+      const value = labels[label];
+      normalized[label] =
+        value === undefined || value === null || value === ""
+          ? "unknown"
+          : String(value);
+    });
+    const key = this.labelNames
+      .map((label) => normalized[label])
+      .join("\u0000");
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = {
+        labels: normalized,
+        value: 0,
+        counts: this.buckets ? this.buckets.map(() => 0) : null,
+        sum: 0,
+        count: 0,
+      };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  inc(labels, amount = 1) {
+    this.entry(labels).value += amount;
+  }
+
+  set(labels, value) {
+    this.entry(labels).value = value;
+  }
+
+  observe(labels, value) {
+    const entry = this.entry(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index] += 1;
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  /**
+   * Drop every series; gauges filled at scrape time start from scratch so
+   * label sets that disappeared are not reported forever
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    for (const entry of this.series.values()) {
+      if (this.type !== "histogram") {
+        lines.push(
+          `${this.name}${formatLabels(entry.labels)} ${formatValue(
+            entry.value,
+          )}`,
+        );
+        continue;
+      }
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({
+            ...entry.labels,
+            le: formatValue(bound),
+          })} ${entry.counts[index]}`,
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...entry.labels, le: "+Inf" })} ${
+          entry.count
+        }`,
+      );
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(
+        `${this.name}_count${formatLabels(entry.labels)} ${entry.count}`,
+      );
+    }
+    return lines.join("\n");
+  }
+}
+
+/**
+ * Counters, gauges and histograms kept in memory and served in the
+ * Prometheus text format on /metrics. Services define their metrics where
+ * they record them; defining the same name twice returns the same metric.
+ * Values that live in the database (rooms, open trades) are read by
+ * collectors when the endpoint is scraped.
+ */
+class MetricsService {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+    this.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+    // Shared by BlockchainService and TronService
+    this.rpcDuration = this.histogram(
+      "p2p_rpc_request_duration_seconds",
+      "Latency of blockchain RPC and TRON API calls",
+      ["network", "method"],
+    );
+    this.rpcErrors = this.counter(
+      "p2p_rpc_errors_total",
+      "Blockchain RPC and TRON API calls that failed or returned an error",
+      ["network", "method"],
+    );
+  }
+
+  define(type, name, help, labelNames = [], buckets = null) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Metric ${name} is already a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new Metric(type, name, help, labelNames, buckets);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.define("counter", name, help, labelNames);
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.define("gauge", name, help, labelNames);
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.define("histogram", name, help, labelNames, buckets);
+  }
+
+  /**
+   * Run before every scrape, e.g. to set gauges from the database. A failing
+   * collector is logged and the remaining metrics are still served.
+   * @param {Function} collector - async () => void
+   */
+  collect(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Time an async call into a histogram, counting failures separately
+   * @param {Object} histogram
+   * @param {Object|null} errors - counter with the same labels, or null
+   * @param {Object} labels
+   * @param {Function} fn
+   */
+  async time(histogram, errors, labels, fn) {
+    const started = process.hrtime.bigint();
+    try {
+      return await fn();
+    } catch (error) {
+      if (errors) errors.inc(labels);
+      throw error;
+    } finally {
+      histogram.observe(
+        labels,
+        Number(process.hrtime.bigint() - started) / 1e9,
+      );
+    }
+  }
+
+  /**
+   * Time one blockchain RPC or TRON API call
+   */
+  timeRpc(network, method, fn) {
+    return this.time(this.rpcDuration, this.rpcErrors, { network, method }, fn);
+  }
+
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        console.error("Error collecting metrics:", error);
+      }
+    }
+    return `${[...this.metrics.values()]
+      .map((metric) => metric.render())
+      .join("\n")}\n`;
+  }
+}
+
+module.exports = new MetricsService();
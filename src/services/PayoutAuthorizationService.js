@@ -0,0 +1,91 @@
+const { ethers } = require("ethers");
+const config = require("../../config");
+
+const PAYOUT_FIELDS = [
+  { name: "escrowId", type: "bytes32" },
+  { name: "to", type: "address" },
+  { name: "amount", type: "uint256" },
+  { name: "fee", type: "uint256" },
+  { name: "nonce", type: "uint256" },
+  { name: "deadline", type: "uint256" },
+];
+const TYPE_NAMES = { release: "Release", refund: "Refund" };
+
+/**
+ * Signs the EIP-712 Release/Refund authorizations a vault checks once a
+ * signer is set on it. The signing key (PAYOUT_SIGNER_PRIVATE_KEY) is apart
+ * from the hot wallet, which only relays the signed calls and pays the gas.
+ */
+class PayoutAuthorizationService {
+  constructor() {
+    const rawKey = config.PAYOUT_SIGNER_PRIVATE_KEY;
+    this.signingKey = rawKey
+      ? new ethers.SigningKey(rawKey.startsWith("0x") ? rawKey : "0x" + rawKey)
+      : null;
+    this.address = this.signingKey
+      ? ethers.computeAddress(this.signingKey)
+      : null;
+  }
+
+  /**
+   * Fail unless our key is the one a vault wants payouts signed by
+   * @param {string} vaultSigner - the vault's signer(), 20-byte hex
+   */
+  assertSignerFor(vaultSigner, contractAddress) {
+    if (!this.signingKey) {
+      throw new Error(
+        `Vault ${contractAddress} requires signed payouts but PAYOUT_SIGNER_PRIVATE_KEY is not set`,
+      );
+    }
+    if (this.address.toLowerCase() !== vaultSigner.toLowerCase()) {
+      throw new Error(
+        `Vault ${contractAddress} requires payouts signed by ${vaultSigner}, not ${this.address}`,
+      );
+    }
+  }
+
+  /**
+   * Authorize one payout. Every authorization gets a fresh random nonce, so
+   * concurrent payouts from a vault never collide, and the vault accepts it
+   * once before `deadline`.
+   * @param {object} payout
+   * @param {"release"|"refund"} payout.kind
+   * @param {string} payout.domainSeparator - the vault's domainSeparator()
+   * @param {string|null} payout.escrowKey - sub-ledger key; null pays from
+   *   the unallocated balance
+   * @param {string} payout.to - recipient, 20-byte hex
+   * @param {bigint} payout.amount - in token units
+   * @param {bigint} [payout.fee] - paid to the vault's fee wallet alongside
+   * @param {number} payout.now - chain time in seconds
+   * @returns {{escrowId: string, nonce: bigint, deadline: number, signature: string}}
+   */
+  sign({ kind, domainSeparator, escrowKey, to, amount, fee = 0n, now }) {
+    const name = TYPE_NAMES[kind];
+    if (!name) throw new Error(`Unknown payout kind: ${kind}`);
+
+    const message = {
+      escrowId: escrowKey || ethers.ZeroHash,
+      to,
+      amount,
+      fee,
+      nonce: BigInt(ethers.hexlify(ethers.randomBytes(32))),
+      deadline: now + config.PAYOUT_AUTHORIZATION_TTL_SECONDS,
+    };
+    const structHash = ethers.TypedDataEncoder.hashStruct(
+      name,
+      { [name]: PAYOUT_FIELDS },
+      message,
+    );
+    const digest = ethers.keccak256(
+      ethers.concat(["0x1901", domainSeparator, structHash]),
+    );
+    return {
+      escrowId: message.escrowId,
+      nonce: message.nonce,
+      deadline: message.deadline,
+      signature: this.signingKey.sign(digest).serialized,
+    };
+  }
+}
+
+module.exports = new PayoutAuthorizationService();
@@ -0,0 +1,710 @@
+const Escrow = require("../models/Escrow");
+const Payout = require("../models/Payout");
+const Settlement = require("../models/Settlement");
+const BlockchainService = require("./BlockchainService");
+const EscrowStateService = require("./EscrowStateService");
+const JobQueueService = require("./JobQueueService");
+const AuditService = require("./AuditService");
+const LedgerService = require("./LedgerService");
+const LeaseService = require("./LeaseService");
+const MetricsService = require("./MetricsService");
+const config = require("../../config");
+const logger = require("../utils/logger");
+
+const IN_FLIGHT_STATUSES = ["pending", "broadcast"];
+
+// How long past its expiration a TRON transaction is given before it is
+// treated as never included
+const TRON_EXPIRY_GRACE_MS = 60 * 1000;
+
+const payoutFailures = MetricsService.counter(
+  "p2p_payout_failures_total",
+  "Releases and refunds that failed or could not be confirmed",
+  ["kind", "network", "reason"],
+);
+const payoutsConfirmed = MetricsService.counter(
+  "p2p_payouts_confirmed_total",
+  "Releases and refunds confirmed on-chain",
+  ["kind", "network"],
+);
+
+function payoutError(code, message, userMessage) {
+  const error = new Error(message);
+  error.code = code;
+  error.userMessage = userMessage;
+  return error;
+}
+
+/**
+ * Records every release/refund as a Payout before it is signed, so a payout
+ * interrupted by a crash or a lost confirmation is resolved on-chain instead
+ * of being retried blindly.
+ */
+class PayoutService {
+  /**
+   * Release funds to the buyer (or any payee) of an escrow
+   * @param {Object} escrow - Escrow document
+   * @param {string} toAddress
+   * @param {number} amount
+   * @param {string|null} [amountWeiOverride]
+   * @param {{contractAddress?:string, actor?:Object, settlementId?:string,
+   *   fees?:{serviceFee?:number, networkFee?:number}}} [options]
+   *   settlementId marks a leg of a split settlement; the settlement, not the
+   *   payout, then holds the trade's in-flight slot. fees are what the trade
+   *   pays on top of `amount`, booked as revenue in the ledger
+   * @returns {Promise<{success:boolean,transactionHash:string,blockNumber:number|null}>}
+   */
+  async releaseFunds(
+    escrow,
+    toAddress,
+    amount,
+    amountWeiOverride = null,
+    options = {},
+  ) {
+    return this.execute(
+      "release",
+      escrow,
+      toAddress,
+      amount,
+      amountWeiOverride,
+      options,
+    );
+  }
+
+  /**
+   * Refund funds to the seller of an escrow
+   * @see releaseFunds
+   */
+  async refundFunds(
+    escrow,
+    toAddress,
+    amount,
+    amountWeiOverride = null,
+    options = {},
+  ) {
+    return this.execute(
+      "refund",
+      escrow,
+      toAddress,
+      amount,
+      amountWeiOverride,
+      options,
+    );
+  }
+
+  /**
+   * Send what a vault without the sub-ledger holds beyond its open trades
+   * through the pooled release. It is recorded like a trade payout, so a
+   * sweep interrupted by a crash is resolved instead of being sent again.
+   * @param {{token:string, network:string, contractAddress:string,
+   *   toAddress:string, amount:number, amountWei:bigint, actor?:Object}} sweep
+   */
+  async sweepSurplus({
+    token,
+    network,
+    contractAddress,
+    toAddress,
+    amount,
+    amountWei,
+    actor = null,
+  }) {
+    const vault = {
+      escrowId: `sweep:${contractAddress.toLowerCase()}`,
+      token,
+      chain: network,
+      groupId: null,
+    };
+    return this.execute("sweep", vault, toAddress, amount, String(amountWei), {
+      contractAddress,
+      actor,
+    });
+  }
+
+  /**
+   * Holds the escrow lock for the whole payout, so a second click or
+   * instance is told to wait instead of signing alongside this one
+   */
+  async execute(kind, escrow, ...args) {
+    try {
+      return await LeaseService.withEscrowLock(escrow.escrowId, () =>
+        this.executeLocked(kind, escrow, ...args),
+      );
+    } catch (error) {
+      if (LeaseService.isLeaseBusy(error)) {
+        throw payoutError(
+          "PAYOUT_IN_PROGRESS",
+          error.message,
+          error.userMessage,
+        );
+      }
+      throw error;
+    }
+  }
+
+  async executeLocked(
+    kind,
+    escrow,
+    toAddress,
+    amount,
+    amountWeiOverride,
+    options,
+  ) {
+    const {
+      contractAddress = null,
+      actor = null,
+      settlementId = null,
+      fees = null,
+    } = options;
+    logger.assign({ escrowId: escrow.escrowId });
+
+    if (
+      !settlementId &&
+      (await Settlement.exists({ activeKey: escrow.escrowId }))
+    ) {
+      throw payoutError(
+        "PAYOUT_IN_PROGRESS",
+        `Escrow ${escrow.escrowId} has a settlement in progress`,
+        "⏳ A settlement for this trade is already being processed. Please wait for it to finish before trying again.",
+      );
+    }
+
+    // Until the trade's deposit is credited in the vault, a payout could only
+    // be drawn from other trades' funds
+    if (
+      await Escrow.exists({
+        escrowId: escrow.escrowId,
+        vaultCreditPendingWei: { $ne: null },
+      })
+    ) {
+      throw payoutError(
+        "VAULT_CREDIT_PENDING",
+        `Escrow ${escrow.escrowId} has a vault credit pending`,
+        "⏳ This trade's deposit is still being credited in the vault, so releases and refunds are on hold. Please try again in a few minutes.",
+      );
+    }
+
+    // A credited deposit left the chain; only a settlement an admin decides
+    // may pay out of what is left
+    if (
+      !settlementId &&
+      (await Escrow.exists({
+        escrowId: escrow.escrowId,
+        depositReversedAt: { $ne: null },
+      }))
+    ) {
+      throw payoutError(
+        "DEPOSIT_REVERSED",
+        `Escrow ${escrow.escrowId} lost a credited deposit`,
+        "⚠️ A deposit credited to this trade is no longer on-chain, so releases and refunds are on hold. The admins have been alerted.",
+      );
+    }
+
+    await this.assertNoUnrecordedPayout(escrow);
+
+    let payout;
+    try {
+      payout = await Payout.create({
+        escrowId: escrow.escrowId,
+        kind,
+        activeKey: settlementId
+          ? `${escrow.escrowId}:settlement:${kind}`
+          : escrow.escrowId,
+        settlementId,
+        token: escrow.token,
+        network: escrow.chain,
+        groupId: escrow.groupId,
+        contractAddress,
+        toAddress,
+        amount,
+        amountWei: amountWeiOverride ? String(amountWeiOverride) : null,
+        serviceFeeWei: LedgerService.toWei(
+          fees?.serviceFee,
+          escrow.token,
+          escrow.chain,
+        ).toString(),
+        networkFeeWei: LedgerService.toWei(
+          fees?.networkFee,
+          escrow.token,
+          escrow.chain,
+        ).toString(),
+        requestedById: actor?.id ?? null,
+        requestedByUsername: actor?.username || null,
+      });
+    } catch (error) {
+      if (error?.code === 11000) {
+        throw payoutError(
+          "PAYOUT_IN_PROGRESS",
+          `Escrow ${escrow.escrowId} already has a payout in flight`,
+          "⏳ A payout for this trade is already being processed. Please wait for it to confirm before trying again.",
+        );
+      }
+      throw error;
+    }
+
+    let signed = false;
+    const hooks = {
+      onSigned: async ({
+        txHash,
+        signedTx,
+        nonce,
+        contractAddress: resolvedAddress,
+        expiresAt,
+        feeWallet,
+      }) => {
+        payout.txHash = txHash;
+        payout.signedTx = signedTx;
+        payout.nonce = nonce;
+        payout.contractAddress = resolvedAddress || payout.contractAddress;
+        payout.expiresAt = expiresAt || null;
+        payout.feeWallet = feeWallet || null;
+        await payout.save();
+        signed = true;
+      },
+      onBroadcast: async () => {
+        payout.status = "broadcast";
+        payout.broadcastAt = new Date();
+        await payout.save();
+      },
+    };
+
+    const send =
+      kind === "refund"
+        ? BlockchainService.refundFunds.bind(BlockchainService)
+        : BlockchainService.releaseFunds.bind(BlockchainService);
+
+    let result;
+    try {
+      result = await send(
+        escrow.token,
+        escrow.chain,
+        toAddress,
+        amount,
+        amountWeiOverride,
+        escrow.groupId,
+        contractAddress,
+        escrow.escrowId,
+        hooks,
+        // Vaults that can split the fee off pay it out in the same transaction
+        BigInt(payout.serviceFeeWei) + BigInt(payout.networkFeeWei),
+      );
+    } catch (error) {
+      if (!signed) {
+        // Nothing was broadcast, so nothing can be on-chain: safe to retry
+        await this.markFailed(
+          payout,
+          error?.message || String(error),
+          "send_failed",
+        );
+        await this.audit(payout, actor, payout.error);
+        throw error;
+      }
+
+      // The transaction may still land. Keep the payout in flight (which
+      // blocks retries) and let reconciliation decide what happened.
+      payout.error = error?.message || String(error);
+      await payout.save();
+      payoutFailures.inc({
+        kind: payout.kind,
+        network: payout.network,
+        reason: "unconfirmed",
+      });
+      await this.scheduleReconcile(payout);
+      await this.audit(payout, actor, `sent but unconfirmed: ${payout.error}`);
+      throw payoutError(
+        "PAYOUT_UNCONFIRMED",
+        `Payout ${payout._id} for ${escrow.escrowId} was signed but not confirmed: ${payout.error}`,
+        `⚠️ The ${kind} transaction was sent but is not confirmed yet.\n\nTransaction: <code>${payout.txHash}</code>\n\nIt will be checked automatically; please do not retry.`,
+      );
+    }
+
+    payout.txHash = result.transactionHash || payout.txHash;
+    if (!result.blockNumber) {
+      // TRON payouts return once broadcast; confirm them in the background
+      await payout.save();
+      await this.scheduleReconcile(payout);
+      await this.audit(payout, actor);
+      return result;
+    }
+
+    payout.status = "confirmed";
+    payout.blockNumber = result.blockNumber;
+    payout.confirmedAt = new Date();
+    payout.activeKey = undefined;
+    await payout.save();
+    payoutsConfirmed.inc({ kind: payout.kind, network: payout.network });
+    await this.audit(payout, actor);
+    await this.postLedger(payout);
+    return result;
+  }
+
+  /**
+   * Book a confirmed payout. A sweep moves a vault's surplus rather than a
+   * trade's funds, and has no escrow to be recorded on.
+   */
+  async postLedger(payout) {
+    if (payout.kind !== "sweep") {
+      await LedgerService.postPayout(payout);
+      return;
+    }
+    payout.recordedAt = new Date();
+    await payout.save();
+    await LedgerService.postSweep({
+      token: payout.token,
+      network: payout.network,
+      vaultAddress: payout.contractAddress,
+      toAddress: payout.toAddress,
+      amountWei: payout.amountWei,
+      txHash: payout.txHash,
+      note: "vault sweep (surplus)",
+    });
+  }
+
+  /**
+   * Audit entry for a payout attempt or its on-chain outcome
+   */
+  async audit(payout, actor, note = null) {
+    await AuditService.record({
+      action: `payout.${payout.kind}`,
+      actor,
+      escrowId: payout.escrowId,
+      groupId: payout.groupId,
+      after: {
+        payoutStatus: payout.status,
+        token: payout.token,
+        network: payout.network,
+        amount: payout.amount,
+        toAddress: payout.toAddress,
+        settlementId: payout.settlementId || null,
+      },
+      txHashes: [payout.txHash],
+      note,
+    });
+  }
+
+  isPayoutError(error) {
+    return (
+      error?.code === "PAYOUT_IN_PROGRESS" ||
+      error?.code === "PAYOUT_UNCONFIRMED" ||
+      error?.code === "PAYOUT_UNRECORDED" ||
+      error?.code === "DEPOSIT_REVERSED" ||
+      error?.code === "VAULT_CREDIT_PENDING"
+    );
+  }
+
+  /**
+   * Refuse a new payout while an earlier confirmed one is missing from the
+   * escrow (e.g. the process died before saving it). The earlier payout is
+   * recorded first so whoever retries sees the up-to-date trade.
+   */
+  async assertNoUnrecordedPayout(escrow) {
+    const confirmed = await Payout.find({
+      escrowId: escrow.escrowId,
+      status: "confirmed",
+      recordedAt: null,
+    });
+    const unrecorded = confirmed.filter(
+      (payout) => !this.isRecordedOn(escrow, payout),
+    );
+    if (unrecorded.length === 0) return;
+
+    for (const payout of unrecorded) {
+      await this.recordOnEscrow(payout, null);
+    }
+    throw payoutError(
+      "PAYOUT_UNRECORDED",
+      `Escrow ${escrow.escrowId} had ${unrecorded.length} confirmed payout(s) that were not recorded`,
+      "⚠️ An earlier payout for this trade had already been confirmed on-chain and has now been recorded. Please review the trade before trying again.",
+    );
+  }
+
+  isRecordedOn(escrow, payout) {
+    const hashes = [
+      escrow.releaseTransactionHash,
+      escrow.refundTransactionHash,
+      ...(escrow.partialReleaseTransactionHashes || []),
+      ...(escrow.partialRefundTransactionHashes || []),
+    ]
+      .filter(Boolean)
+      .map((hash) => hash.toLowerCase());
+    return !!payout.txHash && hashes.includes(payout.txHash.toLowerCase());
+  }
+
+  /**
+   * @param {string} reason - Stored on the payout
+   * @param {string} cause - Short metric label: send_failed, interrupted,
+   *   reverted or dropped
+   */
+  async markFailed(payout, reason, cause) {
+    payout.status = "failed";
+    payout.error = reason;
+    payout.activeKey = undefined;
+    await payout.save();
+    payoutFailures.inc({
+      kind: payout.kind,
+      network: payout.network,
+      reason: cause,
+    });
+  }
+
+  async scheduleReconcile(payout) {
+    await JobQueueService.enqueue(
+      "payout.reconcile",
+      { payoutId: String(payout._id) },
+      {
+        delayMs: config.PAYOUT_RECONCILE_DELAY_MS,
+        dedupeKey: `payout.reconcile:${payout._id}`,
+        maxAttempts: config.PAYOUT_RECONCILE_MAX_ATTEMPTS,
+      },
+    );
+  }
+
+  /**
+   * Startup pass: resolve every in-flight payout on-chain and record any
+   * confirmed payout its escrow is missing. Must finish before the bot
+   * accepts updates, so nobody can retry a payout that already went out.
+   * @param {Object} telegram - Telegram API instance for room notices
+   */
+  async recoverInFlight(telegram) {
+    const inFlight = await Payout.find({
+      status: { $in: IN_FLIGHT_STATUSES },
+    });
+    let resolved = 0;
+    for (const payout of inFlight) {
+      try {
+        if (await this.reconcileLocked(payout, telegram)) {
+          resolved++;
+        } else {
+          await this.scheduleReconcile(payout);
+        }
+      } catch (error) {
+        console.error(`Error recovering payout ${payout._id}:`, error);
+        await this.scheduleReconcile(payout);
+      }
+    }
+
+    const unrecorded = await Payout.find({
+      status: "confirmed",
+      recordedAt: null,
+    });
+    for (const payout of unrecorded) {
+      try {
+        await LeaseService.withEscrowLock(payout.escrowId, async () => {
+          const current = await Payout.findById(payout._id);
+          if (current && !current.recordedAt) {
+            await this.recordOnEscrow(current, telegram);
+          }
+        });
+      } catch (error) {
+        console.error(`Error recording payout ${payout._id}:`, error);
+      }
+    }
+
+    if (inFlight.length > 0) {
+      console.log(
+        `💸 Payout recovery: ${resolved}/${inFlight.length} in-flight payout(s) resolved`,
+      );
+    }
+  }
+
+  /**
+   * reconcile() under the escrow lock, so recording the outcome cannot race a
+   * button press or a settlement on the same trade
+   * @returns {Promise<boolean>}
+   */
+  async reconcileLocked(payout, telegram) {
+    return LeaseService.withEscrowLock(payout.escrowId, async () => {
+      const current = await Payout.findById(payout._id);
+      return !current || this.reconcile(current, telegram);
+    });
+  }
+
+  /**
+   * Decide the on-chain outcome of an in-flight payout.
+   * @returns {Promise<boolean>} true once the payout is confirmed or failed
+   */
+  async reconcile(payout, telegram) {
+    if (!IN_FLIGHT_STATUSES.includes(payout.status)) return true;
+    logger.assign({ escrowId: payout.escrowId, payoutId: String(payout._id) });
+
+    if (!payout.txHash || !payout.signedTx) {
+      // The process stopped before signing; nothing was broadcast
+      await this.markFailed(
+        payout,
+        "interrupted before signing",
+        "interrupted",
+      );
+      return true;
+    }
+
+    const isTron = (payout.network || "").toUpperCase() === "TRON";
+
+    // Read the nonce before the receipt: if the nonce has moved past ours
+    // and there is still no receipt, ours can never be mined
+    const minedNonce = isTron
+      ? null
+      : await BlockchainService.getMinedNonce(payout.network);
+    const checkedAt = Date.now();
+
+    const onChain = await BlockchainService.getTransactionConfirmations(
+      payout.network,
+      payout.txHash,
+    );
+    if (!onChain) return false;
+
+    if (onChain.found) {
+      if (!onChain.success) {
+        await this.markFailed(
+          payout,
+          "transaction reverted on-chain",
+          "reverted",
+        );
+        await this.audit(payout, null, "reconciled: reverted on-chain");
+        console.error(
+          `❌ Payout ${payout._id} (${payout.kind} for ${payout.escrowId}) reverted on-chain: ${payout.txHash}`,
+        );
+        return true;
+      }
+      payout.status = "confirmed";
+      payout.blockNumber = onChain.blockNumber;
+      payout.confirmedAt = new Date();
+      payout.activeKey = undefined;
+      await payout.save();
+      payoutsConfirmed.inc({ kind: payout.kind, network: payout.network });
+      await this.audit(payout, null, "reconciled: confirmed on-chain");
+      await this.postLedger(payout);
+      await this.recordOnEscrow(payout, telegram);
+      return true;
+    }
+
+    const dropped = isTron
+      ? payout.expiresAt &&
+        checkedAt > payout.expiresAt.getTime() + TRON_EXPIRY_GRACE_MS
+      : minedNonce > payout.nonce;
+    if (dropped) {
+      await this.markFailed(
+        payout,
+        "transaction was never included",
+        "dropped",
+      );
+      await this.audit(payout, null, "reconciled: never included");
+      return true;
+    }
+
+    try {
+      await BlockchainService.broadcastSignedTransaction(
+        payout.network,
+        payout.signedTx,
+      );
+    } catch (error) {
+      // "already known" and similar just mean the node still has it
+      console.warn(
+        `Re-broadcast of payout ${payout._id} (${payout.txHash}): ${error.message}`,
+      );
+    }
+    if (payout.status !== "broadcast") {
+      payout.status = "broadcast";
+      payout.broadcastAt = new Date();
+      await payout.save();
+    }
+    return false;
+  }
+
+  /**
+   * Apply a confirmed payout the escrow does not know about yet: store its
+   * hash, and settle the trade when the vault sub-ledger shows nothing left.
+   */
+  async recordOnEscrow(payout, telegram) {
+    const escrow = await Escrow.findOne({ escrowId: payout.escrowId });
+    if (!escrow || this.isRecordedOn(escrow, payout)) {
+      payout.recordedAt = new Date();
+      await payout.save();
+      return;
+    }
+
+    const isRelease = payout.kind === "release";
+    if (isRelease) {
+      escrow.releaseTransactionHash = payout.txHash;
+      escrow.partialReleaseTransactionHashes.push(payout.txHash);
+    } else {
+      escrow.refundTransactionHash = payout.txHash;
+      escrow.partialRefundTransactionHashes.push(payout.txHash);
+    }
+
+    let settled = false;
+    if (payout.contractAddress) {
+      const ledger = await BlockchainService.getVaultLedger(
+        payout.token,
+        payout.network,
+        payout.contractAddress,
+        payout.escrowId,
+      );
+      const target = isRelease ? "completed" : "refunded";
+      if (
+        ledger &&
+        BigInt(ledger.escrowBalanceWei) === 0n &&
+        EscrowStateService.canTransition(
+          escrow,
+          target,
+          EscrowStateService.SYSTEM,
+        ).allowed
+      ) {
+        EscrowStateService.transition(
+          escrow,
+          target,
+          EscrowStateService.SYSTEM,
+          "payout recovered after restart",
+        );
+        if (isRelease) escrow.completedAt = new Date();
+        escrow.accumulatedDepositAmount = 0;
+        escrow.depositAmount = 0;
+        escrow.confirmedAmount = 0;
+        escrow.accumulatedDepositAmountWei = "0";
+        settled = true;
+      }
+    }
+
+    await escrow.save();
+    payout.recordedAt = new Date();
+    await payout.save();
+
+    if (telegram && escrow.groupId) {
+      try {
+        await telegram.sendMessage(
+          escrow.groupId,
+          `♻️ <b>Payout Recovered</b>\n\nA ${payout.kind} of ${payout.amount} ${
+            payout.token
+          } to <code>${
+            payout.toAddress
+          }</code> was confirmed on-chain while the bot was restarting.\n\nTransaction: <code>${
+            payout.txHash
+          }</code>\n\n${
+            settled
+              ? `The trade has been marked as ${escrow.status}.`
+              : "An admin should review the remaining balance before any further payout."
+          }`,
+          { parse_mode: "HTML" },
+        );
+      } catch (error) {
+        console.error("Error sending payout recovery notice:", error);
+      }
+    }
+  }
+}
+
+const payoutService = new PayoutService();
+
+JobQueueService.register(
+  "payout.reconcile",
+  async ({ payoutId }, { telegram }) => {
+    const payout = await Payout.findById(payoutId);
+    if (!payout) return;
+    // A busy lock throws too, and the job comes back after the back-off
+    const resolved = await payoutService.reconcileLocked(payout, telegram);
+    if (!resolved) {
+      // Throwing hands the job back to the queue's retry back-off
+      throw new Error(`Payout ${payoutId} (${payout.txHash}) is not mined yet`);
+    }
+  },
+);
+
+module.exports = payoutService;
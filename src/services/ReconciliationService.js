@@ -0,0 +1,449 @@
+const Contract = require("../models/Contract");
+const Escrow = require("../models/Escrow");
+const Payout = require("../models/Payout");
+const LedgerEntry = require("../models/LedgerEntry");
+const ReconciliationReport = require("../models/ReconciliationReport");
+const BlockchainService = require("./BlockchainService");
+const VaultLedgerService = require("./VaultLedgerService");
+const LedgerService = require("./LedgerService");
+const AdminService = require("./AdminService");
+const config = require("../../config");
+
+// Balance checks race with deposits and payouts in flight, so those are
+// only reported to admins once they show up in two passes in a row
+const PERSISTENT_TYPES = ["balance_mismatch", "liability_mismatch"];
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Hashes as stored: EVM hashes may come back in either case
+function hashVariants(hashes) {
+  return [...new Set(hashes.flatMap((hash) => [hash, hash.toLowerCase()]))];
+}
+
+function addressPattern(address) {
+  return new RegExp(`^${address.replace(/[^A-Za-z0-9]/g, "")}$`, "i");
+}
+
+/**
+ * Compares every deployed vault with the database: its token balance against
+ * open trade liabilities plus unswept fees, and the Transfer logs into and
+ * out of it against recorded deposit, payout and sweep hashes. Findings are
+ * stored as a ReconciliationReport, and new ones are sent to the admins who
+ * handle the treasury.
+ */
+class ReconciliationService {
+  constructor() {
+    this.timer = null;
+    this.telegram = null;
+    this.running = null;
+  }
+
+  start(telegram) {
+    if (this.timer) return;
+    this.telegram = telegram;
+
+    const intervalMs = config.RECONCILE_INTERVAL_MS;
+    this.timer = setInterval(
+      () =>
+        this.run().catch((error) => {
+          console.error("Error running reconciliation:", error);
+        }),
+      intervalMs,
+    );
+    console.log(
+      `🧮 Reconciliation started (every ${Math.round(intervalMs / 60000)}m)`,
+    );
+  }
+
+  /**
+   * @returns {Promise<void>} resolves once a pass in progress has finished
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    return this.running ? this.running.catch(() => {}) : Promise.resolve();
+  }
+
+  /**
+   * Run a pass, or join the one already running
+   * @param {{trigger?:string, actorId?:number}} [options]
+   * @returns {Promise<Object>} the stored report
+   */
+  async run(options = {}) {
+    if (!this.running) {
+      this.running = this.reconcileAll(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async reconcileAll({ trigger = "schedule", actorId = null } = {}) {
+    const report = new ReconciliationReport({
+      trigger,
+      triggeredById: actorId,
+      startedAt: new Date(),
+    });
+
+    const contracts = await Contract.find({
+      name: "EscrowVault",
+      status: "deployed",
+    });
+    const liabilities = await VaultLedgerService.getOpenLiabilities();
+    const positions = await LedgerService.getVaultPositions();
+
+    for (const contract of contracts) {
+      try {
+        const { vault, discrepancies } = await this.reconcileVault(
+          contract,
+          liabilities,
+          positions,
+        );
+        report.vaults.push(vault);
+        report.discrepancies.push(...discrepancies);
+      } catch (error) {
+        console.error(`Error reconciling vault ${contract.address}:`, error);
+        report.vaults.push({
+          token: contract.token,
+          network: contract.network,
+          address: contract.address,
+          error: error.message.slice(0, 200),
+        });
+        report.discrepancies.push({
+          type: "check_failed",
+          key: `check_failed:${contract.address}`,
+          token: contract.token,
+          network: contract.network,
+          address: contract.address,
+          detail: error.message.slice(0, 200),
+        });
+      }
+    }
+
+    report.ok = report.discrepancies.length === 0;
+    report.finishedAt = new Date();
+
+    const fresh = this.selectAlerts(report, await this.getLatest());
+    await report.save();
+    await this.alert(fresh);
+    return report;
+  }
+
+  /**
+   * @returns {Promise<{vault:Object, discrepancies:Array<Object>}>}
+   */
+  async reconcileVault(contract, liabilities, positions) {
+    const { token, network, address } = contract;
+    const base = { token, network, address };
+    const discrepancies = [];
+    const tolerance = config.RECONCILE_TOLERANCE;
+
+    const onChainBalance = await BlockchainService.getTokenBalance(
+      token,
+      network,
+      address,
+    );
+    const openLiabilities = round(
+      liabilities.get(address.toLowerCase())?.amount || 0,
+    );
+    const position = positions.get(LedgerService.vaultAccount(address));
+    const toDecimal = (wei) =>
+      Number(LedgerService.formatWei(wei, token, network));
+    const unsweptFees = position ? round(toDecimal(position.unsweptWei)) : 0;
+    const difference = round(onChainBalance - openLiabilities - unsweptFees);
+
+    if (Math.abs(difference) > tolerance) {
+      discrepancies.push({
+        ...base,
+        type: "balance_mismatch",
+        key: `balance_mismatch:${address}`,
+        amount: difference,
+        detail: `on-chain ${round(
+          onChainBalance,
+        )}, expected ${openLiabilities} owed to trades + ${unsweptFees} unswept fees`,
+      });
+    }
+
+    const ledgerOwed = position ? round(toDecimal(position.owedWei)) : 0;
+    if (Math.abs(ledgerOwed - openLiabilities) > tolerance) {
+      discrepancies.push({
+        ...base,
+        type: "liability_mismatch",
+        key: `liability_mismatch:${address}`,
+        amount: round(ledgerOwed - openLiabilities),
+        detail: `ledger says ${ledgerOwed} is owed to trades, escrows say ${openLiabilities}`,
+      });
+    }
+
+    const latest = await BlockchainService.getLatestBlockNumber(network);
+    if (!latest) throw new Error(`Could not read the ${network} block height`);
+    // Leave the newest blocks to the deposit watcher and payout reconciler
+    const toBlock = latest - config.getRequiredConfirmations(network) * 2;
+    const transfers = await BlockchainService.getVaultTransfers(
+      token,
+      network,
+      address,
+      Math.max(0, toBlock - config.RECONCILE_LOOKBACK_BLOCKS),
+    );
+    const fromBlock = transfers.fromBlock;
+    const inRange = (transfer) =>
+      transfer.blockNumber >= fromBlock && transfer.blockNumber <= toBlock;
+    const incoming = transfers.incoming.filter(inRange);
+    const outgoing = transfers.outgoing.filter(inRange);
+
+    discrepancies.push(
+      ...(await this.checkIncoming(base, incoming, fromBlock, toBlock)),
+      ...(await this.checkOutgoing(base, outgoing, fromBlock, toBlock)),
+    );
+
+    return {
+      vault: {
+        ...base,
+        onChainBalance: round(onChainBalance),
+        openLiabilities,
+        unsweptFees,
+        difference,
+        fromBlock,
+        toBlock,
+        transfersChecked: incoming.length + outgoing.length,
+      },
+      discrepancies,
+    };
+  }
+
+  /**
+   * Transfers into the vault must be deposits the bot tracked, and every
+   * credited deposit in range must appear on-chain
+   */
+  async checkIncoming(base, incoming, fromBlock, toBlock) {
+    const discrepancies = [];
+    const hashes = hashVariants(incoming.map((transfer) => transfer.hash));
+
+    const known = new Set();
+    const escrows = await Escrow.find(
+      {
+        $or: [
+          { transactionHash: { $in: hashes } },
+          { partialTransactionHashes: { $in: hashes } },
+          { "pendingDeposits.hash": { $in: hashes } },
+        ],
+      },
+      { transactionHash: 1, partialTransactionHashes: 1, pendingDeposits: 1 },
+    ).lean();
+    for (const escrow of escrows) {
+      [
+        escrow.transactionHash,
+        ...(escrow.partialTransactionHashes || []),
+        ...(escrow.pendingDeposits || []).map((entry) => entry.hash),
+      ]
+        .filter(Boolean)
+        .forEach((hash) => known.add(hash.toLowerCase()));
+    }
+    (await LedgerEntry.distinct("txHash", { txHash: { $in: hashes } }))
+      .filter(Boolean)
+      .forEach((hash) => known.add(hash.toLowerCase()));
+
+    for (const transfer of incoming) {
+      if (known.has(transfer.hash.toLowerCase())) continue;
+      discrepancies.push({
+        ...base,
+        type: "unrecorded_transfer_in",
+        key: `unrecorded_transfer_in:${transfer.hash}`,
+        txHash: transfer.hash,
+        amount: transfer.valueDecimal,
+        detail: `from ${transfer.from} at block ${transfer.blockNumber}`,
+      });
+    }
+
+    const seen = new Set(
+      incoming.map((transfer) => transfer.hash.toLowerCase()),
+    );
+    const credited = await Escrow.find(
+      {
+        $or: [
+          { contractAddress: addressPattern(base.address) },
+          { depositAddress: addressPattern(base.address) },
+        ],
+        pendingDeposits: {
+          $elemMatch: {
+            status: "credited",
+            blockNumber: { $gte: fromBlock, $lte: toBlock },
+          },
+        },
+      },
+      { escrowId: 1, pendingDeposits: 1 },
+    ).lean();
+    for (const escrow of credited) {
+      for (const entry of escrow.pendingDeposits) {
+        if (
+          entry.status !== "credited" ||
+          entry.blockNumber < fromBlock ||
+          entry.blockNumber > toBlock ||
+          seen.has(entry.hash.toLowerCase())
+        ) {
+          continue;
+        }
+        discrepancies.push({
+          ...base,
+          type: "missing_transfer_in",
+          key: `missing_transfer_in:${entry.hash}`,
+          txHash: entry.hash,
+          amount: entry.amount,
+          detail: `deposit credited to ${escrow.escrowId} is not in the vault's Transfer logs`,
+        });
+      }
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Transfers out of the vault must be payouts or sweeps the bot recorded,
+   * and every confirmed payout in range must appear on-chain
+   */
+  async checkOutgoing(base, outgoing, fromBlock, toBlock) {
+    const discrepancies = [];
+    const hashes = hashVariants(outgoing.map((transfer) => transfer.hash));
+
+    const known = new Set();
+    (await Payout.distinct("txHash", { txHash: { $in: hashes } }))
+      .concat(await LedgerEntry.distinct("txHash", { txHash: { $in: hashes } }))
+      .filter(Boolean)
+      .forEach((hash) => known.add(hash.toLowerCase()));
+    const escrows = await Escrow.find(
+      {
+        $or: [
+          { releaseTransactionHash: { $in: hashes } },
+          { refundTransactionHash: { $in: hashes } },
+          { partialReleaseTransactionHashes: { $in: hashes } },
+          { partialRefundTransactionHashes: { $in: hashes } },
+        ],
+      },
+      {
+        releaseTransactionHash: 1,
+        refundTransactionHash: 1,
+        partialReleaseTransactionHashes: 1,
+        partialRefundTransactionHashes: 1,
+      },
+    ).lean();
+    for (const escrow of escrows) {
+      [
+        escrow.releaseTransactionHash,
+        escrow.refundTransactionHash,
+        ...(escrow.partialReleaseTransactionHashes || []),
+        ...(escrow.partialRefundTransactionHashes || []),
+      ]
+        .filter(Boolean)
+        .forEach((hash) => known.add(hash.toLowerCase()));
+    }
+
+    for (const transfer of outgoing) {
+      if (known.has(transfer.hash.toLowerCase())) continue;
+      discrepancies.push({
+        ...base,
+        type: "unrecorded_transfer_out",
+        key: `unrecorded_transfer_out:${transfer.hash}`,
+        txHash: transfer.hash,
+        amount: transfer.valueDecimal,
+        detail: `to ${transfer.to} at block ${transfer.blockNumber}`,
+      });
+    }
+
+    const seen = new Set(
+      outgoing.map((transfer) => transfer.hash.toLowerCase()),
+    );
+    const payouts = await Payout.find({
+      contractAddress: addressPattern(base.address),
+      status: "confirmed",
+      blockNumber: { $gte: fromBlock, $lte: toBlock },
+    }).lean();
+    for (const payout of payouts) {
+      if (seen.has(payout.txHash.toLowerCase())) continue;
+      discrepancies.push({
+        ...base,
+        type: "missing_transfer_out",
+        key: `missing_transfer_out:${payout.txHash}`,
+        txHash: payout.txHash,
+        amount: payout.amount,
+        detail: `confirmed ${payout.kind} for ${payout.escrowId} is not in the vault's Transfer logs`,
+      });
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Pick the findings admins have not been told about yet and mark them on
+   * the report, so a discrepancy is alerted once for as long as it lasts
+   */
+  selectAlerts(report, previous) {
+    const previousKeys = new Set(
+      (previous?.discrepancies || []).map((item) => item.key),
+    );
+    const alerted = new Set(previous?.alertedKeys || []);
+    const fresh = report.discrepancies.filter(
+      (item) =>
+        !alerted.has(item.key) &&
+        (!PERSISTENT_TYPES.includes(item.type) || previousKeys.has(item.key)),
+    );
+
+    const sent = this.telegram ? fresh.map((item) => item.key) : [];
+    report.alertedKeys = report.discrepancies
+      .map((item) => item.key)
+      .filter((key) => alerted.has(key) || sent.includes(key));
+    return fresh;
+  }
+
+  /**
+   * Message the treasury admins about new findings
+   */
+  async alert(fresh) {
+    if (!this.telegram || fresh.length === 0) return;
+
+    let message = `🚨 <b>Reconciliation: ${fresh.length} new discrepanc${
+      fresh.length === 1 ? "y" : "ies"
+    }</b>\n\n`;
+    message += fresh.slice(0, 10).map(this.formatDiscrepancy).join("\n\n");
+    if (fresh.length > 10) message += `\n\n...and ${fresh.length - 10} more`;
+    message += `\n\n💡 /admin_reconcile for the full report`;
+
+    for (const admin of AdminService.withPermission("treasury.withdraw")) {
+      if (!admin.telegramId) continue;
+      try {
+        await this.telegram.sendMessage(admin.telegramId, message, {
+          parse_mode: "HTML",
+          disable_web_page_preview: true,
+        });
+      } catch (error) {
+        console.error(
+          `Error sending reconciliation alert to ${admin.telegramId}:`,
+          error.message,
+        );
+      }
+    }
+  }
+
+  formatDiscrepancy(item) {
+    const escape = (text) =>
+      String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;");
+    let text = `• <b>${escape(item.type)}</b> ${escape(item.token)} on ${escape(
+      item.network,
+    )} <code>${escape(item.address)}</code>`;
+    if (item.txHash) text += `\n   Tx: <code>${escape(item.txHash)}</code>`;
+    if (item.amount != null) text += `\n   Amount: ${item.amount}`;
+    if (item.detail) text += `\n   ${escape(item.detail)}`;
+    return text;
+  }
+
+  async getLatest() {
+    return ReconciliationReport.findOne({ finishedAt: { $ne: null } })
+      .sort({ finishedAt: -1 })
+      .lean();
+  }
+}
+
+module.exports = new ReconciliationService();
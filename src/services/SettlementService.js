@@ -0,0 +1,573 @@
+const { ethers } = require("ethers");
+const Escrow = require("../models/Escrow");
+const Payout = require("../models/Payout");
+const Settlement = require("../models/Settlement");
+const AuditService = require("./AuditService");
+const BlockchainService = require("./BlockchainService");
+const CompletionFeedService = require("./CompletionFeedService");
+const EscrowStateService = require("./EscrowStateService");
+const JobQueueService = require("./JobQueueService");
+const LeaseService = require("./LeaseService");
+const PayoutService = require("./PayoutService");
+
+const EPSILON = 0.00001;
+
+// Statuses in which a trade holds funds that can be settled
+const SETTLEABLE_STATUSES = [
+  "deposited",
+  "in_fiat_transfer",
+  "ready_to_release",
+  "disputed",
+];
+
+function settlementError(code, message, userMessage) {
+  const error = new Error(message);
+  error.code = code;
+  error.userMessage = userMessage;
+  return error;
+}
+
+/**
+ * Splits a trade's held balance between buyer and seller and pays both legs
+ * as one tracked operation: the Settlement document records the split up
+ * front and each leg's hash as it is paid, so an interrupted settlement is
+ * resumed rather than paid twice.
+ */
+class SettlementService {
+  constructor() {
+    this.SETTLEABLE_STATUSES = SETTLEABLE_STATUSES;
+  }
+
+  /**
+   * Total held for an escrow, in token units
+   */
+  getHeldAmount(escrow) {
+    if (
+      escrow.accumulatedDepositAmountWei &&
+      escrow.accumulatedDepositAmountWei !== "0"
+    ) {
+      const decimals = BlockchainService.getTokenDecimals(
+        escrow.token,
+        escrow.chain,
+      );
+      return Number(
+        ethers.formatUnits(
+          BigInt(escrow.accumulatedDepositAmountWei),
+          decimals,
+        ),
+      );
+    }
+    return Number(
+      escrow.accumulatedDepositAmount ||
+        escrow.depositAmount ||
+        escrow.confirmedAmount ||
+        0,
+    );
+  }
+
+  /**
+   * Parse the buyer's share as typed by an admin: "60%" or a token amount
+   * @returns {{buyerPercent:number}|{buyerAmount:number}|null}
+   */
+  parseBuyerShare(text) {
+    const value = String(text || "").trim();
+    const percentMatch = value.match(/^(\d+(?:\.\d+)?)%$/);
+    if (percentMatch) {
+      return { buyerPercent: parseFloat(percentMatch[1]) };
+    }
+    if (/^\d+(?:\.\d+)?$/.test(value)) {
+      return { buyerAmount: parseFloat(value) };
+    }
+    return null;
+  }
+
+  /**
+   * Work out both legs of a split. The buyer leg pays the service fee and a
+   * network fee, the seller leg a network fee; a leg with no share is skipped.
+   * @param {Object} escrow
+   * @param {{buyerAmount?:number, buyerPercent?:number}} share - Buyer's gross share
+   */
+  computeSplit(escrow, share = {}) {
+    const held = this.getHeldAmount(escrow);
+    if (held <= 0) {
+      throw new Error("This trade holds no funds");
+    }
+
+    let buyerGross;
+    let buyerPercent = null;
+    if (share.buyerPercent !== undefined && share.buyerPercent !== null) {
+      buyerPercent = Number(share.buyerPercent);
+      if (
+        !Number.isFinite(buyerPercent) ||
+        buyerPercent < 0 ||
+        buyerPercent > 100
+      ) {
+        throw new Error("Buyer percentage must be between 0 and 100");
+      }
+      buyerGross = (held * buyerPercent) / 100;
+    } else {
+      buyerGross = Number(share.buyerAmount);
+      if (!Number.isFinite(buyerGross) || buyerGross < 0) {
+        throw new Error("Buyer amount must be zero or a positive number");
+      }
+      if (buyerGross > held + EPSILON) {
+        throw new Error(
+          `Buyer amount ${buyerGross} exceeds the ${held} ${escrow.token} held`,
+        );
+      }
+      buyerGross = Math.min(buyerGross, held);
+      buyerPercent = (buyerGross / held) * 100;
+    }
+
+    let sellerGross = held - buyerGross;
+    if (buyerGross < EPSILON) buyerGross = 0;
+    if (sellerGross < EPSILON) sellerGross = 0;
+
+    const feeRate = typeof escrow.feeRate === "number" ? escrow.feeRate : 0.75;
+    const networkFee = Number(escrow.networkFee || 0);
+    const serviceFee = buyerGross > 0 ? (buyerGross * feeRate) / 100 : 0;
+    const buyerNet = buyerGross > 0 ? buyerGross - serviceFee - networkFee : 0;
+    const sellerNet = sellerGross > 0 ? sellerGross - networkFee : 0;
+
+    if (buyerGross > 0 && buyerNet <= 0) {
+      throw new Error(
+        `Buyer share ${buyerGross.toFixed(5)} is too small to cover fees`,
+      );
+    }
+    if (sellerGross > 0 && sellerNet <= 0) {
+      throw new Error(
+        `Seller share ${sellerGross.toFixed(
+          5,
+        )} is too small to cover the network fee`,
+      );
+    }
+
+    return {
+      heldAmount: held,
+      buyerPercent,
+      buyerGross,
+      sellerGross,
+      feeRate,
+      serviceFee,
+      networkFee,
+      buyerNet,
+      sellerNet,
+    };
+  }
+
+  /**
+   * Record a split for an escrow. Nothing is paid until execute().
+   * @param {Object} escrow
+   * @param {{buyerAmount?:number, buyerPercent?:number}} share
+   * @param {Object} actor - Admin actor
+   * @param {{source?:string, disputeCaseNumber?:number, note?:string}} [options]
+   */
+  async propose(escrow, share, actor, options = {}) {
+    const split = this.computeSplit(escrow, share);
+    if (split.buyerNet > 0 && !escrow.buyerAddress) {
+      throw new Error("Buyer address is not set");
+    }
+    if (split.sellerNet > 0 && !escrow.sellerAddress) {
+      throw new Error("Seller address is not set");
+    }
+
+    return Settlement.create({
+      escrowId: escrow.escrowId,
+      groupId: escrow.groupId,
+      source: options.source || "admin",
+      disputeCaseNumber: options.disputeCaseNumber ?? null,
+      token: escrow.token,
+      network: escrow.chain,
+      ...split,
+      buyerAddress: escrow.buyerAddress,
+      sellerAddress: escrow.sellerAddress,
+      note: options.note || null,
+      requestedById: actor?.id ?? null,
+      requestedByUsername: actor?.username || null,
+    });
+  }
+
+  async cancel(settlement, actor) {
+    if (settlement.status !== "proposed") {
+      throw settlementError(
+        "SETTLEMENT_CLOSED",
+        `Settlement ${settlement._id} is ${settlement.status}`,
+        `❌ This settlement is already ${settlement.status}.`,
+      );
+    }
+    settlement.status = "cancelled";
+    settlement.confirmedById = actor?.id ?? null;
+    settlement.confirmedByUsername = actor?.username || null;
+    await settlement.save();
+    return settlement;
+  }
+
+  isSettlementError(error) {
+    return (
+      typeof error?.code === "string" && error.code.startsWith("SETTLEMENT_")
+    );
+  }
+
+  /**
+   * Pay both legs, settle the escrow and send the combined receipt.
+   * Safe to call again on an executing settlement: legs already paid are
+   * skipped.
+   * @param {Object} settlement
+   * @param {Object} actor - Admin actor
+   * @param {Object} telegram
+   * @returns {Promise<{settlement:Object, escrow:Object}>}
+   */
+  async execute(settlement, actor, telegram) {
+    try {
+      return await LeaseService.withEscrowLock(settlement.escrowId, async () =>
+        this.executeLocked(
+          (await Settlement.findById(settlement._id)) || settlement,
+          actor,
+          telegram,
+        ),
+      );
+    } catch (error) {
+      if (LeaseService.isLeaseBusy(error)) {
+        throw settlementError(
+          "SETTLEMENT_IN_PROGRESS",
+          error.message,
+          error.userMessage,
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * execute, with the escrow lock held and the settlement reloaded, so it
+   * acts on what an earlier execution left rather than a copy read before
+   */
+  async executeLocked(settlement, actor, telegram) {
+    if (!["proposed", "executing"].includes(settlement.status)) {
+      throw settlementError(
+        "SETTLEMENT_CLOSED",
+        `Settlement ${settlement._id} is ${settlement.status}`,
+        `❌ This settlement is already ${settlement.status}.`,
+      );
+    }
+
+    const escrow = await Escrow.findOne({ escrowId: settlement.escrowId });
+    if (!escrow) {
+      throw new Error(`Escrow ${settlement.escrowId} not found`);
+    }
+
+    const finalStatus = settlement.buyerNet > 0 ? "completed" : "refunded";
+    const escrowBefore = AuditService.snapshotEscrow(escrow);
+
+    if (settlement.status === "proposed") {
+      const held = this.getHeldAmount(escrow);
+      if (Math.abs(held - settlement.heldAmount) > EPSILON) {
+        throw settlementError(
+          "SETTLEMENT_STALE",
+          `Escrow ${escrow.escrowId} now holds ${held}, settlement was for ${settlement.heldAmount}`,
+          `❌ The trade balance changed since this split was proposed (${settlement.heldAmount} → ${held} ${escrow.token}). Please run /settle again.`,
+        );
+      }
+      EscrowStateService.assertTransition(
+        escrow,
+        finalStatus === "completed" &&
+          !["ready_to_release", "disputed"].includes(escrow.status)
+          ? "ready_to_release"
+          : finalStatus,
+        actor,
+      );
+      if (
+        await Payout.exists({
+          escrowId: escrow.escrowId,
+          activeKey: escrow.escrowId,
+        })
+      ) {
+        throw settlementError(
+          "SETTLEMENT_IN_PROGRESS",
+          `Escrow ${escrow.escrowId} has a payout in flight`,
+          "⏳ A payout for this trade is already being processed. Please wait for it to confirm before settling.",
+        );
+      }
+
+      settlement.status = "executing";
+      settlement.activeKey = escrow.escrowId;
+      settlement.confirmedById = actor?.id ?? null;
+      settlement.confirmedByUsername = actor?.username || null;
+      try {
+        await settlement.save();
+      } catch (error) {
+        if (error?.code === 11000) {
+          throw settlementError(
+            "SETTLEMENT_IN_PROGRESS",
+            `Escrow ${escrow.escrowId} already has a settlement in flight`,
+            "⏳ Another settlement for this trade is already being processed.",
+          );
+        }
+        throw error;
+      }
+    }
+
+    if (
+      finalStatus === "completed" &&
+      !["ready_to_release", "disputed", "completed"].includes(escrow.status)
+    ) {
+      EscrowStateService.transition(
+        escrow,
+        "ready_to_release",
+        actor,
+        "split settlement confirmed",
+      );
+      await escrow.save();
+    } else {
+      EscrowStateService.assertTransition(escrow, finalStatus, actor);
+    }
+
+    try {
+      await this.payLeg(settlement, escrow, "release", actor);
+      await this.payLeg(settlement, escrow, "refund", actor);
+    } catch (error) {
+      settlement.error = error?.message || String(error);
+      await settlement.save();
+      throw error;
+    }
+
+    if (!escrow.quantity || escrow.quantity <= 0) {
+      escrow.quantity = settlement.heldAmount;
+    }
+    EscrowStateService.transition(
+      escrow,
+      finalStatus,
+      actor,
+      settlement.source === "dispute"
+        ? `dispute case #${settlement.disputeCaseNumber} settled`
+        : "split settlement executed",
+    );
+    if (finalStatus === "completed") {
+      escrow.completedAt = new Date();
+    }
+    escrow.accumulatedDepositAmount = 0;
+    escrow.depositAmount = 0;
+    escrow.confirmedAmount = 0;
+    escrow.accumulatedDepositAmountWei = "0";
+    escrow.pendingReleaseAmount = null;
+    escrow.pendingRefundAmount = null;
+    await escrow.save();
+
+    settlement.status = "completed";
+    settlement.activeKey = undefined;
+    settlement.error = null;
+    settlement.completedAt = new Date();
+    await settlement.save();
+
+    await AuditService.record({
+      action: "settlement.execute",
+      actor,
+      escrowId: escrow.escrowId,
+      groupId: escrow.groupId,
+      before: escrowBefore,
+      after: {
+        ...AuditService.snapshotEscrow(escrow),
+        settlementId: String(settlement._id),
+        source: settlement.source,
+        buyerNet: settlement.buyerNet,
+        sellerNet: settlement.sellerNet,
+        serviceFee: settlement.serviceFee,
+        networkFee: settlement.networkFee,
+      },
+      txHashes: [
+        settlement.releaseTransactionHash,
+        settlement.refundTransactionHash,
+      ],
+      note: settlement.note,
+    });
+
+    await JobQueueService.enqueue(
+      "group.settle_and_recycle",
+      { escrowId: escrow.escrowId },
+      {
+        delayMs: 5 * 60 * 1000,
+        dedupeKey: `group.settle_and_recycle:${escrow.escrowId}`,
+      },
+    );
+
+    if (telegram) {
+      await this.sendReceipts(settlement, escrow, telegram);
+    }
+
+    return { settlement, escrow };
+  }
+
+  /**
+   * Pay one leg unless it has no share or was already paid. A leg whose
+   * payout was sent by an interrupted run is picked up from the Payout log.
+   */
+  async payLeg(settlement, escrow, kind, actor) {
+    const isRelease = kind === "release";
+    const amount = isRelease ? settlement.buyerNet : settlement.sellerNet;
+    const hashField = isRelease
+      ? "releaseTransactionHash"
+      : "refundTransactionHash";
+    if (amount <= 0 || settlement[hashField]) return;
+
+    let txHash = null;
+    const earlier = await Payout.findOne({
+      settlementId: String(settlement._id),
+      kind,
+      status: { $ne: "failed" },
+    });
+    if (earlier) {
+      if (earlier.status === "pending") {
+        throw settlementError(
+          "SETTLEMENT_LEG_UNCONFIRMED",
+          `Settlement ${settlement._id} ${kind} leg ${earlier._id} is not confirmed`,
+          `⚠️ The ${kind} leg of this settlement was sent but is not confirmed yet${
+            earlier.txHash ? `:\n<code>${earlier.txHash}</code>` : ""
+          }\n\nIt will be checked automatically; try again once it confirms.`,
+        );
+      }
+      txHash = earlier.txHash;
+    } else {
+      const options = {
+        contractAddress: escrow.contractAddress,
+        actor,
+        settlementId: String(settlement._id),
+        fees: {
+          serviceFee: isRelease ? settlement.serviceFee : 0,
+          networkFee: settlement.networkFee,
+        },
+      };
+      const result = isRelease
+        ? await PayoutService.releaseFunds(
+            escrow,
+            settlement.buyerAddress,
+            amount,
+            null,
+            options,
+          )
+        : await PayoutService.refundFunds(
+            escrow,
+            settlement.sellerAddress,
+            amount,
+            null,
+            options,
+          );
+      txHash = result.transactionHash;
+    }
+
+    if (!PayoutService.isRecordedOn(escrow, { txHash })) {
+      escrow[hashField] = txHash;
+      if (isRelease) {
+        escrow.partialReleaseTransactionHashes.push(txHash);
+      } else {
+        escrow.partialRefundTransactionHashes.push(txHash);
+      }
+      await escrow.save();
+    }
+    settlement[hashField] = txHash;
+    await settlement.save();
+  }
+
+  /**
+   * HTML breakdown of both legs, used for the confirmation and the receipt
+   */
+  formatBreakdown(settlement) {
+    const token = settlement.token;
+    const lines = [
+      `💰 <b>Held:</b> ${settlement.heldAmount.toFixed(5)} ${token}`,
+      "",
+      `👤 <b>Buyer</b> (${settlement.buyerPercent.toFixed(2)}%)`,
+    ];
+    if (settlement.buyerGross > 0) {
+      lines.push(
+        `   Share: ${settlement.buyerGross.toFixed(5)} ${token}`,
+        `   Service fee: -${settlement.serviceFee.toFixed(5)} ${token} (${
+          settlement.feeRate
+        }%)`,
+        `   Network fee: -${settlement.networkFee} ${token}`,
+        `   <b>Receives:</b> ${settlement.buyerNet.toFixed(5)} ${token}`,
+      );
+    } else {
+      lines.push("   Receives nothing");
+    }
+    lines.push(
+      "",
+      `👤 <b>Seller</b> (${(100 - settlement.buyerPercent).toFixed(2)}%)`,
+    );
+    if (settlement.sellerGross > 0) {
+      lines.push(
+        `   Share: ${settlement.sellerGross.toFixed(5)} ${token}`,
+        `   Network fee: -${settlement.networkFee} ${token}`,
+        `   <b>Receives:</b> ${settlement.sellerNet.toFixed(5)} ${token}`,
+      );
+    } else {
+      lines.push("   Receives nothing");
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * One combined receipt to the room, the completion feed and both parties
+   */
+  async sendReceipts(settlement, escrow, telegram) {
+    if (settlement.receiptSentAt) return;
+
+    const legLines = [];
+    if (settlement.releaseTransactionHash) {
+      const link = CompletionFeedService.getExplorerLink(
+        settlement.network,
+        settlement.releaseTransactionHash,
+      );
+      legLines.push(
+        `🔗 Buyer payout: <a href="${link}">${settlement.releaseTransactionHash.slice(
+          0,
+          12,
+        )}…</a>`,
+      );
+    }
+    if (settlement.refundTransactionHash) {
+      const link = CompletionFeedService.getExplorerLink(
+        settlement.network,
+        settlement.refundTransactionHash,
+      );
+      legLines.push(
+        `🔗 Seller refund: <a href="${link}">${settlement.refundTransactionHash.slice(
+          0,
+          12,
+        )}…</a>`,
+      );
+    }
+
+    try {
+      await telegram.sendMessage(
+        escrow.groupId,
+        `🧾 <b>Settlement Receipt</b>\n\n<b>Trade ID:</b> #${
+          escrow.escrowId
+        }\n\n${this.formatBreakdown(settlement)}\n\n${legLines.join("\n")}${
+          settlement.note
+            ? `\n\n📝 <b>Note:</b> ${CompletionFeedService.escapeHtml(
+                settlement.note,
+              )}`
+            : ""
+        }\n\nThe trade is now ${escrow.status}.`,
+        { parse_mode: "HTML", disable_web_page_preview: true },
+      );
+    } catch (error) {
+      console.error("Error sending settlement receipt:", error);
+    }
+
+    try {
+      await CompletionFeedService.handleSettlement({
+        escrow,
+        settlement,
+        telegram,
+      });
+    } catch (error) {
+      console.error("Error logging settlement to completion feed:", error);
+    }
+
+    settlement.receiptSentAt = new Date();
+    await settlement.save();
+  }
+}
+
+module.exports = new SettlementService();
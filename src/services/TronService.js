@@ -1,6 +1,9 @@
 const TronWeb = require("tronweb");
+const { ethers } = require("ethers");
 const ContractModel = require("../models/Contract");
 const config = require("../../config");
+const MetricsService = require("./MetricsService");
+const PayoutAuthorizationService = require("./PayoutAuthorizationService");
 
 const ESCROW_VAULT_ABI = [
   {
@@ -47,6 +50,69 @@ const ESCROW_VAULT_ABI = [
     stateMutability: "view",
     type: "function",
   },
+  {
+    inputs: [{ internalType: "bytes32", name: "", type: "bytes32" }],
+    name: "escrowBalances",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "totalLiabilities",
+    outputs: [{ internalType: "uint256", name: "", type: "uint256" }],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      { internalType: "bytes32", name: "escrowId", type: "bytes32" },
+      { internalType: "uint256", name: "amount", type: "uint256" },
+    ],
+    name: "creditDeposit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { internalType: "bytes32", name: "escrowId", type: "bytes32" },
+      { internalType: "uint256", name: "amount", type: "uint256" },
+    ],
+    name: "reverseDeposit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { internalType: "bytes32", name: "escrowId", type: "bytes32" },
+      { internalType: "address", name: "to", type: "address" },
+      { internalType: "uint256", name: "amount", type: "uint256" },
+    ],
+    name: "releaseEscrow",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      { internalType: "bytes32", name: "escrowId", type: "bytes32" },
+      { internalType: "address", name: "to", type: "address" },
+      { internalType: "uint256", name: "amount", type: "uint256" },
+    ],
+    name: "refundEscrow",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [{ internalType: "bytes32", name: "escrowId", type: "bytes32" }],
+    name: "closeEscrow",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
 ];
 
 class TronService {
@@ -61,6 +127,8 @@ class TronService {
       "https://tron-rpc.publicnode.com",
     ];
     this.currentProviderIndex = 0;
+    // Vault address => names of the functions in its on-chain ABI
+    this.vaultFunctions = new Map();
   }
 
   async init() {
@@ -73,6 +141,7 @@ class TronService {
       fullHost: this.providers[this.currentProviderIndex],
       privateKey,
     });
+    this.instrument(this.tronWeb);
 
     this.initialized = true;
   }
@@ -90,6 +159,28 @@ class TronService {
       fullHost: newProvider,
       privateKey,
     });
+    this.instrument(this.tronWeb);
+  }
+
+  /**
+   * Record latency and errors of every HTTP call TronWeb makes. Addresses in
+   * the path are masked so each endpoint is one metric series.
+   */
+  instrument(tronWeb) {
+    ["fullNode", "solidityNode", "eventServer"].forEach((node) => {
+      const provider = tronWeb[node];
+      if (!provider || typeof provider.request !== "function") return;
+      const request = provider.request.bind(provider);
+      provider.request = (url, ...args) => {
+        const method = String(url)
+          .split("?")[0]
+          .replace(/^\//, "")
+          .replace(/T[1-9A-HJ-NP-Za-km-z]{33}|0x[0-9a-fA-F]{40}/g, ":address");
+        return MetricsService.timeRpc("TRON", method, () =>
+          request(url, ...args),
+        );
+      };
+    });
   }
 
   toSun(amount) {
@@ -132,6 +223,9 @@ class TronService {
     amount,
     groupId = null,
     contractAddress = null,
+    escrowId = null,
+    hooks = {},
+    feeSun = 0,
   }) {
     try {
       let contract, address;
@@ -160,25 +254,89 @@ class TronService {
         }
       }
 
+      const feeWallet = await this._getFeeSplitWallet(address, feeSun);
+      const feeSplitSun = feeWallet ? BigInt(feeSun.toString()) : 0n;
+      const grossAmount = Number(amount) + Number(feeSplitSun) / 1e6;
+
       // Pre-check balance
       const currentBalance = await this.getTokenBalance(tokenForCheck, address);
-      if (currentBalance < amount) {
+      if (currentBalance < grossAmount) {
         throw new Error(
-          `Insufficient Vault Balance: Contract has ${currentBalance} but needs ${amount}`,
+          `Insufficient Vault Balance: Contract has ${currentBalance} but needs ${grossAmount}`,
         );
       }
 
       const amountSun = this.toSun(amount);
+      const grossSun = BigInt(amountSun.toString()) + feeSplitSun;
 
-      const tx = await contract.release(to, amountSun).send({
-        feeLimit: 100_000_000, // 100 TRX sun
-        callValue: 0,
-      });
+      const ledgerKey = await this._getLedgerKeyForPayout(
+        address,
+        escrowId,
+        grossSun,
+      );
+      const authorization = await this._authorizePayout(
+        address,
+        "release",
+        ledgerKey,
+        to,
+        amountSun,
+        feeSplitSun,
+      );
+      const tx = authorization
+        ? await this._sendVaultCall(
+            address,
+            "releaseWithSignature(bytes32,address,uint256,uint256,uint256,uint256,bytes)",
+            [
+              { type: "bytes32", value: authorization.escrowId },
+              { type: "address", value: to },
+              { type: "uint256", value: amountSun.toString() },
+              { type: "uint256", value: feeSplitSun.toString() },
+              { type: "uint256", value: authorization.nonce.toString() },
+              { type: "uint256", value: authorization.deadline },
+              { type: "bytes", value: authorization.signature },
+            ],
+            hooks,
+            { feeWallet },
+          )
+        : feeWallet
+        ? await this._sendVaultCall(
+            address,
+            "releaseWithFee(bytes32,address,uint256,uint256)",
+            [
+              { type: "bytes32", value: ledgerKey || ethers.ZeroHash },
+              { type: "address", value: to },
+              { type: "uint256", value: amountSun.toString() },
+              { type: "uint256", value: feeSplitSun.toString() },
+            ],
+            hooks,
+            { feeWallet },
+          )
+        : ledgerKey
+        ? await this._sendVaultCall(
+            address,
+            "releaseEscrow(bytes32,address,uint256)",
+            [
+              { type: "bytes32", value: ledgerKey },
+              { type: "address", value: to },
+              { type: "uint256", value: amountSun.toString() },
+            ],
+            hooks,
+          )
+        : await this._sendVaultCall(
+            address,
+            "release(address,uint256)",
+            [
+              { type: "address", value: to },
+              { type: "uint256", value: amountSun.toString() },
+            ],
+            hooks,
+          );
 
       return {
         success: true,
         transactionHash: tx,
         contractAddress: address,
+        feeWallet,
       };
     } catch (error) {
       console.error("TRON releaseFunds error:", error);
@@ -192,6 +350,9 @@ class TronService {
     amount,
     groupId = null,
     contractAddress = null,
+    escrowId = null,
+    hooks = {},
+    feeSun = 0,
   }) {
     try {
       let contract, address;
@@ -220,25 +381,89 @@ class TronService {
         }
       }
 
+      const feeWallet = await this._getFeeSplitWallet(address, feeSun);
+      const feeSplitSun = feeWallet ? BigInt(feeSun.toString()) : 0n;
+      const grossAmount = Number(amount) + Number(feeSplitSun) / 1e6;
+
       // Pre-check balance
       const currentBalance = await this.getTokenBalance(tokenForCheck, address);
-      if (currentBalance < amount) {
+      if (currentBalance < grossAmount) {
         throw new Error(
-          `Insufficient Vault Balance: Contract has ${currentBalance} but needs ${amount}`,
+          `Insufficient Vault Balance: Contract has ${currentBalance} but needs ${grossAmount}`,
         );
       }
 
       const amountSun = this.toSun(amount);
+      const grossSun = BigInt(amountSun.toString()) + feeSplitSun;
 
-      const tx = await contract.refund(to, amountSun).send({
-        feeLimit: 100_000_000, // 100 TRX sun
-        callValue: 0,
-      });
+      const ledgerKey = await this._getLedgerKeyForPayout(
+        address,
+        escrowId,
+        grossSun,
+      );
+      const authorization = await this._authorizePayout(
+        address,
+        "refund",
+        ledgerKey,
+        to,
+        amountSun,
+        feeSplitSun,
+      );
+      const tx = authorization
+        ? await this._sendVaultCall(
+            address,
+            "refundWithSignature(bytes32,address,uint256,uint256,uint256,uint256,bytes)",
+            [
+              { type: "bytes32", value: authorization.escrowId },
+              { type: "address", value: to },
+              { type: "uint256", value: amountSun.toString() },
+              { type: "uint256", value: feeSplitSun.toString() },
+              { type: "uint256", value: authorization.nonce.toString() },
+              { type: "uint256", value: authorization.deadline },
+              { type: "bytes", value: authorization.signature },
+            ],
+            hooks,
+            { feeWallet },
+          )
+        : feeWallet
+        ? await this._sendVaultCall(
+            address,
+            "refundWithFee(bytes32,address,uint256,uint256)",
+            [
+              { type: "bytes32", value: ledgerKey || ethers.ZeroHash },
+              { type: "address", value: to },
+              { type: "uint256", value: amountSun.toString() },
+              { type: "uint256", value: feeSplitSun.toString() },
+            ],
+            hooks,
+            { feeWallet },
+          )
+        : ledgerKey
+        ? await this._sendVaultCall(
+            address,
+            "refundEscrow(bytes32,address,uint256)",
+            [
+              { type: "bytes32", value: ledgerKey },
+              { type: "address", value: to },
+              { type: "uint256", value: amountSun.toString() },
+            ],
+            hooks,
+          )
+        : await this._sendVaultCall(
+            address,
+            "refund(address,uint256)",
+            [
+              { type: "address", value: to },
+              { type: "uint256", value: amountSun.toString() },
+            ],
+            hooks,
+          );
 
       return {
         success: true,
         transactionHash: tx,
         contractAddress: address,
+        feeWallet,
       };
     } catch (error) {
       console.error("TRON refundFunds error:", error);
@@ -246,6 +471,65 @@ class TronService {
     }
   }
 
+  /**
+   * Build, sign and broadcast a vault call. The signed transaction is handed
+   * to `hooks.onSigned` before broadcast so its txID can be persisted first.
+   * @returns {Promise<string>} Transaction ID
+   */
+  async _sendVaultCall(
+    contractAddress,
+    functionSelector,
+    parameters,
+    hooks = {},
+    { feeWallet = null } = {},
+  ) {
+    const { transaction } =
+      await this.tronWeb.transactionBuilder.triggerSmartContract(
+        contractAddress,
+        functionSelector,
+        { feeLimit: 100_000_000, callValue: 0 }, // 100 TRX sun
+        parameters,
+        this.tronWeb.defaultAddress.hex,
+      );
+    const signed = await this.tronWeb.trx.sign(transaction);
+
+    if (hooks.onSigned) {
+      await hooks.onSigned({
+        txHash: signed.txID,
+        signedTx: JSON.stringify(signed),
+        nonce: null,
+        contractAddress,
+        expiresAt: new Date(signed.raw_data.expiration),
+        feeWallet,
+      });
+    }
+
+    await this.broadcastSignedTransaction(signed);
+    if (hooks.onBroadcast) {
+      await hooks.onBroadcast({ txHash: signed.txID });
+    }
+    return signed.txID;
+  }
+
+  /**
+   * Send a signed transaction (object or JSON string). Re-sending one the
+   * network already has is not an error.
+   * @returns {Promise<string>} Transaction ID
+   */
+  async broadcastSignedTransaction(signedTx) {
+    await this.init();
+    const signed =
+      typeof signedTx === "string" ? JSON.parse(signedTx) : signedTx;
+    const result = await this.tronWeb.trx.sendRawTransaction(signed);
+    if (!result?.result && result?.code !== "DUP_TRANSACTION_ERROR") {
+      const detail = result?.message
+        ? this.tronWeb.toUtf8(result.message)
+        : result?.code;
+      throw new Error(`TRON broadcast failed: ${detail || "unknown error"}`);
+    }
+    return signed.txID;
+  }
+
   async withdrawToken({ contractAddress, token = "USDT", to }) {
     await this.init();
     try {
@@ -265,6 +549,15 @@ class TronService {
         contractAddress,
       );
 
+      // withdrawToken sends the vault's whole balance (only the unallocated
+      // part on vaults with a sub-ledger); read it first so the amount swept
+      // can be booked
+      const tokenContract = await this.tronWeb.contract().at(tokenAddress);
+      const amountSun = await this.readVault({
+        contractAddress,
+        method: "unallocatedBalance",
+      }).catch(() => tokenContract.balanceOf(contractAddress).call());
+
       console.log(`[TRON] Calling withdrawToken on vault contract...`);
 
       const tx = await contract.withdrawToken(tokenAddress, to).send({
@@ -279,6 +572,7 @@ class TronService {
         success: true,
         transactionHash: tx,
         contractAddress: contractAddress,
+        amountWei: amountSun.toString(),
       };
     } catch (error) {
       console.error("[TRON] withdrawToken error:", error);
@@ -329,6 +623,273 @@ class TronService {
     }
   }
 
+  /**
+   * Pick the sub-ledger for a payout; null when the vault predates it or the
+   * escrow was never credited on-chain (caller uses the pooled release/refund).
+   * Vaults without the pooled calls only pay from a trade's credit; an
+   * uncredited trade is refused rather than credited out of other trades'
+   * funds.
+   */
+  async _getLedgerKeyForPayout(contractAddress, escrowId, amountSun) {
+    const pooled = await this._vaultHas(contractAddress, "release");
+    if (!escrowId) {
+      if (pooled) return null;
+      throw new Error(
+        `Vault ${contractAddress} only pays out a trade's credit; no escrow given`,
+      );
+    }
+
+    const key = ethers.id(String(escrowId));
+    let credited;
+    try {
+      const vault = await this.tronWeb.contract(
+        ESCROW_VAULT_ABI,
+        contractAddress,
+      );
+      credited = BigInt((await vault.escrowBalances(key).call()).toString());
+    } catch (e) {
+      return null;
+    }
+
+    const needed = BigInt(amountSun.toString());
+    if (credited === 0n) {
+      if (pooled) return null;
+      throw new Error(
+        `Escrow Not Credited: Escrow ${escrowId} has nothing credited in vault ${contractAddress}`,
+      );
+    }
+    if (credited < needed) {
+      throw new Error(
+        `Insufficient Escrow Balance: Escrow ${escrowId} has ${
+          Number(credited) / 1e6
+        } credited in the vault but needs ${Number(needed) / 1e6}`,
+      );
+    }
+    return key;
+  }
+
+  /**
+   * Where a payout's fee goes when the vault can split it off on-chain; null
+   * when there is no fee, the vault predates releaseWithFee or has no fee
+   * wallet (the fee then stays in the vault until swept)
+   */
+  async _getFeeSplitWallet(contractAddress, feeSun) {
+    if (!feeSun || BigInt(feeSun.toString()) <= 0n) return null;
+    if (!(await this._vaultHas(contractAddress, "releaseWithFee"))) {
+      return null;
+    }
+    const feeWallet = await this.readVault({
+      contractAddress,
+      method: "feeWallet",
+    });
+    return /^(0x|41)?0{40}$/.test(feeWallet)
+      ? null
+      : this.tronWeb.address.fromHex(feeWallet);
+  }
+
+  /**
+   * Whether a vault has the function `name`. The ABI is read from the chain,
+   * so vaults deployed at different times differ.
+   */
+  async _vaultHas(contractAddress, name) {
+    if (!this.vaultFunctions.has(contractAddress)) {
+      const vault = await this.tronWeb.contract().at(contractAddress);
+      this.vaultFunctions.set(
+        contractAddress,
+        new Set(
+          (vault.abi || [])
+            .filter((entry) => entry.type === "function")
+            .map((entry) => entry.name),
+        ),
+      );
+    }
+    return this.vaultFunctions.get(contractAddress).has(name);
+  }
+
+  /**
+   * Wait for a vault call to be mined, so the next call sees its effect
+   */
+  async _waitForSuccess(txHash, attempts = 10) {
+    for (let i = 0; i < attempts; i++) {
+      await this._wait(3000);
+      const status = await this.getTransactionConfirmations(txHash);
+      if (status?.found) {
+        if (!status.success) throw new Error(`TRON call ${txHash} failed`);
+        return;
+      }
+    }
+    throw new Error(`TRON call ${txHash} was not mined in time`);
+  }
+
+  _evmAddress(address) {
+    return "0x" + this.tronWeb.address.toHex(address).slice(2);
+  }
+
+  /**
+   * The vault's payout signer (20-byte hex), checked against
+   * PAYOUT_SIGNER_PRIVATE_KEY; null when payouts are unsigned
+   */
+  async _getPayoutSigner(contractAddress) {
+    let vaultSigner;
+    try {
+      vaultSigner = await this.readVault({ contractAddress, method: "signer" });
+    } catch (e) {
+      // Vaults deployed before signed payouts have no signer()
+      return null;
+    }
+    vaultSigner = this._evmAddress(vaultSigner);
+    if (vaultSigner === ethers.ZeroAddress) return null;
+
+    PayoutAuthorizationService.assertSignerFor(vaultSigner, contractAddress);
+    return vaultSigner;
+  }
+
+  /**
+   * EIP-712 authorization for a payout when the vault has a signer set;
+   * null when it takes the owner's unsigned release/refund. Addresses are
+   * signed in their 20-byte form, as the TVM sees them.
+   */
+  async _authorizePayout(
+    contractAddress,
+    kind,
+    ledgerKey,
+    to,
+    amountSun,
+    feeSun = 0n,
+  ) {
+    if (!(await this._getPayoutSigner(contractAddress))) return null;
+
+    const domainSeparator = await this.readVault({
+      contractAddress,
+      method: "domainSeparator",
+    });
+    return PayoutAuthorizationService.sign({
+      kind,
+      domainSeparator,
+      escrowKey: ledgerKey,
+      to: this._evmAddress(to),
+      amount: BigInt(amountSun.toString()),
+      fee: feeSun,
+      now: Math.floor(Date.now() / 1000),
+    });
+  }
+
+  async getVaultLedger({ contractAddress, escrowId = null }) {
+    await this.init();
+    try {
+      const vault = await this.tronWeb.contract(
+        ESCROW_VAULT_ABI,
+        contractAddress,
+      );
+      const totalLiabilitiesWei = BigInt(
+        (await vault.totalLiabilities().call()).toString(),
+      );
+      const escrowBalanceWei = escrowId
+        ? BigInt(
+            (
+              await vault.escrowBalances(ethers.id(String(escrowId))).call()
+            ).toString(),
+          )
+        : 0n;
+      return { totalLiabilitiesWei, escrowBalanceWei };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a vault keeps the per-trade sub-ledger; throws if the chain
+   * cannot be read
+   */
+  async hasVaultLedger(contractAddress) {
+    await this.init();
+    return this._vaultHas(contractAddress, "creditDeposit");
+  }
+
+  async creditDeposit({ contractAddress, escrowId, amountSun }) {
+    await this.init();
+    const vault = await this.tronWeb.contract(
+      ESCROW_VAULT_ABI,
+      contractAddress,
+    );
+    const tx = await vault
+      .creditDeposit(ethers.id(String(escrowId)), amountSun.toString())
+      .send({ feeLimit: 100_000_000, callValue: 0 });
+    await this._waitForSuccess(tx);
+    return { success: true, transactionHash: tx };
+  }
+
+  async reverseDeposit({ contractAddress, escrowId, amountSun }) {
+    await this.init();
+    const vault = await this.tronWeb.contract(
+      ESCROW_VAULT_ABI,
+      contractAddress,
+    );
+    const tx = await vault
+      .reverseDeposit(ethers.id(String(escrowId)), amountSun.toString())
+      .send({ feeLimit: 100_000_000, callValue: 0 });
+    return { success: true, transactionHash: tx };
+  }
+
+  async closeEscrow({ contractAddress, escrowId }) {
+    await this.init();
+    const vault = await this.tronWeb.contract(
+      ESCROW_VAULT_ABI,
+      contractAddress,
+    );
+    const tx = await vault
+      .closeEscrow(ethers.id(String(escrowId)))
+      .send({ feeLimit: 100_000_000, callValue: 0 });
+    return { success: true, transactionHash: tx };
+  }
+
+  /**
+   * Call a vault view. The ABI is read from the chain, so this also covers
+   * functions newer than ESCROW_VAULT_ABI.
+   */
+  async readVault({ contractAddress, method, args = [] }) {
+    await this.init();
+    const vault = await this.tronWeb.contract().at(contractAddress);
+    return await vault[method](...args).call();
+  }
+
+  async sendVaultAdminCall({ contractAddress, method, args = [] }) {
+    await this.init();
+    const vault = await this.tronWeb.contract().at(contractAddress);
+    const tx = await vault[method](...args).send({
+      feeLimit: 100_000_000,
+      callValue: 0,
+    });
+    return { success: true, transactionHash: tx };
+  }
+
+  /**
+   * Ownership, guardian, pause and payout signer state of a vault; null when
+   * it predates them
+   */
+  async getVaultControls({ contractAddress }) {
+    try {
+      const read = (method) => this.readVault({ contractAddress, method });
+      const owner = await read("owner");
+      const pendingOwner = await read("pendingOwner");
+      const guardian = await read("guardian");
+      const paused = await read("paused");
+      const signer = await read("signer").catch(() => null);
+      const isZero = (address) => !address || /^(0x|41)?0{40}$/.test(address);
+      return {
+        owner: this.tronWeb.address.fromHex(owner),
+        pendingOwner: isZero(pendingOwner)
+          ? null
+          : this.tronWeb.address.fromHex(pendingOwner),
+        guardian: this.tronWeb.address.fromHex(guardian),
+        paused: Boolean(paused),
+        signer: isZero(signer) ? null : this.tronWeb.address.fromHex(signer),
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
   _wait(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
@@ -390,6 +951,7 @@ class TronService {
             from,
             to,
             valueDecimal,
+            valueWei: String(value),
             blockNumber: ev.block_number,
             hash: ev.transaction_id,
           };
@@ -400,6 +962,59 @@ class TronService {
     }
   }
 
+  /**
+   * TRC20 Transfer events into and out of a vault since `fromBlock`. Only
+   * the latest 200 each way are returned, so when a page is full the range
+   * starts at its oldest event instead. Throws if TronGrid cannot be read.
+   * @returns {Promise<{incoming:Array<Object>,outgoing:Array<Object>,fromBlock:number}>}
+   */
+  async getVaultTransfers(token = "USDT", address, fromBlock = 0) {
+    await this.init();
+    const tokenAddress =
+      token.toUpperCase() === "USDT" ? config.USDT_TRON : null;
+    if (!tokenAddress) throw new Error(`No TRON address for ${token}`);
+
+    let coveredFrom = fromBlock;
+    const fetch = async (filters) => {
+      const events = (
+        (await this.tronWeb.getEventResult(tokenAddress, {
+          eventName: "Transfer",
+          size: 200,
+          page: 1,
+          onlyConfirmed: true,
+          filters,
+        })) || []
+      ).filter((ev) => ev && ev.result);
+      if (events.length >= 200) {
+        coveredFrom = Math.max(
+          coveredFrom,
+          Math.min(...events.map((ev) => ev.block_number)),
+        );
+      }
+      return events;
+    };
+
+    const incoming = await fetch({ to: address });
+    const outgoing = await fetch({ from: address });
+    const toTransfers = (events) =>
+      events
+        .filter((ev) => ev.block_number >= coveredFrom)
+        .map((ev) => ({
+          from: ev.result.from,
+          to: ev.result.to,
+          valueDecimal: Number(ev.result.value || "0") / 1e6,
+          valueWei: String(ev.result.value || "0"),
+          blockNumber: ev.block_number,
+          hash: ev.transaction_id,
+        }));
+
+    return {
+      incoming: toTransfers(incoming),
+      outgoing: toTransfers(outgoing),
+      fromBlock: coveredFrom,
+    };
+  }
+
   async getLatestBlockNumber() {
     await this.init();
     try {
@@ -411,6 +1026,42 @@ class TronService {
     }
   }
 
+  /**
+   * Look up how deeply a transaction is buried in the chain
+   * @param {string} txHash
+   * @returns {Promise<{found:boolean,success:boolean,blockNumber:number,confirmations:number}|null>}
+   */
+  async getTransactionConfirmations(txHash) {
+    await this.init();
+    try {
+      const info = await this._retryWithBackoff(() =>
+        this.tronWeb.trx.getTransactionInfo(txHash),
+      );
+      if (!info || !info.blockNumber) {
+        return {
+          found: false,
+          success: false,
+          blockNumber: 0,
+          confirmations: 0,
+        };
+      }
+
+      const latest = await this.getLatestBlockNumber();
+      if (!latest) return null;
+
+      const result = info.receipt && info.receipt.result;
+      return {
+        found: true,
+        success: !result || result === "SUCCESS",
+        blockNumber: info.blockNumber,
+        confirmations: Math.max(0, latest - info.blockNumber + 1),
+      };
+    } catch (error) {
+      console.error("TRON getTransactionConfirmations error:", error);
+      return null;
+    }
+  }
+
   async getTokenBalance(token, address) {
     await this.init();
     try {
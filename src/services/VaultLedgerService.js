@@ -0,0 +1,303 @@
+const Escrow = require("../models/Escrow");
+const BlockchainService = require("./BlockchainService");
+const LedgerService = require("./LedgerService");
+
+class VaultLedgerService {
+  /**
+   * Credit a confirmed deposit to the escrow's entry in the vault sub-ledger.
+   * Vaults deployed before the sub-ledger are skipped. A credit that does not
+   * land stays pending on the escrow for retryCredit.
+   * @param {Object} escrow
+   * @param {string|bigint} amountWei - Raw token amount (sun on TRON)
+   * @returns {Promise<boolean>} true if the credit landed on-chain
+   */
+  async creditDeposit(escrow, amountWei) {
+    const contractAddress = escrow.contractAddress || escrow.depositAddress;
+    if (!contractAddress || !amountWei || BigInt(amountWei) <= 0n) {
+      return false;
+    }
+
+    const pendingWei =
+      BigInt(escrow.vaultCreditPendingWei || 0) + BigInt(amountWei);
+    const targetWei = escrow.vaultCreditTargetWei
+      ? BigInt(escrow.vaultCreditTargetWei) + BigInt(amountWei)
+      : null;
+    await this.setPendingCredit(escrow, pendingWei, targetWei);
+    return this.retryCredit(escrow);
+  }
+
+  /**
+   * Send the escrow's pending credit to the vault, or confirm that an
+   * earlier attempt already landed
+   * @param {Object} escrow
+   * @returns {Promise<boolean>} true once nothing is pending
+   */
+  async retryCredit(escrow) {
+    const contractAddress = escrow.contractAddress || escrow.depositAddress;
+    if (!escrow.vaultCreditPendingWei) return true;
+
+    try {
+      if (
+        !contractAddress ||
+        !(await BlockchainService.hasVaultLedger(escrow.chain, contractAddress))
+      ) {
+        await this.setPendingCredit(escrow, null, null);
+        return true;
+      }
+
+      const ledger = await BlockchainService.getVaultLedger(
+        escrow.token,
+        escrow.chain,
+        contractAddress,
+        escrow.escrowId,
+      );
+      if (!ledger) {
+        throw new Error(`Could not read the sub-ledger of ${contractAddress}`);
+      }
+
+      let targetWei = escrow.vaultCreditTargetWei;
+      if (!targetWei) {
+        targetWei =
+          BigInt(ledger.escrowBalanceWei) +
+          BigInt(escrow.vaultCreditPendingWei);
+        await this.setPendingCredit(
+          escrow,
+          escrow.vaultCreditPendingWei,
+          targetWei,
+        );
+      }
+
+      const missingWei = BigInt(targetWei) - BigInt(ledger.escrowBalanceWei);
+      if (missingWei > 0n) {
+        await BlockchainService.creditEscrowDeposit(
+          escrow.token,
+          escrow.chain,
+          contractAddress,
+          escrow.escrowId,
+          missingWei.toString(),
+        );
+      }
+
+      await Escrow.updateOne(
+        { _id: escrow._id },
+        {
+          $set: {
+            vaultLedgerStatus: "open",
+            vaultCreditPendingWei: null,
+            vaultCreditTargetWei: null,
+          },
+        },
+      );
+      escrow.vaultLedgerStatus = "open";
+      escrow.vaultCreditPendingWei = null;
+      escrow.vaultCreditTargetWei = null;
+      return true;
+    } catch (error) {
+      console.error(
+        `Error crediting vault sub-ledger for escrow ${escrow.escrowId}:`,
+        error,
+      );
+      return false;
+    }
+  }
+
+  async setPendingCredit(escrow, pendingWei, targetWei) {
+    const pending = pendingWei === null ? null : String(pendingWei);
+    const target = targetWei === null ? null : String(targetWei);
+    await Escrow.updateOne(
+      { _id: escrow._id },
+      {
+        $set: { vaultCreditPendingWei: pending, vaultCreditTargetWei: target },
+      },
+    );
+    escrow.vaultCreditPendingWei = pending;
+    escrow.vaultCreditTargetWei = target;
+  }
+
+  /**
+   * Take back the vault credit of deposits a reorg removed, so the trade
+   * cannot be paid out of tokens the vault no longer holds. The vault only
+   * reverses as much as it is actually short of; anything beyond that stays
+   * credited and is reported.
+   * @param {Object} escrow
+   * @param {string|bigint} amountWei - Raw amount of the dropped deposits
+   * @returns {Promise<bigint>} raw amount reversed on-chain
+   */
+  async reverseDeposit(escrow, amountWei) {
+    const contractAddress = escrow.contractAddress || escrow.depositAddress;
+
+    // A credit still pending is taken back before it is sent
+    if (escrow.vaultCreditPendingWei && !(await this.retryCredit(escrow))) {
+      const pendingWei = BigInt(escrow.vaultCreditPendingWei);
+      const droppedWei = BigInt(amountWei || 0);
+      const takenWei = pendingWei < droppedWei ? pendingWei : droppedWei;
+      await this.setPendingCredit(
+        escrow,
+        pendingWei > takenWei ? pendingWei - takenWei : null,
+        escrow.vaultCreditTargetWei && pendingWei > takenWei
+          ? BigInt(escrow.vaultCreditTargetWei) - takenWei
+          : null,
+      );
+      amountWei = droppedWei - takenWei;
+    }
+
+    if (
+      escrow.vaultLedgerStatus !== "open" ||
+      !contractAddress ||
+      !amountWei ||
+      BigInt(amountWei) <= 0n
+    ) {
+      return 0n;
+    }
+
+    try {
+      const ledger = await BlockchainService.getVaultLedger(
+        escrow.token,
+        escrow.chain,
+        contractAddress,
+        escrow.escrowId,
+      );
+      const shortfall = await BlockchainService.getVaultShortfall(
+        escrow.chain,
+        contractAddress,
+      ).catch(() => null);
+      // Vaults deployed before reverseDeposit keep the credit
+      if (!ledger || shortfall === null) {
+        console.warn(
+          `Vault ${contractAddress} cannot reverse the credit of escrow ${escrow.escrowId}`,
+        );
+        return 0n;
+      }
+
+      let amount = BigInt(amountWei);
+      for (const cap of [ledger.escrowBalanceWei, shortfall]) {
+        if (cap < amount) amount = cap;
+      }
+      if (amount < BigInt(amountWei)) {
+        console.warn(
+          `Vault ${contractAddress} reverses only ${amount} of ${amountWei} credited to escrow ${escrow.escrowId}`,
+        );
+      }
+      if (amount <= 0n) return 0n;
+
+      await BlockchainService.reverseEscrowDeposit(
+        escrow.token,
+        escrow.chain,
+        contractAddress,
+        escrow.escrowId,
+        amount.toString(),
+      );
+      return amount;
+    } catch (error) {
+      console.error(
+        `Error reversing vault credit for escrow ${escrow.escrowId}:`,
+        error,
+      );
+      return 0n;
+    }
+  }
+
+  /**
+   * Funds each vault owes to trades that are not settled yet, read from the
+   * Escrow collection: credited deposits (already net of partial releases and
+   * refunds) plus deposits that are still confirming. `amountWei` is the same
+   * total in raw token units.
+   * @returns {Promise<Map<string,{amount:number,amountWei:bigint,escrowIds:string[]}>>} Keyed by lower-cased vault address
+   */
+  async getOpenLiabilities() {
+    const openEscrows = await Escrow.find({
+      status: { $nin: ["completed", "refunded", "cancelled"] },
+      $or: [
+        { accumulatedDepositAmount: { $gt: 0 } },
+        { depositAmount: { $gt: 0 } },
+        { "pendingDeposits.status": { $in: ["seen", "confirming"] } },
+      ],
+    });
+
+    const liabilities = new Map();
+    for (const escrow of openEscrows) {
+      const vault = escrow.contractAddress || escrow.depositAddress;
+      if (!vault) continue;
+
+      const credited = Number(
+        escrow.accumulatedDepositAmount || escrow.depositAmount || 0,
+      );
+      const confirmingEntries = (escrow.pendingDeposits || []).filter((entry) =>
+        ["seen", "confirming"].includes(entry.status),
+      );
+      const confirming = confirmingEntries.reduce(
+        (sum, entry) => sum + Number(entry.amount || 0),
+        0,
+      );
+      const owed = credited + confirming;
+      if (owed <= 0) continue;
+
+      const owedWei = confirmingEntries.reduce(
+        (sum, entry) =>
+          sum +
+          (entry.amountWei
+            ? BigInt(entry.amountWei)
+            : LedgerService.toWei(entry.amount, escrow.token, escrow.chain)),
+        LedgerService.toWei(credited, escrow.token, escrow.chain),
+      );
+
+      const key = vault.toLowerCase();
+      const current = liabilities.get(key) || {
+        amount: 0,
+        amountWei: 0n,
+        escrowIds: [],
+      };
+      current.amount += owed;
+      current.amountWei += owedWei;
+      current.escrowIds.push(escrow.escrowId);
+      liabilities.set(key, current);
+    }
+
+    return liabilities;
+  }
+
+  /**
+   * Free the leftover (retained fees, rounding dust) of every settled trade
+   * that still has an open sub-ledger entry
+   */
+  async closeSettledLedgers() {
+    const settled = await Escrow.find({
+      vaultLedgerStatus: "open",
+      status: { $in: ["completed", "refunded", "cancelled"] },
+    });
+
+    for (const escrow of settled) {
+      try {
+        await BlockchainService.closeEscrowLedger(
+          escrow.token,
+          escrow.chain,
+          escrow.contractAddress || escrow.depositAddress,
+          escrow.escrowId,
+        );
+        await Escrow.updateOne(
+          { _id: escrow._id },
+          { $set: { vaultLedgerStatus: "closed" } },
+        );
+      } catch (error) {
+        // Vaults only free the credit of a trade that paid out; anything
+        // else is still owed to someone, so stop retrying and leave it
+        if (/not-settled/.test(error?.reason || error?.message || "")) {
+          console.warn(
+            `Vault kept the credit of escrow ${escrow.escrowId}: nothing was paid out of it`,
+          );
+          await Escrow.updateOne(
+            { _id: escrow._id },
+            { $set: { vaultLedgerStatus: "held" } },
+          );
+          continue;
+        }
+        console.error(
+          `Error closing vault sub-ledger for escrow ${escrow.escrowId}:`,
+          error,
+        );
+      }
+    }
+  }
+}
+
+module.exports = new VaultLedgerService();
@@ -0,0 +1,401 @@
+const Counter = require("../models/Counter");
+const WithdrawalRequest = require("../models/WithdrawalRequest");
+const JobQueueService = require("./JobQueueService");
+const AdminService = require("./AdminService");
+const AuditService = require("./AuditService");
+const config = require("../../config");
+
+function withdrawalError(message, userMessage) {
+  const error = new Error(message);
+  error.code = "WITHDRAWAL_REJECTED";
+  error.userMessage = userMessage;
+  return error;
+}
+
+function escapeHtml(text = "") {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * M-of-N approval for treasury withdrawals. Sweeps above the configured
+ * threshold are stored as a WithdrawalRequest and only run once enough
+ * distinct admins approve; the sweep itself is done by the executor the
+ * admin handler registers for the request's scope.
+ */
+class WithdrawalApprovalService {
+  constructor() {
+    this.executors = new Map();
+  }
+
+  /**
+   * @param {"all"|"room"} scope
+   * @param {(request: Object, telegram: Object) => Promise<{results: Array, report: string}>} executor
+   */
+  registerExecutor(scope, executor) {
+    this.executors.set(scope, executor);
+  }
+
+  /**
+   * Approvals needed, the requester included. Never lowered to the number of
+   * admins allowed to withdraw: with fewer of them, large withdrawals are
+   * refused until more are added.
+   */
+  getRequiredApprovals() {
+    return Math.max(1, config.WITHDRAWAL_REQUIRED_APPROVALS);
+  }
+
+  /**
+   * Whether an approval comes from an admin who may still withdraw
+   * @returns {(approval: {adminId:number, adminUsername?:string}) => boolean}
+   */
+  getApproverCheck() {
+    const approvers = AdminService.withPermission("treasury.withdraw");
+    const ids = new Set(
+      approvers.filter((a) => a.telegramId).map((a) => Number(a.telegramId)),
+    );
+    const usernames = new Set(
+      approvers
+        .filter((a) => !a.telegramId && a.username)
+        .map((a) => a.username.toLowerCase()),
+    );
+    return ({ adminId, adminUsername }) =>
+      ids.has(Number(adminId)) ||
+      usernames.has(String(adminUsername || "").toLowerCase());
+  }
+
+  needsApproval(totalAmount) {
+    return (
+      totalAmount > config.WITHDRAWAL_APPROVAL_THRESHOLD &&
+      this.getRequiredApprovals() > 1
+    );
+  }
+
+  isWithdrawalError(error) {
+    return error?.code === "WITHDRAWAL_REJECTED";
+  }
+
+  /**
+   * Store a planned sweep for approval. The requester counts as the first
+   * approval.
+   * @param {{scope:string, network?:string, roomNumber?:number, items:Array, actor:Object}} params
+   */
+  async createRequest({ scope, network, roomNumber, items, actor }) {
+    const requiredApprovals = this.getRequiredApprovals();
+    const approverCount =
+      AdminService.withPermission("treasury.withdraw").length;
+    if (approverCount < requiredApprovals) {
+      throw withdrawalError(
+        `Withdrawal needs ${requiredApprovals} approvals but only ${approverCount} admin(s) can approve`,
+        `❌ Withdrawals over ${config.WITHDRAWAL_APPROVAL_THRESHOLD} need ${requiredApprovals} admin approvals, but only ${approverCount} admin(s) can approve. Grant another admin the treasurer role first.`,
+      );
+    }
+
+    const counter = await Counter.findByIdAndUpdate(
+      { _id: "withdrawalRequest" },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true },
+    );
+    const totalAmount = items.reduce((sum, item) => sum + item.amount, 0);
+
+    const request = await WithdrawalRequest.create({
+      requestNumber: counter.seq,
+      scope,
+      network: network || null,
+      roomNumber: roomNumber ?? null,
+      items,
+      totalAmount,
+      requiredApprovals,
+      requestedById: actor.id,
+      requestedByUsername: actor.username || null,
+      approvals: [{ adminId: actor.id, adminUsername: actor.username }],
+      audit: [
+        {
+          action: "requested",
+          actorId: actor.id,
+          actorUsername: actor.username,
+          note: `${items.length} vault(s), ${totalAmount.toFixed(4)} total`,
+        },
+      ],
+      expiresAt: new Date(Date.now() + config.WITHDRAWAL_REQUEST_TTL_MS),
+    });
+    await this.audit(request, "requested", actor);
+
+    await JobQueueService.enqueue(
+      "withdrawal.expire",
+      { requestNumber: request.requestNumber },
+      {
+        runAt: request.expiresAt,
+        dedupeKey: `withdrawal.expire:${request.requestNumber}`,
+      },
+    );
+
+    return request;
+  }
+
+  async attachMessage(request, chatId, messageId) {
+    request.chatId = chatId;
+    request.messageId = messageId;
+    await request.save();
+  }
+
+  /**
+   * Add an admin's approval. Claims the request for execution when this
+   * approval reaches the required count.
+   * @returns {Promise<{request:Object, ready:boolean}>}
+   */
+  async approve(requestNumber, actor) {
+    const now = new Date();
+    const request = await WithdrawalRequest.findOneAndUpdate(
+      {
+        requestNumber,
+        status: "pending",
+        expiresAt: { $gt: now },
+        "approvals.adminId": { $ne: actor.id },
+      },
+      {
+        $push: {
+          approvals: { adminId: actor.id, adminUsername: actor.username },
+          audit: {
+            action: "approved",
+            actorId: actor.id,
+            actorUsername: actor.username,
+          },
+        },
+      },
+      { new: true },
+    );
+
+    if (!request) {
+      const existing = await WithdrawalRequest.findOne({ requestNumber });
+      if (!existing) {
+        throw withdrawalError(
+          `Withdrawal request #${requestNumber} not found`,
+          "❌ Withdrawal request not found",
+        );
+      }
+      if (existing.status === "pending" && existing.expiresAt <= now) {
+        await this.expire(existing, null);
+      }
+      if (existing.status !== "pending") {
+        throw withdrawalError(
+          `Withdrawal request #${requestNumber} is ${existing.status}`,
+          `❌ This request is already ${existing.status}`,
+        );
+      }
+      throw withdrawalError(
+        `Admin ${actor.id} already approved withdrawal request #${requestNumber}`,
+        "ℹ️ You have already approved this request",
+      );
+    }
+
+    await this.audit(request, "approved", actor);
+
+    // Approvals of admins who have since lost the permission do not count
+    const validApprovals = request.approvals.filter(
+      this.getApproverCheck(),
+    ).length;
+    if (validApprovals < request.requiredApprovals) {
+      return { request, ready: false };
+    }
+
+    // Exactly one approver wins the move to executing
+    const claimed = await WithdrawalRequest.findOneAndUpdate(
+      { _id: request._id, status: "pending" },
+      { $set: { status: "executing" } },
+      { new: true },
+    );
+    return { request: claimed || request, ready: !!claimed };
+  }
+
+  async reject(requestNumber, actor, note = null) {
+    const request = await WithdrawalRequest.findOneAndUpdate(
+      { requestNumber, status: "pending" },
+      {
+        $set: { status: "rejected" },
+        $push: {
+          audit: {
+            action: "rejected",
+            actorId: actor.id,
+            actorUsername: actor.username,
+            note,
+          },
+        },
+      },
+      { new: true },
+    );
+    if (!request) {
+      throw withdrawalError(
+        `Withdrawal request #${requestNumber} is not pending`,
+        "❌ This request is no longer pending",
+      );
+    }
+    await JobQueueService.cancelByKey(`withdrawal.expire:${requestNumber}`);
+    await this.audit(request, "rejected", actor, note);
+    return request;
+  }
+
+  /**
+   * Expire a pending request and update its approval message
+   */
+  async expire(request, telegram) {
+    const expired = await WithdrawalRequest.findOneAndUpdate(
+      { _id: request._id, status: "pending" },
+      {
+        $set: { status: "expired" },
+        $push: { audit: { action: "expired" } },
+      },
+      { new: true },
+    );
+    if (!expired) return;
+    request.status = "expired";
+    await this.audit(expired, "expired", null);
+
+    if (telegram && expired.chatId && expired.messageId) {
+      try {
+        await telegram.editMessageText(
+          expired.chatId,
+          expired.messageId,
+          null,
+          this.formatRequest(expired),
+          { parse_mode: "HTML" },
+        );
+      } catch (error) {
+        console.error("Error updating expired withdrawal request:", error);
+      }
+    }
+  }
+
+  /**
+   * Run an approved request through its scope's executor and record the
+   * outcome per vault
+   * @returns {Promise<string>} HTML report
+   */
+  async execute(request, telegram) {
+    const executor = this.executors.get(request.scope);
+    if (!executor) {
+      throw new Error(`No withdrawal executor for scope "${request.scope}"`);
+    }
+
+    try {
+      const { results, report } = await executor(request, telegram);
+      request.status = "executed";
+      request.results = results;
+      request.executedAt = new Date();
+      request.audit.push({
+        action: "executed",
+        note: `${results.filter((r) => r.transactionHash).length}/${
+          results.length
+        } vault(s) swept`,
+      });
+      await request.save();
+      await JobQueueService.cancelByKey(
+        `withdrawal.expire:${request.requestNumber}`,
+      );
+      await this.audit(request, "executed", null);
+      return report;
+    } catch (error) {
+      request.status = "failed";
+      request.audit.push({
+        action: "failed",
+        note: (error?.message || String(error)).slice(0, 200),
+      });
+      await request.save();
+      await this.audit(request, "failed", null, request.audit.at(-1).note);
+      throw error;
+    }
+  }
+
+  /**
+   * Mirror a step of the request's own audit trail into the global audit log
+   */
+  async audit(request, step, actor, note = null) {
+    await AuditService.record({
+      action: `withdrawal.${step}`,
+      actor,
+      after: {
+        requestNumber: request.requestNumber,
+        status: request.status,
+        scope: request.scope,
+        network: request.network || null,
+        roomNumber: request.roomNumber ?? null,
+        totalAmount: request.totalAmount,
+        approvals: request.approvals.map((approval) => approval.adminId),
+        results: request.results?.length ? request.results : undefined,
+      },
+      txHashes: (request.results || []).map((result) => result.transactionHash),
+      note,
+    });
+  }
+
+  async listRecent(limit = 10) {
+    return WithdrawalRequest.find({})
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(limit, 1), 50));
+  }
+
+  keyboard(request) {
+    return {
+      inline_keyboard: [
+        [
+          {
+            text: "✅ Approve",
+            callback_data: `wd_approve_${request.requestNumber}`,
+          },
+          {
+            text: "❌ Reject",
+            callback_data: `wd_reject_${request.requestNumber}`,
+          },
+        ],
+      ],
+    };
+  }
+
+  formatRequest(request) {
+    const who = (id, username) =>
+      username ? `@${escapeHtml(username)}` : `<code>${id}</code>`;
+    const title =
+      request.scope === "room"
+        ? `MM Room ${request.roomNumber}`
+        : `all ${escapeHtml(request.network)} vaults`;
+
+    let text = `🏦 <b>Withdrawal Request #${request.requestNumber}</b> (${request.status})\n\n`;
+    text += `<b>Scope:</b> ${title}\n`;
+    text += `<b>Requested by:</b> ${who(
+      request.requestedById,
+      request.requestedByUsername,
+    )}\n\n`;
+    request.items.forEach((item) => {
+      text += `• ${item.amount.toFixed(4)} ${escapeHtml(
+        item.token,
+      )} (${escapeHtml(item.network)}) from <code>${escapeHtml(
+        item.address,
+      )}</code>\n`;
+    });
+    text += `\n<b>Total:</b> ${request.totalAmount.toFixed(4)}\n`;
+    text += `<b>Approvals:</b> ${request.approvals.length}/${
+      request.requiredApprovals
+    } - ${request.approvals
+      .map((approval) => who(approval.adminId, approval.adminUsername))
+      .join(", ")}\n`;
+    if (request.status === "pending") {
+      text += `<b>Expires:</b> ${request.expiresAt.toISOString()}`;
+    }
+    return text;
+  }
+}
+
+const withdrawalApprovalService = new WithdrawalApprovalService();
+
+JobQueueService.register(
+  "withdrawal.expire",
+  async ({ requestNumber }, { telegram }) => {
+    const request = await WithdrawalRequest.findOne({ requestNumber });
+    if (!request) return;
+    await withdrawalApprovalService.expire(request, telegram);
+  },
+);
+
+module.exports = withdrawalApprovalService;
@@ -1,5 +1,6 @@
 const Escrow = require("../models/Escrow");
 const GroupPool = require("../models/GroupPool");
+const logger = require("./logger");
 
 function buildStatusQuery(statusCondition) {
   if (!statusCondition) return {};
@@ -36,15 +37,20 @@ async function findGroupEscrow(groupId, statusCondition, extraFilters = {}) {
     };
     const byId = await Escrow.findOne(queryById);
     if (byId) {
+      logger.assign({ escrowId: byId.escrowId });
       return byId;
     }
   }
 
-  return Escrow.findOne({
+  const escrow = await Escrow.findOne({
     groupId: groupIdStr,
     ...statusQuery,
     ...baseQuery,
   }).sort({ _id: -1 });
+  if (escrow) {
+    logger.assign({ escrowId: escrow.escrowId });
+  }
+  return escrow;
 }
 
 module.exports = findGroupEscrow;
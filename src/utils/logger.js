@@ -1,7 +1,36 @@
-const originalLog = console.log;
-const originalError = console.error;
-const originalWarn = console.warn;
-const originalInfo = console.info;
+const { AsyncLocalStorage } = require("async_hooks");
+const util = require("util");
+const config = require("../../config");
+
+const originalConsole = {
+  log: console.log,
+  error: console.error,
+  warn: console.warn,
+  info: console.info,
+  debug: console.debug,
+};
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50 };
+
+// Field names whose values never reach the log
+const SECRET_KEY_PATTERN =
+  /private_?key|mnemonic|seed|secret|password|api_?key|keyhash|authorization|cookie|signedtx/i;
+
+const SECRET_PATTERNS = [
+  // Telegram bot tokens
+  /\b\d{6,12}:[A-Za-z0-9_-]{30,}\b/g,
+  // HTTP admin API keys
+  /\bp2pmm_[0-9a-f]{48}\b/g,
+];
+
+const EVM_ADDRESS_PATTERN = /\b0x[0-9a-fA-F]{40}(?![0-9a-fA-F])/g;
+const TRON_ADDRESS_PATTERN = /\bT[1-9A-HJ-NP-Za-km-z]{33}\b/g;
+
+const MAX_DEPTH = 6;
+
+// Fields of the update, job or request being handled, shared by everything
+// it calls without passing a logger around
+const storage = new AsyncLocalStorage();
 
 function getISTTimestamp() {
   return new Date().toLocaleString("en-IN", {
@@ -16,21 +45,248 @@ function getISTTimestamp() {
   });
 }
 
-// Override console methods
-console.log = (...args) => {
-  originalLog(`[${getISTTimestamp()} IST]`, ...args);
-};
+/**
+ * Configured secrets that may show up verbatim in error messages or URLs
+ */
+function configuredSecrets() {
+  const secrets = [
+    config.BOT_TOKEN,
+    config.HOT_WALLET_PRIVATE_KEY,
+    config.TRC_PRIVATE_KEY,
+    config.PAYOUT_SIGNER_PRIVATE_KEY,
+    config.ETHERSCAN_API_KEY,
+  ]
+    .filter((value) => typeof value === "string" && value.length >= 8)
+    .flatMap((value) =>
+      value.startsWith("0x") ? [value, value.slice(2)] : [value],
+    );
+  return [...new Set(secrets)].sort((a, b) => b.length - a.length);
+}
 
-console.error = (...args) => {
-  originalError(`[${getISTTimestamp()} IST]`, ...args);
-};
+const SECRETS = configuredSecrets();
 
-console.warn = (...args) => {
-  originalWarn(`[${getISTTimestamp()} IST]`, ...args);
-};
+function maskAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
 
-console.info = (...args) => {
-  originalInfo(`[${getISTTimestamp()} IST]`, ...args);
-};
+function redactString(text) {
+  let result = String(text);
+  SECRETS.forEach((secret) => {
+    result = result.split(secret).join("[REDACTED]");
+  });
+  SECRET_PATTERNS.forEach((pattern) => {
+    result = result.replace(pattern, "[REDACTED]");
+  });
+  // Credentials in connection strings
+  result = result.replace(/(\w+:\/\/)[^/\s:@]+:[^/\s@]+@/g, "$1[REDACTED]@");
+  if (config.LOG_REDACT_ADDRESSES) {
+    result = result
+      .replace(EVM_ADDRESS_PATTERN, maskAddress)
+      .replace(TRON_ADDRESS_PATTERN, maskAddress);
+  }
+  return result;
+}
+
+function serializeError(error) {
+  const serialized = {
+    type: error.name,
+    message: redactString(error.message),
+  };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.response?.error_code) {
+    serialized.status = error.response.error_code;
+  }
+  if (error.stack) serialized.stack = redactString(error.stack);
+  return serialized;
+}
+
+/**
+ * Copy of a value that is safe to serialize: secrets redacted, BigInts as
+ * strings, documents through their toJSON, cycles and deep nesting cut off
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value === "bigint") return value.toString();
+  if (typeof value !== "object") return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length}]`;
+  if (seen.has(value)) return "[Circular]";
+  if (depth >= MAX_DEPTH) return "[Object]";
+  seen.add(value);
+
+  if (typeof value.toJSON === "function") {
+    const json = value.toJSON();
+    if (json !== value) return redact(json, depth, seen);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    result[key] = SECRET_KEY_PATTERN.test(key)
+      ? "[REDACTED]"
+      : redact(value[key], depth + 1, seen);
+  });
+  return result;
+}
+
+function compact(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(
+      ([, value]) => value !== undefined && value !== null,
+    ),
+  );
+}
+
+function write(level, entry) {
+  if (config.LOG_FORMAT === "pretty") {
+    const { msg, err } = entry;
+    const fields = { ...entry };
+    ["time", "level", "msg", "err"].forEach((key) => delete fields[key]);
+    let line = `[${getISTTimestamp()} IST] ${level.toUpperCase()} ${msg}`;
+    if (Object.keys(fields).length > 0) line += ` ${JSON.stringify(fields)}`;
+    if (err) line += `\n${err.stack || `${err.type}: ${err.message}`}`;
+    (level === "error" || level === "warn"
+      ? originalConsole.error
+      : originalConsole.log)(line);
+    return;
+  }
+  const stream =
+    level === "error" || level === "warn" ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Levelled logger writing one JSON object per line. Fields come from, in
+ * increasing precedence: the current context (update, job or HTTP request),
+ * the logger's own bound fields, and the call.
+ */
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  /**
+   * Logger that adds these fields to every entry
+   * @param {Object} fields - e.g. { escrowId, groupId }
+   */
+  child(fields) {
+    return new Logger({ ...this.fields, ...compact(fields) });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= (LEVELS[config.LOG_LEVEL] || LEVELS.info);
+  }
+
+  /**
+   * @param {string} level - debug, info, warn or error
+   * @param {string} msg
+   * @param {Object|Error} [fields] - an Error is logged as `err`
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    const { err, ...rest } = extra;
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(msg),
+      ...redact({ ...storage.getStore(), ...this.fields, ...rest }),
+    };
+    if (err) {
+      entry.err =
+        err instanceof Error ? serializeError(err) : redact({ value: err });
+    }
+    try {
+      write(level, entry);
+    } catch (error) {
+      originalConsole.error("Error writing log entry:", error);
+    }
+  }
+
+  debug(msg, fields) {
+    this.log("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log("error", msg, fields);
+  }
+
+  /**
+   * Run fn with these fields attached to everything it logs, including
+   * console calls and anything it schedules
+   */
+  run(fields, fn) {
+    return storage.run({ ...storage.getStore(), ...compact(fields) }, fn);
+  }
+
+  /**
+   * Add fields to the current context once they are known, e.g. the escrow
+   * an update turned out to be about. Does nothing outside a context.
+   */
+  assign(fields) {
+    const store = storage.getStore();
+    if (store) Object.assign(store, compact(fields));
+  }
+
+  getContext() {
+    return { ...storage.getStore() };
+  }
+
+  /**
+   * Telegraf middleware giving each update its own context
+   */
+  middleware() {
+    return (ctx, next) => {
+      const isGroup =
+        ctx.chat?.type === "group" || ctx.chat?.type === "supergroup";
+      return this.run(
+        {
+          update_id: ctx.update?.update_id,
+          updateType: ctx.updateType,
+          userId: ctx.from?.id,
+          chatId: ctx.chat?.id,
+          groupId: isGroup ? String(ctx.chat.id) : undefined,
+        },
+        next,
+      );
+    };
+  }
+}
+
+const logger = new Logger();
+
+/**
+ * Existing console calls go through the logger, so they get levels, JSON
+ * output, context fields and redaction. The first Error argument becomes
+ * `err`; everything else is formatted into the message.
+ */
+function consoleMethod(level) {
+  return (...args) => {
+    const errorIndex = args.findIndex((arg) => arg instanceof Error);
+    const err = errorIndex === -1 ? undefined : args[errorIndex];
+    const rest = args
+      .filter((arg, index) => index !== errorIndex)
+      .map((arg) => (typeof arg === "object" ? redact(arg) : arg));
+    const msg = rest.length > 0 ? util.format(...rest) : err?.message || "";
+    logger.log(level, msg, err ? { err } : {});
+  };
+}
+
+console.log = consoleMethod("info");
+console.info = consoleMethod("info");
+console.warn = consoleMethod("warn");
+console.error = consoleMethod("error");
+console.debug = consoleMethod("debug");
 
-module.exports = {};
+module.exports = logger;
@@ -1,9 +1,22 @@
+const MetricsService = require("../services/MetricsService");
+
+const rateLimited = MetricsService.counter(
+  "p2p_telegram_rate_limited_total",
+  "Telegram API calls rejected with 429 Too Many Requests",
+);
+
 const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 async function withRetry(fn, retries = 3, delay = 1000) {
   try {
     return await fn();
   } catch (error) {
+    if (
+      error?.response?.error_code === 429 ||
+      (error.message && error.message.includes("Too Many Requests"))
+    ) {
+      rateLimited.inc();
+    }
     if (retries <= 0) throw error;
 
     // Check if error is retryable
@@ -1,3 +1,5 @@
+const JobQueueService = require("../services/JobQueueService");
+
 /**
  * Safely answer a callback query, handling expired queries gracefully
  * @param {Object} ctx - The Telegraf context
@@ -20,6 +22,34 @@ async function safeAnswerCbQuery(ctx, text = "", showAlert = false) {
   }
 }
 
+JobQueueService.register(
+  "telegram.delete_messages",
+  async ({ chatId, messageIds }, { telegram }) => {
+    for (const messageId of messageIds || []) {
+      try {
+        await telegram.deleteMessage(chatId, messageId);
+      } catch (e) {}
+    }
+  },
+);
+
+/**
+ * Delete messages after a delay. Survives restarts via the job queue.
+ * @param {string|number} chatId
+ * @param {number[]} messageIds - Falsy ids are ignored
+ * @param {number} delayMs
+ */
+async function scheduleMessageDeletion(chatId, messageIds, delayMs) {
+  const ids = (messageIds || []).filter(Boolean);
+  if (!chatId || ids.length === 0) return null;
+  return JobQueueService.enqueue(
+    "telegram.delete_messages",
+    { chatId: String(chatId), messageIds: ids },
+    { delayMs },
+  );
+}
+
 module.exports = {
   safeAnswerCbQuery,
+  scheduleMessageDeletion,
 };
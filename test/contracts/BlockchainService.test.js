@@ -0,0 +1,387 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const { ethers } = hre;
+const units = (amount) => ethers.parseUnits(String(amount), 18);
+
+// Hardhat account #0, the deployer and so the owner of the test vaults
+const OWNER_KEY =
+  "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
+// Signs payout authorizations once a test sets it as the vault's signer
+const payoutSigner = ethers.Wallet.createRandom();
+
+/**
+ * Load the bot's BlockchainService pointed at the given environment.
+ * config and the service read it once when first required, so both are
+ * loaded afresh.
+ */
+function loadBlockchainService(env) {
+  Object.assign(process.env, env);
+  for (const path of [
+    "../../config",
+    "../../src/services/PayoutAuthorizationService",
+    "../../src/services/BlockchainService",
+  ]) {
+    delete require.cache[require.resolve(path)];
+  }
+  return require("../../src/services/BlockchainService");
+}
+
+describe("BlockchainService against a local Hardhat node", function () {
+  let server, service, owner, buyer, seller, guardian, usdt, vault;
+  let vaultAddress;
+
+  before(async function () {
+    // Serve the in-process network over JSON-RPC like `hardhat node` does
+    server = await hre.run(TASK_NODE_CREATE_SERVER, {
+      hostname: "127.0.0.1",
+      port: 0,
+      provider: hre.network.provider,
+    });
+    const { address, port } = await server.listen();
+
+    [owner, buyer, seller, guardian] = await ethers.getSigners();
+    usdt = await (await ethers.getContractFactory("MockUSDT")).deploy(18);
+    vault = await (
+      await ethers.getContractFactory("EscrowVault")
+    ).deploy(await usdt.getAddress(), owner.address, guardian.address);
+    vaultAddress = await vault.getAddress();
+    await usdt.mint(seller.address, units(1000));
+
+    service = loadBlockchainService({
+      BSC_RPC_URL: `http://${address}:${port}`,
+      USDT_BSC: await usdt.getAddress(),
+      HOT_WALLET_PRIVATE_KEY: OWNER_KEY,
+      PAYOUT_SIGNER_PRIVATE_KEY: payoutSigner.privateKey,
+    });
+    expect(service.getWallet("BSC").address).to.equal(owner.address);
+  });
+
+  after(async function () {
+    service?.getProvider("BSC").destroy();
+    await server?.close();
+  });
+
+  // ethers serves repeated requests (such as the wallet's pending nonce)
+  // from a 250ms cache; automining is quicker than that, so consecutive
+  // payouts wait it out
+  const pastRequestCache = () => new Promise((r) => setTimeout(r, 300));
+
+  beforeEach(pastRequestCache);
+
+  // The seller funds the vault, as a deposit would
+  async function deposit(amount) {
+    await usdt.connect(seller).transfer(vaultAddress, units(amount));
+  }
+
+  it("sees a deposit into the vault", async function () {
+    const fromBlock = await ethers.provider.getBlockNumber();
+    await deposit(100);
+
+    const transfers = await service.getTokenTransfersViaRPC(
+      "USDT",
+      "BSC",
+      vaultAddress,
+      fromBlock,
+    );
+    expect(transfers).to.have.lengthOf(1);
+    expect(transfers[0].from).to.equal(seller.address);
+    expect(transfers[0].valueDecimal).to.equal(100);
+    expect(await service.getTokenBalance("USDT", "BSC", vaultAddress)).to.equal(
+      100,
+    );
+  });
+
+  it("credits the deposit and releases from the trade's sub-ledger", async function () {
+    await service.creditEscrowDeposit(
+      "USDT",
+      "BSC",
+      vaultAddress,
+      "E2E1",
+      units(100),
+    );
+    const key = service.getEscrowLedgerKey("E2E1");
+    expect(await vault.escrowBalances(key)).to.equal(units(100));
+    await pastRequestCache();
+
+    const signed = [];
+    const result = await service.releaseFunds(
+      "USDT",
+      "BSC",
+      buyer.address,
+      60,
+      null,
+      null,
+      vaultAddress,
+      "E2E1",
+      { onSigned: async (info) => signed.push(info) },
+    );
+
+    expect(result.success).to.equal(true);
+    expect(signed).to.have.lengthOf(1);
+    expect(signed[0].txHash).to.equal(result.transactionHash);
+    expect(signed[0].contractAddress).to.equal(vaultAddress);
+    const receipt = await ethers.provider.getTransactionReceipt(
+      result.transactionHash,
+    );
+    const events = receipt.logs
+      .filter((log) => log.address === vaultAddress)
+      .map((log) => vault.interface.parseLog(log));
+    expect(events.map((e) => e.name)).to.deep.equal(["EscrowReleased"]);
+    expect(await usdt.balanceOf(buyer.address)).to.equal(units(60));
+    expect(await vault.escrowBalances(key)).to.equal(units(40));
+  });
+
+  it("refunds the rest to the seller and closes the trade", async function () {
+    const sellerBefore = await usdt.balanceOf(seller.address);
+    const result = await service.refundFunds(
+      "USDT",
+      "BSC",
+      seller.address,
+      39.5,
+      null,
+      null,
+      vaultAddress,
+      "E2E1",
+    );
+
+    expect(result.success).to.equal(true);
+    expect((await usdt.balanceOf(seller.address)) - sellerBefore).to.equal(
+      units(39.5),
+    );
+    const ledger = await service.getVaultLedger(
+      "USDT",
+      "BSC",
+      vaultAddress,
+      "E2E1",
+    );
+    expect(ledger.escrowBalanceWei).to.equal(units(0.5));
+    await pastRequestCache();
+
+    await service.closeEscrowLedger("USDT", "BSC", vaultAddress, "E2E1");
+    expect(await vault.totalLiabilities()).to.equal(0n);
+    expect(await vault.unallocatedBalance()).to.equal(units(0.5));
+  });
+
+  it("refuses to pay out a trade with nothing credited", async function () {
+    // Unallocated funds in the vault must not stand in for the trade's credit
+    await deposit(10);
+    const nonceBefore = await ethers.provider.getTransactionCount(
+      owner.address,
+    );
+    let error;
+    try {
+      await service.releaseFunds(
+        "USDT",
+        "BSC",
+        buyer.address,
+        10,
+        null,
+        null,
+        vaultAddress,
+        "NOT_CREDITED",
+      );
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain("Escrow Not Credited");
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(
+      nonceBefore,
+    );
+    expect(await vault.totalLiabilities()).to.equal(0n);
+  });
+
+  it("sends the trade's fee to the fee wallet in the release transaction", async function () {
+    await deposit(11);
+    await service.creditEscrowDeposit(
+      "USDT",
+      "BSC",
+      vaultAddress,
+      "E2E3",
+      units(11),
+    );
+    await pastRequestCache();
+
+    const buyerBefore = await usdt.balanceOf(buyer.address);
+    const feeWalletBefore = await usdt.balanceOf(owner.address);
+    const signed = [];
+    const result = await service.releaseFunds(
+      "USDT",
+      "BSC",
+      buyer.address,
+      10,
+      null,
+      null,
+      vaultAddress,
+      "E2E3",
+      { onSigned: async (info) => signed.push(info) },
+      units(1),
+    );
+
+    expect(result.feeWallet).to.equal(owner.address);
+    expect(signed[0].feeWallet).to.equal(owner.address);
+    const receipt = await ethers.provider.getTransactionReceipt(
+      result.transactionHash,
+    );
+    const [event] = receipt.logs
+      .filter((log) => log.address === vaultAddress)
+      .map((log) => vault.interface.parseLog(log));
+    expect(event.name).to.equal("ReleasedWithFee");
+    expect(event.args.amount).to.equal(units(10));
+    expect(event.args.fee).to.equal(units(1));
+    expect((await usdt.balanceOf(buyer.address)) - buyerBefore).to.equal(
+      units(10),
+    );
+    expect((await usdt.balanceOf(owner.address)) - feeWalletBefore).to.equal(
+      units(1),
+    );
+    expect(
+      await vault.escrowBalances(service.getEscrowLedgerKey("E2E3")),
+    ).to.equal(0n);
+  });
+
+  it("refuses a payout larger than the vault holds without sending it", async function () {
+    const nonceBefore = await ethers.provider.getTransactionCount(
+      owner.address,
+    );
+    let error;
+    try {
+      await service.releaseFunds(
+        "USDT",
+        "BSC",
+        buyer.address,
+        1000,
+        null,
+        null,
+        vaultAddress,
+        null,
+      );
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain("Insufficient Vault Balance");
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(
+      nonceBefore,
+    );
+  });
+
+  it("pays out with the signer's authorization once the vault requires one", async function () {
+    await (
+      await vault.connect(guardian).setSigner(payoutSigner.address)
+    ).wait();
+    await deposit(20);
+    await service.creditEscrowDeposit(
+      "USDT",
+      "BSC",
+      vaultAddress,
+      "E2E2",
+      units(20),
+    );
+    await pastRequestCache();
+
+    const payOut = (method, to, amount) =>
+      service[method](
+        "USDT",
+        "BSC",
+        to,
+        amount,
+        null,
+        null,
+        vaultAddress,
+        "E2E2",
+      );
+    const eventsOf = async ({ transactionHash }) =>
+      (await ethers.provider.getTransactionReceipt(transactionHash)).logs
+        .filter((log) => log.address === vaultAddress)
+        .map((log) => vault.interface.parseLog(log).name);
+
+    const buyerBefore = await usdt.balanceOf(buyer.address);
+    expect(
+      await eventsOf(await payOut("releaseFunds", buyer.address, 15)),
+    ).to.deep.equal(["AuthorizationUsed", "EscrowReleased"]);
+    await pastRequestCache();
+    expect(
+      await eventsOf(await payOut("refundFunds", seller.address, 5)),
+    ).to.deep.equal(["AuthorizationUsed", "EscrowRefunded"]);
+    expect((await usdt.balanceOf(buyer.address)) - buyerBefore).to.equal(
+      units(15),
+    );
+    expect(
+      await vault.escrowBalances(service.getEscrowLedgerKey("E2E2")),
+    ).to.equal(0n);
+
+    // A signer the bot holds no key for stops payouts before anything is sent
+    await pastRequestCache();
+    await service.creditEscrowDeposit(
+      "USDT",
+      "BSC",
+      vaultAddress,
+      "E2E2",
+      units(0.25),
+    );
+    await pastRequestCache();
+    await (
+      await vault
+        .connect(guardian)
+        .setSigner(ethers.Wallet.createRandom().address)
+    ).wait();
+    await pastRequestCache();
+    const nonceBefore = await ethers.provider.getTransactionCount(
+      owner.address,
+    );
+    let error;
+    try {
+      await payOut("releaseFunds", buyer.address, 0.25);
+    } catch (e) {
+      error = e;
+    }
+    expect(error?.message).to.contain("requires payouts signed by");
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(
+      nonceBefore,
+    );
+    await (await vault.connect(guardian).setSigner(ethers.ZeroAddress)).wait();
+    await pastRequestCache();
+    await payOut("refundFunds", seller.address, 0.25);
+  });
+
+  it("withdraws the whole vault only once the queued timelock has passed", async function () {
+    const to = buyer.address;
+    const held = await usdt.balanceOf(vaultAddress);
+    const attempt = async () => {
+      try {
+        await service.withdrawToken("USDT", "BSC", vaultAddress, to);
+      } catch (e) {
+        return e;
+      }
+    };
+
+    expect((await attempt())?.message).to.contain("is not queued");
+    const { eta } = await service.queueVaultOperation("BSC", vaultAddress, {
+      kind: "withdraw",
+      address: to,
+    });
+    expect(eta.getTime()).to.equal(
+      (await vault.timelockEta(await vault.withdrawOperation(usdt, to))) *
+        1000n,
+    );
+    await pastRequestCache();
+    expect((await attempt())?.message).to.contain("is timelocked until");
+
+    await time.increase(2 * 24 * 60 * 60);
+    await pastRequestCache();
+    const toBefore = await usdt.balanceOf(to);
+    const result = await service.withdrawToken("USDT", "BSC", vaultAddress, to);
+    expect(result.amountWei).to.equal(held);
+    expect((await usdt.balanceOf(to)) - toBefore).to.equal(held);
+    expect(
+      (
+        await service.getVaultOperation("BSC", vaultAddress, {
+          kind: "withdraw",
+          address: to,
+        })
+      ).eta,
+    ).to.equal(null);
+  });
+});
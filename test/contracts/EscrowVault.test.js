@@ -0,0 +1,822 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  impersonateAccount,
+  loadFixture,
+  setBalance,
+  time,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const units = (amount) => ethers.parseUnits(String(amount), 18);
+const escrowKey = (escrowId) => ethers.id(escrowId);
+const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+// Queue a timelocked call and let its delay pass
+async function afterTimelock(queueing) {
+  await (await queueing).wait();
+  await time.increase(TIMELOCK_DELAY);
+}
+
+// The vault must accept both ERC20 flavours the bot meets in the wild
+const TOKENS = {
+  "a standard ERC20": async () =>
+    (await ethers.getContractFactory("MockERC20")).deploy(
+      "USD Coin",
+      "USDC",
+      18,
+    ),
+  "a USDT-style token without return values": async () =>
+    (await ethers.getContractFactory("MockUSDT")).deploy(18),
+};
+
+for (const [kind, deployToken] of Object.entries(TOKENS)) {
+  describe(`EscrowVault with ${kind}`, function () {
+    async function deployVault() {
+      const [owner, feeWallet, buyer, seller, stranger, guardian] =
+        await ethers.getSigners();
+      const token = await deployToken();
+      const vault = await (
+        await ethers.getContractFactory("EscrowVault")
+      ).deploy(await token.getAddress(), feeWallet.address, guardian.address);
+      await token.mint(seller.address, units(1000));
+      return { vault, token, owner, feeWallet, buyer, seller, stranger };
+    }
+
+    // 100 deposited by the seller, of which `credited` belongs to trade E1
+    async function fundedVault(credited = 0) {
+      const fixture = await deployVault();
+      const { vault, token, seller } = fixture;
+      await token
+        .connect(seller)
+        .transfer(await vault.getAddress(), units(100));
+      if (credited > 0) {
+        await vault.creditDeposit(escrowKey("E1"), units(credited));
+      }
+      return fixture;
+    }
+    const fundedUncredited = () => fundedVault(0);
+    const fundedCredited = () => fundedVault(60);
+
+    describe("deployment", function () {
+      it("records the deployer as owner, the token and the fee wallet", async function () {
+        const { vault, token, owner, feeWallet } = await loadFixture(
+          deployVault,
+        );
+        expect(await vault.owner()).to.equal(owner.address);
+        expect(await vault.token()).to.equal(await token.getAddress());
+        expect(await vault.feeWallet()).to.equal(feeWallet.address);
+        expect(await vault.totalLiabilities()).to.equal(0n);
+        expect(await vault.VERSION()).to.equal(2n);
+      });
+    });
+
+    describe("access control", function () {
+      it("rejects every owner-only function from anyone else", async function () {
+        const { vault, token, stranger } = await loadFixture(fundedCredited);
+        const asStranger = vault.connect(stranger);
+        const key = escrowKey("E1");
+        const tokenAddress = await token.getAddress();
+        // Sent one at a time, so a revert is never left unobserved
+        const calls = [
+          () => asStranger.transferOwnership(stranger.address),
+          () => asStranger.queueSetFeeWallet(stranger.address),
+          () => asStranger.setFeeWallet(stranger.address),
+          () => asStranger.queueWithdrawToken(tokenAddress, stranger.address),
+          () => asStranger.creditDeposit(key, 1n),
+          () => asStranger.reverseDeposit(key, 1n),
+          () => asStranger.releaseEscrow(key, stranger.address, 1n),
+          () => asStranger.refundEscrow(key, stranger.address, 1n),
+          () => asStranger.releaseWithFee(key, stranger.address, 1n, 1n),
+          () => asStranger.refundWithFee(key, stranger.address, 1n, 1n),
+          () => asStranger.closeEscrow(key),
+          () => asStranger.withdrawToken(tokenAddress, stranger.address),
+        ];
+        for (const call of calls) {
+          await expect(call()).to.be.revertedWith("not-owner");
+        }
+      });
+
+      it("rejects the guardian functions from anyone else", async function () {
+        const { vault, stranger } = await loadFixture(deployVault);
+        const asStranger = vault.connect(stranger);
+        await expect(asStranger.pause()).to.be.revertedWith("not-guardian");
+        await expect(asStranger.unpause()).to.be.revertedWith("not-guardian");
+        await expect(
+          asStranger.setGuardian(stranger.address),
+        ).to.be.revertedWith("not-guardian");
+        await expect(asStranger.setSigner(stranger.address)).to.be.revertedWith(
+          "not-guardian",
+        );
+        await expect(
+          asStranger.cancelOperation(ethers.ZeroHash),
+        ).to.be.revertedWith("not-guardian");
+        await expect(asStranger.acceptOwnership()).to.be.revertedWith(
+          "not-pending-owner",
+        );
+      });
+    });
+
+    describe("per-trade sub-ledger", function () {
+      it("credits a confirmed deposit to its trade", async function () {
+        const { vault } = await loadFixture(fundedUncredited);
+        await expect(vault.creditDeposit(escrowKey("E1"), units(60)))
+          .to.emit(vault, "DepositCredited")
+          .withArgs(escrowKey("E1"), units(60));
+        expect(await vault.escrowBalances(escrowKey("E1"))).to.equal(units(60));
+        expect(await vault.totalLiabilities()).to.equal(units(60));
+        await expect(
+          vault.creditDeposit(escrowKey("E2"), units(41)),
+        ).to.be.revertedWith("exceeds-unallocated");
+        await expect(
+          vault.creditDeposit(ethers.ZeroHash, units(1)),
+        ).to.be.revertedWith("zero-escrow");
+        await expect(
+          vault.creditDeposit(escrowKey("E2"), 0n),
+        ).to.be.revertedWith("zero-amount");
+      });
+
+      it("releases and refunds up to the trade's credit", async function () {
+        const { vault, token, buyer, seller } = await loadFixture(
+          fundedCredited,
+        );
+        const key = escrowKey("E1");
+        await expect(vault.releaseEscrow(key, buyer.address, units(45)))
+          .to.emit(vault, "EscrowReleased")
+          .withArgs(key, buyer.address, units(45));
+        await expect(vault.refundEscrow(key, seller.address, units(10)))
+          .to.emit(vault, "EscrowRefunded")
+          .withArgs(key, seller.address, units(10));
+        expect(await token.balanceOf(buyer.address)).to.equal(units(45));
+        expect(await vault.escrowBalances(key)).to.equal(units(5));
+        expect(await vault.totalLiabilities()).to.equal(units(5));
+
+        await expect(
+          vault.releaseEscrow(key, buyer.address, units(6)),
+        ).to.be.revertedWith("exceeds-escrow");
+        await expect(
+          vault.releaseEscrow(escrowKey("E2"), buyer.address, units(1)),
+        ).to.be.revertedWith("exceeds-escrow");
+        await expect(
+          vault.refundEscrow(key, seller.address, 0n),
+        ).to.be.revertedWith("zero-amount");
+      });
+
+      it("frees what a closed trade still holds", async function () {
+        const { vault, buyer } = await loadFixture(fundedCredited);
+        const key = escrowKey("E1");
+        await vault.releaseEscrow(key, buyer.address, units(58));
+        await expect(vault.closeEscrow(key))
+          .to.emit(vault, "EscrowClosed")
+          .withArgs(key, units(2));
+        expect(await vault.escrowBalances(key)).to.equal(0n);
+        expect(await vault.totalLiabilities()).to.equal(0n);
+        expect(await vault.unallocatedBalance()).to.equal(units(42));
+      });
+
+      it("cannot pay out an open trade's credit by closing it first", async function () {
+        const { vault, token, buyer } = await loadFixture(fundedCredited);
+        const key = escrowKey("E1");
+        await expect(vault.closeEscrow(key)).to.be.revertedWith("not-settled");
+        expect(await vault.escrowBalances(key)).to.equal(units(60));
+
+        // Once closed, a settled trade's remainder is unallocated: nothing
+        // pays it out straight away, only the queued withdrawToken
+        await vault.releaseEscrow(key, buyer.address, units(50));
+        await vault.closeEscrow(key);
+        await expect(
+          vault.releaseEscrow(key, buyer.address, units(10)),
+        ).to.be.revertedWith("exceeds-escrow");
+        await expect(
+          vault.releaseWithFee(ethers.ZeroHash, buyer.address, units(10), 0n),
+        ).to.be.revertedWith("zero-escrow");
+        await expect(
+          vault.refundWithFee(ethers.ZeroHash, buyer.address, units(10), 0n),
+        ).to.be.revertedWith("zero-escrow");
+        await expect(
+          vault.withdrawToken(await token.getAddress(), buyer.address),
+        ).to.be.revertedWith("not-queued");
+        expect(await token.balanceOf(buyer.address)).to.equal(units(50));
+      });
+
+      it("takes back the credit of a deposit that left the chain", async function () {
+        const { vault, token, seller } = await loadFixture(fundedCredited);
+        const key = escrowKey("E1");
+        // Every credited token is still here, so there is nothing to reverse
+        await expect(vault.reverseDeposit(key, units(10))).to.be.revertedWith(
+          "exceeds-shortfall",
+        );
+
+        // A reorg takes 70 of the 100 deposited back out of the vault
+        const vaultAddress = await vault.getAddress();
+        await impersonateAccount(vaultAddress);
+        await setBalance(vaultAddress, ethers.parseEther("1"));
+        await token
+          .connect(await ethers.getSigner(vaultAddress))
+          .transfer(seller.address, units(70));
+        expect(await vault.shortfall()).to.equal(units(30));
+
+        await expect(vault.reverseDeposit(key, units(31))).to.be.revertedWith(
+          "exceeds-shortfall",
+        );
+        await expect(vault.reverseDeposit(key, units(30)))
+          .to.emit(vault, "DepositReversed")
+          .withArgs(key, units(30));
+        expect(await vault.escrowBalances(key)).to.equal(units(30));
+        expect(await vault.totalLiabilities()).to.equal(units(30));
+        expect(await vault.shortfall()).to.equal(0n);
+        // Nothing was paid out, so the rest of the credit stays put
+        expect(await vault.settled(key)).to.equal(false);
+        await expect(vault.closeEscrow(key)).to.be.revertedWith("not-settled");
+      });
+
+      it("closes a trade that holds nothing", async function () {
+        const { vault } = await loadFixture(fundedUncredited);
+        await expect(vault.closeEscrow(escrowKey("E9")))
+          .to.emit(vault, "EscrowClosed")
+          .withArgs(escrowKey("E9"), 0n);
+      });
+    });
+
+    describe("fee split", function () {
+      it("pays the fee to the fee wallet in the same transaction", async function () {
+        const { vault, token, feeWallet, buyer } = await loadFixture(
+          fundedCredited,
+        );
+        const key = escrowKey("E1");
+        await expect(
+          vault.releaseWithFee(key, buyer.address, units(57), units(3)),
+        )
+          .to.emit(vault, "ReleasedWithFee")
+          .withArgs(key, buyer.address, units(57), feeWallet.address, units(3));
+        expect(await token.balanceOf(buyer.address)).to.equal(units(57));
+        expect(await token.balanceOf(feeWallet.address)).to.equal(units(3));
+        expect(await vault.escrowBalances(key)).to.equal(0n);
+        expect(await vault.totalLiabilities()).to.equal(0n);
+      });
+
+      it("takes amount and fee together from the trade's credit", async function () {
+        const { vault, seller } = await loadFixture(fundedCredited);
+        const key = escrowKey("E1");
+        await expect(
+          vault.refundWithFee(key, seller.address, units(58), units(3)),
+        ).to.be.revertedWith("exceeds-escrow");
+        await expect(
+          vault.refundWithFee(key, seller.address, units(58), units(2)),
+        )
+          .to.emit(vault, "RefundedWithFee")
+          .withArgs(key, seller.address, units(58), anyValue, units(2));
+      });
+
+      it("keeps the usual events when there is no fee", async function () {
+        const { vault, buyer } = await loadFixture(fundedCredited);
+        const key = escrowKey("E1");
+        await expect(vault.releaseWithFee(key, buyer.address, units(10), 0n))
+          .to.emit(vault, "EscrowReleased")
+          .withArgs(key, buyer.address, units(10))
+          .and.not.to.emit(vault, "ReleasedWithFee");
+      });
+    });
+
+    describe("withdrawToken", function () {
+      it("sweeps only the unallocated part of the vault token", async function () {
+        const { vault, token, feeWallet } = await loadFixture(fundedCredited);
+        const tokenAddress = await token.getAddress();
+        await afterTimelock(
+          vault.queueWithdrawToken(tokenAddress, feeWallet.address),
+        );
+        await expect(vault.withdrawToken(tokenAddress, feeWallet.address))
+          .to.emit(vault, "TokenWithdrawn")
+          .withArgs(tokenAddress, feeWallet.address, units(40));
+        expect(await token.balanceOf(feeWallet.address)).to.equal(units(40));
+        expect(await token.balanceOf(await vault.getAddress())).to.equal(
+          units(60),
+        );
+
+        await afterTimelock(
+          vault.queueWithdrawToken(tokenAddress, feeWallet.address),
+        );
+        await expect(
+          vault.withdrawToken(tokenAddress, feeWallet.address),
+        ).to.be.revertedWith("no-balance");
+      });
+
+      it("sweeps the whole balance of any other token", async function () {
+        const { vault, feeWallet } = await loadFixture(fundedCredited);
+        const other = await deployToken();
+        const otherAddress = await other.getAddress();
+        await other.mint(await vault.getAddress(), units(7));
+        await afterTimelock(
+          vault.queueWithdrawToken(otherAddress, feeWallet.address),
+        );
+        await vault.withdrawToken(otherAddress, feeWallet.address);
+        expect(await other.balanceOf(feeWallet.address)).to.equal(units(7));
+      });
+
+      it("refuses the zero address", async function () {
+        const { vault, token } = await loadFixture(fundedUncredited);
+        await expect(
+          vault.queueWithdrawToken(
+            await token.getAddress(),
+            ethers.ZeroAddress,
+          ),
+        ).to.be.revertedWith("zero-to");
+        await expect(
+          vault.withdrawToken(await token.getAddress(), ethers.ZeroAddress),
+        ).to.be.revertedWith("zero-to");
+      });
+    });
+  });
+}
+
+describe("EscrowVault token failures", function () {
+  async function deployVaults() {
+    const [owner, buyer, guardian] = await ethers.getSigners();
+    const standard = await (
+      await ethers.getContractFactory("MockERC20")
+    ).deploy("USD Coin", "USDC", 18);
+    const usdt = await (await ethers.getContractFactory("MockUSDT")).deploy(18);
+    const EscrowVault = await ethers.getContractFactory("EscrowVault");
+    const standardVault = await EscrowVault.deploy(
+      await standard.getAddress(),
+      owner.address,
+      guardian.address,
+    );
+    const usdtVault = await EscrowVault.deploy(
+      await usdt.getAddress(),
+      owner.address,
+      guardian.address,
+    );
+    return { standard, usdt, standardVault, usdtVault, buyer };
+  }
+
+  it("reverts when the token returns false", async function () {
+    const { standard, standardVault, buyer } = await loadFixture(deployVaults);
+    await standard.mint(await standardVault.getAddress(), units(10));
+    await standardVault.creditDeposit(escrowKey("E1"), units(5));
+    await standard.setFailTransfers(true);
+    await expect(
+      standardVault.releaseEscrow(escrowKey("E1"), buyer.address, units(5)),
+    ).to.be.revertedWith("TRANSFER_FAILED");
+    await afterTimelock(
+      standardVault.queueWithdrawToken(
+        await standard.getAddress(),
+        buyer.address,
+      ),
+    );
+    await expect(
+      standardVault.withdrawToken(await standard.getAddress(), buyer.address),
+    ).to.be.revertedWith("TRANSFER_FAILED");
+  });
+
+  it("reverts when a token without return values reverts", async function () {
+    const { usdt, usdtVault, buyer } = await loadFixture(deployVaults);
+    await usdt.mint(await usdtVault.getAddress(), units(10));
+    await usdtVault.creditDeposit(escrowKey("E1"), units(10));
+    await usdt.addBlackList(await usdtVault.getAddress());
+    await expect(
+      usdtVault.releaseEscrow(escrowKey("E1"), buyer.address, units(10)),
+    ).to.be.revertedWith("TRANSFER_FAILED");
+    // Nothing was debited
+    expect(await usdtVault.escrowBalances(escrowKey("E1"))).to.equal(units(10));
+  });
+});
+
+describe("EscrowVault controls", function () {
+  async function deployVault() {
+    const [owner, guardian, nominee, buyer, stranger] =
+      await ethers.getSigners();
+    const token = await (
+      await ethers.getContractFactory("MockUSDT")
+    ).deploy(18);
+    const vault = await (
+      await ethers.getContractFactory("EscrowVault")
+    ).deploy(await token.getAddress(), owner.address, guardian.address);
+    await token.mint(await vault.getAddress(), units(100));
+    await vault.creditDeposit(escrowKey("E1"), units(60));
+    return { vault, token, owner, guardian, nominee, buyer, stranger };
+  }
+
+  describe("two-step ownership", function () {
+    it("changes owner only once the nominee accepts", async function () {
+      const { vault, owner, nominee, buyer } = await loadFixture(deployVault);
+      await expect(vault.transferOwnership(nominee.address))
+        .to.emit(vault, "OwnershipTransferStarted")
+        .withArgs(owner.address, nominee.address);
+      expect(await vault.owner()).to.equal(owner.address);
+      expect(await vault.pendingOwner()).to.equal(nominee.address);
+      // Still in charge until the hand-over completes
+      const key = escrowKey("E1");
+      await vault.releaseEscrow(key, buyer.address, units(1));
+
+      await expect(vault.connect(nominee).acceptOwnership())
+        .to.emit(vault, "OwnershipTransferred")
+        .withArgs(owner.address, nominee.address);
+      expect(await vault.owner()).to.equal(nominee.address);
+      expect(await vault.pendingOwner()).to.equal(ethers.ZeroAddress);
+      await expect(
+        vault.connect(owner).releaseEscrow(key, buyer.address, units(1)),
+      ).to.be.revertedWith("not-owner");
+      await vault.connect(nominee).releaseEscrow(key, buyer.address, units(1));
+    });
+
+    it("lets a new nomination replace a mistaken one", async function () {
+      const { vault, nominee, stranger } = await loadFixture(deployVault);
+      await vault.transferOwnership(stranger.address);
+      await vault.transferOwnership(nominee.address);
+      await expect(
+        vault.connect(stranger).acceptOwnership(),
+      ).to.be.revertedWith("not-pending-owner");
+      await vault.connect(nominee).acceptOwnership();
+      expect(await vault.owner()).to.equal(nominee.address);
+    });
+
+    it("refuses the zero address", async function () {
+      const { vault } = await loadFixture(deployVault);
+      await expect(
+        vault.transferOwnership(ethers.ZeroAddress),
+      ).to.be.revertedWith("zero-owner");
+    });
+  });
+
+  describe("guardian and pause", function () {
+    it("starts with the guardian it was deployed with, who can hand the role on", async function () {
+      const { vault, owner, guardian, stranger } = await loadFixture(
+        deployVault,
+      );
+      expect(await vault.guardian()).to.equal(guardian.address);
+      await expect(vault.setGuardian(owner.address)).to.be.revertedWith(
+        "not-guardian",
+      );
+      await expect(
+        vault.connect(guardian).setGuardian(ethers.ZeroAddress),
+      ).to.be.revertedWith("zero-guardian");
+      await expect(
+        vault.connect(guardian).setGuardian(owner.address),
+      ).to.be.revertedWith("guardian-is-owner");
+      await expect(vault.connect(guardian).setGuardian(stranger.address))
+        .to.emit(vault, "GuardianUpdated")
+        .withArgs(stranger.address);
+    });
+
+    it("refuses to deploy with the deployer as guardian", async function () {
+      const [owner] = await ethers.getSigners();
+      const EscrowVault = await ethers.getContractFactory("EscrowVault");
+      await expect(
+        EscrowVault.deploy(owner.address, owner.address, owner.address),
+      ).to.be.revertedWith("guardian-is-owner");
+      await expect(
+        EscrowVault.deploy(owner.address, owner.address, ethers.ZeroAddress),
+      ).to.be.revertedWith("zero-guardian");
+    });
+
+    it("never hands ownership to the guardian", async function () {
+      const { vault, guardian } = await loadFixture(deployVault);
+      await vault.transferOwnership(guardian.address);
+      await expect(
+        vault.connect(guardian).acceptOwnership(),
+      ).to.be.revertedWith("guardian-is-owner");
+    });
+
+    it("stops payouts and withdrawals while paused", async function () {
+      const { vault, token, owner, guardian, buyer } = await loadFixture(
+        deployVault,
+      );
+      const tokenAddress = await token.getAddress();
+      await afterTimelock(
+        vault.queueWithdrawToken(tokenAddress, owner.address),
+      );
+
+      // The owner can pull the brake; only the guardian releases it
+      await expect(vault.pause())
+        .to.emit(vault, "Paused")
+        .withArgs(owner.address);
+      expect(await vault.paused()).to.equal(true);
+      const key = escrowKey("E1");
+      for (const call of [
+        vault.releaseEscrow(key, buyer.address, units(1)),
+        vault.refundEscrow(key, buyer.address, units(1)),
+        vault.releaseWithFee(key, buyer.address, units(1), units(1)),
+        vault.refundWithFee(key, buyer.address, units(1), units(1)),
+        vault.withdrawToken(tokenAddress, owner.address),
+      ]) {
+        await expect(call).to.be.revertedWith("paused");
+      }
+      // Bookkeeping carries on
+      await vault.creditDeposit(escrowKey("E2"), units(1));
+
+      await expect(vault.unpause()).to.be.revertedWith("not-guardian");
+      await expect(vault.connect(guardian).unpause())
+        .to.emit(vault, "Unpaused")
+        .withArgs(guardian.address);
+      await vault.releaseEscrow(key, buyer.address, units(1));
+      await vault.withdrawToken(tokenAddress, owner.address);
+    });
+  });
+
+  describe("timelock", function () {
+    it("applies a fee wallet change only after the delay", async function () {
+      const { vault, stranger } = await loadFixture(deployVault);
+      await expect(vault.setFeeWallet(stranger.address)).to.be.revertedWith(
+        "not-queued",
+      );
+
+      const id = await vault.feeWalletOperation(stranger.address);
+      const queueing = await vault.queueSetFeeWallet(stranger.address);
+      const eta = (await time.latest()) + TIMELOCK_DELAY;
+      await expect(queueing)
+        .to.emit(vault, "OperationQueued")
+        .withArgs(id, eta);
+      expect(await vault.timelockEta(id)).to.equal(eta);
+      await expect(
+        vault.queueSetFeeWallet(stranger.address),
+      ).to.be.revertedWith("already-queued");
+      await expect(vault.setFeeWallet(stranger.address)).to.be.revertedWith(
+        "timelocked",
+      );
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(vault.setFeeWallet(stranger.address))
+        .to.emit(vault, "FeeWalletUpdated")
+        .withArgs(stranger.address);
+      expect(await vault.feeWallet()).to.equal(stranger.address);
+      // Each queued operation runs once
+      expect(await vault.timelockEta(id)).to.equal(0n);
+      await expect(vault.setFeeWallet(stranger.address)).to.be.revertedWith(
+        "not-queued",
+      );
+    });
+
+    it("only withdraws to the queued recipient", async function () {
+      const { vault, token, owner, stranger } = await loadFixture(deployVault);
+      const tokenAddress = await token.getAddress();
+      await afterTimelock(
+        vault.queueWithdrawToken(tokenAddress, owner.address),
+      );
+      await expect(
+        vault.withdrawToken(tokenAddress, stranger.address),
+      ).to.be.revertedWith("not-queued");
+      await vault.withdrawToken(tokenAddress, owner.address);
+      expect(await token.balanceOf(owner.address)).to.equal(units(40));
+    });
+
+    it("lets the guardian cancel a queued operation", async function () {
+      const { vault, token, owner, guardian, stranger } = await loadFixture(
+        deployVault,
+      );
+      const tokenAddress = await token.getAddress();
+      // e.g. queued by someone holding a leaked owner key
+      await vault.queueWithdrawToken(tokenAddress, stranger.address);
+      const id = await vault.withdrawOperation(tokenAddress, stranger.address);
+
+      await expect(vault.connect(guardian).cancelOperation(id))
+        .to.emit(vault, "OperationCancelled")
+        .withArgs(id);
+      await time.increase(TIMELOCK_DELAY);
+      await expect(
+        vault.withdrawToken(tokenAddress, stranger.address),
+      ).to.be.revertedWith("not-queued");
+      await expect(vault.cancelOperation(id)).to.be.revertedWith("not-queued");
+      // The owner can withdraw its own queued operation as well
+      await vault.queueWithdrawToken(tokenAddress, owner.address);
+      await vault
+        .connect(owner)
+        .cancelOperation(
+          await vault.withdrawOperation(tokenAddress, owner.address),
+        );
+    });
+  });
+});
+
+describe("EscrowVault signed payouts", function () {
+  async function deployVault() {
+    const [owner, buyer, seller, relayer, guardian] = await ethers.getSigners();
+    const signer = ethers.Wallet.createRandom();
+    const token = await (
+      await ethers.getContractFactory("MockUSDT")
+    ).deploy(18);
+    const vault = await (
+      await ethers.getContractFactory("EscrowVault")
+    ).deploy(await token.getAddress(), owner.address, guardian.address);
+    await token.mint(await vault.getAddress(), units(100));
+    await vault.creditDeposit(escrowKey("E1"), units(60));
+    await vault.connect(guardian).setSigner(signer.address);
+    return { vault, token, owner, buyer, seller, relayer, guardian, signer };
+  }
+
+  const payoutTypes = (name) => ({
+    [name]: [
+      { name: "escrowId", type: "bytes32" },
+      { name: "to", type: "address" },
+      { name: "amount", type: "uint256" },
+      { name: "fee", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "deadline", type: "uint256" },
+    ],
+  });
+
+  async function domainOf(vault) {
+    return {
+      name: "EscrowVault",
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await vault.getAddress(),
+    };
+  }
+
+  // Sign like any EIP-712 wallet would; returns the call's arguments
+  async function authorize(wallet, vault, name, payout) {
+    const message = {
+      escrowId: ethers.ZeroHash,
+      fee: 0n,
+      nonce: 1n,
+      deadline: (await time.latest()) + 3600,
+      ...payout,
+    };
+    const signature = await wallet.signTypedData(
+      await domainOf(vault),
+      payoutTypes(name),
+      message,
+    );
+    return [
+      message.escrowId,
+      message.to,
+      message.amount,
+      message.fee,
+      message.nonce,
+      message.deadline,
+      signature,
+    ];
+  }
+
+  it("uses the standard EIP-712 domain", async function () {
+    const { vault } = await loadFixture(deployVault);
+    expect(await vault.domainSeparator()).to.equal(
+      ethers.TypedDataEncoder.hashDomain(await domainOf(vault)),
+    );
+  });
+
+  it("pays from the trade's credit with the signer's authorization, relayed by anyone", async function () {
+    const { vault, token, buyer, seller, relayer, signer } = await loadFixture(
+      deployVault,
+    );
+    const key = escrowKey("E1");
+    const release = await authorize(signer, vault, "Release", {
+      escrowId: key,
+      to: buyer.address,
+      amount: units(50),
+    });
+    await expect(vault.connect(relayer).releaseWithSignature(...release))
+      .to.emit(vault, "EscrowReleased")
+      .withArgs(key, buyer.address, units(50))
+      .and.to.emit(vault, "AuthorizationUsed")
+      .withArgs(1n);
+
+    const refund = await authorize(signer, vault, "Refund", {
+      escrowId: key,
+      to: seller.address,
+      amount: units(10),
+      nonce: 2n,
+    });
+    await expect(vault.connect(relayer).refundWithSignature(...refund))
+      .to.emit(vault, "EscrowRefunded")
+      .withArgs(key, seller.address, units(10));
+
+    expect(await token.balanceOf(buyer.address)).to.equal(units(50));
+    expect(await token.balanceOf(seller.address)).to.equal(units(10));
+    expect(await vault.escrowBalances(key)).to.equal(0n);
+    expect(await vault.usedNonces(1n)).to.equal(true);
+  });
+
+  it("splits off the authorized fee", async function () {
+    const { vault, token, owner, buyer, signer } = await loadFixture(
+      deployVault,
+    );
+    const key = escrowKey("E1");
+    await expect(
+      vault.releaseWithFee(key, buyer.address, units(50), units(1)),
+    ).to.be.revertedWith("signature-required");
+    await expect(
+      vault.releaseWithSignature(
+        ...(await authorize(signer, vault, "Release", {
+          escrowId: key,
+          to: buyer.address,
+          amount: units(50),
+          fee: units(1),
+        })),
+      ),
+    )
+      .to.emit(vault, "ReleasedWithFee")
+      .withArgs(key, buyer.address, units(50), owner.address, units(1));
+    expect(await token.balanceOf(owner.address)).to.equal(units(1));
+    expect(await vault.escrowBalances(key)).to.equal(units(9));
+  });
+
+  it("pays only from a trade's credit, never the unallocated balance", async function () {
+    const { vault, buyer, signer } = await loadFixture(deployVault);
+    await expect(
+      vault.releaseWithSignature(
+        ...(await authorize(signer, vault, "Release", {
+          to: buyer.address,
+          amount: units(40),
+        })),
+      ),
+    ).to.be.revertedWith("zero-escrow");
+  });
+
+  it("accepts each authorization once", async function () {
+    const { vault, buyer, signer } = await loadFixture(deployVault);
+    const release = await authorize(signer, vault, "Release", {
+      escrowId: escrowKey("E1"),
+      to: buyer.address,
+      amount: units(1),
+    });
+    await vault.releaseWithSignature(...release);
+    await expect(vault.releaseWithSignature(...release)).to.be.revertedWith(
+      "nonce-used",
+    );
+  });
+
+  it("refuses expired, altered and foreign authorizations", async function () {
+    const { vault, owner, buyer, relayer, signer } = await loadFixture(
+      deployVault,
+    );
+    const payout = {
+      escrowId: escrowKey("E1"),
+      to: buyer.address,
+      amount: units(1),
+    };
+    const release = await authorize(signer, vault, "Release", payout);
+
+    // Another recipient, a larger amount, an added fee, the release used as a
+    // refund, or
+    // signed by the owner (the relaying hot wallet) instead of the signer
+    const redirected = [...release];
+    redirected[1] = relayer.address;
+    const inflated = [...release];
+    inflated[2] = units(60);
+    const withFee = [...release];
+    withFee[3] = units(1);
+    const signedByOwner = await authorize(owner, vault, "Release", payout);
+    for (const [method, args] of [
+      ["releaseWithSignature", redirected],
+      ["releaseWithSignature", inflated],
+      ["releaseWithSignature", withFee],
+      ["refundWithSignature", release],
+      ["releaseWithSignature", signedByOwner],
+    ]) {
+      await expect(vault[method](...args)).to.be.revertedWith("bad-signature");
+    }
+
+    await time.increase(3601);
+    await expect(vault.releaseWithSignature(...release)).to.be.revertedWith(
+      "expired",
+    );
+  });
+
+  it("refuses the owner's unsigned payouts while a signer is set", async function () {
+    const { vault, buyer, guardian, signer } = await loadFixture(deployVault);
+    const key = escrowKey("E1");
+    // Sent one at a time, so no rejection goes unobserved meanwhile
+    for (const call of [
+      () => vault.releaseEscrow(key, buyer.address, 1n),
+      () => vault.refundEscrow(key, buyer.address, 1n),
+      () => vault.refundWithFee(key, buyer.address, 1n, 1n),
+    ]) {
+      await expect(call()).to.be.revertedWith("signature-required");
+    }
+
+    // The owner, being the relaying hot wallet, cannot drop the signer
+    await expect(vault.setSigner(ethers.ZeroAddress)).to.be.revertedWith(
+      "not-guardian",
+    );
+    // Clearing the signer brings back owner-only payouts
+    await expect(vault.connect(guardian).setSigner(ethers.ZeroAddress))
+      .to.emit(vault, "SignerUpdated")
+      .withArgs(ethers.ZeroAddress);
+    await vault.releaseEscrow(key, buyer.address, 1n);
+    await expect(
+      vault.releaseWithSignature(
+        ...(await authorize(signer, vault, "Release", {
+          escrowId: key,
+          to: buyer.address,
+          amount: 1n,
+        })),
+      ),
+    ).to.be.revertedWith("no-signer");
+  });
+
+  it("stops signed payouts while paused", async function () {
+    const { vault, buyer, signer } = await loadFixture(deployVault);
+    await vault.pause();
+    await expect(
+      vault.releaseWithSignature(
+        ...(await authorize(signer, vault, "Release", {
+          escrowId: escrowKey("E1"),
+          to: buyer.address,
+          amount: 1n,
+        })),
+      ),
+    ).to.be.revertedWith("paused");
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  deployVaults,
+  assignVaultsToGroups,
+} = require("../../scripts/deploy_batch_bsc");
+
+describe("deploy_batch_bsc", function () {
+  describe("deployVaults", function () {
+    it("deploys vaults owned by the deployer with the given guardian and reports each one", async function () {
+      const [owner, feeWallet, guardian] = await ethers.getSigners();
+      const token = await (
+        await ethers.getContractFactory("MockUSDT")
+      ).deploy(18);
+      const EscrowVault = await ethers.getContractFactory("EscrowVault");
+
+      const reported = [];
+      const addresses = await deployVaults(EscrowVault, {
+        token: "USDT",
+        tokenAddress: await token.getAddress(),
+        feeWallet: feeWallet.address,
+        guardian: guardian.address,
+        count: 3,
+        delayMs: 0,
+        onDeployed: async (address) => reported.push(address),
+      });
+
+      expect(addresses).to.have.lengthOf(3);
+      expect(new Set(addresses).size).to.equal(3);
+      expect(reported).to.deep.equal(addresses);
+      for (const address of addresses) {
+        const vault = EscrowVault.attach(address);
+        expect(await vault.owner()).to.equal(owner.address);
+        expect(await vault.token()).to.equal(await token.getAddress());
+        expect(await vault.feeWallet()).to.equal(feeWallet.address);
+        expect(await vault.guardian()).to.equal(guardian.address);
+      }
+    });
+  });
+
+  describe("assignVaultsToGroups", function () {
+    const group = (groupId) => ({
+      groupId,
+      saved: 0,
+      async save() {
+        this.saved++;
+      },
+    });
+
+    it("gives each group one USDT and one USDC vault in order", async function () {
+      const groups = [group("-1001"), group("-1002")];
+      const usdt = ["0xU1", "0xU2", "0xU3"];
+      const usdc = ["0xC1", "0xC2", "0xC3"];
+
+      const assigned = await assignVaultsToGroups(groups, usdt, usdc);
+
+      expect(assigned).to.equal(2);
+      expect(groups[0].contracts.get("USDT_BSC")).to.deep.equal({
+        address: "0xU1",
+        network: "BSC",
+      });
+      expect(groups[1].contracts.get("USDC_BSC")).to.deep.equal({
+        address: "0xC2",
+        network: "BSC",
+      });
+      expect(groups.map((g) => g.saved)).to.deep.equal([1, 1]);
+      // Unused vaults stay in the lists
+      expect(usdt).to.deep.equal(["0xU3"]);
+      expect(usdc).to.deep.equal(["0xC3"]);
+    });
+
+    it("stops when either token runs out", async function () {
+      const groups = [group("-1001"), group("-1002")];
+      const assigned = await assignVaultsToGroups(
+        groups,
+        ["0xU1"],
+        ["0xC1", "0xC2"],
+      );
+      expect(assigned).to.equal(1);
+      expect(groups[1].contracts).to.equal(undefined);
+      expect(groups[1].saved).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const { ethers } = require("ethers");
+const config = require("../../config");
+const GroupPool = require("../../src/models/GroupPool");
+const Payout = require("../../src/models/Payout");
+const TestBot = require("./harness/TestBot");
+const { fundedTrade } = require("./harness/flows");
+
+describe("deal → deposit → release → recycle", () => {
+  let harness;
+
+  beforeAll(async () => {
+    harness = await new TestBot().start();
+  });
+
+  afterAll(async () => {
+    await harness.stop();
+  });
+
+  test("a trade runs from /deal to a recycled room", async () => {
+    const { telegram, chain } = harness;
+    const { groupId, vault } = await harness.addRoom();
+    const buyer = harness.addUser({ username: "alice_buys" });
+    const seller = harness.addUser({ username: "bob_sells" });
+    const buyerAddress = ethers.Wallet.createRandom().address;
+    const sellerAddress = ethers.Wallet.createRandom().address;
+
+    // /deal assigns the room and posts its invite link in the main group
+    await harness.deal(seller, buyer);
+    let escrow = await harness.latestEscrow();
+    const { escrowId } = escrow;
+    expect(escrow.status).toBe("draft");
+    expect(escrow.groupId).toBe(groupId);
+    expect((await GroupPool.findOne({ groupId })).assignedEscrowId).toBe(
+      escrowId,
+    );
+    const dealLink = telegram.activeInviteLink(groupId).invite_link;
+    expect(
+      telegram.findMessage(harness.mainGroup.id, "Deal Room Created"),
+    ).not.toBeNull();
+    expect(telegram.findMessage(harness.mainGroup.id, dealLink)).not.toBeNull();
+
+    // Both join through the link; the bot then asks for roles
+    await harness.requestJoin(seller, groupId);
+    await harness.requestJoin(buyer, groupId);
+    expect(telegram.isMember(groupId, seller.id)).toBe(true);
+    expect(telegram.isMember(groupId, buyer.id)).toBe(true);
+    expect(telegram.findButton(groupId, "select_role_buyer")).not.toBeNull();
+
+    await harness.click(buyer, groupId, "select_role_buyer");
+    await harness.click(seller, groupId, "select_role_seller");
+    await harness.click(buyer, groupId, "step2_select_chain_BSC");
+    await harness.click(buyer, groupId, "step3_select_coin_USDT");
+    escrow = await harness.escrow(escrowId);
+    expect(escrow.buyerId).toBe(buyer.id);
+    expect(escrow.sellerId).toBe(seller.id);
+    expect(escrow.chain).toBe("BSC");
+    expect(escrow.token).toBe("USDT");
+    expect(escrow.tradeDetailsStep).toBe("step4_amount");
+
+    await harness.send(buyer, groupId, "100");
+    await harness.send(buyer, groupId, "89.5");
+    await harness.send(seller, groupId, "cash");
+    await harness.send(buyer, groupId, buyerAddress);
+    await harness.send(seller, groupId, sellerAddress);
+    escrow = await harness.escrow(escrowId);
+    expect(escrow.quantity).toBe(100);
+    expect(escrow.rate).toBe(89.5);
+    expect(escrow.paymentMethod).toBe("CASH");
+    expect(escrow.buyerAddress).toBe(buyerAddress);
+    expect(escrow.sellerAddress).toBe(sellerAddress);
+    expect(telegram.findMessage(groupId, "Deal Summary")).not.toBeNull();
+
+    // Approving the summary hands out the room's vault as deposit address
+    await harness.click(buyer, groupId, "approve_deal_summary");
+    expect((await harness.escrow(escrowId)).status).toBe("draft");
+    await harness.click(seller, groupId, "approve_deal_summary");
+    escrow = await harness.escrow(escrowId);
+    expect(escrow.status).toBe("awaiting_deposit");
+    expect(escrow.depositAddress).toBe(vault);
+    expect(telegram.findMessage(groupId, vault)).not.toBeNull();
+
+    // The deposit is announced once seen and credited once deep enough
+    chain.transfer({ from: sellerAddress, to: vault, amount: 100 });
+    await harness.watchDeposits();
+    escrow = await harness.escrow(escrowId);
+    expect(escrow.status).toBe("awaiting_deposit");
+    expect(escrow.pendingDeposits[0].status).toBe("confirming");
+    expect(telegram.findMessage(groupId, "Deposit detected")).not.toBeNull();
+
+    chain.mine(config.getRequiredConfirmations("BSC"));
+    await harness.watchDeposits();
+    escrow = await harness.escrow(escrowId);
+    expect(escrow.status).toBe("deposited");
+    expect(escrow.accumulatedDepositAmount).toBe(100);
+    expect(
+      telegram.findMessage(groupId, "✅ Deposit confirmed: 100.00 USDT"),
+    ).not.toBeNull();
+
+    // Fiat confirmations release the deposit, less the network fee
+    await harness.click(buyer, groupId, `fiat_sent_buyer_${escrowId}`);
+    expect((await harness.escrow(escrowId)).status).toBe("in_fiat_transfer");
+    await harness.click(
+      seller,
+      groupId,
+      `fiat_received_seller_yes_${escrowId}`,
+    );
+    await harness.click(seller, groupId, `fiat_release_confirm_${escrowId}`);
+
+    escrow = await harness.escrow(escrowId);
+    expect(escrow.status).toBe("completed");
+    expect(chain.payouts).toHaveLength(1);
+    const [payout] = chain.payouts;
+    expect(payout.kind).toBe("release");
+    expect(payout.to).toBe(buyerAddress);
+    expect(payout.amount).toBeCloseTo(100 - escrow.networkFee, 6);
+    expect(escrow.releaseTransactionHash).toBe(payout.hash);
+    expect(chain.balanceOf(buyerAddress)).toBeCloseTo(payout.amount, 6);
+    expect((await Payout.findOne({ escrowId, kind: "release" })).status).toBe(
+      "confirmed",
+    );
+    expect(
+      telegram.findMessage(groupId, "Release Confirmation"),
+    ).not.toBeNull();
+
+    // Once the buyer confirms, the room is emptied and handed back
+    await harness.click(
+      buyer,
+      groupId,
+      `buyer_received_tokens_yes_${escrowId}`,
+    );
+    await harness.runJobs(
+      "group.recycle_after_close",
+      "group.settle_and_recycle",
+    );
+
+    const room = await GroupPool.findOne({ groupId });
+    expect(room.status).toBe("available");
+    expect(room.assignedEscrowId).toBeFalsy();
+    expect(telegram.isMember(groupId, buyer.id)).toBe(false);
+    expect(telegram.isMember(groupId, seller.id)).toBe(false);
+    expect(telegram.activeInviteLink(groupId).invite_link).not.toBe(dealLink);
+  });
+
+  test("a deposit that leaves the chain after fiat was sent holds the release", async () => {
+    const { telegram, chain } = harness;
+    await harness.addRoom();
+    const payoutsBefore = chain.payouts.length;
+    const { escrowId, groupId, vault, buyer, seller, sellerAddress } =
+      await fundedTrade(harness);
+    const topUp = chain.transfer({
+      from: sellerAddress,
+      to: vault,
+      amount: 20,
+    });
+    chain.mine(config.getRequiredConfirmations("BSC"));
+    await harness.watchDeposits();
+    expect((await harness.escrow(escrowId)).accumulatedDepositAmount).toBe(120);
+    await harness.click(buyer, groupId, `fiat_sent_buyer_${escrowId}`);
+
+    // The top-up is credited but not final yet, so it is still watched
+    chain.reorg(topUp);
+    await harness.watchDeposits();
+    const escrow = await harness.escrow(escrowId);
+    expect(escrow.status).toBe("in_fiat_transfer");
+    expect(escrow.accumulatedDepositAmount).toBe(100);
+    expect(escrow.depositReversedAt).toBeInstanceOf(Date);
+    expect(escrow.pendingDeposits.map((entry) => entry.status)).toEqual([
+      "credited",
+      "dropped",
+    ]);
+    expect(
+      telegram.findMessage(harness.admin.id, "Credited Deposit Reversed"),
+    ).not.toBeNull();
+
+    await harness.click(
+      seller,
+      groupId,
+      `fiat_received_seller_yes_${escrowId}`,
+    );
+    await harness.click(seller, groupId, `fiat_release_confirm_${escrowId}`);
+    expect(chain.payouts).toHaveLength(payoutsBefore);
+    expect(telegram.findMessage(groupId, "on hold")).not.toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+const config = require("../../config");
+const Dispute = require("../../src/models/Dispute");
+const Settlement = require("../../src/models/Settlement");
+const TestBot = require("./harness/TestBot");
+const { fundedTrade } = require("./harness/flows");
+
+describe("dispute", () => {
+  let harness;
+
+  beforeAll(async () => {
+    harness = await new TestBot().start();
+    await harness.addRoom();
+  });
+
+  afterAll(async () => {
+    await harness.stop();
+  });
+
+  test("an admin splits a disputed trade between both parties", async () => {
+    const { telegram, chain, admin } = harness;
+    const { escrowId, groupId, buyer, buyerAddress, sellerAddress } =
+      await fundedTrade(harness);
+
+    // The buyer reports the trade; the case lands in the dispute channel
+    await harness.send(buyer, groupId, "/dispute Seller is not responding");
+    expect((await harness.escrow(escrowId)).status).toBe("disputed");
+    const dispute = await Dispute.findOne({ escrowId });
+    expect(dispute.status).toBe("open");
+    expect(
+      telegram.findMessage(groupId, `Case: #${dispute.caseNumber}`),
+    ).not.toBeNull();
+    expect(
+      telegram.findMessage(Number(config.DISPUTE_CHANNEL_ID), escrowId),
+    ).not.toBeNull();
+
+    // 60% to the buyer, the rest back to the seller
+    await harness.send(
+      admin,
+      admin.id,
+      `/dispute_ruling ${dispute.caseNumber} split 60%`,
+    );
+    expect(
+      telegram.findMessage(admin.id, `Case #${dispute.caseNumber} resolved`),
+    ).not.toBeNull();
+
+    const settlement = await Settlement.findOne({ escrowId });
+    expect(settlement.status).toBe("completed");
+    expect(chain.payouts).toHaveLength(2);
+    const release = chain.payouts.find((p) => p.kind === "release");
+    const refund = chain.payouts.find((p) => p.kind === "refund");
+    expect(release.to).toBe(buyerAddress);
+    expect(release.amount).toBeCloseTo(settlement.buyerNet, 6);
+    expect(refund.to).toBe(sellerAddress);
+    expect(refund.amount).toBeCloseTo(settlement.sellerNet, 6);
+
+    expect((await harness.escrow(escrowId)).status).toBe("completed");
+    expect((await Dispute.findOne({ escrowId })).status).toBe("resolved");
+  });
+});
@@ -0,0 +1,11 @@
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+/**
+ * One in-memory mongod for the whole run; each test file uses its own
+ * database on it (see setupEnv)
+ */
+module.exports = async () => {
+  const mongod = await MongoMemoryServer.create();
+  globalThis.__MONGOD__ = mongod;
+  process.env.E2E_MONGO_URI = mongod.getUri();
+};
@@ -0,0 +1,360 @@
+const { ethers } = require("ethers");
+const BlockchainService = require("../../../src/services/BlockchainService");
+const TronService = require("../../../src/services/TronService");
+
+// Blocks the RPC deposit scan looks back when it has no cursor yet
+const DEFAULT_SCAN_WINDOW = 2000;
+
+const isTron = (network) =>
+  ["TRON", "TRX"].includes(String(network || "").toUpperCase());
+
+const sameAddress = (a, b) =>
+  String(a || "").toLowerCase() === String(b || "").toLowerCase();
+
+/**
+ * Scriptable chain behind BlockchainService and TronService. Tests send
+ * tokens, mine blocks and reorg transfers away; the bot sees them through
+ * the same service methods it uses against real nodes, and its payouts move
+ * tokens out of the vaults. Vaults without the per-trade sub-ledger are
+ * modelled, so getVaultLedger reports none; they do split a payout's fee to
+ * `feeWallet` in the same transaction.
+ */
+class FakeChain {
+  constructor({
+    startBlock = 1000,
+    feeWallet = "0x00000000000000000000000000000000000FEE00",
+  } = {}) {
+    this.startBlock = startBlock;
+    this.feeWallet = feeWallet;
+    this.heads = new Map();
+    this.transfers = [];
+    this.payouts = [];
+    this.payoutFailures = [];
+    this.patched = [];
+    this.txCount = 0;
+    this.nonce = 0;
+  }
+
+  install() {
+    const chain = this;
+    this.patch(BlockchainService, {
+      getLatestBlockNumber: async (network = "ETH") => chain.head(network),
+      getTokenTransfersViaRPC: async (token, network, toAddress, fromBlock) =>
+        chain.transfersTo(token, network, toAddress, fromBlock),
+      // The explorer API fallback; the RPC scan already sees everything
+      getTokenTransactions: async () => [],
+      getTransactionConfirmations: async (network, txHash) =>
+        chain.confirmations(network, txHash),
+      getTransactionTimestamp: async (network, txHash) =>
+        chain.find(txHash)?.timestamp || 0,
+      getTokenBalance: async (token, network, address) =>
+        chain.balanceOf(address, { token, network }),
+      getVaultTransfers: async (token, network, address, fromBlock) =>
+        chain.vaultTransfers(token, network, address, fromBlock),
+      hasVaultLedger: async () => false,
+      getVaultLedger: async () => null,
+      releaseFunds: (...args) => chain.sendPayout("release", ...args),
+      refundFunds: (...args) => chain.sendPayout("refund", ...args),
+      getMinedNonce: async () => chain.nonce,
+      broadcastSignedTransaction: async (network, signedTx) =>
+        chain.payouts.find((payout) => payout.signedTx === signedTx)?.hash,
+    });
+    this.patch(TronService, {
+      init: async () => {},
+      getLatestBlockNumber: async () => chain.head("TRON"),
+      getTokenTransfers: async (token, toAddress, fromBlock) =>
+        chain.transfersTo(token, "TRON", toAddress, fromBlock),
+      getTransactionConfirmations: async (txHash) =>
+        chain.confirmations("TRON", txHash),
+      getTokenBalance: async (token, address) =>
+        chain.balanceOf(address, { token, network: "TRON" }),
+      getVaultTransfers: async (token, address, fromBlock) =>
+        chain.vaultTransfers(token, "TRON", address, fromBlock),
+      getVaultLedger: async () => null,
+    });
+  }
+
+  restore() {
+    this.patched.reverse().forEach(({ target, name, descriptor }) => {
+      if (descriptor) Object.defineProperty(target, name, descriptor);
+      else delete target[name];
+    });
+    this.patched = [];
+  }
+
+  patch(target, methods) {
+    Object.entries(methods).forEach(([name, fn]) => {
+      this.patched.push({
+        target,
+        name,
+        descriptor: Object.getOwnPropertyDescriptor(target, name),
+      });
+      target[name] = fn;
+    });
+  }
+
+  networkKey(network) {
+    return isTron(network) ? "TRON" : String(network || "BSC").toUpperCase();
+  }
+
+  head(network = "BSC") {
+    const key = this.networkKey(network);
+    if (!this.heads.has(key)) this.heads.set(key, this.startBlock);
+    return this.heads.get(key);
+  }
+
+  /**
+   * @returns {number} the new block height
+   */
+  mine(blocks = 1, network = "BSC") {
+    const key = this.networkKey(network);
+    this.heads.set(key, this.head(key) + blocks);
+    return this.heads.get(key);
+  }
+
+  toWei(amount, token, network) {
+    return ethers.parseUnits(
+      String(amount),
+      BlockchainService.getTokenDecimals(token, this.networkKey(network)),
+    );
+  }
+
+  fromWei(amountWei, token, network) {
+    return Number(
+      ethers.formatUnits(
+        amountWei,
+        BlockchainService.getTokenDecimals(token, this.networkKey(network)),
+      ),
+    );
+  }
+
+  nextHash() {
+    this.txCount += 1;
+    return ethers.id(`fake-chain-tx-${this.txCount}`);
+  }
+
+  /**
+   * Move tokens; the transfer is mined in the next block
+   * @param {{from:string, to:string, amount:number, token?:string, network?:string}} transfer
+   * @returns {string} transaction hash
+   */
+  transfer({ from, to, amount, token = "USDT", network = "BSC" }) {
+    const key = this.networkKey(network);
+    const entry = {
+      network: key,
+      token: token.toUpperCase(),
+      from,
+      to,
+      valueWei: this.toWei(amount, token, key),
+      blockNumber: this.mine(1, key),
+      hash: this.nextHash(),
+      timestamp: Date.now(),
+      dropped: false,
+    };
+    this.transfers.push(entry);
+    return entry.hash;
+  }
+
+  /**
+   * Take a mined transfer out of the chain, as a reorg would
+   */
+  reorg(hash) {
+    const entry = this.find(hash);
+    if (!entry) throw new Error(`Unknown transaction ${hash}`);
+    entry.dropped = true;
+  }
+
+  /**
+   * Make the next payout fail before it is signed, so nothing is sent
+   */
+  failNextPayout(error = new Error("execution reverted")) {
+    this.payoutFailures.push(error);
+  }
+
+  find(hash) {
+    return this.transfers.find((entry) => sameAddress(entry.hash, hash));
+  }
+
+  mined(token, network) {
+    const key = this.networkKey(network);
+    return this.transfers.filter(
+      (entry) =>
+        !entry.dropped &&
+        entry.network === key &&
+        entry.token === String(token).toUpperCase(),
+    );
+  }
+
+  balanceWei(address, { token = "USDT", network = "BSC" } = {}) {
+    return this.mined(token, network).reduce((balance, entry) => {
+      if (sameAddress(entry.to, address)) balance += entry.valueWei;
+      if (sameAddress(entry.from, address)) balance -= entry.valueWei;
+      return balance;
+    }, 0n);
+  }
+
+  balanceOf(address, { token = "USDT", network = "BSC" } = {}) {
+    return this.fromWei(
+      this.balanceWei(address, { token, network }),
+      token,
+      network,
+    );
+  }
+
+  describe(entry) {
+    return {
+      from: entry.from,
+      to: entry.to,
+      valueDecimal: this.fromWei(entry.valueWei, entry.token, entry.network),
+      valueWei: entry.valueWei.toString(),
+      blockNumber: entry.blockNumber,
+      hash: entry.hash,
+    };
+  }
+
+  scanStart(network, fromBlock) {
+    return Number.isFinite(fromBlock)
+      ? Math.max(0, fromBlock)
+      : Math.max(0, this.head(network) - DEFAULT_SCAN_WINDOW);
+  }
+
+  transfersTo(token, network, address, fromBlock) {
+    const start = this.scanStart(network, fromBlock);
+    return this.mined(token, network)
+      .filter(
+        (entry) => sameAddress(entry.to, address) && entry.blockNumber >= start,
+      )
+      .map((entry) => this.describe(entry));
+  }
+
+  vaultTransfers(token, network, address, fromBlock) {
+    const start = this.scanStart(network, fromBlock);
+    const inRange = this.mined(token, network).filter(
+      (entry) => entry.blockNumber >= start,
+    );
+    return {
+      incoming: inRange
+        .filter((entry) => sameAddress(entry.to, address))
+        .map((entry) => this.describe(entry)),
+      outgoing: inRange
+        .filter((entry) => sameAddress(entry.from, address))
+        .map((entry) => this.describe(entry)),
+      fromBlock: start,
+    };
+  }
+
+  confirmations(network, hash) {
+    const entry = this.find(hash);
+    if (!entry || entry.dropped) {
+      return { found: false, success: false, blockNumber: 0, confirmations: 0 };
+    }
+    return {
+      found: true,
+      success: true,
+      blockNumber: entry.blockNumber,
+      confirmations: Math.max(0, this.head(network) - entry.blockNumber + 1),
+    };
+  }
+
+  /**
+   * BlockchainService.releaseFunds/refundFunds: pay out of the vault, calling
+   * the signing hooks in the same order as the real service. `feeWei` goes
+   * to the fee wallet in the same transaction.
+   */
+  async sendPayout(
+    kind,
+    token,
+    network,
+    to,
+    amount,
+    amountWeiOverride = null,
+    groupId = null,
+    contractAddressOverride = null,
+    escrowId = null,
+    hooks = {},
+    feeWei = 0,
+  ) {
+    const key = this.networkKey(network);
+    const amountWei = amountWeiOverride
+      ? BigInt(amountWeiOverride)
+      : this.toWei(amount, token, key);
+    if (amountWei <= 0n) {
+      throw new Error(`Invalid Wei Amount: ${amountWei}. Must be positive.`);
+    }
+
+    const contractAddress =
+      contractAddressOverride ||
+      (await BlockchainService.getEscrowContractAddress(token, key, groupId));
+    if (!contractAddress) {
+      throw new Error(`No escrow contract found for ${token} on ${key}`);
+    }
+
+    const failure = this.payoutFailures.shift();
+    if (failure) throw failure;
+
+    const feeSplitWei = BigInt(feeWei || 0);
+    const feeWallet = feeSplitWei > 0n ? this.feeWallet : null;
+    const balanceWei = this.balanceWei(contractAddress, {
+      token,
+      network: key,
+    });
+    if (balanceWei < amountWei + feeSplitWei) {
+      throw new Error(
+        `Insufficient Vault Balance: Contract has ${this.fromWei(
+          balanceWei,
+          token,
+          key,
+        )} but needs ${this.fromWei(amountWei + feeSplitWei, token, key)}`,
+      );
+    }
+
+    const hash = this.nextHash();
+    const signedTx = `0x${Buffer.from(`signed:${hash}`).toString("hex")}`;
+    const nonce = this.nonce++;
+    if (hooks.onSigned) {
+      await hooks.onSigned({
+        txHash: hash,
+        signedTx,
+        nonce,
+        contractAddress,
+        feeWallet,
+      });
+    }
+    if (hooks.onBroadcast) await hooks.onBroadcast({ txHash: hash });
+
+    const entry = {
+      network: key,
+      token: token.toUpperCase(),
+      from: contractAddress,
+      to,
+      valueWei: amountWei,
+      blockNumber: this.mine(1, key),
+      hash,
+      timestamp: Date.now(),
+      dropped: false,
+    };
+    this.transfers.push(entry);
+    if (feeWallet) {
+      this.transfers.push({ ...entry, to: feeWallet, valueWei: feeSplitWei });
+    }
+    this.payouts.push({
+      kind,
+      escrowId,
+      contractAddress,
+      signedTx,
+      nonce,
+      ...this.describe(entry),
+      amount: this.fromWei(amountWei, token, key),
+    });
+
+    // TRON payouts return once broadcast and are confirmed later
+    return {
+      success: true,
+      transactionHash: hash,
+      blockNumber: key === "TRON" ? null : entry.blockNumber,
+      feeWallet,
+    };
+  }
+}
+
+module.exports = FakeChain;
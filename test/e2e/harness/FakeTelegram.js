@@ -0,0 +1,462 @@
+const { Telegram, TelegramError } = require("telegraf");
+
+const BOT_USER = {
+  id: 7000000001,
+  is_bot: true,
+  first_name: "P2P Escrow",
+  username: "p2p_escrow_test_bot",
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function apiError(method, payload, description, errorCode = 400) {
+  const prefix = errorCode === 403 ? "Forbidden" : "Bad Request";
+  return new TelegramError(
+    {
+      ok: false,
+      error_code: errorCode,
+      description: `${prefix}: ${description}`,
+    },
+    { method, payload },
+  );
+}
+
+function textOf(message) {
+  return message.text ?? message.caption ?? "";
+}
+
+function matches(value, match) {
+  if (match instanceof RegExp) return match.test(value);
+  if (typeof match === "function") return match(value);
+  return value.includes(match);
+}
+
+function buttonsOf(message) {
+  return (message.reply_markup?.inline_keyboard || []).flat();
+}
+
+/**
+ * Stands in for the Bot API. Every Telegram instance Telegraf creates (one
+ * per update, plus bot.telegram) is routed here, so handlers, jobs and
+ * services all talk to the same fake. Messages, members, invite links and
+ * join requests are kept per chat so tests can look for what the bot said
+ * and press its buttons.
+ */
+class FakeTelegram {
+  constructor() {
+    this.botInfo = {
+      ...BOT_USER,
+      can_join_groups: true,
+      can_read_all_group_messages: true,
+      supports_inline_queries: false,
+    };
+    this.users = new Map();
+    this.chats = new Map();
+    this.messages = [];
+    this.calls = [];
+    this.joinRequests = [];
+    this.linkCount = 0;
+    this.originalCallApi = null;
+  }
+
+  install() {
+    const fake = this;
+    this.originalCallApi = Object.getOwnPropertyDescriptor(
+      Telegram.prototype,
+      "callApi",
+    );
+    Telegram.prototype.callApi = function callApi(method, payload = {}) {
+      return fake.callApi(method, payload);
+    };
+  }
+
+  restore() {
+    if (this.originalCallApi) {
+      Object.defineProperty(
+        Telegram.prototype,
+        "callApi",
+        this.originalCallApi,
+      );
+    } else {
+      delete Telegram.prototype.callApi;
+    }
+  }
+
+  /**
+   * @param {{id:number, first_name?:string, username?:string, bio?:string}} user
+   * @returns {Object} the Telegram user object
+   */
+  addUser({ id, first_name, username, bio = "" }) {
+    const user = {
+      id,
+      is_bot: false,
+      first_name: first_name || username || `User ${id}`,
+      username,
+    };
+    this.users.set(id, { user, bio });
+    return user;
+  }
+
+  /**
+   * @param {{id:number, type?:string, title?:string}} chat
+   * @returns {Object} the Telegram chat object
+   */
+  addChat({ id, type = "supergroup", title = `Chat ${id}` }) {
+    this.chats.set(String(id), {
+      chat: { id, type, title },
+      members: new Set([this.botInfo.id]),
+      pinned: new Set(),
+      links: [],
+      nextMessageId: 1,
+    });
+    return this.chats.get(String(id)).chat;
+  }
+
+  chatState(chatId, method, payload) {
+    const key = String(chatId);
+    if (!this.chats.has(key) && this.users.has(Number(chatId))) {
+      const { user } = this.users.get(Number(chatId));
+      this.chats.set(key, {
+        chat: {
+          id: user.id,
+          type: "private",
+          first_name: user.first_name,
+          username: user.username,
+        },
+        members: new Set([user.id, this.botInfo.id]),
+        pinned: new Set(),
+        links: [],
+        nextMessageId: 1,
+      });
+    }
+    const state = this.chats.get(key);
+    if (!state) throw apiError(method, payload, "chat not found");
+    return state;
+  }
+
+  /**
+   * Record a message in a chat, from the bot unless `from` is given
+   */
+  store(chatId, fields, from = this.botInfo) {
+    const state = this.chatState(chatId, "sendMessage", fields);
+    const message = {
+      message_id: state.nextMessageId++,
+      date: now(),
+      chat: state.chat,
+      from: {
+        id: from.id,
+        is_bot: Boolean(from.is_bot),
+        first_name: from.first_name,
+        username: from.username,
+      },
+      ...fields,
+    };
+    Object.keys(message).forEach((key) => {
+      if (message[key] === undefined) delete message[key];
+    });
+    this.messages.push(message);
+    return message;
+  }
+
+  findStored(chatId, messageId) {
+    return this.messages.find(
+      (message) =>
+        String(message.chat.id) === String(chatId) &&
+        message.message_id === Number(messageId) &&
+        !message.deleted,
+    );
+  }
+
+  async callApi(method, payload) {
+    this.calls.push({ method, payload });
+    const handler = API[method];
+    const result = handler ? handler(this, payload, method) : true;
+    // Handlers get copies, as they would from JSON
+    return result && typeof result === "object"
+      ? JSON.parse(JSON.stringify(result))
+      : result;
+  }
+
+  /**
+   * Non-deleted messages in a chat, oldest first
+   */
+  messagesIn(chatId, { fromBot = true } = {}) {
+    return this.messages.filter(
+      (message) =>
+        String(message.chat.id) === String(chatId) &&
+        !message.deleted &&
+        (!fromBot || message.from.id === this.botInfo.id),
+    );
+  }
+
+  lastMessage(chatId) {
+    const messages = this.messagesIn(chatId);
+    return messages[messages.length - 1] || null;
+  }
+
+  /**
+   * Latest bot message whose text or caption matches
+   * @param {string|RegExp|Function} match
+   */
+  findMessage(chatId, match) {
+    return (
+      this.messagesIn(chatId)
+        .reverse()
+        .find((message) => matches(textOf(message), match)) || null
+    );
+  }
+
+  /**
+   * Latest bot message with an inline button whose callback data matches
+   * @param {string|RegExp|Function} match - a string must match exactly
+   * @returns {{message:Object, button:Object}|null}
+   */
+  findButton(chatId, match) {
+    const test =
+      typeof match === "string"
+        ? (data) => data === match
+        : (data) => matches(data, match);
+    for (const message of this.messagesIn(chatId).reverse()) {
+      const button = buttonsOf(message).find(
+        (candidate) => candidate.callback_data && test(candidate.callback_data),
+      );
+      if (button) return { message, button };
+    }
+    return null;
+  }
+
+  callsTo(method) {
+    return this.calls
+      .filter((call) => call.method === method)
+      .map((call) => call.payload);
+  }
+
+  /**
+   * Texts of the callback query answers (toasts and alerts) shown so far
+   */
+  answers() {
+    return this.callsTo("answerCallbackQuery").map((payload) => payload.text);
+  }
+
+  isMember(chatId, userId) {
+    return this.chatState(chatId).members.has(Number(userId));
+  }
+
+  activeInviteLink(chatId) {
+    const links = this.chatState(chatId).links.filter(
+      (link) => !link.is_revoked,
+    );
+    return links[links.length - 1] || null;
+  }
+
+  textOf(message) {
+    return textOf(message);
+  }
+}
+
+function sendMedia(kind) {
+  return (fake, payload) => {
+    const { chat_id, caption, reply_markup, parse_mode } = payload;
+    return fake.store(chat_id, {
+      [kind]:
+        kind === "photo"
+          ? [{ file_id: `photo-${fake.messages.length}` }]
+          : { file_id: `${kind}-${fake.messages.length}` },
+      caption,
+      parse_mode,
+      reply_markup,
+    });
+  };
+}
+
+function editMessage(fake, payload, method, changes) {
+  const message = fake.findStored(payload.chat_id, payload.message_id);
+  if (!message) {
+    throw apiError(method, payload, "message to edit not found");
+  }
+  const before = JSON.stringify([textOf(message), message.reply_markup]);
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === undefined) delete message[key];
+    else message[key] = value;
+  });
+  if (JSON.stringify([textOf(message), message.reply_markup]) === before) {
+    throw apiError(
+      method,
+      payload,
+      "message is not modified: specified new message content and reply markup are exactly the same as a current content and reply markup of the message",
+    );
+  }
+  message.edit_date = now();
+  return message;
+}
+
+function chatMember(fake, chatId, userId) {
+  const state = fake.chatState(chatId);
+  const id = Number(userId);
+  const user =
+    id === fake.botInfo.id
+      ? BOT_USER
+      : fake.users.get(id)?.user || { id, is_bot: false, first_name: "" };
+  if (id === fake.botInfo.id) {
+    return {
+      status: "administrator",
+      user,
+      can_invite_users: true,
+      can_restrict_members: true,
+      can_pin_messages: true,
+      can_delete_messages: true,
+      can_promote_members: true,
+    };
+  }
+  if (state.members.has(id)) return { status: "member", user };
+  return { status: "left", user };
+}
+
+// Bot API methods the bot uses; anything else answers `true`
+const API = {
+  getMe: (fake) => fake.botInfo,
+
+  sendMessage: (fake, { chat_id, text, reply_markup, parse_mode }) =>
+    fake.store(chat_id, { text, parse_mode, reply_markup }),
+  sendPhoto: sendMedia("photo"),
+  sendDocument: sendMedia("document"),
+  sendAnimation: sendMedia("animation"),
+  sendVideo: sendMedia("video"),
+
+  editMessageText: (fake, payload, method) =>
+    editMessage(fake, payload, method, {
+      text: payload.text,
+      reply_markup: payload.reply_markup,
+    }),
+  editMessageCaption: (fake, payload, method) =>
+    editMessage(fake, payload, method, {
+      caption: payload.caption,
+      reply_markup: payload.reply_markup,
+    }),
+  editMessageReplyMarkup: (fake, payload, method) =>
+    editMessage(fake, payload, method, {
+      reply_markup:
+        payload.reply_markup?.inline_keyboard?.length > 0
+          ? payload.reply_markup
+          : undefined,
+    }),
+
+  deleteMessage: (fake, payload, method) => {
+    const message = fake.findStored(payload.chat_id, payload.message_id);
+    if (!message) {
+      throw apiError(method, payload, "message to delete not found");
+    }
+    message.deleted = true;
+    return true;
+  },
+  deleteMessages: (fake, { chat_id, message_ids }) => {
+    (message_ids || []).forEach((messageId) => {
+      const message = fake.findStored(chat_id, messageId);
+      if (message) message.deleted = true;
+    });
+    return true;
+  },
+
+  pinChatMessage: (fake, payload) => {
+    fake.chatState(payload.chat_id).pinned.add(Number(payload.message_id));
+    return true;
+  },
+  unpinChatMessage: (fake, payload) => {
+    fake.chatState(payload.chat_id).pinned.delete(Number(payload.message_id));
+    return true;
+  },
+  unpinAllChatMessages: (fake, payload) => {
+    fake.chatState(payload.chat_id).pinned.clear();
+    return true;
+  },
+
+  getChat: (fake, payload, method) => {
+    const ref = String(payload.chat_id);
+    if (ref.startsWith("@")) {
+      const handle = ref.slice(1).toLowerCase();
+      const entry = [...fake.users.values()].find(
+        ({ user }) => (user.username || "").toLowerCase() === handle,
+      );
+      if (!entry) throw apiError(method, payload, "chat not found");
+      return { ...fake.chatState(entry.user.id).chat, bio: entry.bio };
+    }
+    const entry = fake.users.get(Number(ref));
+    const { chat } = fake.chatState(ref, method, payload);
+    return entry ? { ...chat, bio: entry.bio } : chat;
+  },
+  getChatMember: (fake, { chat_id, user_id }) =>
+    chatMember(fake, chat_id, user_id),
+  getChatAdministrators: (fake, { chat_id }) => [
+    chatMember(fake, chat_id, fake.botInfo.id),
+  ],
+  getChatMemberCount: (fake, { chat_id }) =>
+    fake.chatState(chat_id).members.size,
+
+  exportChatInviteLink: (fake, { chat_id }) => {
+    const state = fake.chatState(chat_id);
+    const link = {
+      invite_link: `https://t.me/+primary${++fake.linkCount}`,
+      creator: BOT_USER,
+      creates_join_request: false,
+      is_primary: true,
+      is_revoked: false,
+    };
+    state.links.push(link);
+    return link.invite_link;
+  },
+  createChatInviteLink: (fake, payload) => {
+    const state = fake.chatState(payload.chat_id);
+    const link = {
+      invite_link: `https://t.me/+room${++fake.linkCount}`,
+      creator: BOT_USER,
+      creates_join_request: Boolean(payload.creates_join_request),
+      is_primary: false,
+      is_revoked: false,
+      name: payload.name,
+      expire_date: payload.expire_date,
+      member_limit: payload.member_limit,
+    };
+    state.links.push(link);
+    return link;
+  },
+  revokeChatInviteLink: (fake, payload, method) => {
+    const link = fake
+      .chatState(payload.chat_id)
+      .links.find((candidate) => candidate.invite_link === payload.invite_link);
+    if (!link) throw apiError(method, payload, "INVITE_HASH_EXPIRED");
+    link.is_revoked = true;
+    return link;
+  },
+
+  approveChatJoinRequest: (fake, payload, method) => {
+    const index = fake.joinRequests.findIndex(
+      (request) =>
+        String(request.chatId) === String(payload.chat_id) &&
+        request.userId === Number(payload.user_id),
+    );
+    if (index === -1) {
+      throw apiError(method, payload, "HIDE_REQUESTER_MISSING");
+    }
+    fake.joinRequests.splice(index, 1);
+    fake.chatState(payload.chat_id).members.add(Number(payload.user_id));
+    return true;
+  },
+  declineChatJoinRequest: (fake, payload) => {
+    fake.joinRequests = fake.joinRequests.filter(
+      (request) =>
+        String(request.chatId) !== String(payload.chat_id) ||
+        request.userId !== Number(payload.user_id),
+    );
+    return true;
+  },
+  banChatMember: (fake, payload) => {
+    fake.chatState(payload.chat_id).members.delete(Number(payload.user_id));
+    return true;
+  },
+
+  getUpdates: () => [],
+  getWebhookInfo: () => ({ url: "", pending_update_count: 0 }),
+};
+
+module.exports = FakeTelegram;
+module.exports.BOT_USER = BOT_USER;
@@ -0,0 +1,235 @@
+const mongoose = require("mongoose");
+const { ethers } = require("ethers");
+const config = require("../../../config");
+const connectDB = require("../../../src/utils/database");
+const EscrowBot = require("../../../src/index");
+const Contract = require("../../../src/models/Contract");
+const Escrow = require("../../../src/models/Escrow");
+const GroupPool = require("../../../src/models/GroupPool");
+const Job = require("../../../src/models/Job");
+const GroupPoolService = require("../../../src/services/GroupPoolService");
+const JobQueueService = require("../../../src/services/JobQueueService");
+const DepositWatcherService = require("../../../src/services/DepositWatcherService");
+const FakeTelegram = require("./FakeTelegram");
+const FakeChain = require("./FakeChain");
+
+/**
+ * The whole bot against a fake Bot API, a fake chain and the test database.
+ * Users act through real Telegram updates (commands, messages, button
+ * presses, join requests); the job queue and deposit watcher run only when
+ * a test asks, so time never passes on its own.
+ */
+class TestBot {
+  constructor() {
+    this.telegram = new FakeTelegram();
+    this.chain = new FakeChain();
+    this.updateId = 0;
+    this.callbackId = 0;
+    this.nextUserId = 100000001;
+    this.nextRoomId = -1001000000100;
+    this.vaults = new Map();
+  }
+
+  async start() {
+    this.telegram.install();
+    this.chain.install();
+    await connectDB();
+
+    this.app = new EscrowBot();
+    this.bot = this.app.bot;
+    this.bot.botInfo = this.telegram.botInfo;
+
+    this.mainGroup = this.telegram.addChat({
+      id: Number(config.ALLOWED_MAIN_GROUP_ID),
+      title: "P2P Main",
+    });
+    this.telegram.addChat({
+      id: Number(config.DISPUTE_CHANNEL_ID),
+      type: "channel",
+      title: "Disputes",
+    });
+    this.admin = this.telegram.addUser({
+      id: Number(config.ADMIN_USER_ID),
+      username: config.ADMIN_USERNAME,
+    });
+
+    // Long intervals (see setupEnv): rounds run from runJobs/watchDeposits
+    JobQueueService.start(this.bot.telegram);
+    DepositWatcherService.start(this.bot.telegram);
+    return this;
+  }
+
+  async stop() {
+    await JobQueueService.stop();
+    await DepositWatcherService.stop();
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    this.chain.restore();
+    this.telegram.restore();
+  }
+
+  /**
+   * @param {{username:string, bio?:string}} profile - a bio with "@room"
+   *   earns the lower fee tier
+   */
+  addUser({ username, bio = "" }) {
+    return this.telegram.addUser({ id: this.nextUserId++, username, bio });
+  }
+
+  /**
+   * A pooled trade room with its own vault
+   * @param {{tier?:string}} [options] - fee tier the room serves
+   * @returns {Promise<{groupId:string, vault:string}>}
+   */
+  async addRoom({ tier = "no_tag" } = {}) {
+    const id = this.nextRoomId--;
+    const vault = ethers.Wallet.createRandom().address;
+    this.telegram.addChat({ id, title: `Trade Room ${-id}` });
+
+    await GroupPool.create({
+      groupId: String(id),
+      groupTitle: `Trade Room ${-id}`,
+      status: "available",
+      feePercent: GroupPoolService.TIER_FEE_MAP[tier],
+      contracts: { USDT_BSC: { address: vault, network: "BSC" } },
+    });
+    // Payouts without an explicit vault look it up by this legacy field,
+    // which the schema no longer declares
+    await Contract.collection.insertOne({
+      name: "EscrowVault",
+      token: "USDT",
+      network: "BSC",
+      address: vault,
+      feePercent: 0,
+      status: "deployed",
+      deployedAt: new Date(),
+    });
+    this.vaults.set(String(id), vault);
+    return { groupId: String(id), vault };
+  }
+
+  vaultOf(groupId) {
+    return this.vaults.get(String(groupId));
+  }
+
+  async handle(update) {
+    await this.bot.handleUpdate({ update_id: ++this.updateId, ...update });
+  }
+
+  /**
+   * A user posts a message; commands get their bot_command entity
+   * @returns {Promise<Object>} the message
+   */
+  async send(user, chatId, text, extra = {}) {
+    const entities = [...(extra.entities || [])];
+    if (text.startsWith("/")) {
+      entities.unshift({
+        type: "bot_command",
+        offset: 0,
+        length: text.split(/\s/)[0].length,
+      });
+    }
+    const message = this.telegram.store(
+      chatId,
+      {
+        text,
+        ...extra,
+        entities: entities.length > 0 ? entities : undefined,
+      },
+      user,
+    );
+    await this.handle({ message });
+    return message;
+  }
+
+  /**
+   * /deal in the main group, naming the counterparty by mention
+   */
+  async deal(initiator, counterparty) {
+    const name = counterparty.first_name;
+    const text = `/deal ${name}`;
+    return this.send(initiator, this.mainGroup.id, text, {
+      entities: [
+        {
+          type: "text_mention",
+          offset: text.length - name.length,
+          length: name.length,
+          user: counterparty,
+        },
+      ],
+    });
+  }
+
+  /**
+   * Press the newest button in the chat whose callback data matches
+   * @param {string|RegExp} match - a string must match exactly
+   */
+  async click(user, chatId, match) {
+    const found = this.telegram.findButton(chatId, match);
+    if (!found) {
+      throw new Error(`No button matching ${match} in chat ${chatId}`);
+    }
+    await this.handle({
+      callback_query: {
+        id: String(++this.callbackId),
+        from: user,
+        chat_instance: String(chatId),
+        message: found.message,
+        data: found.button.callback_data,
+      },
+    });
+  }
+
+  /**
+   * Ask to join a room through its current invite link
+   */
+  async requestJoin(user, chatId) {
+    const inviteLink = this.telegram.activeInviteLink(chatId);
+    if (!inviteLink) throw new Error(`Chat ${chatId} has no invite link`);
+    this.telegram.joinRequests.push({
+      chatId: String(chatId),
+      userId: user.id,
+    });
+    await this.handle({
+      chat_join_request: {
+        chat: this.telegram.chatState(chatId).chat,
+        from: user,
+        user_chat_id: user.id,
+        date: Math.floor(Date.now() / 1000),
+        invite_link: inviteLink,
+      },
+    });
+  }
+
+  /**
+   * Run the job queue once. Pending jobs of the given types are brought
+   * forward first, as if their delay had passed.
+   * @param {...string} types
+   */
+  async runJobs(...types) {
+    if (types.length > 0) {
+      await Job.updateMany(
+        { status: "pending", type: { $in: types } },
+        { $set: { runAt: new Date() } },
+      );
+    }
+    await JobQueueService.pollOnce();
+  }
+
+  /**
+   * One round of the deposit watcher
+   */
+  async watchDeposits() {
+    await DepositWatcherService.pollOnce();
+  }
+
+  async escrow(escrowId) {
+    return Escrow.findOne({ escrowId });
+  }
+
+  async latestEscrow() {
+    return Escrow.findOne().sort({ _id: -1 });
+  }
+}
+
+module.exports = TestBot;
@@ -0,0 +1,56 @@
+const { ethers } = require("ethers");
+const config = require("../../../config");
+
+/**
+ * Take a trade from /deal to a confirmed deposit: both parties join, pick
+ * roles, fill in the trade details and approve the summary, then the seller
+ * funds the vault and the deposit watcher credits it.
+ * @param {Object} harness - started TestBot with a free room
+ * @param {{amount?:number, rate?:number}} [options]
+ * @returns {Promise<{escrowId:string, groupId:string, vault:string, buyer:Object, seller:Object, buyerAddress:string, sellerAddress:string}>}
+ */
+async function fundedTrade(harness, { amount = 100, rate = 89.5 } = {}) {
+  const buyer = harness.addUser({ username: `buyer_${harness.nextUserId}` });
+  const seller = harness.addUser({ username: `seller_${harness.nextUserId}` });
+  const buyerAddress = ethers.Wallet.createRandom().address;
+  const sellerAddress = ethers.Wallet.createRandom().address;
+
+  await harness.deal(seller, buyer);
+  const { escrowId, groupId } = await harness.latestEscrow();
+  const vault = harness.vaultOf(groupId);
+
+  await harness.requestJoin(seller, groupId);
+  await harness.requestJoin(buyer, groupId);
+
+  await harness.click(buyer, groupId, "select_role_buyer");
+  await harness.click(seller, groupId, "select_role_seller");
+  await harness.click(buyer, groupId, "step2_select_chain_BSC");
+  await harness.click(buyer, groupId, "step3_select_coin_USDT");
+
+  await harness.send(buyer, groupId, String(amount));
+  await harness.send(buyer, groupId, String(rate));
+  await harness.send(buyer, groupId, "CASH");
+  await harness.send(buyer, groupId, buyerAddress);
+  await harness.send(seller, groupId, sellerAddress);
+
+  await harness.click(buyer, groupId, "approve_deal_summary");
+  await harness.click(seller, groupId, "approve_deal_summary");
+
+  harness.chain.transfer({ from: sellerAddress, to: vault, amount });
+  harness.chain.mine(config.getRequiredConfirmations("BSC"));
+  await harness.watchDeposits();
+
+  return {
+    escrowId,
+    groupId,
+    vault,
+    buyer,
+    seller,
+    buyerAddress,
+    sellerAddress,
+  };
+}
+
+module.exports = {
+  fundedTrade,
+};
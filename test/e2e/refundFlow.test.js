@@ -0,0 +1,73 @@
+const GroupPool = require("../../src/models/GroupPool");
+const TestBot = require("./harness/TestBot");
+const { fundedTrade } = require("./harness/flows");
+
+describe("refund", () => {
+  let harness;
+
+  beforeAll(async () => {
+    harness = await new TestBot().start();
+    await harness.addRoom();
+  });
+
+  afterAll(async () => {
+    await harness.stop();
+  });
+
+  test("the buyer returns a funded trade to the seller", async () => {
+    const { telegram, chain } = harness;
+    const { escrowId, groupId, vault, buyer, sellerAddress } =
+      await fundedTrade(harness, { amount: 50 });
+    expect((await harness.escrow(escrowId)).status).toBe("deposited");
+
+    await harness.send(buyer, groupId, "/refund");
+    expect(telegram.findMessage(groupId, "Refund Confirmation")).not.toBeNull();
+
+    await harness.click(buyer, groupId, `refund_confirm_yes_${escrowId}`);
+
+    const escrow = await harness.escrow(escrowId);
+    expect(escrow.status).toBe("refunded");
+    expect(chain.payouts).toHaveLength(1);
+    const [payout] = chain.payouts;
+    expect(payout.kind).toBe("refund");
+    expect(payout.to).toBe(sellerAddress);
+    expect(payout.amount).toBeCloseTo(50 - escrow.networkFee, 6);
+    expect(escrow.refundTransactionHash).toBe(payout.hash);
+    // The network fee goes to the fee wallet in the refund transaction
+    expect(chain.balanceOf(vault)).toBe(0);
+    expect(chain.balanceOf(chain.feeWallet)).toBeCloseTo(escrow.networkFee, 6);
+    expect(telegram.findMessage(groupId, "Refund Successful")).not.toBeNull();
+
+    // The room is recycled a few minutes later
+    await harness.runJobs("group.recycle_after_refund");
+    expect(telegram.findMessage(groupId, "♻️ Group recycled.")).not.toBeNull();
+    expect((await GroupPool.findOne({ groupId })).status).toBe("available");
+    expect(telegram.isMember(groupId, buyer.id)).toBe(false);
+  });
+
+  test("a second confirmation does not pay out twice", async () => {
+    const { telegram, chain } = harness;
+    const payoutsBefore = chain.payouts.length;
+    const { escrowId, groupId, buyer } = await fundedTrade(harness);
+
+    await harness.send(buyer, groupId, "/refund");
+    const { message } = telegram.findButton(
+      groupId,
+      `refund_confirm_yes_${escrowId}`,
+    );
+    await harness.click(buyer, groupId, `refund_confirm_yes_${escrowId}`);
+    // The same button pressed again, e.g. from a stale client
+    await harness.handle({
+      callback_query: {
+        id: "repeat",
+        from: buyer,
+        chat_instance: String(groupId),
+        message,
+        data: `refund_confirm_yes_${escrowId}`,
+      },
+    });
+
+    expect((await harness.escrow(escrowId)).status).toBe("refunded");
+    expect(chain.payouts).toHaveLength(payoutsBefore + 1);
+  });
+});
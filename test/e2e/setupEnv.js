@@ -0,0 +1,23 @@
+const crypto = require("crypto");
+
+// Runs before each test file loads the bot, so config picks these up.
+// Every file gets its own database on the shared in-memory server.
+const database = `e2e_${crypto.randomBytes(4).toString("hex")}`;
+
+Object.assign(process.env, {
+  MONGODB_URI: `${process.env.E2E_MONGO_URI.replace(/\/$/, "")}/${database}`,
+  BOT_TOKEN: "123456789:e2e-fake-token-never-sent-to-telegram",
+  // Well-known Hardhat account #0, never funded on a real network
+  HOT_WALLET_PRIVATE_KEY:
+    "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
+  USDT_BSC: "0x55d398326f99059fF775485246999027B3197955",
+  ADMIN_USER_ID: "900000001",
+  ADMIN_USERNAME: "e2e_admin",
+  ALLOWED_MAIN_GROUP_ID: "-1001000000001",
+  DISPUTE_CHANNEL_ID: "-1009000000001",
+  // The harness runs each round itself
+  JOB_QUEUE_POLL_INTERVAL_MS: "3600000",
+  DEPOSIT_WATCHER_INTERVAL_MS: "3600000",
+  LOG_LEVEL: process.env.LOG_LEVEL || "error",
+  LOG_FORMAT: "pretty",
+});